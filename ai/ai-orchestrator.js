@@ -8,10 +8,13 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const creds = require('../credentials.json');
+const { normalizeTags } = require('../db/tags');
+const impactCategories = require('../services/impact-categories');
 
 class AIOrchestrator {
     constructor() {
         this.currentProvider = 'sap-btp-ai-core';
+        this.embeddingModel = 'text-embedding-3-small';
         this.loadPrompts();
     }
 
@@ -90,11 +93,14 @@ class AIOrchestrator {
 
     // Generate accomplishment statement
     async generateAccomplishmentStatement(accomplishmentData) {
+        let category = null;
         try {
             console.log('🎯 Generating accomplishment statement...');
 
+            category = await this.lookupImpactCategory(accomplishmentData.responses?.impactType || accomplishmentData.impactType);
+
             // Build prompt
-            const prompt = this.buildSAPAIPrompt(accomplishmentData);
+            const prompt = this.buildSAPAIPrompt(accomplishmentData, category);
 
             // Try SAP BTP AI Core first
             const result = await this.callSAPAI(prompt);
@@ -109,7 +115,7 @@ class AIOrchestrator {
 
         } catch (error) {
             console.error('⚠️  SAP BTP AI Core failed, using fallback:', error.message);
-            return this.generateMockResponse(accomplishmentData);
+            return this.generateMockResponse(accomplishmentData, category);
         }
     }
 
@@ -121,10 +127,14 @@ class AIOrchestrator {
             const variables = {
                 originalStatement: basicData.originalStatement,
                 impactType: basicData.impactType || 'Not specified',
-                emailAppreciation: basicData.emailAppreciation || 'None provided'
+                emailAppreciation: basicData.emailAppreciation || 'None provided',
+                nomineeName: basicData.nomineeName,
+                nominatorName: basicData.nominatorName
             };
 
-            const prompt = this.buildPrompt('contextual-questions-generation', variables);
+            // Nominations ask the nominator what they saw instead of "what did you do"
+            const promptId = basicData.nomineeName ? 'nomination-questions-generation' : 'contextual-questions-generation';
+            const prompt = this.buildPrompt(promptId, variables);
             const result = await this.callSAPAI(prompt);
 
             if (result && result.response) {
@@ -177,8 +187,19 @@ class AIOrchestrator {
             "What knowledge or skills did you share with colleagues during this work?"
         ];
 
+        const firstName = (basicData.nomineeName || '').trim().split(/\s+/)[0];
+        const nominationQuestions = [
+            `What was the situation before ${firstName} stepped in?`,
+            `What did ${firstName} do that made the difference?`,
+            `Who benefited from ${firstName}'s work, and how?`,
+            `What skills or qualities did ${firstName} show that you'd like recognized?`,
+            `What would have happened without ${firstName}'s help?`
+        ];
+
         let questions = genericQuestions;
-        if (basicData.impactType === 'customer') {
+        if (basicData.nomineeName) {
+            questions = nominationQuestions;
+        } else if (basicData.impactType === 'customer') {
             questions = customerQuestions;
         } else if (basicData.impactType === 'team') {
             questions = teamQuestions;
@@ -189,6 +210,175 @@ class AIOrchestrator {
         return shuffled.slice(0, Math.random() < 0.5 ? 3 : 4);
     }
 
+    // Propose skill tags for an accomplishment, reusing existing tags where they fit
+    async extractSkillTags(data, existingTags = []) {
+        try {
+            console.log('🏷️ Extracting skill tags...');
+
+            const variables = {
+                originalStatement: data.originalStatement,
+                impactType: data.impactType || data.responses?.impactType,
+                emailAppreciation: data.emailAppreciation || data.responses?.emailAppreciation,
+                additionalDetails: data.additionalDetails || data.responses?.additionalDetails,
+                existingTags: existingTags.join(', ')
+            };
+
+            const prompt = this.buildPrompt('skill-tags-extraction', variables);
+            const result = await this.callSAPAI(prompt);
+
+            if (result && result.response) {
+                const tags = typeof result.response === 'string' ? JSON.parse(result.response) : result.response;
+                if (Array.isArray(tags) && tags.length > 0) {
+                    console.log('✅ Successfully extracted skill tags');
+                    return normalizeTags(tags);
+                }
+                throw new Error('Invalid tags format received');
+            }
+
+            throw new Error('No response received');
+
+        } catch (error) {
+            console.error('⚠️ SAP BTP AI Core failed, using fallback tags:', error.message);
+            return this.generateMockTags(data);
+        }
+    }
+
+    // Keyword-based tags for fallback
+    generateMockTags(data) {
+        const keywordTags = [
+            [/\b(sql|query|queries|index|database)\b/i, 'SQL tuning'],
+            [/\b(mentor\w*|onboard\w*|coach\w*)\b/i, 'mentoring'],
+            [/\b(incident|outage|production|critical|downtime)\b/i, 'incident response'],
+            [/\b(customer|client)\b/i, 'customer communication'],
+            [/\b(automat\w*|script\w*|pipeline)\b/i, 'automation'],
+            [/\b(document\w*|wiki|guide)\b/i, 'documentation'],
+            [/\b(perform\w*|latency|faster|optimi[sz]\w*)\b/i, 'performance optimization'],
+            [/\b(present\w*|demo|workshop|training)\b/i, 'presenting'],
+            [/\b(lead|led|coordinat\w*|organi[sz]\w*)\b/i, 'leadership'],
+            [/\b(test\w*|quality|bug)\b/i, 'testing']
+        ];
+
+        const text = [
+            data.originalStatement,
+            data.emailAppreciation || data.responses?.emailAppreciation,
+            data.additionalDetails || data.responses?.additionalDetails
+        ].filter(Boolean).join(' ');
+
+        const tags = keywordTags.filter(([pattern]) => pattern.test(text)).map(([, tag]) => tag);
+        if (tags.length === 0) {
+            tags.push((data.impactType || data.responses?.impactType) === 'customer' ? 'customer communication' : 'collaboration');
+        }
+        return normalizeTags(tags.slice(0, 5));
+    }
+
+    // Review narrative for a person's accomplishments in a period (oldest first). Returns
+    // { overview, themes, impact, quantifiedOutcomes, quotes }; citations are not checked here.
+    async generateReviewSummary({ contributorName, startDate, endDate, accomplishments }) {
+        const categories = new Map((await impactCategories.listAll().catch(() => [])).map(category => [category.id, category.label]));
+
+        try {
+            console.log(`📋 Generating review summary for ${contributorName}...`);
+
+            const prompt = this.buildPrompt('review-summary-generation', {
+                contributor_name: contributorName,
+                start_date: startDate,
+                end_date: endDate,
+                accomplishment_count: accomplishments.length,
+                accomplishments: accomplishments.map(accomplishment => this.buildReviewEntry(accomplishment, categories)).join('\n\n')
+            });
+            const result = await this.callSAPAI(prompt);
+
+            if (result && result.response) {
+                const summary = typeof result.response === 'string' ? JSON.parse(result.response) : result.response;
+                if (summary && typeof summary === 'object' && !Array.isArray(summary)) {
+                    console.log('✅ Successfully generated review summary');
+                    return summary;
+                }
+                throw new Error('Invalid review summary format received');
+            }
+
+            throw new Error('No response received');
+
+        } catch (error) {
+            console.error('⚠️ SAP BTP AI Core failed, using fallback review summary:', error.message);
+            return this.generateMockReviewSummary(contributorName, accomplishments, categories);
+        }
+    }
+
+    // One accomplishment as listed in the review prompt, led by the ID it is cited by
+    buildReviewEntry(accomplishment, categories = new Map()) {
+        const impactType = accomplishment.impactType || 'team';
+        return [
+            `[${accomplishment.id}] ${String(accomplishment.createdAt || '').slice(0, 10)} - ${categories.get(impactType) || impactType}`,
+            `Statement: ${accomplishment.aiGeneratedStatement || accomplishment.originalStatement}`,
+            accomplishment.originalStatement && accomplishment.originalStatement !== accomplishment.aiGeneratedStatement
+                ? `Original statement: ${accomplishment.originalStatement}` : null,
+            accomplishment.emailAppreciation ? `Email appreciation: ${accomplishment.emailAppreciation}` : null,
+            accomplishment.additionalDetails ? `Details: ${accomplishment.additionalDetails}` : null,
+            accomplishment.tags?.length ? `Skills: ${accomplishment.tags.join(', ')}` : null,
+            accomplishment.nominator ? `Nominated by: ${accomplishment.nominator.displayName}` : null,
+            `Recognition: ${accomplishment.congratulationsCount || 0} congratulations, ${accomplishment.votesCount || 0} votes`
+        ].filter(Boolean).join('\n');
+    }
+
+    // Fallback review summary: themes from skill tags, impact per category, sentences with
+    // numbers as outcomes and the opening sentence of each email appreciation as a quote
+    generateMockReviewSummary(contributorName, accomplishments, categories = new Map()) {
+        const idsBy = keyOf => accomplishments.reduce((groups, accomplishment) => {
+            [].concat(keyOf(accomplishment)).filter(Boolean).forEach(key => {
+                groups.set(key, [...(groups.get(key) || []), accomplishment.id]);
+            });
+            return groups;
+        }, new Map());
+        const statementOf = accomplishment => (accomplishment.aiGeneratedStatement || accomplishment.originalStatement || '').trim();
+        const sentences = text => String(text || '').split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        const byImpact = idsBy(accomplishment => accomplishment.impactType || 'team');
+        const mainImpact = [...byImpact.entries()].sort((a, b) => b[1].length - a[1].length)[0][0];
+        const recognition = accomplishments.reduce((total, accomplishment) =>
+            total + (accomplishment.congratulationsCount || 0) + (accomplishment.votesCount || 0), 0);
+
+        const themes = [...idsBy(accomplishment => accomplishment.tags || []).entries()]
+            .sort((a, b) => b[1].length - a[1].length)
+            .slice(0, 3)
+            .map(([tag, ids]) => ({
+                title: tag.charAt(0).toUpperCase() + tag.slice(1),
+                narrative: `${contributorName} demonstrated ${tag} in ${plural(ids.length, 'accomplishment')}.`,
+                accomplishmentIds: ids
+            }));
+
+        const impact = [...byImpact.entries()].map(([impactType, ids]) => {
+            const first = accomplishments.find(accomplishment => accomplishment.id === ids[0]);
+            return {
+                impactType,
+                narrative: `${plural(ids.length, 'accomplishment')} with ${(categories.get(impactType) || impactType).toLowerCase()} impact, including: ${sentences(statementOf(first))[0]}`,
+                accomplishmentIds: ids
+            };
+        });
+
+        const quantifiedOutcomes = accomplishments.flatMap(accomplishment =>
+            sentences(`${statementOf(accomplishment)} ${accomplishment.additionalDetails || ''}`)
+                .filter(sentence => /\d/.test(sentence))
+                .map(outcome => ({ outcome, accomplishmentIds: [accomplishment.id] }))
+        ).slice(0, 5);
+
+        const quotes = accomplishments
+            .filter(accomplishment => accomplishment.emailAppreciation)
+            .map(accomplishment => ({ quote: sentences(accomplishment.emailAppreciation)[0], source: null, accomplishmentId: accomplishment.id }))
+            .slice(0, 5);
+
+        return {
+            overview: `${contributorName} shared ${plural(accomplishments.length, 'accomplishment')} in this period, ` +
+                `most often with ${(categories.get(mainImpact) || mainImpact).toLowerCase()} impact, ` +
+                `and received ${recognition} congratulations and votes from colleagues.`,
+            themes,
+            impact,
+            quantifiedOutcomes,
+            quotes
+        };
+    }
+
     // Generic prompt builder - works with any JSON prompt template
     buildPrompt(promptId, variables = {}) {
         const promptTemplate = this.prompts[promptId];
@@ -230,21 +420,40 @@ class AIOrchestrator {
         };
     }
 
+    // Category label, description and prompt guidance; null when unknown or the lookup fails
+    async lookupImpactCategory(impactType) {
+        if (!impactType) {
+            return null;
+        }
+        try {
+            return await impactCategories.get(impactType);
+        } catch (error) {
+            console.error('⚠️ Impact category lookup failed:', error.message);
+            return null;
+        }
+    }
+
     // Build SAP AI prompt using generic system (backward compatibility)
-    buildSAPAIPrompt(data) {
+    buildSAPAIPrompt(data, category = null) {
         const variables = {
             originalStatement: data.originalStatement,
             userName: data.userName,
             emailAppreciation: data.responses?.emailAppreciation,
-            impactType: data.responses?.impactType,
-            additionalDetails: data.responses?.additionalDetails
+            impactType: data.responses?.impactType || data.impactType,
+            impactLabel: category?.label,
+            impactDescription: category?.description,
+            impactGuidance: category?.promptGuidance,
+            additionalDetails: data.responses?.additionalDetails,
+            nominatorName: data.nominatorName
         };
 
-        return this.buildPrompt('accomplishment-generation', variables);
+        // Peer nominations are described by the nominator, not the employee
+        const promptId = data.nominatorName ? 'nomination-generation' : 'accomplishment-generation';
+        return this.buildPrompt(promptId, variables);
     }
 
-    // Mock response for fallback
-    generateMockResponse(data) {
+    // Mock response for fallback; categories without their own template use their label
+    generateMockResponse(data, category = null) {
         const templates = {
             customer: (name, statement, appreciation, details) => {
                 let result = `${name} ${statement.toLowerCase().replace(/^(today )?i /i, '')}`;
@@ -277,13 +486,28 @@ class AIOrchestrator {
 
                 result += ' This initiative had positive team impact and contributed to collective success.';
                 return result;
+            },
+
+            category: (name, statement, appreciation, details) => {
+                let result = `${name} ${statement.toLowerCase().replace(/^(today )?i /i, '')}`;
+
+                if (details) {
+                    result += `. ${details}`;
+                }
+
+                if (appreciation) {
+                    result += ' This effort was recognized by others.';
+                }
+
+                result += ` This contribution had positive ${category.label.toLowerCase()} impact.`;
+                return result;
             }
         };
 
-        const impactType = data.responses?.impactType || 'team';
-        const template = templates[impactType] || templates.team;
+        const impactType = data.responses?.impactType || data.impactType || 'team';
+        const template = templates[impactType] || (category ? templates.category : templates.team);
 
-        const statement = template(
+        const statement = data.nominatorName ? this.generateMockNomination(data, category) : template(
             data.userName,
             data.originalStatement,
             data.responses?.emailAppreciation,
@@ -299,6 +523,38 @@ class AIOrchestrator {
         return statement;
     }
 
+    // Mock nomination: the nominator's own words are about the nominee, so they're kept as written
+    generateMockNomination(data, category = null) {
+        const impact = category ? category.label.toLowerCase() : (data.responses?.impactType || data.impactType || 'team');
+        let result = `${data.nominatorName} nominated ${data.userName} for ${impact} impact: ${data.originalStatement.trim().replace(/[.!]*$/, '')}.`;
+
+        if (data.responses?.additionalDetails) {
+            result += ` ${data.responses.additionalDetails}`;
+        }
+
+        if (data.responses?.emailAppreciation) {
+            const appreciation = data.responses.emailAppreciation;
+            const quote = appreciation.length > 80 ?
+                appreciation.substring(0, 77) + '...' :
+                appreciation;
+            result += ` Others noticed too: "${quote}"`;
+        }
+
+        return result;
+    }
+
+    // Text embedded for semantic search - what was done, its impact and the context around it
+    buildEmbeddingText(accomplishment) {
+        return [
+            accomplishment.aiGeneratedStatement || accomplishment.statement,
+            accomplishment.originalStatement,
+            `Impact: ${accomplishment.impactType || accomplishment.responses?.impactType || 'team'}`,
+            accomplishment.responses?.additionalDetails || accomplishment.additionalDetails,
+            accomplishment.responses?.emailAppreciation || accomplishment.emailAppreciation,
+            accomplishment.tags?.length ? `Skills: ${accomplishment.tags.join(', ')}` : null
+        ].filter(Boolean).join('\n\n');
+    }
+
     // Get embeddings
     async getEmbeddings(content) {
         try {
@@ -313,7 +569,7 @@ class AIOrchestrator {
                     "AI-Resource-Group": 'default'
                 },
                 data: {
-                    "model": "text-embedding-3-small",
+                    "model": this.embeddingModel,
                     "input": content
                 }
             });
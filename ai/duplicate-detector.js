@@ -0,0 +1,122 @@
+/**
+ * Duplicate Detector Module
+ * Flags submissions that likely repeat one of the author's recent accomplishments
+ * (e.g. the same win posted again once the customer's thank-you email arrives) and
+ * merges the new details into the existing post instead.
+ *
+ * Text similarity always runs; embedding similarity is added when the AI service
+ * and stored embeddings are available.
+ */
+
+const dbServer = require('../db/db-server');
+const aiOrchestrator = require('./ai-orchestrator');
+const embeddingService = require('./embedding-service');
+const { textSimilarity } = require('../db/search');
+
+const RECENT_WINDOW_DAYS = 30;
+const MAX_RECENT_ACCOMPLISHMENTS = 50;
+const TEXT_SIMILARITY_THRESHOLD = 0.6;
+const EMBEDDING_SIMILARITY_THRESHOLD = 0.88;
+const MAX_DUPLICATES = 3;
+
+class DuplicateDetector {
+    // Submission fields may be top-level or nested under responses (submit wizard format)
+    getField(data, field) {
+        return data[field] || data.responses?.[field] || '';
+    }
+
+    fullText(data) {
+        return ['originalStatement', 'emailAppreciation', 'additionalDetails']
+            .map(field => this.getField(data, field))
+            .join('\n');
+    }
+
+    recentFilters(userId) {
+        const since = new Date();
+        since.setDate(since.getDate() - RECENT_WINDOW_DAYS);
+        return { userId, startDate: since.toISOString().slice(0, 10) };
+    }
+
+    // Returns [{ accomplishment, similarity, method }] for likely duplicates, best match first
+    async findDuplicates(submission) {
+        if (!submission.userId) {
+            return [];
+        }
+
+        const filters = this.recentFilters(submission.userId);
+        const { items: recent } = await dbServer.filterAccomplishments(filters, null, { limit: MAX_RECENT_ACCOMPLISHMENTS });
+        const matches = new Map();
+
+        // The statement alone catches re-submissions; the full text catches ones with added context
+        recent.forEach(accomplishment => {
+            const similarity = Math.max(
+                textSimilarity(this.getField(submission, 'originalStatement'), accomplishment.originalStatement),
+                textSimilarity(this.fullText(submission), this.fullText(accomplishment))
+            );
+            if (similarity >= TEXT_SIMILARITY_THRESHOLD) {
+                matches.set(accomplishment.id, { accomplishment, similarity, method: 'text' });
+            }
+        });
+
+        try {
+            const similar = await embeddingService.search(this.fullText(submission), filters, null, MAX_DUPLICATES);
+            similar
+                .filter(accomplishment => accomplishment.similarity >= EMBEDDING_SIMILARITY_THRESHOLD)
+                .forEach(accomplishment => {
+                    const existing = matches.get(accomplishment.id);
+                    if (!existing || existing.similarity < accomplishment.similarity) {
+                        matches.set(accomplishment.id, { accomplishment, similarity: accomplishment.similarity, method: 'embedding' });
+                    }
+                });
+        } catch (error) {
+            console.log('⚠️ Embedding duplicate check skipped:', error.message);
+        }
+
+        return [...matches.values()]
+            .map(match => ({ ...match, similarity: Math.round(match.similarity * 1000) / 1000 }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, MAX_DUPLICATES);
+    }
+
+    // Append incoming text unless the existing text already contains or restates it
+    mergeText(existing, incoming) {
+        const current = (existing || '').trim();
+        const addition = (incoming || '').trim();
+
+        if (!addition || current.toLowerCase().includes(addition.toLowerCase()) ||
+            textSimilarity(current, addition) >= TEXT_SIMILARITY_THRESHOLD) {
+            return current;
+        }
+        return current ? `${current}\n\n${addition}` : addition;
+    }
+
+    // Fold a new submission into an existing accomplishment and regenerate its statement
+    async merge(existing, submission) {
+        const merged = {
+            originalStatement: this.mergeText(existing.originalStatement, this.getField(submission, 'originalStatement')),
+            emailAppreciation: this.mergeText(existing.emailAppreciation, this.getField(submission, 'emailAppreciation')),
+            additionalDetails: this.mergeText(existing.additionalDetails, this.getField(submission, 'additionalDetails'))
+        };
+
+        merged.aiGeneratedStatement = await aiOrchestrator.generateAccomplishmentStatement({
+            userName: existing.userName,
+            originalStatement: merged.originalStatement,
+            responses: {
+                emailAppreciation: merged.emailAppreciation,
+                impactType: existing.impactType,
+                additionalDetails: merged.additionalDetails
+            }
+        });
+
+        if (submission.tags?.length) {
+            await dbServer.setTags(existing.id, [...(existing.tags || []), ...submission.tags]);
+        }
+
+        const updated = await dbServer.updateAccomplishment(existing.id, merged, submission.userId, 'merge');
+        embeddingService.indexInBackground(updated);
+        console.log(`🔀 Merged submission into accomplishment: ${existing.id}`);
+        return updated;
+    }
+}
+
+module.exports = new DuplicateDetector();
@@ -0,0 +1,64 @@
+/**
+ * Embedding Service Module
+ * Keeps accomplishment embeddings in sync for semantic search: embeds new
+ * accomplishments when they are saved, backfills rows that have none, and
+ * turns natural-language questions into ranked matches.
+ */
+
+const dbServer = require('../db/db-server');
+const aiOrchestrator = require('./ai-orchestrator');
+
+const BACKFILL_BATCH_SIZE = 20;
+
+class EmbeddingService {
+    get model() {
+        return aiOrchestrator.embeddingModel;
+    }
+
+    // Embed one accomplishment and store the vector
+    async indexAccomplishment(accomplishment) {
+        const embedding = await aiOrchestrator.getEmbeddings(aiOrchestrator.buildEmbeddingText(accomplishment));
+        await dbServer.saveEmbedding(accomplishment.id, embedding, this.model);
+        console.log(`🧭 Stored embedding for accomplishment: ${accomplishment.id}`);
+    }
+
+    // Index in the background so a slow or unavailable AI service never blocks a save;
+    // anything that fails here is picked up by the next backfill
+    indexInBackground(accomplishment) {
+        this.indexAccomplishment(accomplishment).catch(error => {
+            console.error(`⚠️ Embedding failed for accomplishment ${accomplishment.id}:`, error.message);
+        });
+    }
+
+    // Embed every accomplishment that has no embedding for the current model
+    async backfill() {
+        const failed = new Set();
+        let indexed = 0;
+
+        while (true) {
+            const batch = (await dbServer.getAccomplishmentsMissingEmbeddings(this.model, BACKFILL_BATCH_SIZE + failed.size))
+                .filter(accomplishment => !failed.has(accomplishment.id));
+            if (batch.length === 0) break;
+
+            for (const accomplishment of batch) {
+                try {
+                    await this.indexAccomplishment(accomplishment);
+                    indexed++;
+                } catch (error) {
+                    console.error(`⚠️ Embedding failed for accomplishment ${accomplishment.id}:`, error.message);
+                    failed.add(accomplishment.id);
+                }
+            }
+        }
+
+        return { indexed, failed: [...failed] };
+    }
+
+    // Rank accomplishments by meaning rather than shared keywords
+    async search(question, filters, viewerEmail, limit) {
+        const embedding = await aiOrchestrator.getEmbeddings(question);
+        return dbServer.semanticSearch(embedding, this.model, filters, viewerEmail, limit);
+    }
+}
+
+module.exports = new EmbeddingService();
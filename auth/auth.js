@@ -0,0 +1,206 @@
+/**
+ * Authentication Module
+ * Who is calling: API clients send the identity provider's access token
+ * (Authorization: Bearer <JWT>); browsers sign in through the OIDC authorization-code
+ * flow and then carry a signed session cookie. Either way req.user becomes the
+ * caller's user record, with their effective role - request bodies no longer say who
+ * someone is.
+ *
+ * SESSION_SECRET  key signing the session cookies (required; same on every replica)
+ * SESSION_HOURS   how long a browser session lasts, default 8
+ * APP_URL         public URL of the app, used for the OIDC redirect URI
+ *
+ * The session is a signed token in an HttpOnly, SameSite=Lax cookie, so replicas
+ * share nothing and other sites can't send requests with it.
+ */
+
+const dbServer = require('../db/db-server');
+const oidcClient = require('./oidc-client');
+const jwt = require('./jwt');
+const authorization = require('./authorization');
+
+const SESSION_COOKIE = 'ea_session';
+const LOGIN_COOKIE = 'ea_login';
+const DEFAULT_SESSION_HOURS = 8;
+// Time the user has to finish signing in at the identity provider
+const LOGIN_TTL_SECONDS = 10 * 60;
+
+// A malformed value (e.g. a stray % from another app on the domain) is kept as it is
+function decodeCookieValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = decodeCookieValue(pair.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+class Auth {
+    constructor() {
+        this.sessionSecret = process.env.SESSION_SECRET || '';
+        this.sessionSeconds = (parseFloat(process.env.SESSION_HOURS) || DEFAULT_SESSION_HOURS) * 60 * 60;
+    }
+
+    // Names of the settings still missing; sign-in can't work until this is empty
+    missingConfiguration() {
+        const missing = ['OIDC_ISSUER_URL', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET'].filter(name => !process.env[name]);
+        if (!this.sessionSecret) {
+            missing.push('SESSION_SECRET');
+        }
+        return missing;
+    }
+
+    appUrl(req) {
+        return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    }
+
+    redirectUri(req) {
+        return `${this.appUrl(req)}/auth/callback`;
+    }
+
+    setCookie(req, res, name, value, maxAgeSeconds, path = '/') {
+        res.cookie(name, value, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: this.appUrl(req).startsWith('https://'),
+            maxAge: maxAgeSeconds * 1000,
+            path
+        });
+    }
+
+    // Only paths on this site, so the login can't be used to redirect elsewhere
+    safeReturnTo(value) {
+        return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\')
+            ? value
+            : '/';
+    }
+
+    // { email, name } of the person a token's claims describe; null without an e-mail
+    identityFromClaims(claims) {
+        const email = String(claims.email || (String(claims.user_name || '').includes('@') ? claims.user_name : '') || '')
+            .trim().toLowerCase();
+        if (!email) {
+            return null;
+        }
+        const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+        return { email, name: String(name || '').trim() };
+    }
+
+    // Remember the login request in a short-lived cookie and return the provider's login URL
+    async startLogin(req, res) {
+        const request = oidcClient.createLoginRequest();
+        const returnTo = this.safeReturnTo(req.query.returnTo);
+        this.setCookie(req, res, LOGIN_COOKIE, jwt.sign({ ...request, returnTo }, this.sessionSecret, LOGIN_TTL_SECONDS),
+            LOGIN_TTL_SECONDS, '/auth');
+        return oidcClient.authorizationUrl(request, this.redirectUri(req));
+    }
+
+    // Complete the login the provider redirected back with; returns { returnTo } or { error }
+    async finishLogin(req, res) {
+        let request;
+        try {
+            request = jwt.verifyHS256(parseCookies(req.headers.cookie)[LOGIN_COOKIE], this.sessionSecret);
+        } catch (error) {
+            return { error: 'Your sign-in took too long or was started in another browser. Please try again.' };
+        }
+        res.clearCookie(LOGIN_COOKIE, { path: '/auth' });
+
+        if (req.query.error) {
+            return { error: `Sign-in failed: ${req.query.error_description || req.query.error}` };
+        }
+        if (!req.query.code || req.query.state !== request.state) {
+            return { error: 'Sign-in response did not match the request. Please try again.' };
+        }
+
+        const tokens = await oidcClient.exchangeCode(req.query.code, request.codeVerifier, this.redirectUri(req));
+        const identity = this.identityFromClaims(await oidcClient.verifyToken(tokens.id_token, { nonce: request.nonce }));
+        if (!identity) {
+            return { error: 'Your account has no e-mail address' };
+        }
+
+        const user = await dbServer.ensureUser({ email: identity.email, displayName: identity.name });
+        this.setCookie(req, res, SESSION_COOKIE,
+            jwt.sign({ sub: user.id, email: user.email, name: identity.name }, this.sessionSecret, this.sessionSeconds),
+            this.sessionSeconds);
+        console.log(`🔐 ${user.email} signed in`);
+        return { returnTo: request.returnTo };
+    }
+
+    // End the session; resolves to where the browser goes next
+    async logout(req, res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        try {
+            return (await oidcClient.logoutUrl(`${this.appUrl(req)}/`)) || '/';
+        } catch (error) {
+            console.error('❌ Could not load the OIDC logout endpoint:', error.message);
+            return '/';
+        }
+    }
+
+    // { email, name } of the caller, from the bearer token or the session cookie; null if neither is valid
+    async identify(req) {
+        const authorization = req.get('Authorization') || '';
+        if (authorization.startsWith('Bearer ')) {
+            try {
+                return this.identityFromClaims(await oidcClient.verifyToken(authorization.slice('Bearer '.length).trim()));
+            } catch (error) {
+                console.warn('🔐 Rejected bearer token:', error.message);
+                return null;
+            }
+        }
+
+        const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!session) {
+            return null;
+        }
+        try {
+            const { email, name } = jwt.verifyHS256(session, this.sessionSecret);
+            return { email, name };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Middleware for the API: sets req.user (see authorization.withRole), or responds 401
+    authenticate() {
+        return async (req, res, next) => {
+            try {
+                const identity = await this.identify(req);
+                if (!identity) {
+                    return res.status(401).json({ success: false, error: 'Authentication required' });
+                }
+                req.user = authorization.withRole(await dbServer.ensureUser({ email: identity.email, displayName: identity.name }));
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // Middleware for the pages: sends signed-out browsers to the login
+    requireLogin() {
+        return async (req, res, next) => {
+            try {
+                if (await this.identify(req)) {
+                    return next();
+                }
+                res.redirect(`/auth/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+module.exports = new Auth();
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
@@ -0,0 +1,79 @@
+/**
+ * Authorization Module
+ * What the caller may do. Every user has one role:
+ *   employee  share, react and comment; edit only their own posts
+ *   manager   also sees the teams and review summaries of everyone reporting to them
+ *   admin     everything, including org imports, impact categories, user administration
+ *             and clearing data
+ * Roles are stored on the user (admins change them; the org chart import makes anyone
+ * with reports a manager). ADMIN_EMAILS (comma-separated) names admins regardless of
+ * their stored role, so a fresh installation has someone who can hand out roles.
+ *
+ * Refusals are always 403 { success: false, error }.
+ */
+
+const dbServer = require('../db/db-server');
+const { USER_ROLES } = require('../db/base-db-server');
+const { MAX_TEAM_DEPTH } = require('../services/org-chart');
+
+// Each role includes the permissions of the ones before it
+const ROLE_RANK = [USER_ROLES.EMPLOYEE, USER_ROLES.MANAGER, USER_ROLES.ADMIN];
+
+class Authorization {
+    constructor() {
+        this.adminEmails = new Set((process.env.ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean));
+    }
+
+    // The user with their effective role (ADMIN_EMAILS win over the stored role)
+    withRole(user) {
+        const role = this.adminEmails.has(user.email) ? USER_ROLES.ADMIN : user.role;
+        return { ...user, role: ROLE_RANK.includes(role) ? role : USER_ROLES.EMPLOYEE };
+    }
+
+    hasRole(user, role) {
+        return !!user && ROLE_RANK.indexOf(user.role) >= ROLE_RANK.indexOf(role);
+    }
+
+    isAdmin(user) {
+        return this.hasRole(user, USER_ROLES.ADMIN);
+    }
+
+    forbidden(res, error = 'You are not allowed to do this') {
+        return res.status(403).json({ success: false, error });
+    }
+
+    // Middleware: only callers with at least `role` get through
+    requireRole(role) {
+        return (req, res, next) => {
+            if (!this.hasRole(req.user, role)) {
+                return this.forbidden(res, `This requires the ${role} role`);
+            }
+            next();
+        };
+    }
+
+    // The caller themself, or an admin
+    isSelfOrAdmin(user, userId) {
+        return user.id === userId || this.isAdmin(user);
+    }
+
+    // The user themself, admins, and managers the user reports to (directly or
+    // indirectly) - who may see someone's team and summarize their accomplishments
+    async canManageUser(user, userId) {
+        if (this.isSelfOrAdmin(user, userId)) {
+            return true;
+        }
+        return this.hasRole(user, USER_ROLES.MANAGER) && await this.manages(user, userId);
+    }
+
+    // True when `userId` reports to `user`, directly or indirectly
+    async manages(user, userId) {
+        const reports = await dbServer.getReportingTree(user.id, MAX_TEAM_DEPTH);
+        return reports.some(report => report.id === userId);
+    }
+}
+
+module.exports = new Authorization();
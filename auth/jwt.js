@@ -0,0 +1,96 @@
+/**
+ * JSON Web Tokens
+ * Just enough JWT for signing in: RS256 verification of the identity provider's tokens
+ * (against a key from its JWKS) and HS256 signing/verification of our own session and
+ * login-state cookies. Uses node's crypto only.
+ */
+
+const crypto = require('crypto');
+
+// Tolerated difference between our clock and the identity provider's
+const CLOCK_SKEW_SECONDS = 60;
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// Split a token into its parts; throws when it isn't a JWT
+function decode(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    try {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+            payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch (error) {
+        throw new Error('Malformed token');
+    }
+}
+
+function hmac(signingInput, secret) {
+    return crypto.createHmac('sha256', secret).update(signingInput).digest();
+}
+
+// exp/nbf checks shared by both token kinds
+function checkTimes(payload, now = Math.floor(Date.now() / 1000)) {
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new Error('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw new Error('Token not yet valid');
+    }
+}
+
+// Our own tokens: HS256 with `secret`, valid for ttlSeconds
+function sign(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.` +
+        base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+    return `${signingInput}.${hmac(signingInput, secret).toString('base64url')}`;
+}
+
+function verifyHS256(token, secret) {
+    const { header, payload, signingInput, signature } = decode(token);
+    const expected = hmac(signingInput, secret);
+    if (header.alg !== 'HS256' || signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new Error('Invalid token signature');
+    }
+    checkTimes(payload);
+    return payload;
+}
+
+// The identity provider's tokens: RS256 signed with `jwk`, issued by `issuer` for `audience`
+function verifyRS256(decoded, jwk, { issuer, audience }) {
+    const { header, payload, signingInput, signature } = decoded;
+    if (header.alg !== 'RS256') {
+        throw new Error(`Unsupported token algorithm '${header.alg}'`);
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    if (!crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature)) {
+        throw new Error('Invalid token signature');
+    }
+
+    checkTimes(payload);
+    if (payload.iss !== issuer) {
+        throw new Error('Token issued by an unexpected issuer');
+    }
+    // XSUAA lists the client in aud and names it in cid/azp
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience) && payload.cid !== audience && payload.azp !== audience) {
+        throw new Error('Token issued for another client');
+    }
+    return payload;
+}
+
+module.exports = {
+    decode,
+    sign,
+    verifyHS256,
+    verifyRS256,
+    CLOCK_SKEW_SECONDS
+};
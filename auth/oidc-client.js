@@ -0,0 +1,133 @@
+/**
+ * OIDC Client Module
+ * Talks to the identity provider (XSUAA or any OpenID Connect provider): discovery,
+ * the authorization-code flow with PKCE, and validation of the tokens it issues
+ * against its published signing keys.
+ *
+ * OIDC_ISSUER_URL     base URL serving /.well-known/openid-configuration
+ *                     (for XSUAA: https://<subdomain>.authentication.<region>.hana.ondemand.com)
+ * OIDC_CLIENT_ID      client ID (XSUAA: clientid of the service binding)
+ * OIDC_CLIENT_SECRET  client secret (XSUAA: clientsecret)
+ * OIDC_SCOPES         requested scopes, default "openid email profile"
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('./jwt');
+
+// Re-read the signing keys at most this often when a token names an unknown key
+const JWKS_REFRESH_MS = 5 * 60 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+class OidcClient {
+    constructor() {
+        this.issuerUrl = (process.env.OIDC_ISSUER_URL || '').replace(/\/$/, '');
+        this.clientId = process.env.OIDC_CLIENT_ID || '';
+        this.clientSecret = process.env.OIDC_CLIENT_SECRET || '';
+        this.scopes = process.env.OIDC_SCOPES || 'openid email profile';
+        this.metadata = null;
+        this.metadataLoadedAt = 0;
+        this.keys = new Map();
+        this.keysLoadedAt = 0;
+    }
+
+    isConfigured() {
+        return Boolean(this.issuerUrl && this.clientId && this.clientSecret);
+    }
+
+    async discover() {
+        if (!this.metadata || Date.now() - this.metadataLoadedAt > DISCOVERY_TTL_MS) {
+            const response = await axios.get(`${this.issuerUrl}/.well-known/openid-configuration`, { timeout: 10000 });
+            this.metadata = response.data;
+            this.metadataLoadedAt = Date.now();
+            console.log(`🔐 Loaded OIDC configuration of ${this.metadata.issuer}`);
+        }
+        return this.metadata;
+    }
+
+    async loadKeys() {
+        const { jwks_uri: jwksUri } = await this.discover();
+        const response = await axios.get(jwksUri, { timeout: 10000 });
+        this.keys = new Map((response.data.keys || [])
+            .filter(key => key.kty === 'RSA' && (!key.use || key.use === 'sig'))
+            .map(key => [key.kid || '', key]));
+        this.keysLoadedAt = Date.now();
+    }
+
+    // The key a token was signed with; the key set is reloaded when the provider rotated it
+    async signingKey(kid = '') {
+        if (!this.keys.has(kid) && Date.now() - this.keysLoadedAt > JWKS_REFRESH_MS) {
+            await this.loadKeys();
+        }
+        // Providers with a single key don't always name it
+        const key = this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null);
+        if (!key) {
+            throw new Error('Token signed with an unknown key');
+        }
+        return key;
+    }
+
+    // Validate an ID or access token; resolves to its claims, rejects when it isn't valid for us
+    async verifyToken(token, { nonce } = {}) {
+        const decoded = jwt.decode(token);
+        const { issuer } = await this.discover();
+        const key = await this.signingKey(decoded.header.kid);
+        const claims = jwt.verifyRS256(decoded, key, { issuer, audience: this.clientId });
+
+        if (nonce !== undefined && claims.nonce !== nonce) {
+            throw new Error('Token nonce does not match the login request');
+        }
+        return claims;
+    }
+
+    // Random values for one login: state (CSRF), nonce (replay) and the PKCE verifier
+    createLoginRequest() {
+        const random = () => crypto.randomBytes(32).toString('base64url');
+        return { state: random(), nonce: random(), codeVerifier: random() };
+    }
+
+    async authorizationUrl({ state, nonce, codeVerifier }, redirectUri) {
+        const { authorization_endpoint: endpoint } = await this.discover();
+        const query = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        });
+        return `${endpoint}?${query}`;
+    }
+
+    // Trade the authorization code for tokens ({ id_token, access_token, ... })
+    async exchangeCode(code, codeVerifier, redirectUri) {
+        const { token_endpoint: endpoint } = await this.discover();
+        const response = await axios.post(endpoint, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier
+        }).toString(), {
+            timeout: 10000,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': 'Basic ' + Buffer.from(`${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`).toString('base64')
+            }
+        });
+        return response.data;
+    }
+
+    // Where to send the browser to end the provider's session too (null if it has no such endpoint)
+    async logoutUrl(postLogoutRedirectUri) {
+        const { end_session_endpoint: endpoint } = await this.discover();
+        if (!endpoint) {
+            return null;
+        }
+        const query = new URLSearchParams({ client_id: this.clientId, post_logout_redirect_uri: postLogoutRedirectUri });
+        return `${endpoint}?${query}`;
+    }
+}
+
+module.exports = new OidcClient();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Backfill Script
+ * Generates semantic search embeddings for accomplishments that don't have one yet
+ * (rows saved before semantic search existed, failed embedding calls, or a model change)
+ * Usage: node backfill-embeddings.js
+ */
+
+const dbServer = require('./db/db-server');
+const embeddingService = require('./ai/embedding-service');
+
+async function backfillEmbeddings() {
+    console.log(`🚀 Backfilling embeddings (model: ${embeddingService.model})...`);
+
+    let exitCode = 0;
+    try {
+        await dbServer.initialize();
+
+        const { indexed, failed } = await embeddingService.backfill();
+        console.log(`✅ Stored ${indexed} embedding(s)`);
+
+        if (failed.length > 0) {
+            console.error(`❌ ${failed.length} accomplishment(s) could not be embedded: ${failed.join(', ')}`);
+            exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Embedding backfill failed:', error);
+        exitCode = 1;
+    } finally {
+        await dbServer.disconnect();
+        process.exit(exitCode);
+    }
+}
+
+// Run backfill if this script is executed directly
+if (require.main === module) {
+    backfillEmbeddings();
+}
+
+module.exports = { backfillEmbeddings };
@@ -0,0 +1,25 @@
+/**
+ * Recognition Analytics Helpers
+ * Shared by the adapters' getRecognitionStats() and the analytics service.
+ * Weeks start on Monday (UTC) and are identified by that day as YYYY-MM-DD.
+ */
+
+const ANALYTICS_GROUPS = ['author', 'impactType', 'department', 'week'];
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+// Monday (UTC) of the week a timestamp falls in
+function weekStart(timestamp) {
+    const date = new Date(timestamp);
+    return addDays(date, -((date.getUTCDay() + 6) % 7)).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    ANALYTICS_GROUPS,
+    addDays,
+    weekStart
+};
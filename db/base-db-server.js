@@ -0,0 +1,694 @@
+/**
+ * Base Database Server Module
+ * Defines the storage adapter interface every DBServer implementation must provide
+ * and the behavior shared between them (initialization guard, row transformation)
+ */
+
+const crypto = require('crypto');
+const { buildHighlights } = require('./search');
+
+// Accomplishment fields that can change after submission, and the column storing each
+const EDITABLE_COLUMNS = {
+    originalStatement: 'ORIGINAL_STATEMENT',
+    emailAppreciation: 'EMAIL_APPRECIATION',
+    additionalDetails: 'ADDITIONAL_DETAILS',
+    impactType: 'IMPACT_TYPE',
+    aiGeneratedStatement: 'AI_GENERATED_STATEMENT'
+};
+
+// User profile fields that can be set after creation, and the column storing each
+// (EMAIL is fixed: accomplishments, reactions and comments are keyed by it)
+const USER_PROFILE_COLUMNS = {
+    displayName: 'DISPLAY_NAME',
+    title: 'TITLE',
+    department: 'DEPARTMENT',
+    managerId: 'MANAGER_ID',
+    avatarUrl: 'AVATAR_URL',
+    role: 'ROLE'
+};
+
+// Lifecycle of an accomplishment: nominations wait for the nominee before reaching the feed
+const ACCOMPLISHMENT_STATUS = {
+    PUBLISHED: 'published',
+    PENDING: 'pending',
+    DECLINED: 'declined'
+};
+
+// What a user may do, from least to most (see auth/authorization.js)
+const USER_ROLES = {
+    EMPLOYEE: 'employee',
+    MANAGER: 'manager',
+    ADMIN: 'admin'
+};
+
+// Impact category fields that can be set by administrators, and the column storing each
+// (ID is the slug stored in ACCOMPLISHMENTS.IMPACT_TYPE and never changes)
+const IMPACT_CATEGORY_COLUMNS = {
+    label: 'LABEL',
+    description: 'DESCRIPTION',
+    icon: 'ICON',
+    promptGuidance: 'PROMPT_GUIDANCE',
+    sortOrder: 'SORT_ORDER',
+    active: 'ACTIVE'
+};
+
+class BaseDBServer {
+    constructor() {
+        this.initialized = false;
+        this.adapterName = 'base';
+    }
+
+    // Open the underlying storage (connection, file, memory...) - implemented by adapters
+    async connect() {
+        throw this.notImplemented('connect');
+    }
+
+    // Initialize storage only (schema should be set up separately)
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.connect();
+            this.initialized = true;
+        } catch (error) {
+            console.error(`❌ Database connection failed (${this.adapterName}):`, error);
+            throw error;
+        }
+    }
+
+    // Ensure storage is ready before any operation
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+    }
+
+    // Get a page of accomplishments with optional filtering (main API method)
+    async getAccomplishments(filters = {}, viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+
+        // If no filters provided, return all accomplishments
+        if (!filters || Object.keys(filters).length === 0) {
+            return this.getAllAccomplishments(viewerEmail, pagination);
+        }
+
+        // Use the existing filter method for filtered requests
+        return this.filterAccomplishments(filters, viewerEmail, pagination);
+    }
+
+    // Adapter interface - every storage implementation must override these.
+    // List methods take pagination = { limit, cursor } (see pagination.js), order by
+    // CREATED_AT DESC, ID DESC and resolve to { items, nextCursor }. They only return
+    // published accomplishments unless filters.status asks for other statuses.
+
+    async getAllAccomplishments(viewerEmail, pagination) {
+        throw this.notImplemented('getAllAccomplishments');
+    }
+
+    async getAccomplishmentsByUser(userId, viewerEmail, pagination) {
+        throw this.notImplemented('getAccomplishmentsByUser');
+    }
+
+    async filterAccomplishments(filters, viewerEmail, pagination) {
+        throw this.notImplemented('filterAccomplishments');
+    }
+
+    // Resolves to at most `limit` accomplishments matching every term (see search.js),
+    // most relevant first, each with a `score` and highlighted `highlights`
+    async searchAccomplishments(terms, filters, viewerEmail, limit) {
+        throw this.notImplemented('searchAccomplishments');
+    }
+
+    // Resolves to at most `limit` accomplishments with an embedding from `model`, ordered by
+    // cosine similarity to `embedding` (highest first), each with a `similarity` score
+    async semanticSearch(embedding, model, filters, viewerEmail, limit) {
+        throw this.notImplemented('semanticSearch');
+    }
+
+    // Insert or replace the embedding stored for an accomplishment
+    async saveEmbedding(accomplishmentId, embedding, model) {
+        throw this.notImplemented('saveEmbedding');
+    }
+
+    // Accomplishments with no embedding, or one produced by a different model (for backfills)
+    async getAccomplishmentsMissingEmbeddings(model, limit) {
+        throw this.notImplemented('getAccomplishmentsMissingEmbeddings');
+    }
+
+    // Also stores accomplishment.tags (see tags.js) when present
+    async saveAccomplishment(accomplishment) {
+        throw this.notImplemented('saveAccomplishment');
+    }
+
+    async getAccomplishmentById(id, viewerEmail) {
+        throw this.notImplemented('getAccomplishmentById');
+    }
+
+    // Apply `changes` (any EDITABLE_COLUMNS field), bump UPDATED_AT and record a revision
+    // (action 'update' or 'merge') by `changedBy`. Resolves to the updated accomplishment,
+    // or null when it doesn't exist.
+    async updateAccomplishment(id, changes, changedBy, action = 'update') {
+        throw this.notImplemented('updateAccomplishment');
+    }
+
+    // Delete an accomplishment with its reactions, notifications and embedding, keeping a 'delete'
+    // revision. Resolves to false when it doesn't exist.
+    async deleteAccomplishment(id, deletedBy) {
+        throw this.notImplemented('deleteAccomplishment');
+    }
+
+    // Move an accomplishment to another ACCOMPLISHMENT_STATUS as an `action` revision; null when missing
+    async setAccomplishmentStatus(id, status, changedBy, action) {
+        throw this.notImplemented('setAccomplishmentStatus');
+    }
+
+    // Revision history of an accomplishment, newest first
+    async getRevisions(accomplishmentId) {
+        throw this.notImplemented('getRevisions');
+    }
+
+    // Comments on an accomplishment, oldest first
+    async getComments(accomplishmentId) {
+        throw this.notImplemented('getComments');
+    }
+
+    async getCommentById(commentId) {
+        throw this.notImplemented('getCommentById');
+    }
+
+    // Add { userId, userName, body } to an accomplishment's thread; resolves to
+    // { comment, commentsCount }, or null when the accomplishment doesn't exist
+    async addComment(accomplishmentId, comment) {
+        throw this.notImplemented('addComment');
+    }
+
+    // Resolves to the updated comment, or null when it doesn't exist
+    async updateComment(commentId, body) {
+        throw this.notImplemented('updateComment');
+    }
+
+    // Delete a comment and the notifications about it. Resolves to { commentsCount } for the
+    // comment's accomplishment, or null when it doesn't exist
+    async deleteComment(commentId) {
+        throw this.notImplemented('deleteComment');
+    }
+
+    // Attachment metadata of an accomplishment, oldest first (file contents live in the attachment store)
+    async getAttachments(accomplishmentId) {
+        throw this.notImplemented('getAttachments');
+    }
+
+    async getAttachmentById(attachmentId) {
+        throw this.notImplemented('getAttachmentById');
+    }
+
+    // Store { id, fileName, mimeType, sizeBytes, storageKey, thumbnailKey, uploadedBy }; resolves
+    // to the attachment, or null when the accomplishment doesn't exist
+    async addAttachment(accomplishmentId, attachment) {
+        throw this.notImplemented('addAttachment');
+    }
+
+    // Resolves to true when the attachment existed
+    async deleteAttachment(attachmentId) {
+        throw this.notImplemented('deleteAttachment');
+    }
+
+    // Replace an accomplishment's skill tags; resolves to the stored tags, or null
+    // when the accomplishment doesn't exist
+    async setTags(accomplishmentId, tags) {
+        throw this.notImplemented('setTags');
+    }
+
+    // Most used tags as [{ tag, count }], most used first
+    async getPopularTags(limit) {
+        throw this.notImplemented('getPopularTags');
+    }
+
+    // Recognition totals grouped by 'author' (AUTHOR_ID), 'impactType', 'department' (the
+    // author's) or 'week' (see db/analytics.js). Submissions count published accomplishments
+    // created in [period.start, period.end); congratulations and votes count the reactions
+    // given in that window. Resolves to [{ key, submissions, congratulations, votes }].
+    async getRecognitionStats(groupBy, period) {
+        throw this.notImplemented('getRecognitionStats');
+    }
+
+    // Users, ordered by display name
+    async getUsers() {
+        throw this.notImplemented('getUsers');
+    }
+
+    async getUserById(id) {
+        throw this.notImplemented('getUserById');
+    }
+
+    async getUserByEmail(email) {
+        throw this.notImplemented('getUserByEmail');
+    }
+
+    // Create a user from { email, displayName, ...USER_PROFILE_COLUMNS fields };
+    // rejects when the e-mail is already registered
+    async createUser(user) {
+        throw this.notImplemented('createUser');
+    }
+
+    // Apply `changes` (any USER_PROFILE_COLUMNS field); resolves to the updated user,
+    // or null when it doesn't exist
+    async updateUser(id, changes) {
+        throw this.notImplemented('updateUser');
+    }
+
+    // Delete a user, detaching their direct reports and dropping their digest subscriptions,
+    // notifications and notification preferences; resolves to false when it doesn't exist
+    async deleteUser(id) {
+        throw this.notImplemented('deleteUser');
+    }
+
+    // E-mail digests a user is subscribed to, ordered by digest
+    async getDigestSubscriptions(userId) {
+        throw this.notImplemented('getDigestSubscriptions');
+    }
+
+    // Every user's digest subscriptions, for the digest scheduler
+    async listDigestSubscriptions() {
+        throw this.notImplemented('listDigestSubscriptions');
+    }
+
+    // Subscribe a user to `digest` at `frequency` ('weekly' or 'monthly'), or unsubscribe
+    // when frequency is null. A new subscription's lastSentAt starts at `lastSentAt`, so it
+    // isn't sent a digest for the period already under way. Resolves to the subscription,
+    // or null after unsubscribing.
+    async setDigestSubscription(userId, digest, frequency, lastSentAt) {
+        throw this.notImplemented('setDigestSubscription');
+    }
+
+    // Record when a digest was last sent to a user
+    async markDigestSent(userId, digest, sentAt) {
+        throw this.notImplemented('markDigestSent');
+    }
+
+    // Store a notification { id, userId, eventType, accomplishmentId, commentId?, actorEmail,
+    // actorName?, excerpt? }; resolves to the stored notification
+    async createNotification(notification) {
+        throw this.notImplemented('createNotification');
+    }
+
+    // A page ({ items, nextCursor }) of a user's notifications, newest first;
+    // options: { limit, cursor, unreadOnly }
+    async getNotifications(userId, options = {}) {
+        throw this.notImplemented('getNotifications');
+    }
+
+    async countUnreadNotifications(userId) {
+        throw this.notImplemented('countUnreadNotifications');
+    }
+
+    // Mark the given notification IDs (all of the user's when `ids` is null) as read;
+    // resolves to how many changed
+    async markNotificationsRead(userId, ids = null) {
+        throw this.notImplemented('markNotificationsRead');
+    }
+
+    // Hide unread notifications of an event that was undone (e.g. a withdrawn vote);
+    // retracted notifications are left out of every listing and count
+    async retractNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        throw this.notImplemented('retractNotifications');
+    }
+
+    // Bring back retracted notifications of an event that happened again; resolves to
+    // whether the user was ever notified of it (read, unread or retracted)
+    async restoreNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        throw this.notImplemented('restoreNotifications');
+    }
+
+    // A user's notification preferences: [{ eventType, email }] for the events they changed
+    async getNotificationPreferences(userId) {
+        throw this.notImplemented('getNotificationPreferences');
+    }
+
+    // Set whether `eventType` notifications are also e-mailed to the user
+    async setNotificationPreference(userId, eventType, email) {
+        throw this.notImplemented('setNotificationPreference');
+    }
+
+    // Impact categories ordered by SORT_ORDER; inactive ones only when requested
+    async getImpactCategories(includeInactive = false) {
+        throw this.notImplemented('getImpactCategories');
+    }
+
+    async getImpactCategory(id) {
+        throw this.notImplemented('getImpactCategory');
+    }
+
+    // Create a category from { id, ...IMPACT_CATEGORY_COLUMNS fields };
+    // rejects when the id is already taken
+    async createImpactCategory(category) {
+        throw this.notImplemented('createImpactCategory');
+    }
+
+    // Apply `changes` (any IMPACT_CATEGORY_COLUMNS field; `active: false` retires it);
+    // resolves to the updated category, or null when it doesn't exist
+    async updateImpactCategory(id, changes) {
+        throw this.notImplemented('updateImpactCategory');
+    }
+
+    // Users whose MANAGER_ID is one of `managerIds`
+    async getUsersByManager(managerIds) {
+        throw this.notImplemented('getUsersByManager');
+    }
+
+    // Everyone reporting to `managerId` directly or indirectly, up to `maxDepth` levels
+    // down, as users with a `level` (1 = direct report), level by level
+    async getReportingTree(managerId, maxDepth) {
+        const members = [];
+        const seen = new Set([managerId]);
+        let managerIds = [managerId];
+
+        for (let level = 1; level <= maxDepth && managerIds.length > 0; level++) {
+            const reports = (await this.getUsersByManager(managerIds)).filter(user => !seen.has(user.id));
+            reports.forEach(user => {
+                seen.add(user.id);
+                members.push({ ...user, level });
+            });
+            managerIds = reports.map(user => user.id);
+        }
+
+        return members;
+    }
+
+    // True when making `managerId` the manager of `userId` would close a reporting loop
+    async wouldCreateManagerCycle(userId, managerId) {
+        const visited = new Set();
+        let current = managerId;
+
+        while (current && !visited.has(current)) {
+            if (current === userId) {
+                return true;
+            }
+            visited.add(current);
+            current = (await this.getUserById(current))?.managerId;
+        }
+        return false;
+    }
+
+    // Find the user registered under `email`, creating them on first sight. Users created
+    // without a name (e.g. nominees) are named by their e-mail until a name is known.
+    async ensureUser({ email, displayName }) {
+        const normalized = this.normalizeEmail(email);
+        const name = (displayName || '').trim();
+        const existing = await this.getUserByEmail(normalized);
+        if (existing) {
+            return name && existing.displayName === existing.email
+                ? (await this.updateUser(existing.id, { displayName: name })) || existing
+                : existing;
+        }
+
+        try {
+            return await this.createUser({ email: normalized, displayName: name || normalized });
+        } catch (error) {
+            // Another request may have registered the same e-mail in the meantime
+            const created = await this.getUserByEmail(normalized);
+            if (created) {
+                return created;
+            }
+            throw error;
+        }
+    }
+
+    // Toggles resolve to the new count and whether the user now reacts, or null when the
+    // accomplishment doesn't exist
+    async toggleCongratulations(accomplishmentId, userEmail) {
+        throw this.notImplemented('toggleCongratulations');
+    }
+
+    async toggleVote(accomplishmentId, userEmail) {
+        throw this.notImplemented('toggleVote');
+    }
+
+    // Delete all data and restore the sample data; resolves to the deleted attachments, whose
+    // files the caller removes from the attachment store
+    async clearData() {
+        throw this.notImplemented('clearData');
+    }
+
+    async getStatus() {
+        throw this.notImplemented('getStatus');
+    }
+
+    async disconnect() {
+        throw this.notImplemented('disconnect');
+    }
+
+    // [column, value] pairs for the editable fields present in `changes`
+    editableColumns(changes = {}) {
+        return Object.entries(EDITABLE_COLUMNS)
+            .filter(([field]) => changes[field] !== undefined)
+            .map(([field, column]) => [column, changes[field]]);
+    }
+
+    // Before/after values of the editable fields that `changes` actually modifies
+    diffEditableFields(accomplishment, changes = {}) {
+        const before = {};
+        const after = {};
+
+        Object.keys(EDITABLE_COLUMNS)
+            .filter(field => changes[field] !== undefined && changes[field] !== accomplishment[field])
+            .forEach(field => {
+                before[field] = accomplishment[field];
+                after[field] = changes[field];
+            });
+
+        return { before, after, changed: Object.keys(after).length > 0 };
+    }
+
+    // [column, value] pairs for the profile fields present in `changes`
+    profileColumns(changes = {}) {
+        return Object.entries(USER_PROFILE_COLUMNS)
+            .filter(([field]) => changes[field] !== undefined)
+            .map(([field, column]) => [column, changes[field] === '' ? null : changes[field]]);
+    }
+
+    // [column, value] pairs for the impact category fields present in `changes`
+    impactCategoryColumns(changes = {}) {
+        return Object.entries(IMPACT_CATEGORY_COLUMNS)
+            .filter(([field]) => changes[field] !== undefined)
+            .map(([field, column]) => {
+                if (field === 'active') return [column, changes.active ? 1 : 0];
+                return [column, changes[field] === '' ? null : changes[field]];
+            });
+    }
+
+    // Statuses a list query should return: filters.status (one or several), default published
+    statusesFor(filters = {}) {
+        return [].concat(filters.status || ACCOMPLISHMENT_STATUS.PUBLISHED);
+    }
+
+    // Snapshot of every editable field, stored with 'delete' revisions
+    editableSnapshot(accomplishment) {
+        return Object.fromEntries(Object.keys(EDITABLE_COLUMNS).map(field => [field, accomplishment[field]]));
+    }
+
+    buildRevision(accomplishmentId, action, changedBy, before, after) {
+        return {
+            id: crypto.randomUUID(),
+            accomplishmentId,
+            action,
+            changedBy: this.normalizeEmail(changedBy),
+            changedAt: new Date().toISOString(),
+            before,
+            after
+        };
+    }
+
+    // Group tag rows ({ ACCOMPLISHMENT_ID, TAG }) onto their accomplishments
+    withTags(accomplishments, tagRows) {
+        const tagsById = new Map();
+        tagRows.forEach(row => {
+            const id = String(row.ACCOMPLISHMENT_ID);
+            if (!tagsById.has(id)) {
+                tagsById.set(id, []);
+            }
+            tagsById.get(id).push(row.TAG);
+        });
+
+        return accomplishments.map(accomplishment => ({
+            ...accomplishment,
+            tags: (tagsById.get(String(accomplishment.id)) || []).sort((a, b) => a.localeCompare(b))
+        }));
+    }
+
+    // Group attachment rows onto their accomplishments (storage keys stay server-side)
+    withAttachments(accomplishments, attachmentRows) {
+        const attachmentsById = new Map();
+        attachmentRows.forEach(row => {
+            const { storageKey, thumbnailKey, ...attachment } = this.transformAttachment(row);
+            if (!attachmentsById.has(attachment.accomplishmentId)) {
+                attachmentsById.set(attachment.accomplishmentId, []);
+            }
+            attachmentsById.get(attachment.accomplishmentId).push(attachment);
+        });
+
+        return accomplishments.map(accomplishment => ({
+            ...accomplishment,
+            attachments: attachmentsById.get(String(accomplishment.id)) || []
+        }));
+    }
+
+    transformUser(row) {
+        return {
+            id: row.ID,
+            email: row.EMAIL,
+            displayName: row.DISPLAY_NAME,
+            title: row.TITLE || null,
+            department: row.DEPARTMENT || null,
+            managerId: row.MANAGER_ID || null,
+            avatarUrl: row.AVATAR_URL || null,
+            role: row.ROLE || USER_ROLES.EMPLOYEE,
+            createdAt: row.CREATED_AT,
+            updatedAt: row.UPDATED_AT
+        };
+    }
+
+    transformDigestSubscription(row) {
+        return {
+            userId: row.USER_ID,
+            digest: row.DIGEST,
+            frequency: row.FREQUENCY,
+            lastSentAt: row.LAST_SENT_AT || null,
+            createdAt: row.CREATED_AT,
+            updatedAt: row.UPDATED_AT
+        };
+    }
+
+    transformNotification(row) {
+        return {
+            id: row.ID,
+            userId: row.USER_ID,
+            eventType: row.EVENT_TYPE,
+            accomplishmentId: String(row.ACCOMPLISHMENT_ID),
+            commentId: row.COMMENT_ID || null,
+            actorEmail: row.ACTOR_EMAIL,
+            actorName: row.ACTOR_NAME || row.ACTOR_EMAIL,
+            excerpt: row.EXCERPT || null,
+            read: !!row.READ_AT,
+            readAt: row.READ_AT || null,
+            createdAt: row.CREATED_AT
+        };
+    }
+
+    transformImpactCategory(row) {
+        return {
+            id: row.ID,
+            label: row.LABEL,
+            description: row.DESCRIPTION || '',
+            icon: row.ICON || '',
+            promptGuidance: row.PROMPT_GUIDANCE || '',
+            sortOrder: row.SORT_ORDER || 0,
+            active: row.ACTIVE === 1 || row.ACTIVE === true,
+            createdAt: row.CREATED_AT,
+            updatedAt: row.UPDATED_AT
+        };
+    }
+
+    transformComment(row) {
+        return {
+            id: row.ID,
+            accomplishmentId: row.ACCOMPLISHMENT_ID,
+            userId: row.USER_ID,
+            userName: row.USER_NAME,
+            body: row.BODY,
+            createdAt: row.CREATED_AT,
+            updatedAt: row.UPDATED_AT,
+            edited: String(row.UPDATED_AT) !== String(row.CREATED_AT)
+        };
+    }
+
+    transformAttachment(row) {
+        return {
+            id: row.ID,
+            accomplishmentId: String(row.ACCOMPLISHMENT_ID),
+            fileName: row.FILE_NAME,
+            mimeType: row.MIME_TYPE,
+            sizeBytes: Number(row.SIZE_BYTES),
+            storageKey: row.STORAGE_KEY,
+            thumbnailKey: row.THUMBNAIL_KEY || null,
+            uploadedBy: row.UPLOADED_BY,
+            createdAt: row.CREATED_AT,
+            url: `/api/attachments/${row.ID}`,
+            thumbnailUrl: row.THUMBNAIL_KEY ? `/api/attachments/${row.ID}/thumbnail` : null
+        };
+    }
+
+    transformRevision(row) {
+        const parse = value => (value ? JSON.parse(value) : null);
+        return {
+            id: row.ID,
+            accomplishmentId: row.ACCOMPLISHMENT_ID,
+            action: row.ACTION,
+            changedBy: row.CHANGED_BY,
+            changedAt: row.CHANGED_AT,
+            before: parse(row.BEFORE_STATE),
+            after: parse(row.AFTER_STATE)
+        };
+    }
+
+    // Normalize user emails so reactions can't be duplicated through casing or whitespace
+    normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    // Attach highlighted snippets for the matched search terms
+    withHighlights(accomplishments, terms) {
+        return accomplishments.map(accomplishment => ({
+            ...accomplishment,
+            highlights: buildHighlights(accomplishment, terms)
+        }));
+    }
+
+    // Transform database row to application format. `authorRow` is the author's USERS
+    // row, when available; their profile takes precedence over the name typed at submission.
+    // `nominatorRow` is the colleague who nominated the author, for peer nominations.
+    transformAccomplishment(row, authorRow = null, nominatorRow = null) {
+        const author = authorRow ? this.transformUser(authorRow) : null;
+
+        // HANA returns field names in ALL CAPS, so we need to handle that
+        const userName = author?.displayName || row.userName || row.USER_NAME || row.USERNAME || 'Unknown User';
+        const result = {
+            id: row.id || row.ID,
+            userId: row.userId || row.USER_ID || row.USERID,
+            userName: userName,
+            authorId: row.authorId || row.AUTHOR_ID || row.AUTHORID || null,
+            author,
+            status: row.status || row.STATUS || ACCOMPLISHMENT_STATUS.PUBLISHED,
+            nominatorId: row.nominatorId || row.NOMINATOR_ID || row.NOMINATORID || null,
+            nominator: nominatorRow ? this.transformUser(nominatorRow) : null,
+            userThumbnail: author?.avatarUrl || null, // Frontend falls back to getUserThumbnail()
+            statement: row.aiGeneratedStatement || row.AI_GENERATED_STATEMENT || row.AIGENERATEDSTATEMENT, // This is what frontend expects for display
+            originalStatement: row.originalStatement || row.ORIGINAL_STATEMENT || row.ORIGINALSTATEMENT,
+            impactType: row.impactType || row.IMPACT_TYPE || row.IMPACTTYPE,
+            createdAt: row.createdAt || row.CREATED_AT || row.CREATEDAT,
+            emailAppreciation: row.emailAppreciation || row.EMAIL_APPRECIATION || row.EMAILAPPRECIATION || '',
+            additionalDetails: row.additionalDetails || row.ADDITIONAL_DETAILS || row.ADDITIONALDETAILS || '',
+            congratulationsCount: row.congratulationsCount || row.CONGRATULATIONS_COUNT || row.CONGRATULATIONSCOUNT || 0,
+            votesCount: row.votesCount || row.VOTES_COUNT || row.VOTESCOUNT || 0,
+            commentsCount: row.commentsCount || row.COMMENTS_COUNT || row.COMMENTSCOUNT || 0,
+            responses: {
+                emailAppreciation: row.emailAppreciation || row.EMAIL_APPRECIATION || row.EMAILAPPRECIATION || '',
+                impactType: row.impactType || row.IMPACT_TYPE || row.IMPACTTYPE,
+                additionalDetails: row.additionalDetails || row.ADDITIONAL_DETAILS || row.ADDITIONALDETAILS || ''
+            },
+            aiGeneratedStatement: row.aiGeneratedStatement || row.AI_GENERATED_STATEMENT || row.AIGENERATEDSTATEMENT
+        };
+        return result;
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = BaseDBServer;
+module.exports.EDITABLE_COLUMNS = EDITABLE_COLUMNS;
+module.exports.USER_PROFILE_COLUMNS = USER_PROFILE_COLUMNS;
+module.exports.IMPACT_CATEGORY_COLUMNS = IMPACT_CATEGORY_COLUMNS;
+module.exports.ACCOMPLISHMENT_STATUS = ACCOMPLISHMENT_STATUS;
+module.exports.USER_ROLES = USER_ROLES;
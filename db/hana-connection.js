@@ -1,22 +1,26 @@
 /**
  * HANA Database Connection Module
- * Handles connection to SAP HANA Cloud database
+ * Handles pooled connections to SAP HANA Cloud database
+ *
+ * Every execute() borrows an auto-commit connection from the pool and returns it
+ * afterwards, so concurrent requests never share a session. Multi-statement work
+ * that must be atomic goes through withTransaction().
+ *
+ * Pool configuration (environment variables):
+ *   VDB_POOL_SIZE             maximum connections, in use or pooled (default 10)
+ *   VDB_POOL_IDLE_TIMEOUT     seconds an idle pooled connection is kept (default 300)
+ *   VDB_POOL_ACQUIRE_TIMEOUT  milliseconds to wait for a free connection (default 30000)
  */
 
 const hana = require('@sap/hana-client');
 
+// Client error codes raised when the server dropped the session (idle timeout, failover...)
+const CONNECTION_LOST_CODES = [-10807, -10709, -10108, -10821];
+
 class HanaConnection {
     constructor() {
-        this.connection = null;
-
-        // Validate required environment variables
-        const requiredEnvVars = ['VDB_H', 'VDB_N', 'VDB_U', 'VDB_P'];
-        const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
-
-        if (missingEnvVars.length > 0) {
-            console.error('Missing required environment variables:', missingEnvVars);
-            throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
-        }
+        this.pool = null;
+        this.connected = false;
 
         this.connectionParams = {
             serverNode: `${process.env.VDB_H}:${process.env.VDB_N}`,
@@ -33,93 +37,154 @@ class HanaConnection {
             this.connectionParams.currentSchema = process.env.VDB_SCHEMA;
         }
 
+        this.poolParams = {
+            maxConnectedOrPooled: parseInt(process.env.VDB_POOL_SIZE, 10) || 10,
+            maxPooledIdleTime: parseInt(process.env.VDB_POOL_IDLE_TIMEOUT, 10) || 300,
+            // Validate pooled connections before handing them out so dropped sessions are replaced
+            pingCheck: true
+        };
+        this.acquireTimeout = parseInt(process.env.VDB_POOL_ACQUIRE_TIMEOUT, 10) || 30000;
+
         // -- DEBUG --
         console.log('HANA Connection parameters set', {
             serverNode: this.connectionParams.serverNode,
             uid: this.connectionParams.uid,
-            currentSchema: this.connectionParams.currentSchema || 'default'
+            currentSchema: this.connectionParams.currentSchema || 'default',
+            pool: this.poolParams
         });
     }
 
-    // Connect to HANA database
+    // Validate required environment variables (deferred until a connection is needed,
+    // so requiring this module never fails when another storage adapter is configured)
+    validateConfig() {
+        const requiredEnvVars = ['VDB_H', 'VDB_N', 'VDB_U', 'VDB_P'];
+        const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+        if (missingEnvVars.length > 0) {
+            console.error('Missing required environment variables:', missingEnvVars);
+            throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+        }
+    }
+
+    // Create the connection pool and verify that a connection can be opened
     async connect() {
+        this.validateConfig();
+
         try {
-            if (this.connection && this.connection.state() === 'connected') {
-                return this.connection;
+            if (!this.pool) {
+                console.log('Creating HANA connection pool...');
+                this.pool = hana.createPool(this.connectionParams, this.poolParams);
+            }
+
+            if (!this.connected) {
+                const conn = await this.acquire();
+                this.release(conn);
+                this.connected = true;
+                console.log('✅ Connected to HANA database successfully');
             }
 
-            console.log('Attempting to connect to HANA database...');
-            this.connection = hana.createConnection();
+            return this.pool;
+        } catch (error) {
+            console.error('Failed to connect to HANA:', error);
+            console.error('Connection params used:', {
+                serverNode: this.connectionParams.serverNode,
+                uid: this.connectionParams.uid,
+                currentSchema: this.connectionParams.currentSchema
+            });
+            throw error;
+        }
+    }
+
+    // Borrow a connection from the pool, failing after the configured acquire timeout
+    acquire() {
+        return new Promise((resolve, reject) => {
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a HANA connection`));
+            }, this.acquireTimeout);
 
-            // Set connection timeout
-            const connectTimeout = setTimeout(() => {
-                console.error('Database connection timeout after 30 seconds');
-                if (this.connection) {
-                    this.connection.disconnect();
+            this.pool.getConnection((err, conn) => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    // The caller already gave up - hand a late connection straight back
+                    if (conn) this.release(conn);
+                } else if (err) {
+                    console.error('HANA Connection Error:', err);
+                    reject(err);
+                } else {
+                    resolve(conn);
                 }
-            }, 30000);
-
-            await new Promise((resolve, reject) => {
-                this.connection.connect(this.connectionParams, (err) => {
-                    clearTimeout(connectTimeout);
-
-                    if (err) {
-                        console.error('HANA Connection Error:', err);
-                        console.error('Connection params used:', {
-                            serverNode: this.connectionParams.serverNode,
-                            uid: this.connectionParams.uid,
-                            currentSchema: this.connectionParams.currentSchema
-                        });
-                        reject(err);
-                    } else {
-                        console.log('✅ Connected to HANA database successfully');
-                        // Set autocommit to false to ensure manual commit control
-                        this.connection.setAutoCommit(false);
-                        resolve();
-                    }
-                });
             });
+        });
+    }
 
-            return this.connection;
+    // Return a connection to the pool (disconnect() on a pooled connection releases it)
+    release(conn) {
+        try {
+            conn.disconnect();
         } catch (error) {
-            console.error('Failed to connect to HANA:', error);
-            throw error;
+            console.log('Error releasing HANA connection:', error.message);
         }
     }
 
-    // Execute SQL query
-    async execute(sql, params = []) {
+    isConnectionLost(error) {
+        return error && CONNECTION_LOST_CODES.includes(error.code);
+    }
+
+    // Drop every pooled connection so the next acquire opens a fresh session
+    async resetPool() {
+        if (this.pool) {
+            await new Promise(resolve => this.pool.clear(() => resolve()));
+        }
+        this.connected = false;
+    }
+
+    // Run a single statement on a specific connection
+    execOnConnection(conn, sql, params = []) {
         // -- DEBUG --
         console.log('Executing HANA SQL:', sql, 'with params:', params);
+
+        return new Promise((resolve, reject) => {
+            conn.exec(sql, params, (err, result) => {
+                if (err) {
+                    console.error('HANA Query Error:', err);
+                    console.error('SQL:', sql);
+                    console.error('Params:', params);
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    // Run fn with a dedicated pooled connection, reconnecting once if the session was dropped
+    async withConnection(fn, retry = true) {
+        await this.connect();
+        const conn = await this.acquire();
+
         try {
-            const conn = await this.connect();
-
-            return new Promise((resolve, reject) => {
-                conn.exec(sql, params, (err, result) => {
-                    if (err) {
-                        console.error('HANA Query Error:', err);
-                        console.error('SQL:', sql);
-                        console.error('Params:', params);
-                        reject(err);
-                    } else {
-                        // Explicitly commit for write operations
-                        if (sql.trim().toUpperCase().startsWith('UPDATE') ||
-                            sql.trim().toUpperCase().startsWith('INSERT') ||
-                            sql.trim().toUpperCase().startsWith('DELETE')) {
-                            conn.commit((commitErr) => {
-                                if (commitErr) {
-                                    console.error('HANA Commit Error:', commitErr);
-                                    reject(commitErr);
-                                } else {
-                                    console.log('✅ Transaction committed successfully');
-                                    resolve(result);
-                                }
-                            });
-                        } else {
-                            resolve(result);
-                        }
-                    }
-                });
+            return await fn(conn);
+        } catch (error) {
+            if (!retry || !this.isConnectionLost(error)) {
+                throw error;
+            }
+        } finally {
+            this.release(conn);
+        }
+
+        console.warn('⚠️ HANA connection lost, reconnecting and retrying once...');
+        await this.resetPool();
+        return this.withConnection(fn, false);
+    }
+
+    // Execute a single SQL statement in auto-commit mode
+    async execute(sql, params = []) {
+        try {
+            return await this.withConnection(conn => {
+                conn.setAutoCommit(true);
+                return this.execOnConnection(conn, sql, params);
             });
         } catch (error) {
             console.error('Failed to execute query:', error);
@@ -127,14 +192,50 @@ class HanaConnection {
         }
     }
 
-    // Close connection
+    // Run fn(tx) inside a transaction: committed when fn resolves, rolled back when it throws.
+    // tx.execute(sql, params) runs statements on the transaction's connection.
+    async withTransaction(fn) {
+        await this.connect();
+        const conn = await this.acquire();
+        conn.setAutoCommit(false);
+
+        const tx = {
+            execute: (sql, params) => this.execOnConnection(conn, sql, params)
+        };
+
+        try {
+            const result = await fn(tx);
+            await new Promise((resolve, reject) => conn.commit(err => err ? reject(err) : resolve()));
+            console.log('✅ Transaction committed successfully');
+            return result;
+        } catch (error) {
+            await new Promise(resolve => conn.rollback(rollbackErr => {
+                if (rollbackErr) {
+                    console.error('HANA Rollback Error:', rollbackErr);
+                }
+                resolve();
+            }));
+            console.error('↩️ Transaction rolled back:', error.message);
+            if (this.isConnectionLost(error)) {
+                await this.resetPool();
+            }
+            throw error;
+        } finally {
+            try {
+                conn.setAutoCommit(true);
+            } catch (error) {
+                // Connection is unusable; the pool's ping check will discard it
+            }
+            this.release(conn);
+        }
+    }
+
+    // Close all pooled connections
     async disconnect() {
-        if (this.connection) {
+        if (this.pool) {
             try {
-                if (this.connection.state() === 'connected') {
-                    this.connection.disconnect();
-                    console.log('Disconnected from HANA database');
-                }
+                await this.resetPool();
+                console.log('Disconnected from HANA database');
             } catch (error) {
                 console.log('Connection already closed or error disconnecting:', error.message);
             }
@@ -143,13 +244,13 @@ class HanaConnection {
 
     // Check if connected
     isConnected() {
-        return this.connection && this.connection.state() === 'connected';
+        return this.connected;
     }
 
     // Test connection function
     async testConnection() {
         try {
-            const conn = await this.connect();
+            await this.connect();
             console.log('Database connection test successful');
             return true;
         } catch (error) {
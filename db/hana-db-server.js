@@ -0,0 +1,1456 @@
+/**
+ * Database Server Module (HANA Version)
+ * Handles data storage using SAP HANA Cloud database
+ * Replaces the localStorage-based implementation with proper database operations
+ */
+
+const crypto = require('crypto');
+const BaseDBServer = require('./base-db-server');
+const { ACCOMPLISHMENT_STATUS } = BaseDBServer;
+const hanaConnection = require('./hana-connection');
+const hanaSchema = require('./hana-schema');
+const { DEFAULT_PAGE_SIZE, toPage } = require('./pagination');
+const { SEARCH_FIELDS } = require('./search');
+const { tagKey, normalizeTags } = require('./tags');
+
+// Columns selected for every accomplishment read (aliases are returned upper-cased by HANA)
+const ACCOMPLISHMENT_COLUMNS = `
+    ID as id,
+    USER_ID as userId,
+    USER_NAME as userName,
+    ORIGINAL_STATEMENT as originalStatement,
+    EMAIL_APPRECIATION as emailAppreciation,
+    IMPACT_TYPE as impactType,
+    ADDITIONAL_DETAILS as additionalDetails,
+    AI_GENERATED_STATEMENT as aiGeneratedStatement,
+    CONGRATULATIONS_COUNT as congratulationsCount,
+    VOTES_COUNT as votesCount,
+    COMMENTS_COUNT as commentsCount,
+    AUTHOR_ID as authorId,
+    NOMINATOR_ID as nominatorId,
+    STATUS as status,
+    CREATED_AT as createdAt
+`;
+
+const COMMENT_COLUMNS = 'ID, ACCOMPLISHMENT_ID, USER_ID, USER_NAME, BODY, CREATED_AT, UPDATED_AT';
+
+const USER_COLUMNS = 'ID, EMAIL, DISPLAY_NAME, TITLE, DEPARTMENT, MANAGER_ID, AVATAR_URL, ROLE, CREATED_AT, UPDATED_AT';
+
+const DIGEST_SUBSCRIPTION_COLUMNS = 'USER_ID, DIGEST, FREQUENCY, LAST_SENT_AT, CREATED_AT, UPDATED_AT';
+
+const NOTIFICATION_COLUMNS = 'ID, USER_ID, EVENT_TYPE, ACCOMPLISHMENT_ID, COMMENT_ID, ACTOR_EMAIL, ACTOR_NAME, EXCERPT, READ_AT, CREATED_AT';
+
+const ATTACHMENT_COLUMNS = 'ID, ACCOMPLISHMENT_ID, FILE_NAME, MIME_TYPE, SIZE_BYTES, STORAGE_KEY, THUMBNAIL_KEY, UPLOADED_BY, CREATED_AT';
+
+// Grouping expressions for getRecognitionStats (a = ACCOMPLISHMENTS, u = the author's USERS row);
+// weeks start on Monday - WEEKDAY() is 0 for Monday
+const RECOGNITION_GROUP_KEYS = {
+    author: () => 'a.AUTHOR_ID',
+    impactType: () => 'a.IMPACT_TYPE',
+    department: () => 'u.DEPARTMENT',
+    week: timestamp => `TO_NVARCHAR(ADD_DAYS(TO_DATE(${timestamp}), -WEEKDAY(${timestamp})), 'YYYY-MM-DD')`
+};
+
+const IMPACT_CATEGORY_COLUMNS = 'ID, LABEL, DESCRIPTION, ICON, PROMPT_GUIDANCE, SORT_ORDER, ACTIVE, CREATED_AT, UPDATED_AT';
+
+class HanaDBServer extends BaseDBServer {
+    constructor() {
+        super();
+        this.adapterName = 'hana';
+    }
+
+    // Connect to HANA (schema should be set up separately via setup-database.js)
+    async connect() {
+        await hanaConnection.connect();
+    }
+
+    // Append the keyset condition, a stable ordering and LIMIT (one extra row detects a next page)
+    applyPagination(sql, params, pagination = {}) {
+        const limit = pagination.limit || DEFAULT_PAGE_SIZE;
+
+        if (pagination.cursor) {
+            sql += ` AND (CREATED_AT < ? OR (CREATED_AT = ? AND ID < ?))`;
+            params.push(pagination.cursor.createdAt, pagination.cursor.createdAt, pagination.cursor.id);
+        }
+
+        return sql + ` ORDER BY CREATED_AT DESC, ID DESC LIMIT ${limit + 1}`;
+    }
+
+    // Run a paginated accomplishments query and return { items, nextCursor }
+    async queryPage(sql, params, pagination, viewerEmail) {
+        const limit = pagination.limit || DEFAULT_PAGE_SIZE;
+        const results = await hanaConnection.execute(this.applyPagination(sql, params, pagination), params);
+        const page = toPage(await this.transformRows(results), limit);
+        page.items = await this.attachViewerReactions(await this.attachAttachments(await this.attachTags(page.items)), viewerEmail);
+        return page;
+    }
+
+    // SQL conditions for the feed filters (status, date range, user, author(s), nominator, impact type, tag);
+    // values are pushed onto params
+    buildFilterConditions(filters = {}, params) {
+        const statuses = this.statusesFor(filters);
+        let sql = ` AND STATUS IN (${statuses.map(() => '?').join(', ')})`;
+        params.push(...statuses);
+
+        // Filter by date range
+        if (filters.startDate) {
+            sql += ` AND CREATED_AT >= ?`;
+            params.push(filters.startDate);
+        }
+        if (filters.endDate) {
+            sql += ` AND CREATED_AT <= ?`;
+            params.push(filters.endDate + ' 23:59:59'); // Include full end date
+        }
+
+        // Filter by user name or email (partial search, case-insensitive)
+        if (filters.user) {
+            sql += ` AND (UPPER(USER_NAME) LIKE UPPER(?) OR UPPER(USER_ID) LIKE UPPER(?))`;
+            const userPattern = `%${filters.user}%`;
+            params.push(userPattern);
+            params.push(userPattern);
+        }
+
+        // Filter by exact author
+        if (filters.userId) {
+            sql += ` AND USER_ID = ?`;
+            params.push(filters.userId);
+        }
+
+        // Filter by a set of authors (USERS IDs), e.g. a manager's team
+        if (Array.isArray(filters.authorIds)) {
+            if (filters.authorIds.length === 0) {
+                return sql + ' AND 1=0';
+            }
+            sql += ` AND AUTHOR_ID IN (${filters.authorIds.map(() => '?').join(', ')})`;
+            params.push(...filters.authorIds);
+        }
+
+        // Filter by the colleague who nominated the author (USERS ID)
+        if (filters.nominatorId) {
+            sql += ` AND NOMINATOR_ID = ?`;
+            params.push(filters.nominatorId);
+        }
+
+        // Filter by impact type
+        if (filters.impactType) {
+            sql += ` AND IMPACT_TYPE = ?`;
+            params.push(filters.impactType);
+        }
+
+        // Filter by skill tag (case-insensitive)
+        if (filters.tag) {
+            sql += ` AND ID IN (SELECT ACCOMPLISHMENT_ID FROM ACCOMPLISHMENT_TAGS WHERE TAG_KEY = ?)`;
+            params.push(tagKey(filters.tag));
+        }
+
+        return sql;
+    }
+
+    // Get a page of all accomplishments, newest first
+    async getAllAccomplishments(viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}
+            FROM ACCOMPLISHMENTS 
+            WHERE STATUS = ?
+        `;
+
+        try {
+            return await this.queryPage(sql, [ACCOMPLISHMENT_STATUS.PUBLISHED], pagination, viewerEmail);
+        } catch (error) {
+            console.error('Error getting all accomplishments:', error);
+            throw new Error('Failed to retrieve accomplishments');
+        }
+    }
+
+    // Get a page of accomplishments by user
+    async getAccomplishmentsByUser(userId, viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}
+            FROM ACCOMPLISHMENTS 
+            WHERE USER_ID = ? AND STATUS = ?
+        `;
+
+        try {
+            return await this.queryPage(sql, [userId, ACCOMPLISHMENT_STATUS.PUBLISHED], pagination, viewerEmail);
+        } catch (error) {
+            console.error('Error getting accomplishments by user:', error);
+            throw new Error('Failed to retrieve user accomplishments');
+        }
+    }
+
+    // Filter accomplishments based on criteria, one page at a time
+    async filterAccomplishments(filters, viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+
+        const params = [];
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}
+            FROM ACCOMPLISHMENTS 
+            WHERE 1=1
+        ` + this.buildFilterConditions(filters, params);
+
+        try {
+            return await this.queryPage(sql, params, pagination, viewerEmail);
+        } catch (error) {
+            console.error('Error filtering accomplishments:', error);
+            console.error('SQL:', sql);
+            console.error('Params:', params);
+            throw new Error('Failed to filter accomplishments');
+        }
+    }
+
+    // Full-text search ranked by HANA's SCORE() (fuzzy matching via the full-text indexes)
+    async searchAccomplishments(terms, filters, viewerEmail, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const columns = SEARCH_FIELDS.map(({ column }) => column).join(', ');
+        const params = [terms.join(' ')];
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}, SCORE() as score
+            FROM ACCOMPLISHMENTS 
+            WHERE CONTAINS((${columns}), ?, FUZZY(0.8))
+        ` + this.buildFilterConditions(filters, params) + `
+            ORDER BY score DESC, CREATED_AT DESC, ID DESC
+            LIMIT ${limit}
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, params);
+            const accomplishments = (await this.transformRows(results)).map((accomplishment, index) => ({
+                ...accomplishment,
+                score: Math.round((results[index].SCORE || 0) * 1000) / 1000
+            }));
+            const detailed = await this.attachAttachments(await this.attachTags(accomplishments));
+            return this.withHighlights(await this.attachViewerReactions(detailed, viewerEmail), terms);
+        } catch (error) {
+            console.error('Error searching accomplishments:', error);
+            throw new Error('Failed to search accomplishments');
+        }
+    }
+
+    // Semantic search using HANA's vector engine (COSINE_SIMILARITY over REAL_VECTOR)
+    async semanticSearch(embedding, model, filters, viewerEmail, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const params = [JSON.stringify(Array.from(embedding)), model];
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS},
+                COSINE_SIMILARITY(EMBEDDING, TO_REAL_VECTOR(?)) as similarity
+            FROM ACCOMPLISHMENTS 
+            INNER JOIN ACCOMPLISHMENT_EMBEDDINGS ON ACCOMPLISHMENT_ID = ID
+            WHERE MODEL = ?
+        ` + this.buildFilterConditions(filters, params) + `
+            ORDER BY similarity DESC, CREATED_AT DESC, ID DESC
+            LIMIT ${limit}
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, params);
+            const accomplishments = (await this.transformRows(results)).map((accomplishment, index) => ({
+                ...accomplishment,
+                similarity: Math.round((results[index].SIMILARITY || 0) * 1000) / 1000
+            }));
+            const detailed = await this.attachAttachments(await this.attachTags(accomplishments));
+            return await this.attachViewerReactions(detailed, viewerEmail);
+        } catch (error) {
+            console.error('Error running semantic search:', error);
+            throw new Error('Failed to run semantic search');
+        }
+    }
+
+    // Insert or replace an accomplishment's embedding
+    async saveEmbedding(accomplishmentId, embedding, model) {
+        await this.ensureInitialized();
+
+        const sql = `
+            UPSERT ACCOMPLISHMENT_EMBEDDINGS (ACCOMPLISHMENT_ID, EMBEDDING, MODEL, UPDATED_AT)
+            VALUES (?, TO_REAL_VECTOR(?), ?, CURRENT_TIMESTAMP)
+            WITH PRIMARY KEY
+        `;
+
+        try {
+            await hanaConnection.execute(sql, [accomplishmentId, JSON.stringify(Array.from(embedding)), model]);
+        } catch (error) {
+            console.error('Error saving embedding:', error);
+            throw new Error('Failed to save embedding');
+        }
+    }
+
+    async getAccomplishmentsMissingEmbeddings(model, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}
+            FROM ACCOMPLISHMENTS 
+            WHERE ID NOT IN (SELECT ACCOMPLISHMENT_ID FROM ACCOMPLISHMENT_EMBEDDINGS WHERE MODEL = ?)
+            ORDER BY CREATED_AT DESC, ID DESC
+            LIMIT ${limit}
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, [model]);
+            return await this.attachTags(await this.transformRows(results));
+        } catch (error) {
+            console.error('Error finding accomplishments without embeddings:', error);
+            throw new Error('Failed to retrieve accomplishments without embeddings');
+        }
+    }
+
+    // Save new accomplishment
+    async saveAccomplishment(accomplishment) {
+        await this.ensureInitialized();
+
+        const sql = `
+            INSERT INTO ACCOMPLISHMENTS (
+                ID, USER_ID, USER_NAME, AUTHOR_ID, NOMINATOR_ID, STATUS, ORIGINAL_STATEMENT,
+                EMAIL_APPRECIATION, IMPACT_TYPE, ADDITIONAL_DETAILS,
+                AI_GENERATED_STATEMENT, CREATED_AT
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            accomplishment.id,
+            accomplishment.userId,
+            accomplishment.userName,
+            accomplishment.authorId || null,
+            accomplishment.nominatorId || null,
+            accomplishment.status || ACCOMPLISHMENT_STATUS.PUBLISHED,
+            accomplishment.originalStatement,
+            accomplishment.responses?.emailAppreciation || '',
+            accomplishment.impactType || accomplishment.responses?.impactType,
+            accomplishment.responses?.additionalDetails || '',
+            accomplishment.aiGeneratedStatement,
+            accomplishment.createdAt
+        ];
+
+        const tags = normalizeTags(accomplishment.tags);
+
+        try {
+            await hanaConnection.withTransaction(async (tx) => {
+                await tx.execute(sql, params);
+                await this.insertTags(tx, accomplishment.id, tags);
+            });
+            console.log(`✅ Saved accomplishment: ${accomplishment.id}`);
+            return { ...accomplishment, tags };
+        } catch (error) {
+            console.error('Error saving accomplishment:', error);
+            console.error('SQL:', sql);
+            console.error('Params:', params);
+            throw new Error('Failed to save accomplishment');
+        }
+    }
+
+    // Get accomplishment by ID
+    async getAccomplishmentById(id, viewerEmail) {
+        await this.ensureInitialized();
+
+        const sql = `
+            SELECT ${ACCOMPLISHMENT_COLUMNS}
+            FROM ACCOMPLISHMENTS 
+            WHERE ID = ?
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, [id]);
+            if (results.length === 0) {
+                return null;
+            }
+            const [accomplishment] = await this.attachViewerReactions(
+                await this.attachAttachments(await this.attachTags(await this.transformRows(results))),
+                viewerEmail
+            );
+            return accomplishment;
+        } catch (error) {
+            console.error('Error getting accomplishment by ID:', error);
+            throw new Error('Failed to retrieve accomplishment');
+        }
+    }
+
+    // Store a revision row on the transaction's connection
+    async insertRevision(tx, revision) {
+        await tx.execute(`
+            INSERT INTO ACCOMPLISHMENT_REVISIONS (
+                ID, ACCOMPLISHMENT_ID, ACTION, CHANGED_BY, CHANGED_AT, BEFORE_STATE, AFTER_STATE
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            revision.id,
+            revision.accomplishmentId,
+            revision.action,
+            revision.changedBy,
+            revision.changedAt,
+            revision.before ? JSON.stringify(revision.before) : null,
+            revision.after ? JSON.stringify(revision.after) : null
+        ]);
+    }
+
+    // Update editable fields of an accomplishment and record the revision atomically
+    async updateAccomplishment(id, changes, changedBy, action = 'update') {
+        await this.ensureInitialized();
+
+        try {
+            const updated = await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute(
+                    `SELECT ${ACCOMPLISHMENT_COLUMNS} FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE`,
+                    [id]
+                );
+                if (current.length === 0) {
+                    return false;
+                }
+
+                const { before, after, changed } = this.diffEditableFields(this.transformAccomplishment(current[0]), changes);
+                if (!changed) {
+                    return true;
+                }
+
+                const columns = this.editableColumns(after);
+                await tx.execute(`
+                    UPDATE ACCOMPLISHMENTS 
+                    SET ${columns.map(([column]) => `${column} = ?, `).join('')}UPDATED_AT = CURRENT_TIMESTAMP
+                    WHERE ID = ?
+                `, [...columns.map(([, value]) => value), id]);
+
+                await this.insertRevision(tx, this.buildRevision(id, action, changedBy, before, after));
+                return true;
+            });
+
+            return updated ? this.getAccomplishmentById(id) : null;
+        } catch (error) {
+            console.error('Error updating accomplishment:', error);
+            throw new Error('Failed to update accomplishment');
+        }
+    }
+
+    async setAccomplishmentStatus(id, status, changedBy, action) {
+        await this.ensureInitialized();
+
+        try {
+            const updated = await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute('SELECT STATUS FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE', [id]);
+                if (current.length === 0) {
+                    return false;
+                }
+                if (current[0].STATUS === status) {
+                    return true;
+                }
+
+                await tx.execute(
+                    'UPDATE ACCOMPLISHMENTS SET STATUS = ?, UPDATED_AT = CURRENT_TIMESTAMP WHERE ID = ?',
+                    [status, id]
+                );
+                await this.insertRevision(tx, this.buildRevision(id, action, changedBy, { status: current[0].STATUS }, { status }));
+                return true;
+            });
+
+            return updated ? this.getAccomplishmentById(id) : null;
+        } catch (error) {
+            console.error('Error changing accomplishment status:', error);
+            throw new Error('Failed to change accomplishment status');
+        }
+    }
+
+    // Delete an accomplishment and everything hanging off it, keeping the revision trail
+    async deleteAccomplishment(id, deletedBy) {
+        await this.ensureInitialized();
+
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute(
+                    `SELECT ${ACCOMPLISHMENT_COLUMNS} FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE`,
+                    [id]
+                );
+                if (current.length === 0) {
+                    return false;
+                }
+
+                const snapshot = this.editableSnapshot(this.transformAccomplishment(current[0]));
+                await this.insertRevision(tx, this.buildRevision(id, 'delete', deletedBy, snapshot, null));
+
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_REACTIONS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_COMMENTS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_TAGS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_ATTACHMENTS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_EMBEDDINGS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM NOTIFICATIONS WHERE ACCOMPLISHMENT_ID = ?', [id]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENTS WHERE ID = ?', [id]);
+                console.log(`🗑️ Deleted accomplishment: ${id}`);
+                return true;
+            });
+        } catch (error) {
+            console.error('Error deleting accomplishment:', error);
+            throw new Error('Failed to delete accomplishment');
+        }
+    }
+
+    async getRevisions(accomplishmentId) {
+        await this.ensureInitialized();
+
+        const sql = `
+            SELECT ID, ACCOMPLISHMENT_ID, ACTION, CHANGED_BY, CHANGED_AT, BEFORE_STATE, AFTER_STATE
+            FROM ACCOMPLISHMENT_REVISIONS
+            WHERE ACCOMPLISHMENT_ID = ?
+            ORDER BY CHANGED_AT DESC
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, [accomplishmentId]);
+            return results.map(row => this.transformRevision(row));
+        } catch (error) {
+            console.error('Error getting revisions:', error);
+            throw new Error('Failed to retrieve revision history');
+        }
+    }
+
+    // Transform accomplishment rows along with their authors' and nominators' profiles (one USERS query)
+    async transformRows(rows) {
+        const userIds = [...new Set(rows.flatMap(row => [row.AUTHORID, row.NOMINATORID]).filter(Boolean))];
+        const users = new Map();
+
+        if (userIds.length > 0) {
+            const results = await hanaConnection.execute(
+                `SELECT ${USER_COLUMNS} FROM USERS WHERE ID IN (${userIds.map(() => '?').join(', ')})`,
+                userIds
+            );
+            results.forEach(user => users.set(user.ID, user));
+        }
+
+        return rows.map(row => this.transformAccomplishment(row, users.get(row.AUTHORID), users.get(row.NOMINATORID)));
+    }
+
+    async getUsers() {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`SELECT ${USER_COLUMNS} FROM USERS ORDER BY DISPLAY_NAME, EMAIL`);
+            return results.map(row => this.transformUser(row));
+        } catch (error) {
+            console.error('Error getting users:', error);
+            throw new Error('Failed to retrieve users');
+        }
+    }
+
+    async getUserById(id) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`SELECT ${USER_COLUMNS} FROM USERS WHERE ID = ?`, [id]);
+            return results.length > 0 ? this.transformUser(results[0]) : null;
+        } catch (error) {
+            console.error('Error getting user by ID:', error);
+            throw new Error('Failed to retrieve user');
+        }
+    }
+
+    async getUserByEmail(email) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`SELECT ${USER_COLUMNS} FROM USERS WHERE EMAIL = ?`, [this.normalizeEmail(email)]);
+            return results.length > 0 ? this.transformUser(results[0]) : null;
+        } catch (error) {
+            console.error('Error getting user by email:', error);
+            throw new Error('Failed to retrieve user');
+        }
+    }
+
+    async getUsersByManager(managerIds) {
+        await this.ensureInitialized();
+
+        if (managerIds.length === 0) {
+            return [];
+        }
+
+        try {
+            const results = await hanaConnection.execute(
+                `SELECT ${USER_COLUMNS} FROM USERS WHERE MANAGER_ID IN (${managerIds.map(() => '?').join(', ')}) ORDER BY DISPLAY_NAME, EMAIL`,
+                managerIds
+            );
+            return results.map(row => this.transformUser(row));
+        } catch (error) {
+            console.error('Error getting reports:', error);
+            throw new Error('Failed to retrieve reports');
+        }
+    }
+
+    async createUser(user) {
+        await this.ensureInitialized();
+
+        const id = crypto.randomUUID();
+        const columns = this.profileColumns(user);
+        const sql = `
+            INSERT INTO USERS (ID, EMAIL${columns.map(([column]) => `, ${column}`).join('')})
+            VALUES (?, ?${columns.map(() => ', ?').join('')})
+        `;
+
+        try {
+            await hanaConnection.execute(sql, [id, this.normalizeEmail(user.email), ...columns.map(([, value]) => value)]);
+            console.log(`👤 Created user: ${id}`);
+            return this.getUserById(id);
+        } catch (error) {
+            console.error('Error creating user:', error);
+            throw new Error('Failed to create user');
+        }
+    }
+
+    async updateUser(id, changes) {
+        await this.ensureInitialized();
+
+        const columns = this.profileColumns(changes);
+        if (columns.length > 0) {
+            try {
+                await hanaConnection.execute(`
+                    UPDATE USERS 
+                    SET ${columns.map(([column]) => `${column} = ?, `).join('')}UPDATED_AT = CURRENT_TIMESTAMP
+                    WHERE ID = ?
+                `, [...columns.map(([, value]) => value), id]);
+            } catch (error) {
+                console.error('Error updating user:', error);
+                throw new Error('Failed to update user');
+            }
+        }
+
+        return this.getUserById(id);
+    }
+
+    async deleteUser(id) {
+        await this.ensureInitialized();
+
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute('SELECT ID FROM USERS WHERE ID = ? FOR UPDATE', [id]);
+                if (current.length === 0) {
+                    return false;
+                }
+
+                await tx.execute('UPDATE USERS SET MANAGER_ID = NULL WHERE MANAGER_ID = ?', [id]);
+                await tx.execute('DELETE FROM DIGEST_SUBSCRIPTIONS WHERE USER_ID = ?', [id]);
+                await tx.execute('DELETE FROM NOTIFICATIONS WHERE USER_ID = ?', [id]);
+                await tx.execute('DELETE FROM NOTIFICATION_PREFERENCES WHERE USER_ID = ?', [id]);
+                await tx.execute('DELETE FROM USERS WHERE ID = ?', [id]);
+                console.log(`🗑️ Deleted user: ${id}`);
+                return true;
+            });
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            throw new Error('Failed to delete user');
+        }
+    }
+
+    async getDigestSubscriptions(userId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(
+                `SELECT ${DIGEST_SUBSCRIPTION_COLUMNS} FROM DIGEST_SUBSCRIPTIONS WHERE USER_ID = ? ORDER BY DIGEST`,
+                [userId]
+            );
+            return results.map(row => this.transformDigestSubscription(row));
+        } catch (error) {
+            console.error('Error getting digest subscriptions:', error);
+            throw new Error('Failed to retrieve digest subscriptions');
+        }
+    }
+
+    async listDigestSubscriptions() {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`SELECT ${DIGEST_SUBSCRIPTION_COLUMNS} FROM DIGEST_SUBSCRIPTIONS`);
+            return results.map(row => this.transformDigestSubscription(row));
+        } catch (error) {
+            console.error('Error listing digest subscriptions:', error);
+            throw new Error('Failed to retrieve digest subscriptions');
+        }
+    }
+
+    async setDigestSubscription(userId, digest, frequency, lastSentAt) {
+        await this.ensureInitialized();
+
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                if (!frequency) {
+                    await tx.execute('DELETE FROM DIGEST_SUBSCRIPTIONS WHERE USER_ID = ? AND DIGEST = ?', [userId, digest]);
+                    return null;
+                }
+
+                const current = await tx.execute(
+                    'SELECT USER_ID FROM DIGEST_SUBSCRIPTIONS WHERE USER_ID = ? AND DIGEST = ? FOR UPDATE',
+                    [userId, digest]
+                );
+                if (current.length > 0) {
+                    await tx.execute(
+                        'UPDATE DIGEST_SUBSCRIPTIONS SET FREQUENCY = ?, UPDATED_AT = CURRENT_TIMESTAMP WHERE USER_ID = ? AND DIGEST = ?',
+                        [frequency, userId, digest]
+                    );
+                } else {
+                    await tx.execute(
+                        'INSERT INTO DIGEST_SUBSCRIPTIONS (USER_ID, DIGEST, FREQUENCY, LAST_SENT_AT) VALUES (?, ?, ?, ?)',
+                        [userId, digest, frequency, lastSentAt]
+                    );
+                }
+
+                const results = await tx.execute(
+                    `SELECT ${DIGEST_SUBSCRIPTION_COLUMNS} FROM DIGEST_SUBSCRIPTIONS WHERE USER_ID = ? AND DIGEST = ?`,
+                    [userId, digest]
+                );
+                return this.transformDigestSubscription(results[0]);
+            });
+        } catch (error) {
+            console.error('Error updating digest subscription:', error);
+            throw new Error('Failed to update digest subscription');
+        }
+    }
+
+    async markDigestSent(userId, digest, sentAt) {
+        await this.ensureInitialized();
+
+        try {
+            await hanaConnection.execute(
+                'UPDATE DIGEST_SUBSCRIPTIONS SET LAST_SENT_AT = ? WHERE USER_ID = ? AND DIGEST = ?',
+                [sentAt, userId, digest]
+            );
+        } catch (error) {
+            console.error('Error recording digest delivery:', error);
+            throw new Error('Failed to record digest delivery');
+        }
+    }
+
+    async createNotification(notification) {
+        await this.ensureInitialized();
+
+        try {
+            await hanaConnection.execute(`
+                INSERT INTO NOTIFICATIONS (ID, USER_ID, EVENT_TYPE, ACCOMPLISHMENT_ID, COMMENT_ID, ACTOR_EMAIL, ACTOR_NAME, EXCERPT)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                notification.id,
+                notification.userId,
+                notification.eventType,
+                notification.accomplishmentId,
+                notification.commentId || null,
+                notification.actorEmail,
+                notification.actorName || null,
+                notification.excerpt || null
+            ]);
+
+            const results = await hanaConnection.execute(`SELECT ${NOTIFICATION_COLUMNS} FROM NOTIFICATIONS WHERE ID = ?`, [notification.id]);
+            return this.transformNotification(results[0]);
+        } catch (error) {
+            console.error('Error creating notification:', error);
+            throw new Error('Failed to create notification');
+        }
+    }
+
+    async getNotifications(userId, options = {}) {
+        await this.ensureInitialized();
+
+        const params = [userId];
+        let sql = `SELECT ${NOTIFICATION_COLUMNS} FROM NOTIFICATIONS WHERE USER_ID = ? AND RETRACTED_AT IS NULL`;
+        if (options.unreadOnly) {
+            sql += ' AND READ_AT IS NULL';
+        }
+
+        try {
+            const results = await hanaConnection.execute(this.applyPagination(sql, params, options), params);
+            return toPage(results.map(row => this.transformNotification(row)), options.limit || DEFAULT_PAGE_SIZE);
+        } catch (error) {
+            console.error('Error getting notifications:', error);
+            throw new Error('Failed to retrieve notifications');
+        }
+    }
+
+    async countUnreadNotifications(userId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(
+                'SELECT COUNT(*) AS UNREAD FROM NOTIFICATIONS WHERE USER_ID = ? AND READ_AT IS NULL AND RETRACTED_AT IS NULL',
+                [userId]
+            );
+            return Number(results[0].UNREAD);
+        } catch (error) {
+            console.error('Error counting notifications:', error);
+            throw new Error('Failed to count notifications');
+        }
+    }
+
+    async markNotificationsRead(userId, ids = null) {
+        await this.ensureInitialized();
+
+        if (Array.isArray(ids) && ids.length === 0) {
+            return 0;
+        }
+
+        const params = [userId];
+        let where = 'WHERE USER_ID = ? AND READ_AT IS NULL AND RETRACTED_AT IS NULL';
+        if (ids !== null) {
+            where += ` AND ID IN (${ids.map(() => '?').join(', ')})`;
+            params.push(...ids);
+        }
+
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                const unread = await tx.execute(`SELECT COUNT(*) AS UNREAD FROM NOTIFICATIONS ${where}`, params);
+                await tx.execute(`UPDATE NOTIFICATIONS SET READ_AT = CURRENT_TIMESTAMP ${where}`, params);
+                return Number(unread[0].UNREAD);
+            });
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            throw new Error('Failed to update notifications');
+        }
+    }
+
+    async retractNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        await this.ensureInitialized();
+
+        try {
+            await hanaConnection.execute(`
+                UPDATE NOTIFICATIONS SET RETRACTED_AT = CURRENT_TIMESTAMP
+                WHERE USER_ID = ? AND EVENT_TYPE = ? AND ACCOMPLISHMENT_ID = ? AND ACTOR_EMAIL = ?
+                AND READ_AT IS NULL AND RETRACTED_AT IS NULL
+            `, [userId, eventType, accomplishmentId, actorEmail]);
+        } catch (error) {
+            console.error('Error retracting notifications:', error);
+            throw new Error('Failed to update notifications');
+        }
+    }
+
+    async restoreNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        await this.ensureInitialized();
+
+        const where = 'WHERE USER_ID = ? AND EVENT_TYPE = ? AND ACCOMPLISHMENT_ID = ? AND ACTOR_EMAIL = ?';
+        const params = [userId, eventType, accomplishmentId, actorEmail];
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                const existing = await tx.execute(`SELECT COUNT(*) AS EXISTING FROM NOTIFICATIONS ${where}`, params);
+                await tx.execute(`UPDATE NOTIFICATIONS SET RETRACTED_AT = NULL ${where} AND RETRACTED_AT IS NOT NULL`, params);
+                return Number(existing[0].EXISTING) > 0;
+            });
+        } catch (error) {
+            console.error('Error restoring notifications:', error);
+            throw new Error('Failed to update notifications');
+        }
+    }
+
+    async getNotificationPreferences(userId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(
+                'SELECT EVENT_TYPE, EMAIL FROM NOTIFICATION_PREFERENCES WHERE USER_ID = ?',
+                [userId]
+            );
+            return results.map(row => ({ eventType: row.EVENT_TYPE, email: row.EMAIL === 1 }));
+        } catch (error) {
+            console.error('Error getting notification preferences:', error);
+            throw new Error('Failed to retrieve notification preferences');
+        }
+    }
+
+    async setNotificationPreference(userId, eventType, email) {
+        await this.ensureInitialized();
+
+        try {
+            await hanaConnection.execute(`
+                UPSERT NOTIFICATION_PREFERENCES (USER_ID, EVENT_TYPE, EMAIL, UPDATED_AT)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP) WITH PRIMARY KEY
+            `, [userId, eventType, email ? 1 : 0]);
+        } catch (error) {
+            console.error('Error updating notification preference:', error);
+            throw new Error('Failed to update notification preference');
+        }
+    }
+
+    async getImpactCategories(includeInactive = false) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`
+                SELECT ${IMPACT_CATEGORY_COLUMNS} FROM IMPACT_CATEGORIES
+                ${includeInactive ? '' : 'WHERE ACTIVE = 1'}
+                ORDER BY SORT_ORDER, LABEL
+            `);
+            return results.map(row => this.transformImpactCategory(row));
+        } catch (error) {
+            console.error('Error getting impact categories:', error);
+            throw new Error('Failed to retrieve impact categories');
+        }
+    }
+
+    async getImpactCategory(id) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`SELECT ${IMPACT_CATEGORY_COLUMNS} FROM IMPACT_CATEGORIES WHERE ID = ?`, [id]);
+            return results.length > 0 ? this.transformImpactCategory(results[0]) : null;
+        } catch (error) {
+            console.error('Error getting impact category:', error);
+            throw new Error('Failed to retrieve impact category');
+        }
+    }
+
+    async createImpactCategory(category) {
+        await this.ensureInitialized();
+
+        const columns = this.impactCategoryColumns(category);
+        const sql = `
+            INSERT INTO IMPACT_CATEGORIES (ID${columns.map(([column]) => `, ${column}`).join('')})
+            VALUES (?${columns.map(() => ', ?').join('')})
+        `;
+
+        try {
+            await hanaConnection.execute(sql, [category.id, ...columns.map(([, value]) => value)]);
+            console.log(`🏷️ Created impact category: ${category.id}`);
+            return this.getImpactCategory(category.id);
+        } catch (error) {
+            console.error('Error creating impact category:', error);
+            throw new Error('Failed to create impact category');
+        }
+    }
+
+    async updateImpactCategory(id, changes) {
+        await this.ensureInitialized();
+
+        const columns = this.impactCategoryColumns(changes);
+        if (columns.length > 0) {
+            try {
+                await hanaConnection.execute(`
+                    UPDATE IMPACT_CATEGORIES 
+                    SET ${columns.map(([column]) => `${column} = ?, `).join('')}UPDATED_AT = CURRENT_TIMESTAMP
+                    WHERE ID = ?
+                `, [...columns.map(([, value]) => value), id]);
+            } catch (error) {
+                console.error('Error updating impact category:', error);
+                throw new Error('Failed to update impact category');
+            }
+        }
+
+        return this.getImpactCategory(id);
+    }
+
+    // Load the skill tags of a batch of accomplishments in one query
+    async attachTags(accomplishments) {
+        if (accomplishments.length === 0) {
+            return accomplishments;
+        }
+
+        const sql = `
+            SELECT ACCOMPLISHMENT_ID, TAG
+            FROM ACCOMPLISHMENT_TAGS
+            WHERE ACCOMPLISHMENT_ID IN (${accomplishments.map(() => '?').join(', ')})
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, accomplishments.map(a => a.id));
+            return this.withTags(accomplishments, results);
+        } catch (error) {
+            console.error('Error getting tags:', error);
+            throw new Error('Failed to retrieve tags');
+        }
+    }
+
+    // Store already-normalized tags on the transaction's connection
+    async insertTags(tx, accomplishmentId, tags) {
+        for (const tag of tags) {
+            await tx.execute(
+                'INSERT INTO ACCOMPLISHMENT_TAGS (ACCOMPLISHMENT_ID, TAG_KEY, TAG) VALUES (?, ?, ?)',
+                [accomplishmentId, tagKey(tag), tag]
+            );
+        }
+    }
+
+    async setTags(accomplishmentId, tags) {
+        await this.ensureInitialized();
+
+        const normalized = normalizeTags(tags);
+
+        try {
+            const exists = await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute('SELECT ID FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE', [accomplishmentId]);
+                if (current.length === 0) {
+                    return false;
+                }
+
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_TAGS WHERE ACCOMPLISHMENT_ID = ?', [accomplishmentId]);
+                await this.insertTags(tx, accomplishmentId, normalized);
+                return true;
+            });
+
+            return exists ? normalized : null;
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            throw new Error('Failed to save tags');
+        }
+    }
+
+    async getPopularTags(limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        // Tags group case-insensitively; MAX(TAG) picks one of the spellings used
+        const sql = `
+            SELECT TAG_KEY, MAX(TAG) as TAG, COUNT(*) as USAGE_COUNT
+            FROM ACCOMPLISHMENT_TAGS
+            GROUP BY TAG_KEY
+            ORDER BY USAGE_COUNT DESC, TAG_KEY
+            LIMIT ${limit}
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql);
+            return results.map(row => ({ tag: row.TAG, count: Number(row.USAGE_COUNT) }));
+        } catch (error) {
+            console.error('Error getting popular tags:', error);
+            throw new Error('Failed to retrieve tags');
+        }
+    }
+
+    // Load the attachment metadata of a batch of accomplishments in one query
+    async attachAttachments(accomplishments) {
+        if (accomplishments.length === 0) {
+            return accomplishments;
+        }
+
+        const sql = `
+            SELECT ${ATTACHMENT_COLUMNS}
+            FROM ACCOMPLISHMENT_ATTACHMENTS
+            WHERE ACCOMPLISHMENT_ID IN (${accomplishments.map(() => '?').join(', ')})
+            ORDER BY CREATED_AT ASC, ID ASC
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, accomplishments.map(a => a.id));
+            return this.withAttachments(accomplishments, results);
+        } catch (error) {
+            console.error('Error getting attachments:', error);
+            throw new Error('Failed to retrieve attachments');
+        }
+    }
+
+    async getAttachments(accomplishmentId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`
+                SELECT ${ATTACHMENT_COLUMNS} FROM ACCOMPLISHMENT_ATTACHMENTS
+                WHERE ACCOMPLISHMENT_ID = ?
+                ORDER BY CREATED_AT ASC, ID ASC
+            `, [accomplishmentId]);
+            return results.map(row => this.transformAttachment(row));
+        } catch (error) {
+            console.error('Error getting attachments:', error);
+            throw new Error('Failed to retrieve attachments');
+        }
+    }
+
+    async getAttachmentById(attachmentId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(
+                `SELECT ${ATTACHMENT_COLUMNS} FROM ACCOMPLISHMENT_ATTACHMENTS WHERE ID = ?`,
+                [attachmentId]
+            );
+            return results.length > 0 ? this.transformAttachment(results[0]) : null;
+        } catch (error) {
+            console.error('Error getting attachment:', error);
+            throw new Error('Failed to retrieve attachment');
+        }
+    }
+
+    async addAttachment(accomplishmentId, attachment) {
+        await this.ensureInitialized();
+
+        try {
+            const added = await hanaConnection.withTransaction(async (tx) => {
+                const current = await tx.execute('SELECT ID FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE', [accomplishmentId]);
+                if (current.length === 0) {
+                    return false;
+                }
+
+                await tx.execute(`
+                    INSERT INTO ACCOMPLISHMENT_ATTACHMENTS (
+                        ID, ACCOMPLISHMENT_ID, FILE_NAME, MIME_TYPE, SIZE_BYTES, STORAGE_KEY, THUMBNAIL_KEY, UPLOADED_BY
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    attachment.id,
+                    accomplishmentId,
+                    attachment.fileName,
+                    attachment.mimeType,
+                    attachment.sizeBytes,
+                    attachment.storageKey,
+                    attachment.thumbnailKey || null,
+                    this.normalizeEmail(attachment.uploadedBy)
+                ]);
+                return true;
+            });
+
+            return added ? this.getAttachmentById(attachment.id) : null;
+        } catch (error) {
+            console.error('Error adding attachment:', error);
+            throw new Error('Failed to add attachment');
+        }
+    }
+
+    async deleteAttachment(attachmentId) {
+        await this.ensureInitialized();
+
+        try {
+            const existing = await this.getAttachmentById(attachmentId);
+            if (!existing) {
+                return false;
+            }
+            await hanaConnection.execute('DELETE FROM ACCOMPLISHMENT_ATTACHMENTS WHERE ID = ?', [attachmentId]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            throw new Error('Failed to delete attachment');
+        }
+    }
+
+    // One pass over submissions and one over reactions, each bucketed by the grouping key
+    async getRecognitionStats(groupBy, period) {
+        await this.ensureInitialized();
+
+        const groupKey = RECOGNITION_GROUP_KEYS[groupBy];
+        if (!groupKey) {
+            throw new Error(`Unknown analytics grouping '${groupBy}'`);
+        }
+
+        const sql = `
+            SELECT GROUP_KEY, SUM(SUBMISSIONS) as SUBMISSIONS, SUM(CONGRATULATIONS) as CONGRATULATIONS, SUM(VOTES) as VOTES
+            FROM (
+                SELECT ${groupKey('a.CREATED_AT')} as GROUP_KEY, 1 as SUBMISSIONS, 0 as CONGRATULATIONS, 0 as VOTES
+                FROM ACCOMPLISHMENTS a
+                LEFT JOIN USERS u ON u.ID = a.AUTHOR_ID
+                WHERE a.STATUS = ? AND a.CREATED_AT >= ? AND a.CREATED_AT < ?
+                UNION ALL
+                SELECT ${groupKey('r.CREATED_AT')} as GROUP_KEY, 0 as SUBMISSIONS,
+                    CASE WHEN r.REACTION_TYPE = 'congratulations' THEN 1 ELSE 0 END as CONGRATULATIONS,
+                    CASE WHEN r.REACTION_TYPE = 'vote' THEN 1 ELSE 0 END as VOTES
+                FROM ACCOMPLISHMENT_REACTIONS r
+                INNER JOIN ACCOMPLISHMENTS a ON a.ID = r.ACCOMPLISHMENT_ID
+                LEFT JOIN USERS u ON u.ID = a.AUTHOR_ID
+                WHERE a.STATUS = ? AND r.CREATED_AT >= ? AND r.CREATED_AT < ?
+            )
+            GROUP BY GROUP_KEY
+        `;
+        const window = [ACCOMPLISHMENT_STATUS.PUBLISHED, period.start, period.end];
+
+        try {
+            const results = await hanaConnection.execute(sql, [...window, ...window]);
+            return results.map(row => ({
+                key: row.GROUP_KEY ?? null,
+                submissions: Number(row.SUBMISSIONS),
+                congratulations: Number(row.CONGRATULATIONS),
+                votes: Number(row.VOTES)
+            }));
+        } catch (error) {
+            console.error('Error getting recognition stats:', error);
+            throw new Error('Failed to retrieve analytics');
+        }
+    }
+
+    // Flag which accomplishments the viewer has already congratulated or voted on
+    async attachViewerReactions(accomplishments, viewerEmail) {
+        const viewer = this.normalizeEmail(viewerEmail);
+        if (!viewer || accomplishments.length === 0) {
+            return accomplishments;
+        }
+
+        const sql = `
+            SELECT ACCOMPLISHMENT_ID, REACTION_TYPE
+            FROM ACCOMPLISHMENT_REACTIONS
+            WHERE USER_ID = ?
+            AND ACCOMPLISHMENT_ID IN (${accomplishments.map(() => '?').join(', ')})
+        `;
+
+        try {
+            const results = await hanaConnection.execute(sql, [viewer, ...accomplishments.map(a => a.id)]);
+            const reacted = new Set(results.map(row => `${row.ACCOMPLISHMENT_ID}:${row.REACTION_TYPE}`));
+
+            return accomplishments.map(accomplishment => ({
+                ...accomplishment,
+                userCongratulated: reacted.has(`${accomplishment.id}:congratulations`),
+                userVoted: reacted.has(`${accomplishment.id}:vote`)
+            }));
+        } catch (error) {
+            console.error('Error getting viewer reactions:', error);
+            throw new Error('Failed to retrieve reactions');
+        }
+    }
+
+    async getComments(accomplishmentId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(`
+                SELECT ${COMMENT_COLUMNS} FROM ACCOMPLISHMENT_COMMENTS
+                WHERE ACCOMPLISHMENT_ID = ?
+                ORDER BY CREATED_AT ASC, ID ASC
+            `, [accomplishmentId]);
+            return results.map(row => this.transformComment(row));
+        } catch (error) {
+            console.error('Error getting comments:', error);
+            throw new Error('Failed to retrieve comments');
+        }
+    }
+
+    async getCommentById(commentId) {
+        await this.ensureInitialized();
+
+        try {
+            const results = await hanaConnection.execute(
+                `SELECT ${COMMENT_COLUMNS} FROM ACCOMPLISHMENT_COMMENTS WHERE ID = ?`,
+                [commentId]
+            );
+            return results.length > 0 ? this.transformComment(results[0]) : null;
+        } catch (error) {
+            console.error('Error getting comment:', error);
+            throw new Error('Failed to retrieve comment');
+        }
+    }
+
+    // Recount an accomplishment's comments into COMMENTS_COUNT and return the new value
+    async syncCommentsCount(tx, accomplishmentId) {
+        await tx.execute(`
+            UPDATE ACCOMPLISHMENTS
+            SET COMMENTS_COUNT = (SELECT COUNT(*) FROM ACCOMPLISHMENT_COMMENTS WHERE ACCOMPLISHMENT_ID = ?)
+            WHERE ID = ?
+        `, [accomplishmentId, accomplishmentId]);
+
+        const countResult = await tx.execute(
+            'SELECT COMMENTS_COUNT as COUNT FROM ACCOMPLISHMENTS WHERE ID = ?',
+            [accomplishmentId]
+        );
+        return countResult[0]?.COUNT || 0;
+    }
+
+    async addComment(accomplishmentId, comment) {
+        await this.ensureInitialized();
+
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        try {
+            const commentsCount = await hanaConnection.withTransaction(async (tx) => {
+                const lockResult = await tx.execute(
+                    'SELECT ID FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE',
+                    [accomplishmentId]
+                );
+                if (lockResult.length === 0) {
+                    return null;
+                }
+
+                await tx.execute(`
+                    INSERT INTO ACCOMPLISHMENT_COMMENTS (ID, ACCOMPLISHMENT_ID, USER_ID, USER_NAME, BODY, CREATED_AT, UPDATED_AT)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [id, accomplishmentId, this.normalizeEmail(comment.userId), comment.userName, comment.body, now, now]);
+
+                return this.syncCommentsCount(tx, accomplishmentId);
+            });
+
+            if (commentsCount === null) {
+                return null;
+            }
+            return { comment: await this.getCommentById(id), commentsCount };
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            throw new Error('Failed to add comment');
+        }
+    }
+
+    async updateComment(commentId, body) {
+        await this.ensureInitialized();
+
+        try {
+            await hanaConnection.execute(
+                'UPDATE ACCOMPLISHMENT_COMMENTS SET BODY = ?, UPDATED_AT = CURRENT_TIMESTAMP WHERE ID = ?',
+                [body, commentId]
+            );
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            throw new Error('Failed to update comment');
+        }
+
+        return this.getCommentById(commentId);
+    }
+
+    async deleteComment(commentId) {
+        await this.ensureInitialized();
+
+        try {
+            return await hanaConnection.withTransaction(async (tx) => {
+                const existing = await tx.execute(
+                    'SELECT ACCOMPLISHMENT_ID FROM ACCOMPLISHMENT_COMMENTS WHERE ID = ?',
+                    [commentId]
+                );
+                if (existing.length === 0) {
+                    return null;
+                }
+
+                const accomplishmentId = existing[0].ACCOMPLISHMENT_ID;
+                await tx.execute('SELECT ID FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE', [accomplishmentId]);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_COMMENTS WHERE ID = ?', [commentId]);
+                await tx.execute('DELETE FROM NOTIFICATIONS WHERE COMMENT_ID = ?', [commentId]);
+                return { commentsCount: await this.syncCommentsCount(tx, accomplishmentId) };
+            });
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            throw new Error('Failed to delete comment');
+        }
+    }
+
+    // Add the user's reaction if missing, remove it otherwise, then resync the stored counter.
+    // Runs in one transaction; the accomplishment row is locked so concurrent toggles serialize.
+    // Resolves to null when the accomplishment doesn't exist.
+    async toggleReaction(accomplishmentId, userEmail, reactionType, countColumn) {
+        const user = this.normalizeEmail(userEmail);
+
+        return hanaConnection.withTransaction(async (tx) => {
+            const lockResult = await tx.execute(
+                'SELECT ID FROM ACCOMPLISHMENTS WHERE ID = ? FOR UPDATE',
+                [accomplishmentId]
+            );
+            if (lockResult.length === 0) {
+                return null;
+            }
+
+            const reactionResult = await tx.execute(`
+                SELECT COUNT(*) as COUNT FROM ACCOMPLISHMENT_REACTIONS
+                WHERE ACCOMPLISHMENT_ID = ? AND USER_ID = ? AND REACTION_TYPE = ?
+            `, [accomplishmentId, user, reactionType]);
+            const alreadyReacted = reactionResult[0]?.COUNT > 0;
+
+            if (alreadyReacted) {
+                await tx.execute(`
+                    DELETE FROM ACCOMPLISHMENT_REACTIONS
+                    WHERE ACCOMPLISHMENT_ID = ? AND USER_ID = ? AND REACTION_TYPE = ?
+                `, [accomplishmentId, user, reactionType]);
+            } else {
+                await tx.execute(`
+                    INSERT INTO ACCOMPLISHMENT_REACTIONS (ACCOMPLISHMENT_ID, USER_ID, REACTION_TYPE, CREATED_AT)
+                    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                `, [accomplishmentId, user, reactionType]);
+            }
+
+            // Recount from the reactions table so repeated clicks can never inflate the counter
+            await tx.execute(`
+                UPDATE ACCOMPLISHMENTS
+                SET ${countColumn} = (
+                    SELECT COUNT(*) FROM ACCOMPLISHMENT_REACTIONS
+                    WHERE ACCOMPLISHMENT_ID = ? AND REACTION_TYPE = ?
+                )
+                WHERE ID = ?
+            `, [accomplishmentId, reactionType, accomplishmentId]);
+
+            const countResult = await tx.execute(
+                `SELECT ${countColumn} as COUNT FROM ACCOMPLISHMENTS WHERE ID = ?`,
+                [accomplishmentId]
+            );
+
+            return {
+                count: countResult[0]?.COUNT || 0,
+                active: !alreadyReacted
+            };
+        });
+    }
+
+    // Toggle congratulations on an accomplishment
+    async toggleCongratulations(accomplishmentId, userEmail) {
+        await this.ensureInitialized();
+
+        try {
+            const result = await this.toggleReaction(accomplishmentId, userEmail, 'congratulations', 'CONGRATULATIONS_COUNT');
+            if (!result) {
+                return null;
+            }
+            return {
+                congratulationsCount: result.count,
+                userCongratulated: result.active
+            };
+        } catch (error) {
+            console.error('Error toggling congratulations:', error);
+            throw new Error('Failed to update congratulations');
+        }
+    }
+
+    // Toggle vote on an accomplishment
+    async toggleVote(accomplishmentId, userEmail) {
+        await this.ensureInitialized();
+
+        try {
+            const result = await this.toggleReaction(accomplishmentId, userEmail, 'vote', 'VOTES_COUNT');
+            if (!result) {
+                return null;
+            }
+            return {
+                votesCount: result.count,
+                userVoted: result.active
+            };
+        } catch (error) {
+            console.error('Error toggling vote:', error);
+            throw new Error('Failed to update vote');
+        }
+    }
+
+    // Clear all data (for testing)
+    async clearData() {
+        await this.ensureInitialized();
+
+        try {
+            const attachments = await hanaConnection.withTransaction(async (tx) => {
+                const rows = await tx.execute(`SELECT ${ATTACHMENT_COLUMNS} FROM ACCOMPLISHMENT_ATTACHMENTS`);
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_REACTIONS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_COMMENTS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_TAGS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_ATTACHMENTS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_EMBEDDINGS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENT_REVISIONS');
+                await tx.execute('DELETE FROM ACCOMPLISHMENTS');
+                await tx.execute('DELETE FROM NOTIFICATIONS');
+                await tx.execute('DELETE FROM NOTIFICATION_PREFERENCES');
+                await tx.execute('DELETE FROM DIGEST_SUBSCRIPTIONS');
+                await tx.execute('DELETE FROM USERS');
+                return rows.map(row => this.transformAttachment(row));
+            });
+            await hanaSchema.insertSampleData();
+            console.log('✅ Data cleared and sample data restored');
+            return attachments;
+        } catch (error) {
+            console.error('Error clearing data:', error);
+            throw new Error('Failed to clear data');
+        }
+    }
+
+    // Get connection status
+    async getStatus() {
+        try {
+            const isConnected = hanaConnection.isConnected();
+            const testQuery = await hanaConnection.execute('SELECT 1 as TEST FROM DUMMY');
+
+            return {
+                connected: isConnected,
+                queryTest: testQuery.length > 0,
+                initialized: this.initialized
+            };
+        } catch (error) {
+            return {
+                connected: false,
+                queryTest: false,
+                initialized: this.initialized,
+                error: error.message
+            };
+        }
+    }
+
+    // Close database connection
+    async disconnect() {
+        await hanaConnection.disconnect();
+        this.initialized = false;
+    }
+}
+
+module.exports = HanaDBServer;
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Default Impact Categories
+ * Seed records shared by the HANA migration and the in-memory database.
+ * Administrators can edit, add or deactivate categories afterwards through the API.
+ */
+
+module.exports = [
+    {
+        id: 'team',
+        label: 'Team',
+        description: 'Helped colleagues or the team work better',
+        icon: '🤝',
+        promptGuidance: 'Emphasize how the work helped colleagues or the team: collaboration, knowledge shared, unblocked work and collective success.',
+        sortOrder: 10
+    },
+    {
+        id: 'customer',
+        label: 'Customer',
+        description: 'Directly helped a customer succeed',
+        icon: '🎯',
+        promptGuidance: 'Emphasize the direct effect on the customer: the problem solved, business operations protected and any appreciation the customer expressed.',
+        sortOrder: 20
+    },
+    {
+        id: 'innovation',
+        label: 'Innovation',
+        description: 'Built or tried something new',
+        icon: '💡',
+        promptGuidance: 'Emphasize what was new: the idea, the experiment or prototype, and what it makes possible going forward.',
+        sortOrder: 30
+    },
+    {
+        id: 'process',
+        label: 'Process Improvement',
+        description: 'Made a process faster, cheaper or more reliable',
+        icon: '⚙️',
+        promptGuidance: 'Emphasize the before and after: time or effort saved, errors avoided, and who benefits from the improved process.',
+        sortOrder: 40
+    },
+    {
+        id: 'community',
+        label: 'Community',
+        description: 'Contributed to the wider company or external community',
+        icon: '🌍',
+        promptGuidance: 'Emphasize the contribution beyond the immediate team: events, volunteering, open source, mentoring programs or internal communities.',
+        sortOrder: 50
+    },
+    {
+        id: 'sales',
+        label: 'Sales',
+        description: 'Helped win, renew or grow business',
+        icon: '📈',
+        promptGuidance: 'Emphasize the business outcome: the deal or renewal supported, the customer need addressed and the contribution to closing it. Do not invent deal values.',
+        sortOrder: 60
+    }
+];
@@ -0,0 +1,1017 @@
+/**
+ * Database Server Module (In-Memory Version)
+ * Keeps all records in process memory so the app can run locally or in tests
+ * without a HANA Cloud instance. Rows use the same column names as the HANA
+ * tables so both adapters share transformAccomplishment().
+ */
+
+const crypto = require('crypto');
+const BaseDBServer = require('./base-db-server');
+const { ACCOMPLISHMENT_STATUS, USER_ROLES } = BaseDBServer;
+const sampleData = require('./sample-data');
+const defaultImpactCategories = require('./impact-categories');
+const { DEFAULT_PAGE_SIZE, toPage } = require('./pagination');
+const { scoreAccomplishment, cosineSimilarity } = require('./search');
+const { tagKey, normalizeTags } = require('./tags');
+const { weekStart } = require('./analytics');
+
+class MemoryDBServer extends BaseDBServer {
+    constructor(options = {}) {
+        super();
+        this.adapterName = 'memory';
+        this.seed = options.seed !== undefined ? options.seed : process.env.DB_SEED !== 'false';
+        this.resetTables();
+    }
+
+    resetTables() {
+        this.tables = {
+            ACCOMPLISHMENTS: [],
+            ACCOMPLISHMENT_REACTIONS: [],
+            ACCOMPLISHMENT_EMBEDDINGS: [],
+            ACCOMPLISHMENT_REVISIONS: [],
+            ACCOMPLISHMENT_COMMENTS: [],
+            ACCOMPLISHMENT_TAGS: [],
+            ACCOMPLISHMENT_ATTACHMENTS: [],
+            USERS: [],
+            DIGEST_SUBSCRIPTIONS: [],
+            NOTIFICATIONS: [],
+            NOTIFICATION_PREFERENCES: [],
+            IMPACT_CATEGORIES: this.defaultImpactCategoryRows()
+        };
+    }
+
+    // Same seed rows as migration 010
+    defaultImpactCategoryRows() {
+        const now = new Date().toISOString();
+        return defaultImpactCategories.map(category => ({
+            ID: category.id,
+            LABEL: category.label,
+            DESCRIPTION: category.description,
+            ICON: category.icon,
+            PROMPT_GUIDANCE: category.promptGuidance,
+            SORT_ORDER: category.sortOrder,
+            ACTIVE: 1,
+            CREATED_AT: now,
+            UPDATED_AT: now
+        }));
+    }
+
+    // Nothing to connect to - optionally seed the sample accomplishments
+    async connect() {
+        if (this.seed && this.tables.ACCOMPLISHMENTS.length === 0) {
+            this.insertSampleData();
+        }
+    }
+
+    insertSampleData() {
+        sampleData.forEach(data => this.insertRow(data));
+        console.log(`🌱 Seeded ${sampleData.length} sample accomplishments in memory`);
+    }
+
+    insertRow(accomplishment) {
+        const now = new Date().toISOString();
+        this.tables.ACCOMPLISHMENTS.push({
+            ID: accomplishment.id,
+            USER_ID: this.normalizeEmail(accomplishment.userId),
+            USER_NAME: accomplishment.userName,
+            AUTHOR_ID: accomplishment.authorId || this.ensureUserRow(accomplishment.userId, accomplishment.userName).ID,
+            NOMINATOR_ID: accomplishment.nominatorId || null,
+            STATUS: accomplishment.status || ACCOMPLISHMENT_STATUS.PUBLISHED,
+            ORIGINAL_STATEMENT: accomplishment.originalStatement,
+            EMAIL_APPRECIATION: accomplishment.responses?.emailAppreciation || accomplishment.emailAppreciation || '',
+            IMPACT_TYPE: accomplishment.impactType || accomplishment.responses?.impactType,
+            ADDITIONAL_DETAILS: accomplishment.responses?.additionalDetails || accomplishment.additionalDetails || '',
+            AI_GENERATED_STATEMENT: accomplishment.aiGeneratedStatement,
+            CONGRATULATIONS_COUNT: 0,
+            VOTES_COUNT: 0,
+            COMMENTS_COUNT: 0,
+            CREATED_AT: accomplishment.createdAt || now,
+            UPDATED_AT: now
+        });
+        this.insertTags(accomplishment.id, normalizeTags(accomplishment.tags));
+    }
+
+    insertTags(accomplishmentId, tags) {
+        tags.forEach(tag => this.tables.ACCOMPLISHMENT_TAGS.push({
+            ACCOMPLISHMENT_ID: accomplishmentId,
+            TAG_KEY: tagKey(tag),
+            TAG: tag,
+            CREATED_AT: new Date().toISOString()
+        }));
+    }
+
+    findUserRow(id) {
+        return this.tables.USERS.find(row => row.ID === id);
+    }
+
+    // Sample authors get a USERS row on first use, like authors submitting through the API
+    ensureUserRow(email, displayName) {
+        const normalized = this.normalizeEmail(email);
+        const existing = this.tables.USERS.find(row => row.EMAIL === normalized);
+        if (existing) {
+            return existing;
+        }
+
+        const now = new Date().toISOString();
+        const row = {
+            ID: crypto.randomUUID(),
+            EMAIL: normalized,
+            DISPLAY_NAME: displayName || normalized,
+            TITLE: null,
+            DEPARTMENT: null,
+            MANAGER_ID: null,
+            AVATAR_URL: null,
+            ROLE: USER_ROLES.EMPLOYEE,
+            CREATED_AT: now,
+            UPDATED_AT: now
+        };
+        this.tables.USERS.push(row);
+        return row;
+    }
+
+    // Transform an accomplishment row along with its author's and nominator's profiles
+    transformRow(row) {
+        return this.transformAccomplishment(row, this.findUserRow(row.AUTHOR_ID), this.findUserRow(row.NOMINATOR_ID));
+    }
+
+    // Same ordering as the HANA queries: newest first, ties broken by ID
+    sortRows(rows) {
+        return [...rows].sort((a, b) =>
+            this.compareDesc(a.CREATED_AT, b.CREATED_AT) || this.compareDesc(a.ID, b.ID)
+        );
+    }
+
+    compareDesc(a, b) {
+        const left = String(a);
+        const right = String(b);
+        return left < right ? 1 : left > right ? -1 : 0;
+    }
+
+    findRow(id) {
+        return this.tables.ACCOMPLISHMENTS.find(row => row.ID === id);
+    }
+
+    toAccomplishments(rows, viewerEmail) {
+        const transformed = this.sortRows(rows).map(row => this.transformRow(row));
+        return this.attachViewerReactions(this.attachAttachments(this.attachTags(transformed)), viewerEmail);
+    }
+
+    // Keyset pagination identical to the HANA adapter: rows strictly after the cursor
+    toPageOfAccomplishments(rows, viewerEmail, pagination = {}) {
+        const limit = pagination.limit || DEFAULT_PAGE_SIZE;
+        const cursor = pagination.cursor;
+
+        let sorted = this.sortRows(rows);
+        if (cursor) {
+            sorted = sorted.filter(row => {
+                const createdAt = String(row.CREATED_AT);
+                return createdAt < cursor.createdAt ||
+                    (createdAt === cursor.createdAt && String(row.ID) < cursor.id);
+            });
+        }
+
+        const page = toPage(sorted.slice(0, limit + 1).map(row => this.transformRow(row)), limit);
+        page.items = this.attachViewerReactions(this.attachAttachments(this.attachTags(page.items)), viewerEmail);
+        return page;
+    }
+
+    async getAllAccomplishments(viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+        return this.toPageOfAccomplishments(this.publishedRows(), viewerEmail, pagination);
+    }
+
+    async getAccomplishmentsByUser(userId, viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+        return this.toPageOfAccomplishments(
+            this.publishedRows().filter(row => row.USER_ID === userId),
+            viewerEmail,
+            pagination
+        );
+    }
+
+    publishedRows() {
+        return this.tables.ACCOMPLISHMENTS.filter(row => row.STATUS === ACCOMPLISHMENT_STATUS.PUBLISHED);
+    }
+
+    // Mirrors the HANA filter: status, date range, partial case-insensitive user match, author(s),
+    // nominator, impact type, tag
+    matchesFilters(row, filters = {}) {
+        if (!this.statusesFor(filters).includes(row.STATUS)) {
+            return false;
+        }
+        if (filters.startDate && String(row.CREATED_AT) < filters.startDate) {
+            return false;
+        }
+        if (filters.endDate && String(row.CREATED_AT) > `${filters.endDate}T23:59:59.999Z`) {
+            return false; // Include full end date
+        }
+        if (filters.user) {
+            const userPattern = filters.user.toUpperCase();
+            if (!String(row.USER_NAME).toUpperCase().includes(userPattern) &&
+                !String(row.USER_ID).toUpperCase().includes(userPattern)) {
+                return false;
+            }
+        }
+        if (filters.userId && row.USER_ID !== filters.userId) {
+            return false;
+        }
+        if (Array.isArray(filters.authorIds) && !filters.authorIds.includes(row.AUTHOR_ID)) {
+            return false;
+        }
+        if (filters.nominatorId && row.NOMINATOR_ID !== filters.nominatorId) {
+            return false;
+        }
+        if (filters.impactType && row.IMPACT_TYPE !== filters.impactType) {
+            return false;
+        }
+        if (filters.tag) {
+            const key = tagKey(filters.tag);
+            if (!this.tables.ACCOMPLISHMENT_TAGS.some(tag => tag.ACCOMPLISHMENT_ID === row.ID && tag.TAG_KEY === key)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    async filterAccomplishments(filters = {}, viewerEmail, pagination = {}) {
+        await this.ensureInitialized();
+
+        const rows = this.tables.ACCOMPLISHMENTS.filter(row => this.matchesFilters(row, filters));
+        return this.toPageOfAccomplishments(rows, viewerEmail, pagination);
+    }
+
+    // Brute-force full-text search: score every filtered row, keep the best matches
+    async searchAccomplishments(terms, filters = {}, viewerEmail, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const matches = this.toAccomplishments(
+            this.tables.ACCOMPLISHMENTS.filter(row => this.matchesFilters(row, filters)),
+            viewerEmail
+        )
+            .map(accomplishment => ({ ...accomplishment, score: scoreAccomplishment(accomplishment, terms) }))
+            .filter(accomplishment => accomplishment.score > 0)
+            .sort((a, b) => b.score - a.score) // Stable sort keeps newest first among equal scores
+            .slice(0, limit);
+
+        return this.withHighlights(matches, terms);
+    }
+
+    // Brute-force semantic search: cosine similarity against every stored embedding
+    async semanticSearch(embedding, model, filters = {}, viewerEmail, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const similarities = new Map(this.tables.ACCOMPLISHMENT_EMBEDDINGS
+            .filter(row => row.MODEL === model && row.EMBEDDING.length === embedding.length)
+            .map(row => [row.ACCOMPLISHMENT_ID, cosineSimilarity(row.EMBEDDING, embedding)]));
+
+        const rows = this.tables.ACCOMPLISHMENTS.filter(row =>
+            similarities.has(row.ID) && this.matchesFilters(row, filters)
+        );
+
+        return this.toAccomplishments(rows, viewerEmail)
+            .map(accomplishment => ({
+                ...accomplishment,
+                similarity: Math.round(similarities.get(accomplishment.id) * 1000) / 1000
+            }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    async saveEmbedding(accomplishmentId, embedding, model) {
+        await this.ensureInitialized();
+
+        const embeddings = this.tables.ACCOMPLISHMENT_EMBEDDINGS;
+        const existingIndex = embeddings.findIndex(row => row.ACCOMPLISHMENT_ID === accomplishmentId);
+        const row = {
+            ACCOMPLISHMENT_ID: accomplishmentId,
+            EMBEDDING: Array.from(embedding),
+            MODEL: model,
+            UPDATED_AT: new Date().toISOString()
+        };
+
+        if (existingIndex >= 0) {
+            embeddings[existingIndex] = row;
+        } else {
+            embeddings.push(row);
+        }
+    }
+
+    async getAccomplishmentsMissingEmbeddings(model, limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const embedded = new Set(this.tables.ACCOMPLISHMENT_EMBEDDINGS
+            .filter(row => row.MODEL === model)
+            .map(row => row.ACCOMPLISHMENT_ID));
+
+        return this.toAccomplishments(
+            this.tables.ACCOMPLISHMENTS.filter(row => !embedded.has(row.ID)),
+            null
+        ).slice(0, limit);
+    }
+
+    async saveAccomplishment(accomplishment) {
+        await this.ensureInitialized();
+
+        if (this.findRow(accomplishment.id)) {
+            throw new Error('Failed to save accomplishment');
+        }
+
+        const tags = normalizeTags(accomplishment.tags);
+        this.insertRow({ ...accomplishment, tags });
+        console.log(`✅ Saved accomplishment: ${accomplishment.id}`);
+        return { ...accomplishment, tags };
+    }
+
+    async getAccomplishmentById(id, viewerEmail) {
+        await this.ensureInitialized();
+
+        const row = this.findRow(id);
+        if (!row) {
+            return null;
+        }
+        const [accomplishment] = this.toAccomplishments([row], viewerEmail);
+        return accomplishment;
+    }
+
+    insertRevision(revision) {
+        this.tables.ACCOMPLISHMENT_REVISIONS.push({
+            ID: revision.id,
+            ACCOMPLISHMENT_ID: revision.accomplishmentId,
+            ACTION: revision.action,
+            CHANGED_BY: revision.changedBy,
+            CHANGED_AT: revision.changedAt,
+            BEFORE_STATE: revision.before ? JSON.stringify(revision.before) : null,
+            AFTER_STATE: revision.after ? JSON.stringify(revision.after) : null
+        });
+    }
+
+    async updateAccomplishment(id, changes, changedBy, action = 'update') {
+        await this.ensureInitialized();
+
+        const row = this.findRow(id);
+        if (!row) {
+            return null;
+        }
+
+        const { before, after, changed } = this.diffEditableFields(this.transformAccomplishment(row), changes);
+        if (changed) {
+            this.editableColumns(after).forEach(([column, value]) => {
+                row[column] = value;
+            });
+            row.UPDATED_AT = new Date().toISOString();
+            this.insertRevision(this.buildRevision(id, action, changedBy, before, after));
+        }
+
+        return this.getAccomplishmentById(id);
+    }
+
+    async setAccomplishmentStatus(id, status, changedBy, action) {
+        await this.ensureInitialized();
+
+        const row = this.findRow(id);
+        if (!row) {
+            return null;
+        }
+
+        if (row.STATUS !== status) {
+            this.insertRevision(this.buildRevision(id, action, changedBy, { status: row.STATUS }, { status }));
+            row.STATUS = status;
+            row.UPDATED_AT = new Date().toISOString();
+        }
+
+        return this.getAccomplishmentById(id);
+    }
+
+    async deleteAccomplishment(id, deletedBy) {
+        await this.ensureInitialized();
+
+        const row = this.findRow(id);
+        if (!row) {
+            return false;
+        }
+
+        this.insertRevision(this.buildRevision(id, 'delete', deletedBy, this.editableSnapshot(this.transformAccomplishment(row)), null));
+
+        this.tables.ACCOMPLISHMENTS = this.tables.ACCOMPLISHMENTS.filter(r => r.ID !== id);
+        this.tables.ACCOMPLISHMENT_REACTIONS = this.tables.ACCOMPLISHMENT_REACTIONS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        this.tables.ACCOMPLISHMENT_COMMENTS = this.tables.ACCOMPLISHMENT_COMMENTS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        this.tables.ACCOMPLISHMENT_TAGS = this.tables.ACCOMPLISHMENT_TAGS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        this.tables.ACCOMPLISHMENT_ATTACHMENTS = this.tables.ACCOMPLISHMENT_ATTACHMENTS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        this.tables.ACCOMPLISHMENT_EMBEDDINGS = this.tables.ACCOMPLISHMENT_EMBEDDINGS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        this.tables.NOTIFICATIONS = this.tables.NOTIFICATIONS.filter(r => r.ACCOMPLISHMENT_ID !== id);
+        console.log(`🗑️ Deleted accomplishment: ${id}`);
+        return true;
+    }
+
+    async getRevisions(accomplishmentId) {
+        await this.ensureInitialized();
+
+        return this.tables.ACCOMPLISHMENT_REVISIONS
+            .filter(row => row.ACCOMPLISHMENT_ID === accomplishmentId)
+            .sort((a, b) => this.compareDesc(a.CHANGED_AT, b.CHANGED_AT))
+            .map(row => this.transformRevision(row));
+    }
+
+    async getUsers() {
+        await this.ensureInitialized();
+
+        return [...this.tables.USERS]
+            .sort((a, b) => a.DISPLAY_NAME.localeCompare(b.DISPLAY_NAME) || a.EMAIL.localeCompare(b.EMAIL))
+            .map(row => this.transformUser(row));
+    }
+
+    async getUserById(id) {
+        await this.ensureInitialized();
+
+        const row = this.findUserRow(id);
+        return row ? this.transformUser(row) : null;
+    }
+
+    async getUserByEmail(email) {
+        await this.ensureInitialized();
+
+        const normalized = this.normalizeEmail(email);
+        const row = this.tables.USERS.find(user => user.EMAIL === normalized);
+        return row ? this.transformUser(row) : null;
+    }
+
+    async getUsersByManager(managerIds) {
+        await this.ensureInitialized();
+
+        return this.tables.USERS
+            .filter(row => managerIds.includes(row.MANAGER_ID))
+            .sort((a, b) => a.DISPLAY_NAME.localeCompare(b.DISPLAY_NAME) || a.EMAIL.localeCompare(b.EMAIL))
+            .map(row => this.transformUser(row));
+    }
+
+    async createUser(user) {
+        await this.ensureInitialized();
+
+        if (await this.getUserByEmail(user.email)) {
+            throw new Error('Failed to create user');
+        }
+
+        const row = this.ensureUserRow(user.email, user.displayName);
+        this.profileColumns(user).forEach(([column, value]) => {
+            row[column] = value;
+        });
+        console.log(`👤 Created user: ${row.ID}`);
+        return this.transformUser(row);
+    }
+
+    async updateUser(id, changes) {
+        await this.ensureInitialized();
+
+        const row = this.findUserRow(id);
+        if (!row) {
+            return null;
+        }
+
+        const columns = this.profileColumns(changes);
+        if (columns.length > 0) {
+            columns.forEach(([column, value]) => {
+                row[column] = value;
+            });
+            row.UPDATED_AT = new Date().toISOString();
+        }
+        return this.transformUser(row);
+    }
+
+    async deleteUser(id) {
+        await this.ensureInitialized();
+
+        if (!this.findUserRow(id)) {
+            return false;
+        }
+
+        this.tables.USERS.forEach(row => {
+            if (row.MANAGER_ID === id) row.MANAGER_ID = null;
+        });
+        this.tables.USERS = this.tables.USERS.filter(row => row.ID !== id);
+        this.tables.DIGEST_SUBSCRIPTIONS = this.tables.DIGEST_SUBSCRIPTIONS.filter(row => row.USER_ID !== id);
+        this.tables.NOTIFICATIONS = this.tables.NOTIFICATIONS.filter(row => row.USER_ID !== id);
+        this.tables.NOTIFICATION_PREFERENCES = this.tables.NOTIFICATION_PREFERENCES.filter(row => row.USER_ID !== id);
+        console.log(`🗑️ Deleted user: ${id}`);
+        return true;
+    }
+
+    findDigestSubscriptionRow(userId, digest) {
+        return this.tables.DIGEST_SUBSCRIPTIONS.find(row => row.USER_ID === userId && row.DIGEST === digest);
+    }
+
+    async getDigestSubscriptions(userId) {
+        await this.ensureInitialized();
+
+        return this.tables.DIGEST_SUBSCRIPTIONS
+            .filter(row => row.USER_ID === userId)
+            .sort((a, b) => a.DIGEST.localeCompare(b.DIGEST))
+            .map(row => this.transformDigestSubscription(row));
+    }
+
+    async listDigestSubscriptions() {
+        await this.ensureInitialized();
+
+        return this.tables.DIGEST_SUBSCRIPTIONS.map(row => this.transformDigestSubscription(row));
+    }
+
+    async setDigestSubscription(userId, digest, frequency, lastSentAt) {
+        await this.ensureInitialized();
+
+        const row = this.findDigestSubscriptionRow(userId, digest);
+        if (!frequency) {
+            this.tables.DIGEST_SUBSCRIPTIONS = this.tables.DIGEST_SUBSCRIPTIONS.filter(other => other !== row);
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        if (row) {
+            row.FREQUENCY = frequency;
+            row.UPDATED_AT = now;
+            return this.transformDigestSubscription(row);
+        }
+
+        const created = { USER_ID: userId, DIGEST: digest, FREQUENCY: frequency, LAST_SENT_AT: lastSentAt, CREATED_AT: now, UPDATED_AT: now };
+        this.tables.DIGEST_SUBSCRIPTIONS.push(created);
+        return this.transformDigestSubscription(created);
+    }
+
+    async markDigestSent(userId, digest, sentAt) {
+        await this.ensureInitialized();
+
+        const row = this.findDigestSubscriptionRow(userId, digest);
+        if (row) {
+            row.LAST_SENT_AT = sentAt;
+        }
+    }
+
+    async createNotification(notification) {
+        await this.ensureInitialized();
+
+        const row = {
+            ID: notification.id,
+            USER_ID: notification.userId,
+            EVENT_TYPE: notification.eventType,
+            ACCOMPLISHMENT_ID: notification.accomplishmentId,
+            COMMENT_ID: notification.commentId || null,
+            ACTOR_EMAIL: notification.actorEmail,
+            ACTOR_NAME: notification.actorName || null,
+            EXCERPT: notification.excerpt || null,
+            READ_AT: null,
+            RETRACTED_AT: null,
+            CREATED_AT: new Date().toISOString()
+        };
+        this.tables.NOTIFICATIONS.push(row);
+        return this.transformNotification(row);
+    }
+
+    async getNotifications(userId, options = {}) {
+        await this.ensureInitialized();
+
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        const cursor = options.cursor;
+        const rows = this.sortRows(this.tables.NOTIFICATIONS.filter(row =>
+            row.USER_ID === userId && !row.RETRACTED_AT && (!options.unreadOnly || !row.READ_AT)
+        )).filter(row => !cursor || String(row.CREATED_AT) < cursor.createdAt ||
+            (String(row.CREATED_AT) === cursor.createdAt && String(row.ID) < cursor.id));
+
+        return toPage(rows.slice(0, limit + 1).map(row => this.transformNotification(row)), limit);
+    }
+
+    async countUnreadNotifications(userId) {
+        await this.ensureInitialized();
+
+        return this.tables.NOTIFICATIONS.filter(row => row.USER_ID === userId && !row.READ_AT && !row.RETRACTED_AT).length;
+    }
+
+    async markNotificationsRead(userId, ids = null) {
+        await this.ensureInitialized();
+
+        const now = new Date().toISOString();
+        const rows = this.tables.NOTIFICATIONS.filter(row =>
+            row.USER_ID === userId && !row.READ_AT && !row.RETRACTED_AT && (ids === null || ids.includes(row.ID)));
+        rows.forEach(row => {
+            row.READ_AT = now;
+        });
+        return rows.length;
+    }
+
+    async retractNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        await this.ensureInitialized();
+
+        const now = new Date().toISOString();
+        this.findNotificationRows(userId, eventType, accomplishmentId, actorEmail)
+            .filter(row => !row.READ_AT && !row.RETRACTED_AT)
+            .forEach(row => {
+                row.RETRACTED_AT = now;
+            });
+    }
+
+    async restoreNotifications(userId, eventType, accomplishmentId, actorEmail) {
+        await this.ensureInitialized();
+
+        const rows = this.findNotificationRows(userId, eventType, accomplishmentId, actorEmail);
+        rows.forEach(row => {
+            row.RETRACTED_AT = null;
+        });
+        return rows.length > 0;
+    }
+
+    findNotificationRows(userId, eventType, accomplishmentId, actorEmail) {
+        return this.tables.NOTIFICATIONS.filter(row =>
+            row.USER_ID === userId && row.EVENT_TYPE === eventType &&
+            row.ACCOMPLISHMENT_ID === accomplishmentId && row.ACTOR_EMAIL === actorEmail);
+    }
+
+    async getNotificationPreferences(userId) {
+        await this.ensureInitialized();
+
+        return this.tables.NOTIFICATION_PREFERENCES
+            .filter(row => row.USER_ID === userId)
+            .map(row => ({ eventType: row.EVENT_TYPE, email: row.EMAIL === 1 }));
+    }
+
+    async setNotificationPreference(userId, eventType, email) {
+        await this.ensureInitialized();
+
+        const now = new Date().toISOString();
+        const row = this.tables.NOTIFICATION_PREFERENCES.find(other => other.USER_ID === userId && other.EVENT_TYPE === eventType);
+        if (row) {
+            row.EMAIL = email ? 1 : 0;
+            row.UPDATED_AT = now;
+        } else {
+            this.tables.NOTIFICATION_PREFERENCES.push({ USER_ID: userId, EVENT_TYPE: eventType, EMAIL: email ? 1 : 0, UPDATED_AT: now });
+        }
+    }
+
+    findImpactCategoryRow(id) {
+        return this.tables.IMPACT_CATEGORIES.find(row => row.ID === id);
+    }
+
+    async getImpactCategories(includeInactive = false) {
+        await this.ensureInitialized();
+
+        return this.tables.IMPACT_CATEGORIES
+            .filter(row => includeInactive || row.ACTIVE === 1)
+            .sort((a, b) => a.SORT_ORDER - b.SORT_ORDER || a.LABEL.localeCompare(b.LABEL))
+            .map(row => this.transformImpactCategory(row));
+    }
+
+    async getImpactCategory(id) {
+        await this.ensureInitialized();
+
+        const row = this.findImpactCategoryRow(id);
+        return row ? this.transformImpactCategory(row) : null;
+    }
+
+    async createImpactCategory(category) {
+        await this.ensureInitialized();
+
+        if (this.findImpactCategoryRow(category.id)) {
+            throw new Error('Failed to create impact category');
+        }
+
+        const now = new Date().toISOString();
+        const row = { ID: category.id, SORT_ORDER: 0, ACTIVE: 1, CREATED_AT: now, UPDATED_AT: now };
+        this.impactCategoryColumns(category).forEach(([column, value]) => {
+            row[column] = value;
+        });
+        this.tables.IMPACT_CATEGORIES.push(row);
+        console.log(`🏷️ Created impact category: ${row.ID}`);
+        return this.transformImpactCategory(row);
+    }
+
+    async updateImpactCategory(id, changes) {
+        await this.ensureInitialized();
+
+        const row = this.findImpactCategoryRow(id);
+        if (!row) {
+            return null;
+        }
+
+        const columns = this.impactCategoryColumns(changes);
+        if (columns.length > 0) {
+            columns.forEach(([column, value]) => {
+                row[column] = value;
+            });
+            row.UPDATED_AT = new Date().toISOString();
+        }
+        return this.transformImpactCategory(row);
+    }
+
+    attachTags(accomplishments) {
+        const ids = new Set(accomplishments.map(accomplishment => accomplishment.id));
+        return this.withTags(accomplishments, this.tables.ACCOMPLISHMENT_TAGS.filter(row => ids.has(row.ACCOMPLISHMENT_ID)));
+    }
+
+    async setTags(accomplishmentId, tags) {
+        await this.ensureInitialized();
+
+        if (!this.findRow(accomplishmentId)) {
+            return null;
+        }
+
+        const normalized = normalizeTags(tags);
+        this.tables.ACCOMPLISHMENT_TAGS = this.tables.ACCOMPLISHMENT_TAGS.filter(row => row.ACCOMPLISHMENT_ID !== accomplishmentId);
+        this.insertTags(accomplishmentId, normalized);
+        return normalized;
+    }
+
+    async getPopularTags(limit = DEFAULT_PAGE_SIZE) {
+        await this.ensureInitialized();
+
+        const counts = new Map();
+        this.tables.ACCOMPLISHMENT_TAGS.forEach(row => {
+            const entry = counts.get(row.TAG_KEY) || { tag: row.TAG, count: 0 };
+            entry.count++;
+            counts.set(row.TAG_KEY, entry);
+        });
+
+        return [...counts.entries()]
+            .sort(([keyA, a], [keyB, b]) => b.count - a.count || keyA.localeCompare(keyB))
+            .map(([, entry]) => entry)
+            .slice(0, limit);
+    }
+
+    attachAttachments(accomplishments) {
+        const ids = new Set(accomplishments.map(accomplishment => accomplishment.id));
+        return this.withAttachments(
+            accomplishments,
+            this.tables.ACCOMPLISHMENT_ATTACHMENTS.filter(row => ids.has(row.ACCOMPLISHMENT_ID))
+        );
+    }
+
+    async getAttachments(accomplishmentId) {
+        await this.ensureInitialized();
+
+        return this.tables.ACCOMPLISHMENT_ATTACHMENTS
+            .filter(row => row.ACCOMPLISHMENT_ID === accomplishmentId)
+            .map(row => this.transformAttachment(row));
+    }
+
+    async getAttachmentById(attachmentId) {
+        await this.ensureInitialized();
+
+        const row = this.tables.ACCOMPLISHMENT_ATTACHMENTS.find(attachment => attachment.ID === attachmentId);
+        return row ? this.transformAttachment(row) : null;
+    }
+
+    async addAttachment(accomplishmentId, attachment) {
+        await this.ensureInitialized();
+
+        if (!this.findRow(accomplishmentId)) {
+            return null;
+        }
+
+        const row = {
+            ID: attachment.id,
+            ACCOMPLISHMENT_ID: accomplishmentId,
+            FILE_NAME: attachment.fileName,
+            MIME_TYPE: attachment.mimeType,
+            SIZE_BYTES: attachment.sizeBytes,
+            STORAGE_KEY: attachment.storageKey,
+            THUMBNAIL_KEY: attachment.thumbnailKey || null,
+            UPLOADED_BY: this.normalizeEmail(attachment.uploadedBy),
+            CREATED_AT: new Date().toISOString()
+        };
+        this.tables.ACCOMPLISHMENT_ATTACHMENTS.push(row);
+        return this.transformAttachment(row);
+    }
+
+    async deleteAttachment(attachmentId) {
+        await this.ensureInitialized();
+
+        const count = this.tables.ACCOMPLISHMENT_ATTACHMENTS.length;
+        this.tables.ACCOMPLISHMENT_ATTACHMENTS = this.tables.ACCOMPLISHMENT_ATTACHMENTS.filter(row => row.ID !== attachmentId);
+        return this.tables.ACCOMPLISHMENT_ATTACHMENTS.length < count;
+    }
+
+    async getRecognitionStats(groupBy, period) {
+        await this.ensureInitialized();
+
+        const groupKeys = {
+            author: row => row.AUTHOR_ID,
+            impactType: row => row.IMPACT_TYPE,
+            department: row => this.findUserRow(row.AUTHOR_ID)?.DEPARTMENT || null,
+            week: (row, timestamp) => weekStart(timestamp)
+        };
+        const keyOf = groupKeys[groupBy];
+        if (!keyOf) {
+            throw new Error(`Unknown analytics grouping '${groupBy}'`);
+        }
+
+        const inPeriod = timestamp => String(timestamp) >= period.start && String(timestamp) < period.end;
+        const published = new Map(this.publishedRows().map(row => [row.ID, row]));
+        const stats = new Map();
+        const count = (key, field) => {
+            if (!stats.has(key)) {
+                stats.set(key, { key, submissions: 0, congratulations: 0, votes: 0 });
+            }
+            stats.get(key)[field]++;
+        };
+
+        published.forEach(row => {
+            if (inPeriod(row.CREATED_AT)) {
+                count(keyOf(row, row.CREATED_AT), 'submissions');
+            }
+        });
+        this.tables.ACCOMPLISHMENT_REACTIONS.forEach(reaction => {
+            const row = published.get(reaction.ACCOMPLISHMENT_ID);
+            if (row && inPeriod(reaction.CREATED_AT)) {
+                count(keyOf(row, reaction.CREATED_AT), reaction.REACTION_TYPE === 'vote' ? 'votes' : 'congratulations');
+            }
+        });
+
+        return [...stats.values()];
+    }
+
+    // Flag which accomplishments the viewer has already congratulated or voted on
+    attachViewerReactions(accomplishments, viewerEmail) {
+        const viewer = this.normalizeEmail(viewerEmail);
+        if (!viewer) {
+            return accomplishments;
+        }
+
+        const reacted = new Set(this.tables.ACCOMPLISHMENT_REACTIONS
+            .filter(reaction => reaction.USER_ID === viewer)
+            .map(reaction => `${reaction.ACCOMPLISHMENT_ID}:${reaction.REACTION_TYPE}`));
+
+        return accomplishments.map(accomplishment => ({
+            ...accomplishment,
+            userCongratulated: reacted.has(`${accomplishment.id}:congratulations`),
+            userVoted: reacted.has(`${accomplishment.id}:vote`)
+        }));
+    }
+
+    async getComments(accomplishmentId) {
+        await this.ensureInitialized();
+
+        return this.tables.ACCOMPLISHMENT_COMMENTS
+            .filter(row => row.ACCOMPLISHMENT_ID === accomplishmentId)
+            .map(row => this.transformComment(row));
+    }
+
+    async getCommentById(commentId) {
+        await this.ensureInitialized();
+
+        const row = this.tables.ACCOMPLISHMENT_COMMENTS.find(comment => comment.ID === commentId);
+        return row ? this.transformComment(row) : null;
+    }
+
+    syncCommentsCount(accomplishmentId) {
+        const row = this.findRow(accomplishmentId);
+        row.COMMENTS_COUNT = this.tables.ACCOMPLISHMENT_COMMENTS
+            .filter(comment => comment.ACCOMPLISHMENT_ID === accomplishmentId).length;
+        return row.COMMENTS_COUNT;
+    }
+
+    async addComment(accomplishmentId, comment) {
+        await this.ensureInitialized();
+
+        if (!this.findRow(accomplishmentId)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const row = {
+            ID: crypto.randomUUID(),
+            ACCOMPLISHMENT_ID: accomplishmentId,
+            USER_ID: this.normalizeEmail(comment.userId),
+            USER_NAME: comment.userName,
+            BODY: comment.body,
+            CREATED_AT: now,
+            UPDATED_AT: now
+        };
+        this.tables.ACCOMPLISHMENT_COMMENTS.push(row);
+
+        return {
+            comment: this.transformComment(row),
+            commentsCount: this.syncCommentsCount(accomplishmentId)
+        };
+    }
+
+    async updateComment(commentId, body) {
+        await this.ensureInitialized();
+
+        const row = this.tables.ACCOMPLISHMENT_COMMENTS.find(comment => comment.ID === commentId);
+        if (!row) {
+            return null;
+        }
+
+        row.BODY = body;
+        row.UPDATED_AT = new Date().toISOString();
+        return this.transformComment(row);
+    }
+
+    async deleteComment(commentId) {
+        await this.ensureInitialized();
+
+        const row = this.tables.ACCOMPLISHMENT_COMMENTS.find(comment => comment.ID === commentId);
+        if (!row) {
+            return null;
+        }
+
+        this.tables.ACCOMPLISHMENT_COMMENTS = this.tables.ACCOMPLISHMENT_COMMENTS.filter(comment => comment.ID !== commentId);
+        this.tables.NOTIFICATIONS = this.tables.NOTIFICATIONS.filter(notification => notification.COMMENT_ID !== commentId);
+        return { commentsCount: this.syncCommentsCount(row.ACCOMPLISHMENT_ID) };
+    }
+
+    // Add the user's reaction if missing, remove it otherwise, then resync the stored counter;
+    // null when the accomplishment doesn't exist
+    toggleReaction(accomplishmentId, userEmail, reactionType, countColumn) {
+        const user = this.normalizeEmail(userEmail);
+        const row = this.findRow(accomplishmentId);
+        if (!row) {
+            return null;
+        }
+
+        const reactions = this.tables.ACCOMPLISHMENT_REACTIONS;
+        const matches = reaction => reaction.ACCOMPLISHMENT_ID === accomplishmentId &&
+            reaction.USER_ID === user && reaction.REACTION_TYPE === reactionType;
+        const existingIndex = reactions.findIndex(matches);
+
+        if (existingIndex >= 0) {
+            reactions.splice(existingIndex, 1);
+        } else {
+            reactions.push({
+                ACCOMPLISHMENT_ID: accomplishmentId,
+                USER_ID: user,
+                REACTION_TYPE: reactionType,
+                CREATED_AT: new Date().toISOString()
+            });
+        }
+
+        row[countColumn] = reactions.filter(reaction =>
+            reaction.ACCOMPLISHMENT_ID === accomplishmentId && reaction.REACTION_TYPE === reactionType
+        ).length;
+
+        return {
+            count: row[countColumn],
+            active: existingIndex < 0
+        };
+    }
+
+    async toggleCongratulations(accomplishmentId, userEmail) {
+        await this.ensureInitialized();
+
+        try {
+            const result = this.toggleReaction(accomplishmentId, userEmail, 'congratulations', 'CONGRATULATIONS_COUNT');
+            if (!result) {
+                return null;
+            }
+            return {
+                congratulationsCount: result.count,
+                userCongratulated: result.active
+            };
+        } catch (error) {
+            console.error('Error toggling congratulations:', error);
+            throw new Error('Failed to update congratulations');
+        }
+    }
+
+    async toggleVote(accomplishmentId, userEmail) {
+        await this.ensureInitialized();
+
+        try {
+            const result = this.toggleReaction(accomplishmentId, userEmail, 'vote', 'VOTES_COUNT');
+            if (!result) {
+                return null;
+            }
+            return {
+                votesCount: result.count,
+                userVoted: result.active
+            };
+        } catch (error) {
+            console.error('Error toggling vote:', error);
+            throw new Error('Failed to update vote');
+        }
+    }
+
+    // Clear all data (for testing) and restore the sample records
+    async clearData() {
+        await this.ensureInitialized();
+
+        // Impact categories are configuration, not sample data - keep the admin's edits
+        const impactCategories = this.tables.IMPACT_CATEGORIES;
+        const attachments = this.tables.ACCOMPLISHMENT_ATTACHMENTS.map(row => this.transformAttachment(row));
+        this.resetTables();
+        this.tables.IMPACT_CATEGORIES = impactCategories;
+        this.insertSampleData();
+        console.log('✅ Data cleared and sample data restored');
+        return attachments;
+    }
+
+    async getStatus() {
+        return {
+            connected: true,
+            queryTest: true,
+            initialized: this.initialized,
+            adapter: this.adapterName
+        };
+    }
+
+    async disconnect() {
+        this.initialized = false;
+    }
+}
+
+module.exports = MemoryDBServer;
@@ -0,0 +1,211 @@
+/**
+ * HANA Schema Migration Runner
+ * Applies numbered migration files from db/migrations in order and records each
+ * applied version in the SCHEMA_MIGRATIONS table.
+ *
+ * Migration files are named `<version>-<name>.js` (e.g. 003-add-tags.js) and export:
+ *   { description, async up(db), async down(db) }
+ * where `db` exposes execute(), tableExists(), columnExists(), constraintExists() and
+ * executeIgnoringExisting().
+ *
+ * NOTE: HANA auto-commits DDL statements, so a failing migration is not rolled back
+ * automatically - its version is simply not recorded and it can be re-run once fixed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hanaConnection = require('./hana-connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// HANA error codes raised when an object (table, index, constraint) already exists
+const ALREADY_EXISTS_CODES = [288, 289];
+
+class MigrationRunner {
+    constructor(connection = hanaConnection, migrationsDir = MIGRATIONS_DIR) {
+        this.connection = connection;
+        this.migrationsDir = migrationsDir;
+    }
+
+    // Helpers handed to every migration's up()/down()
+    get context() {
+        return {
+            execute: (sql, params) => this.connection.execute(sql, params),
+            tableExists: (tableName) => this.tableExists(tableName),
+            columnExists: (tableName, columnName) => this.columnExists(tableName, columnName),
+            constraintExists: (tableName, constraintName) => this.constraintExists(tableName, constraintName),
+            executeIgnoringExisting: (sql, params) => this.executeIgnoringExisting(sql, params)
+        };
+    }
+
+    async tableExists(tableName) {
+        const result = await this.connection.execute(`
+            SELECT COUNT(*) as COUNT FROM SYS.TABLES
+            WHERE TABLE_NAME = ? AND SCHEMA_NAME = CURRENT_SCHEMA
+        `, [tableName]);
+        return result[0]?.COUNT > 0;
+    }
+
+    async columnExists(tableName, columnName) {
+        const result = await this.connection.execute(`
+            SELECT COUNT(*) as COUNT FROM SYS.TABLE_COLUMNS
+            WHERE TABLE_NAME = ? AND COLUMN_NAME = ? AND SCHEMA_NAME = CURRENT_SCHEMA
+        `, [tableName, columnName]);
+        return result[0]?.COUNT > 0;
+    }
+
+    async constraintExists(tableName, constraintName) {
+        const result = await this.connection.execute(`
+            SELECT COUNT(*) as COUNT FROM SYS.CONSTRAINTS
+            WHERE TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND SCHEMA_NAME = CURRENT_SCHEMA
+        `, [tableName, constraintName]);
+        return result[0]?.COUNT > 0;
+    }
+
+    // Run DDL that may already have been applied by hand (indexes, constraints)
+    async executeIgnoringExisting(sql, params) {
+        try {
+            await this.connection.execute(sql, params);
+        } catch (error) {
+            if (error.message.includes('already exists') ||
+                error.message.includes('duplicate') ||
+                ALREADY_EXISTS_CODES.includes(error.code)) {
+                console.log('ℹ️ Object already exists (silently ignored)');
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    async ensureTrackingTable() {
+        if (await this.tableExists('SCHEMA_MIGRATIONS')) {
+            return;
+        }
+
+        await this.connection.execute(`
+            CREATE TABLE SCHEMA_MIGRATIONS (
+                VERSION INTEGER PRIMARY KEY,
+                NAME NVARCHAR(255) NOT NULL,
+                DESCRIPTION NVARCHAR(1000),
+                APPLIED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✅ SCHEMA_MIGRATIONS table created successfully');
+    }
+
+    // Read migration files sorted by version
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const migration = require(path.join(this.migrationsDir, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down()`);
+                }
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    description: migration.description || match[2],
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        const versions = migrations.map(m => m.version);
+        const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+        if (duplicate !== undefined) {
+            throw new Error(`Duplicate migration version ${duplicate}`);
+        }
+
+        return migrations;
+    }
+
+    async getAppliedVersions() {
+        await this.ensureTrackingTable();
+        const rows = await this.connection.execute('SELECT VERSION FROM SCHEMA_MIGRATIONS ORDER BY VERSION');
+        return rows.map(row => Number(row.VERSION));
+    }
+
+    // Current schema version (0 when nothing has been applied)
+    async getCurrentVersion() {
+        const applied = await this.getAppliedVersions();
+        return applied.length > 0 ? applied[applied.length - 1] : 0;
+    }
+
+    // Apply all pending migrations up to (and including) targetVersion
+    async migrate(targetVersion = Infinity) {
+        const applied = new Set(await this.getAppliedVersions());
+        const pending = this.loadMigrations()
+            .filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+            return [];
+        }
+
+        for (const migration of pending) {
+            console.log(`⬆️ Applying migration ${migration.version}-${migration.name}: ${migration.description}`);
+            try {
+                await migration.up(this.context);
+                await this.connection.execute(
+                    'INSERT INTO SCHEMA_MIGRATIONS (VERSION, NAME, DESCRIPTION, APPLIED_AT) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+                    [migration.version, migration.name, migration.description]
+                );
+                console.log(`✅ Migration ${migration.version} applied`);
+            } catch (error) {
+                console.error(`❌ Migration ${migration.version}-${migration.name} failed:`, error);
+                throw error;
+            }
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    // Revert the most recently applied migrations, newest first
+    async rollback(steps = 1) {
+        const applied = await this.getAppliedVersions();
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const toRevert = applied.slice(-steps).reverse();
+
+        if (toRevert.length === 0) {
+            console.log('ℹ️ No migrations to roll back');
+            return [];
+        }
+
+        for (const version of toRevert) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`Migration file for applied version ${version} not found`);
+            }
+
+            console.log(`⬇️ Reverting migration ${migration.version}-${migration.name}`);
+            try {
+                await migration.down(this.context);
+                await this.connection.execute('DELETE FROM SCHEMA_MIGRATIONS WHERE VERSION = ?', [version]);
+                console.log(`✅ Migration ${version} reverted`);
+            } catch (error) {
+                console.error(`❌ Rollback of migration ${version}-${migration.name} failed:`, error);
+                throw error;
+            }
+        }
+
+        return toRevert;
+    }
+
+    // List every known migration with its applied state
+    async status() {
+        const applied = new Set(await this.getAppliedVersions());
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: applied.has(migration.version)
+        }));
+    }
+}
+
+module.exports = new MigrationRunner();
+module.exports.MigrationRunner = MigrationRunner;
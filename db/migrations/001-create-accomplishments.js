@@ -0,0 +1,46 @@
+/**
+ * Migration 001 - ACCOMPLISHMENTS table
+ * Baseline schema: accomplishments, impact type constraint and lookup indexes.
+ * Databases created before migrations existed already have this table, so each
+ * step checks for existing objects instead of failing.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENTS table with impact type constraint and indexes',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENTS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENTS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    USER_ID NVARCHAR(255) NOT NULL,
+                    USER_NAME NVARCHAR(255) NOT NULL,
+                    ORIGINAL_STATEMENT NCLOB NOT NULL,
+                    EMAIL_APPRECIATION NCLOB,
+                    IMPACT_TYPE NVARCHAR(20) NOT NULL,
+                    ADDITIONAL_DETAILS NCLOB,
+                    AI_GENERATED_STATEMENT NCLOB NOT NULL,
+                    CONGRATULATIONS_COUNT INTEGER DEFAULT 0,
+                    VOTES_COUNT INTEGER DEFAULT 0,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting(`
+            ALTER TABLE ACCOMPLISHMENTS 
+            ADD CONSTRAINT CHK_IMPACT_TYPE 
+            CHECK (IMPACT_TYPE IN ('team', 'customer'))
+        `);
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_USER_ID ON ACCOMPLISHMENTS (USER_ID)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_CREATED_AT ON ACCOMPLISHMENTS (CREATED_AT DESC)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_IMPACT_TYPE ON ACCOMPLISHMENTS (IMPACT_TYPE)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_USER_NAME ON ACCOMPLISHMENTS (USER_NAME)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENTS');
+    }
+};
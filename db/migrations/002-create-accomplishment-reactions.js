@@ -0,0 +1,35 @@
+/**
+ * Migration 002 - ACCOMPLISHMENT_REACTIONS table
+ * One row per user, accomplishment and reaction type so congratulations and
+ * votes can be toggled off and never counted twice.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_REACTIONS table for per-user congratulations and votes',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_REACTIONS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_REACTIONS (
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    USER_ID NVARCHAR(255) NOT NULL,
+                    REACTION_TYPE NVARCHAR(20) NOT NULL,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (ACCOMPLISHMENT_ID, USER_ID, REACTION_TYPE)
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting(`
+            ALTER TABLE ACCOMPLISHMENT_REACTIONS 
+            ADD CONSTRAINT CHK_REACTION_TYPE 
+            CHECK (REACTION_TYPE IN ('congratulations', 'vote'))
+        `);
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_REACTIONS_USER_ID ON ACCOMPLISHMENT_REACTIONS (USER_ID)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENT_REACTIONS');
+    }
+};
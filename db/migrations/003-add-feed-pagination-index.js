@@ -0,0 +1,17 @@
+/**
+ * Migration 003 - Keyset pagination index
+ * Feed pages are read with ORDER BY CREATED_AT DESC, ID DESC starting after a cursor,
+ * so index both columns together.
+ */
+
+module.exports = {
+    description: 'Add (CREATED_AT, ID) index on ACCOMPLISHMENTS for cursor pagination',
+
+    async up(db) {
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_CREATED_ID ON ACCOMPLISHMENTS (CREATED_AT DESC, ID DESC)');
+    },
+
+    async down(db) {
+        await db.execute('DROP INDEX IDX_ACCOMPLISHMENTS_CREATED_ID');
+    }
+};
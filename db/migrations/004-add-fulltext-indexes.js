@@ -0,0 +1,31 @@
+/**
+ * Migration 004 - Full-text indexes for search
+ * CONTAINS() needs a full-text index on the NCLOB columns; SYNC keeps the
+ * indexes current so a new accomplishment is searchable immediately.
+ */
+
+const SEARCH_COLUMNS = [
+    'USER_NAME',
+    'ORIGINAL_STATEMENT',
+    'EMAIL_APPRECIATION',
+    'ADDITIONAL_DETAILS',
+    'AI_GENERATED_STATEMENT'
+];
+
+module.exports = {
+    description: 'Add full-text indexes on searchable ACCOMPLISHMENTS columns',
+
+    async up(db) {
+        for (const column of SEARCH_COLUMNS) {
+            await db.executeIgnoringExisting(
+                `CREATE FULLTEXT INDEX FTI_ACCOMPLISHMENTS_${column} ON ACCOMPLISHMENTS (${column}) FUZZY SEARCH INDEX ON SYNC`
+            );
+        }
+    },
+
+    async down(db) {
+        for (const column of SEARCH_COLUMNS) {
+            await db.execute(`DROP FULLTEXT INDEX FTI_ACCOMPLISHMENTS_${column}`);
+        }
+    }
+};
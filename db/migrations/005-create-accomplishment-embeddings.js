@@ -0,0 +1,27 @@
+/**
+ * Migration 005 - ACCOMPLISHMENT_EMBEDDINGS table
+ * One embedding vector per accomplishment for semantic search. The vector is
+ * stored without a fixed dimension and tagged with the model that produced it,
+ * so switching models only needs a backfill, not a schema change.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_EMBEDDINGS table for semantic search',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_EMBEDDINGS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_EMBEDDINGS (
+                    ACCOMPLISHMENT_ID NVARCHAR(50) PRIMARY KEY,
+                    EMBEDDING REAL_VECTOR NOT NULL,
+                    MODEL NVARCHAR(100) NOT NULL,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENT_EMBEDDINGS');
+    }
+};
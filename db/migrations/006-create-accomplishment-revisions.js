@@ -0,0 +1,38 @@
+/**
+ * Migration 006 - ACCOMPLISHMENT_REVISIONS table
+ * Audit trail for edits, merges and deletions. BEFORE_STATE / AFTER_STATE hold
+ * JSON snapshots of the changed fields; rows are kept after the accomplishment
+ * itself is deleted.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_REVISIONS table for edit and delete history',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_REVISIONS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_REVISIONS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    ACTION NVARCHAR(20) NOT NULL,
+                    CHANGED_BY NVARCHAR(255) NOT NULL,
+                    CHANGED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    BEFORE_STATE NCLOB,
+                    AFTER_STATE NCLOB
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting(`
+            ALTER TABLE ACCOMPLISHMENT_REVISIONS 
+            ADD CONSTRAINT CHK_REVISION_ACTION 
+            CHECK (ACTION IN ('update', 'merge', 'delete'))
+        `);
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_REVISIONS_ACCOMPLISHMENT_ID ON ACCOMPLISHMENT_REVISIONS (ACCOMPLISHMENT_ID, CHANGED_AT DESC)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENT_REVISIONS');
+    }
+};
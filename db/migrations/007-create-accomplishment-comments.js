@@ -0,0 +1,37 @@
+/**
+ * Migration 007 - ACCOMPLISHMENT_COMMENTS table
+ * Comment threads on accomplishments, plus a COMMENTS_COUNT counter on
+ * ACCOMPLISHMENTS (kept in sync like the congratulations and vote counters)
+ * so feed cards don't need a count query per card.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_COMMENTS table and COMMENTS_COUNT column',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_COMMENTS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_COMMENTS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    USER_ID NVARCHAR(255) NOT NULL,
+                    USER_NAME NVARCHAR(255) NOT NULL,
+                    BODY NCLOB NOT NULL,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_COMMENTS_ACCOMPLISHMENT_ID ON ACCOMPLISHMENT_COMMENTS (ACCOMPLISHMENT_ID, CREATED_AT)');
+
+        if (!(await db.columnExists('ACCOMPLISHMENTS', 'COMMENTS_COUNT'))) {
+            await db.execute('ALTER TABLE ACCOMPLISHMENTS ADD (COMMENTS_COUNT INTEGER DEFAULT 0)');
+        }
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE ACCOMPLISHMENTS DROP (COMMENTS_COUNT)');
+        await db.execute('DROP TABLE ACCOMPLISHMENT_COMMENTS');
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 008 - ACCOMPLISHMENT_TAGS table
+ * Skill tags proposed by the AI at submit time and confirmed by the author.
+ * TAG_KEY is the lower-cased tag, so filtering by tag is an indexed lookup.
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_TAGS table',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_TAGS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_TAGS (
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    TAG_KEY NVARCHAR(50) NOT NULL,
+                    TAG NVARCHAR(50) NOT NULL,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (ACCOMPLISHMENT_ID, TAG_KEY)
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_TAGS_TAG_KEY ON ACCOMPLISHMENT_TAGS (TAG_KEY)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENT_TAGS');
+    }
+};
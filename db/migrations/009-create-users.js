@@ -0,0 +1,69 @@
+/**
+ * Migration 009 - USERS table
+ * Profile records (email, display name, title, department, manager, avatar) and an
+ * ACCOMPLISHMENTS.AUTHOR_ID column referencing them. Existing authors are backfilled
+ * from the free-text USER_ID/USER_NAME columns: e-mails that differ only in case or
+ * surrounding whitespace become one user, named after their most recent submission.
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+    description: 'Create USERS table and ACCOMPLISHMENTS.AUTHOR_ID with backfill',
+
+    async up(db) {
+        if (!(await db.tableExists('USERS'))) {
+            await db.execute(`
+                CREATE TABLE USERS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    EMAIL NVARCHAR(255) NOT NULL,
+                    DISPLAY_NAME NVARCHAR(255) NOT NULL,
+                    TITLE NVARCHAR(255),
+                    DEPARTMENT NVARCHAR(255),
+                    MANAGER_ID NVARCHAR(50),
+                    AVATAR_URL NVARCHAR(1000),
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting('CREATE UNIQUE INDEX UQ_USERS_EMAIL ON USERS (EMAIL)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_USERS_MANAGER_ID ON USERS (MANAGER_ID)');
+
+        if (!(await db.columnExists('ACCOMPLISHMENTS', 'AUTHOR_ID'))) {
+            await db.execute('ALTER TABLE ACCOMPLISHMENTS ADD (AUTHOR_ID NVARCHAR(50))');
+        }
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_AUTHOR_ID ON ACCOMPLISHMENTS (AUTHOR_ID)');
+
+        // Backfill one user per distinct author e-mail
+        await db.execute('UPDATE ACCOMPLISHMENTS SET USER_ID = LOWER(TRIM(USER_ID)) WHERE USER_ID <> LOWER(TRIM(USER_ID))');
+
+        const authors = await db.execute(`
+            SELECT USER_ID, USER_NAME FROM ACCOMPLISHMENTS
+            WHERE AUTHOR_ID IS NULL
+            ORDER BY CREATED_AT DESC
+        `);
+
+        const seen = new Set();
+        for (const author of authors) {
+            if (seen.has(author.USER_ID)) continue;
+            seen.add(author.USER_ID);
+
+            const existing = await db.execute('SELECT ID FROM USERS WHERE EMAIL = ?', [author.USER_ID]);
+            const userId = existing[0]?.ID || crypto.randomUUID();
+            if (existing.length === 0) {
+                await db.execute(
+                    'INSERT INTO USERS (ID, EMAIL, DISPLAY_NAME) VALUES (?, ?, ?)',
+                    [userId, author.USER_ID, author.USER_NAME]
+                );
+            }
+            await db.execute('UPDATE ACCOMPLISHMENTS SET AUTHOR_ID = ? WHERE USER_ID = ? AND AUTHOR_ID IS NULL', [userId, author.USER_ID]);
+        }
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE ACCOMPLISHMENTS DROP (AUTHOR_ID)');
+        await db.execute('DROP TABLE USERS');
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 010 - IMPACT_CATEGORIES table
+ * Impact types become data instead of the CHK_IMPACT_TYPE constraint from
+ * migration 001: each category has a label, description, icon and guidance for
+ * the statement prompt. Categories are deactivated rather than deleted, so old
+ * accomplishments keep a valid IMPACT_TYPE.
+ */
+
+const defaultCategories = require('../impact-categories');
+
+module.exports = {
+    description: 'Create IMPACT_CATEGORIES table and drop the fixed impact type constraint',
+
+    async up(db) {
+        if (!(await db.tableExists('IMPACT_CATEGORIES'))) {
+            await db.execute(`
+                CREATE TABLE IMPACT_CATEGORIES (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    LABEL NVARCHAR(100) NOT NULL,
+                    DESCRIPTION NVARCHAR(500),
+                    ICON NVARCHAR(20),
+                    PROMPT_GUIDANCE NCLOB,
+                    SORT_ORDER INTEGER DEFAULT 0,
+                    ACTIVE TINYINT DEFAULT 1,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Seed only a freshly created table so admin edits are never overwritten
+            for (const category of defaultCategories) {
+                await db.execute(`
+                    INSERT INTO IMPACT_CATEGORIES (ID, LABEL, DESCRIPTION, ICON, PROMPT_GUIDANCE, SORT_ORDER)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [category.id, category.label, category.description, category.icon, category.promptGuidance, category.sortOrder]);
+            }
+        }
+
+        if (await db.constraintExists('ACCOMPLISHMENTS', 'CHK_IMPACT_TYPE')) {
+            await db.execute('ALTER TABLE ACCOMPLISHMENTS DROP CONSTRAINT CHK_IMPACT_TYPE');
+        }
+        await db.execute('ALTER TABLE ACCOMPLISHMENTS ALTER (IMPACT_TYPE NVARCHAR(50))');
+    },
+
+    async down(db) {
+        // Fails while accomplishments use categories other than team/customer
+        await db.execute(`
+            ALTER TABLE ACCOMPLISHMENTS 
+            ADD CONSTRAINT CHK_IMPACT_TYPE 
+            CHECK (IMPACT_TYPE IN ('team', 'customer'))
+        `);
+        await db.execute('DROP TABLE IMPACT_CATEGORIES');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 011 - Peer nominations
+ * A colleague can submit an accomplishment on someone else's behalf. The nominee
+ * stays the author (USER_ID/AUTHOR_ID), NOMINATOR_ID references the colleague's USERS
+ * row, and STATUS keeps the post off the feed until the nominee accepts it:
+ * 'published' (default, also for every existing row), 'pending' or 'declined'.
+ */
+
+module.exports = {
+    description: 'Add ACCOMPLISHMENTS.STATUS and NOMINATOR_ID for peer nominations',
+
+    async up(db) {
+        if (!(await db.columnExists('ACCOMPLISHMENTS', 'STATUS'))) {
+            await db.execute(`ALTER TABLE ACCOMPLISHMENTS ADD (STATUS NVARCHAR(20) DEFAULT 'published' NOT NULL)`);
+        }
+        if (!(await db.columnExists('ACCOMPLISHMENTS', 'NOMINATOR_ID'))) {
+            await db.execute('ALTER TABLE ACCOMPLISHMENTS ADD (NOMINATOR_ID NVARCHAR(50))');
+        }
+
+        await db.executeIgnoringExisting(`
+            ALTER TABLE ACCOMPLISHMENTS 
+            ADD CONSTRAINT CHK_ACCOMPLISHMENT_STATUS 
+            CHECK (STATUS IN ('published', 'pending', 'declined'))
+        `);
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_STATUS ON ACCOMPLISHMENTS (STATUS)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ACCOMPLISHMENTS_NOMINATOR_ID ON ACCOMPLISHMENTS (NOMINATOR_ID)');
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE ACCOMPLISHMENTS DROP CONSTRAINT CHK_ACCOMPLISHMENT_STATUS');
+        await db.execute('ALTER TABLE ACCOMPLISHMENTS DROP (STATUS, NOMINATOR_ID)');
+    }
+};
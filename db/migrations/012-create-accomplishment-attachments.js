@@ -0,0 +1,34 @@
+/**
+ * Migration 012 - ACCOMPLISHMENT_ATTACHMENTS table
+ * Evidence files (screenshots, PDFs, exported e-mails) attached to an accomplishment.
+ * Only metadata lives here; the file contents sit in the attachment store under
+ * STORAGE_KEY (and THUMBNAIL_KEY for images).
+ */
+
+module.exports = {
+    description: 'Create ACCOMPLISHMENT_ATTACHMENTS table',
+
+    async up(db) {
+        if (!(await db.tableExists('ACCOMPLISHMENT_ATTACHMENTS'))) {
+            await db.execute(`
+                CREATE TABLE ACCOMPLISHMENT_ATTACHMENTS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    FILE_NAME NVARCHAR(255) NOT NULL,
+                    MIME_TYPE NVARCHAR(100) NOT NULL,
+                    SIZE_BYTES INTEGER NOT NULL,
+                    STORAGE_KEY NVARCHAR(255) NOT NULL,
+                    THUMBNAIL_KEY NVARCHAR(255),
+                    UPLOADED_BY NVARCHAR(255) NOT NULL,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_ATTACHMENTS_ACCOMPLISHMENT_ID ON ACCOMPLISHMENT_ATTACHMENTS (ACCOMPLISHMENT_ID, CREATED_AT)');
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE ACCOMPLISHMENT_ATTACHMENTS');
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 013 - Reaction date index
+ * Recognition analytics count the congratulations and votes given within a period,
+ * so reactions are read by CREATED_AT range.
+ */
+
+module.exports = {
+    description: 'Add CREATED_AT index on ACCOMPLISHMENT_REACTIONS for analytics',
+
+    async up(db) {
+        await db.executeIgnoringExisting('CREATE INDEX IDX_REACTIONS_CREATED_AT ON ACCOMPLISHMENT_REACTIONS (CREATED_AT)');
+    },
+
+    async down(db) {
+        await db.execute('DROP INDEX IDX_REACTIONS_CREATED_AT');
+    }
+};
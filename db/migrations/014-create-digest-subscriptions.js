@@ -0,0 +1,30 @@
+/**
+ * Migration 014 - DIGEST_SUBSCRIPTIONS table
+ * E-mail digests a user opted in to (the team digest, the top accomplishments) and
+ * how often they want each. LAST_SENT_AT keeps the scheduler from sending the same
+ * period twice, including across restarts.
+ */
+
+module.exports = {
+    description: 'Create DIGEST_SUBSCRIPTIONS table',
+
+    async up(db) {
+        if (!(await db.tableExists('DIGEST_SUBSCRIPTIONS'))) {
+            await db.execute(`
+                CREATE TABLE DIGEST_SUBSCRIPTIONS (
+                    USER_ID NVARCHAR(50) NOT NULL,
+                    DIGEST NVARCHAR(20) NOT NULL,
+                    FREQUENCY NVARCHAR(20) NOT NULL,
+                    LAST_SENT_AT TIMESTAMP,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (USER_ID, DIGEST)
+                )
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE DIGEST_SUBSCRIPTIONS');
+    }
+};
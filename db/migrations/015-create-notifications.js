@@ -0,0 +1,50 @@
+/**
+ * Migration 015 - NOTIFICATIONS and NOTIFICATION_PREFERENCES tables
+ * One notification per event a user should hear about (a congratulation or vote on
+ * their accomplishment, a comment on it, a mention in a comment). Preferences hold,
+ * per user and event type, whether the event is also e-mailed; without a row it is
+ * shown in the app only.
+ */
+
+module.exports = {
+    description: 'Create NOTIFICATIONS and NOTIFICATION_PREFERENCES tables',
+
+    async up(db) {
+        if (!(await db.tableExists('NOTIFICATIONS'))) {
+            await db.execute(`
+                CREATE TABLE NOTIFICATIONS (
+                    ID NVARCHAR(50) PRIMARY KEY,
+                    USER_ID NVARCHAR(50) NOT NULL,
+                    EVENT_TYPE NVARCHAR(20) NOT NULL,
+                    ACCOMPLISHMENT_ID NVARCHAR(50) NOT NULL,
+                    COMMENT_ID NVARCHAR(50),
+                    ACTOR_EMAIL NVARCHAR(255) NOT NULL,
+                    ACTOR_NAME NVARCHAR(255),
+                    EXCERPT NVARCHAR(500),
+                    READ_AT TIMESTAMP,
+                    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_NOTIFICATIONS_USER_CREATED ON NOTIFICATIONS (USER_ID, CREATED_AT DESC, ID DESC)');
+        await db.executeIgnoringExisting('CREATE INDEX IDX_NOTIFICATIONS_ACCOMPLISHMENT_ID ON NOTIFICATIONS (ACCOMPLISHMENT_ID)');
+
+        if (!(await db.tableExists('NOTIFICATION_PREFERENCES'))) {
+            await db.execute(`
+                CREATE TABLE NOTIFICATION_PREFERENCES (
+                    USER_ID NVARCHAR(50) NOT NULL,
+                    EVENT_TYPE NVARCHAR(20) NOT NULL,
+                    EMAIL TINYINT NOT NULL DEFAULT 0,
+                    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (USER_ID, EVENT_TYPE)
+                )
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE NOTIFICATION_PREFERENCES');
+        await db.execute('DROP TABLE NOTIFICATIONS');
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 016 - User roles
+ * USERS.ROLE drives server-side authorization: 'employee' (default, also for every
+ * existing user), 'manager' or 'admin'. Users who already have reports become managers.
+ */
+
+module.exports = {
+    description: 'Add USERS.ROLE for role-based authorization',
+
+    async up(db) {
+        if (!(await db.columnExists('USERS', 'ROLE'))) {
+            await db.execute(`ALTER TABLE USERS ADD (ROLE NVARCHAR(20) DEFAULT 'employee' NOT NULL)`);
+        }
+
+        await db.executeIgnoringExisting(`
+            ALTER TABLE USERS 
+            ADD CONSTRAINT CHK_USER_ROLE 
+            CHECK (ROLE IN ('employee', 'manager', 'admin'))
+        `);
+
+        await db.execute(`
+            UPDATE USERS SET ROLE = 'manager'
+            WHERE ROLE = 'employee' AND ID IN (SELECT MANAGER_ID FROM USERS WHERE MANAGER_ID IS NOT NULL)
+        `);
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE USERS DROP CONSTRAINT CHK_USER_ROLE');
+        await db.execute('ALTER TABLE USERS DROP (ROLE)');
+    }
+};
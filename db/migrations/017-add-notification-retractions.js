@@ -0,0 +1,24 @@
+/**
+ * Migration 017 - Retracted notifications
+ * A withdrawn congratulation or vote hides its unread notification (RETRACTED_AT)
+ * instead of deleting it, so giving it again brings the notification back rather than
+ * creating - and e-mailing - a new one.
+ */
+
+module.exports = {
+    description: 'Add NOTIFICATIONS.RETRACTED_AT',
+
+    async up(db) {
+        if (!(await db.columnExists('NOTIFICATIONS', 'RETRACTED_AT'))) {
+            await db.execute('ALTER TABLE NOTIFICATIONS ADD (RETRACTED_AT TIMESTAMP)');
+        }
+
+        await db.executeIgnoringExisting('CREATE INDEX IDX_NOTIFICATIONS_EVENT ON NOTIFICATIONS (USER_ID, ACCOMPLISHMENT_ID, EVENT_TYPE)');
+    },
+
+    async down(db) {
+        await db.execute('DROP INDEX IDX_NOTIFICATIONS_EVENT');
+        await db.execute('DELETE FROM NOTIFICATIONS WHERE RETRACTED_AT IS NOT NULL');
+        await db.execute('ALTER TABLE NOTIFICATIONS DROP (RETRACTED_AT)');
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Cursor Pagination Helpers
+ * Accomplishment lists are ordered by CREATED_AT DESC, ID DESC. A cursor is an opaque
+ * base64url token holding the (createdAt, id) of the last item on the previous page,
+ * so the next page starts strictly after it regardless of rows inserted meanwhile.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(accomplishment) {
+    const payload = JSON.stringify({ c: accomplishment.createdAt, i: accomplishment.id });
+    return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+// Returns { createdAt, id } or null when the token is malformed
+function decodeCursor(cursor) {
+    try {
+        const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!c || i === undefined || i === null) {
+            return null;
+        }
+        return { createdAt: String(c), id: String(i) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse ?limit= and ?cursor= query parameters; `error` is set when they are invalid
+function parsePagination(query = {}) {
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined && query.limit !== '') {
+        limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { limit, cursor };
+}
+
+// Adapters fetch limit + 1 rows; the extra row only tells us whether another page exists
+function toPage(items, limit) {
+    const pageItems = items.slice(0, limit);
+    const hasMore = items.length > limit;
+    return {
+        items: pageItems,
+        nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    toPage
+};
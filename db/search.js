@@ -0,0 +1,165 @@
+/**
+ * Full-Text Search Helpers
+ * Shared by the storage adapters: query tokenizing, relevance scoring (used where the
+ * database has no ranking of its own), highlighted snippets for search results and
+ * the cosine similarities behind brute-force semantic search and duplicate detection.
+ */
+
+// Searchable fields and how much a match in each one counts towards relevance
+const SEARCH_FIELDS = [
+    { field: 'userName', column: 'USER_NAME', weight: 3 },
+    { field: 'aiGeneratedStatement', column: 'AI_GENERATED_STATEMENT', weight: 2 },
+    { field: 'originalStatement', column: 'ORIGINAL_STATEMENT', weight: 1.5 },
+    { field: 'emailAppreciation', column: 'EMAIL_APPRECIATION', weight: 1 },
+    { field: 'additionalDetails', column: 'ADDITIONAL_DETAILS', weight: 1 }
+];
+
+const SNIPPET_RADIUS = 60;
+const MAX_TERMS = 10;
+
+// Words too common to say anything about whether two texts describe the same thing
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'had', 'has', 'have',
+    'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+    'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were', 'which', 'with', 'you'
+]);
+
+// Split a raw query into lowercase terms, dropping punctuation and search operators
+function tokenize(query) {
+    const terms = String(query || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 0);
+
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function termPattern(terms) {
+    return new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+}
+
+function countOccurrences(text, term) {
+    return (text.match(new RegExp(escapeRegExp(term), 'giu')) || []).length;
+}
+
+// Relevance of an accomplishment for the given terms, or 0 when a term matches nowhere.
+// Every term must appear in at least one field; repeated hits count with diminishing returns.
+function scoreAccomplishment(accomplishment, terms) {
+    let score = 0;
+
+    for (const term of terms) {
+        let termScore = 0;
+        for (const { field, weight } of SEARCH_FIELDS) {
+            const occurrences = countOccurrences(String(accomplishment[field] || ''), term);
+            if (occurrences > 0) {
+                termScore += weight * (1 + Math.log(occurrences));
+            }
+        }
+        if (termScore === 0) {
+            return 0;
+        }
+        score += termScore;
+    }
+
+    return Math.round(score * 1000) / 1000;
+}
+
+// Cut a window of text around the first match and wrap every match in <mark>.
+// Text is HTML-escaped, so snippets can be rendered as-is.
+function buildSnippet(text, terms) {
+    const pattern = termPattern(terms);
+    const firstMatch = pattern.exec(text);
+    if (!firstMatch) {
+        return null;
+    }
+
+    const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS);
+    const excerpt = text.slice(start, end);
+
+    let snippet = '';
+    let lastIndex = 0;
+    excerpt.replace(termPattern(terms), (match, offset) => {
+        snippet += escapeHtml(excerpt.slice(lastIndex, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+    snippet += escapeHtml(excerpt.slice(lastIndex));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// Cosine similarity of two equal-length vectors (0 when either is all zeros)
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function termFrequencies(text) {
+    const frequencies = new Map();
+    String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    return frequencies;
+}
+
+// Bag-of-words cosine similarity between two texts (0 = nothing in common, 1 = same words)
+function textSimilarity(a, b) {
+    const left = termFrequencies(a);
+    const right = termFrequencies(b);
+    const words = [...new Set([...left.keys(), ...right.keys()])];
+
+    return cosineSimilarity(
+        words.map(word => left.get(word) || 0),
+        words.map(word => right.get(word) || 0)
+    );
+}
+
+// Highlighted snippets for each field containing one of the terms
+function buildHighlights(accomplishment, terms) {
+    if (terms.length === 0) {
+        return [];
+    }
+
+    return SEARCH_FIELDS
+        .map(({ field }) => ({ field, snippet: buildSnippet(String(accomplishment[field] || ''), terms) }))
+        .filter(highlight => highlight.snippet);
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    tokenize,
+    escapeHtml,
+    scoreAccomplishment,
+    buildSnippet,
+    buildHighlights,
+    cosineSimilarity,
+    textSimilarity
+};
@@ -0,0 +1,39 @@
+/**
+ * Skill Tag Helpers
+ * Tags are short skill labels ("SQL tuning", "mentoring", "incident response") attached
+ * to accomplishments. They keep the casing they were saved with but compare
+ * case-insensitively, so "Mentoring" and "mentoring" are the same tag.
+ */
+
+const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 50;
+
+// Case-insensitive identity of a tag, used for de-duplication and filtering
+function tagKey(tag) {
+    return String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Clean a list (or comma-separated string) of tags: trimmed, de-duplicated, bounded
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+
+    return list
+        .map(tag => String(tag || '').trim().replace(/^#/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH).trim())
+        .filter(tag => {
+            const key = tagKey(tag);
+            if (!key || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_TAGS);
+}
+
+module.exports = {
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    tagKey,
+    normalizeTags
+};
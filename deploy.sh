@@ -69,6 +69,34 @@ else
     exit 1
 fi
 
+# Create or update the sign-in secrets (XSUAA binding and session cookie key)
+if [ -z "$OIDC_ISSUER_URL" ] || [ -z "$OIDC_CLIENT_ID" ] || [ -z "$OIDC_CLIENT_SECRET" ] || [ -z "$SESSION_SECRET" ]; then
+    echo -e "${RED}Error: Missing sign-in configuration in .env file${END}"
+    echo "Please ensure your .env file contains:"
+    echo "  OIDC_ISSUER_URL=https://<subdomain>.authentication.<region>.hana.ondemand.com"
+    echo "  OIDC_CLIENT_ID=your-xsuaa-clientid"
+    echo "  OIDC_CLIENT_SECRET=your-xsuaa-clientsecret"
+    echo "  SESSION_SECRET=a-long-random-string"
+    exit 1
+fi
+
+kubectl create secret generic xsuaa-credentials \
+    --from-literal=url="$OIDC_ISSUER_URL" \
+    --from-literal=clientid="$OIDC_CLIENT_ID" \
+    --from-literal=clientsecret="$OIDC_CLIENT_SECRET" \
+    --dry-run=client -o yaml | kubectl apply -f -
+
+kubectl create secret generic ea-appreciate-session \
+    --from-literal=secret="$SESSION_SECRET" \
+    --dry-run=client -o yaml | kubectl apply -f -
+
+if [ $? -eq 0 ]; then
+    echo -e "${GREEN}✓ Sign-in secrets created/updated${END}"
+else
+    echo -e "${RED}✗ Failed to create sign-in secrets${END}"
+    exit 1
+fi
+
 echo -e "${YELLOW}Updating image version in manifest...${END}"
 temp_manifest="/tmp/app-deployment.yaml"
 cp k8s/app.yaml $temp_manifest
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Org Chart Import Script
+ * Creates/updates users and their reporting lines from a CSV or JSON file
+ * (columns/fields: email, displayName, title, department, managerEmail)
+ * Usage: node import-org.js <file.csv|file.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dbServer = require('./db/db-server');
+const orgChart = require('./services/org-chart');
+
+async function importOrg(file) {
+    if (!file) {
+        console.error('Usage: node import-org.js <file.csv|file.json>');
+        process.exit(1);
+    }
+
+    console.log(`🚀 Importing org chart from ${file}...`);
+
+    let exitCode = 0;
+    try {
+        const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+        const rows = orgChart.parse(fs.readFileSync(file, 'utf8'), format);
+
+        await dbServer.initialize();
+        const { created, updated, managersSet, errors } = await orgChart.import(rows);
+        console.log(`✅ ${created} user(s) created, ${updated} updated, ${managersSet} reporting line(s) set`);
+
+        if (errors.length > 0) {
+            errors.forEach(({ row, error }) => console.error(`❌ Row ${row}: ${error}`));
+            exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Org chart import failed:', error);
+        exitCode = 1;
+    } finally {
+        await dbServer.disconnect();
+        process.exit(exitCode);
+    }
+}
+
+// Run import if this script is executed directly
+if (require.main === module) {
+    importOrg(process.argv[2]);
+}
+
+module.exports = { importOrg };
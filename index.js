@@ -3,13 +3,36 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const dbServer = require('./db/db-server');
+const { EDITABLE_COLUMNS, USER_PROFILE_COLUMNS, ACCOMPLISHMENT_STATUS, USER_ROLES } = require('./db/base-db-server');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, parsePagination } = require('./db/pagination');
+const { tokenize } = require('./db/search');
 const aiOrchestrator = require('./ai/ai-orchestrator');
-
-console.log(process.env);
+const embeddingService = require('./ai/embedding-service');
+const duplicateDetector = require('./ai/duplicate-detector');
+const orgChart = require('./services/org-chart');
+const impactCategories = require('./services/impact-categories');
+const nominations = require('./services/nominations');
+const attachments = require('./services/attachments');
+const analytics = require('./services/analytics');
+const accomplishmentExport = require('./services/accomplishment-export');
+const reviewSummary = require('./services/review-summary');
+const digests = require('./services/digests');
+const digestScheduler = require('./services/digest-scheduler');
+const notifications = require('./services/notifications');
+const auth = require('./auth/auth');
+const authorization = require('./auth/authorization');
+const rateLimiter = require('./rate-limit/rate-limiter');
+const validator = require('./validation/validator');
+const schemas = require('./validation/schemas');
 
 const app = express();
 const PORT = process.env.PORT || 8100;
 
+// Behind a load balancer or ingress, TRUST_PROXY (the number of proxies, or 'true')
+// makes req.ip the client's address from X-Forwarded-For instead of the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true');
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -49,50 +72,272 @@ app.get('/health', async (req, res) => {
     }
 });
 
+// Sign-in: OpenID Connect authorization-code flow against OIDC_ISSUER_URL (see auth/auth.js)
+
+app.get('/auth/login', async (req, res) => {
+    try {
+        res.redirect(await auth.startLogin(req, res));
+    } catch (error) {
+        console.error('❌ Could not start sign-in:', error.message);
+        res.status(503).type('text/plain').send('Sign-in is currently unavailable. Please try again later.');
+    }
+});
+
+// The identity provider sends the browser back here with ?code=&state=
+app.get('/auth/callback', async (req, res) => {
+    try {
+        const { returnTo, error } = await auth.finishLogin(req, res);
+        if (error) {
+            return res.status(401).type('text/plain').send(`${error}\n\nSign in again: ${auth.appUrl(req)}/auth/login`);
+        }
+        res.redirect(returnTo);
+    } catch (error) {
+        console.error('❌ Sign-in failed:', error.message);
+        res.status(502).type('text/plain').send('Sign-in failed. Please try again later.');
+    }
+});
+
+app.get('/auth/logout', async (req, res) => {
+    res.redirect(await auth.logout(req, res));
+});
+
+// Every API call needs a bearer token or a session; the caller is req.user
+app.use('/api', auth.authenticate());
+
 // API Routes
 
-// Get all accomplishments (for main feed)
-app.get('/api/accomplishments', async (req, res) => {
+// The signed-in user's profile
+app.get('/api/me', (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+// Existing tags shown to the AI so suggestions reuse the team's vocabulary
+const SUGGESTION_TAG_VOCABULARY = 50;
+
+// Only the author may change or delete an accomplishment
+function isAuthor(accomplishment, userId) {
+    const normalize = email => (email || '').trim().toLowerCase();
+    return !!userId && normalize(accomplishment.userId) === normalize(userId);
+}
+
+function isNominator(accomplishment, userId) {
+    const normalize = email => (email || '').trim().toLowerCase();
+    return !!userId && normalize(accomplishment.nominator?.email) === normalize(userId);
+}
+
+// Nominations the nominee hasn't accepted (pending or declined) stay between nominee and nominator
+function canView(accomplishment, userId) {
+    return accomplishment.status === ACCOMPLISHMENT_STATUS.PUBLISHED ||
+        isAuthor(accomplishment, userId) || isNominator(accomplishment, userId);
+}
+
+// Load the accomplishment in the URL as the caller may see it; responds 404 (resolving to
+// null) when it doesn't exist or is someone else's unpublished nomination
+async function findVisibleAccomplishment(req, res) {
+    const accomplishment = await dbServer.getAccomplishmentById(req.params.id, req.user.email);
+    if (!accomplishment || !canView(accomplishment, req.user.email)) {
+        res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        return null;
+    }
+    return accomplishment;
+}
+
+// Like findVisibleAccomplishment, for reactions, comments and sharing: those wait until the
+// nominee accepts, so unpublished nominations get 409
+async function findPublishedAccomplishment(req, res) {
+    const accomplishment = await findVisibleAccomplishment(req, res);
+    if (accomplishment && accomplishment.status !== ACCOMPLISHMENT_STATUS.PUBLISHED) {
+        res.status(409).json({ success: false, error: 'This nomination has not been accepted yet' });
+        return null;
+    }
+    return accomplishment;
+}
+
+// Build the response body for a page of accomplishments
+function pageResponse(page, limit) {
+    return {
+        success: true,
+        data: page.items,
+        pagination: {
+            limit,
+            nextCursor: page.nextCursor,
+            hasMore: !!page.nextCursor
+        }
+    };
+}
+
+// A submission being previewed, with who it is by taken from the session rather than the
+// body: your own accomplishment, or (nominatedBy set) a nomination of the colleague in userId
+async function previewSubmission(req) {
+    const { nominatedBy, nominatorName, ...submission } = req.body;
+    if (!nominatedBy) {
+        return { ...submission, userId: req.user.email, userName: req.user.displayName };
+    }
+
+    const nominee = submission.userId ? await dbServer.getUserByEmail(submission.userId) : null;
+    return {
+        ...submission,
+        userName: nominee?.displayName || submission.userName || submission.userId,
+        nominatedBy: req.user.email,
+        nominatorName: req.user.displayName
+    };
+}
+
+// Middleware: new submissions must use an active impact category (retired ones stay on old
+// posts but can't be chosen), checked before any AI call is made or counted
+async function requireActiveImpactType(req, res, next) {
     try {
-        const accomplishments = await dbServer.getAllAccomplishments();
-        res.json({ success: true, data: accomplishments });
+        const impactType = req.body.impactType || req.body.responses?.impactType;
+        if (!(await impactCategories.isActive(impactType))) {
+            return res.status(400).json({ success: false, error: 'impactType must be an active impact category' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// Filters a caller may set in the query string: the team filter (authorIds) only comes
+// from the org chart, and unpublished nominations (status) stay with the people involved
+function queryFilters({ authorIds, status, ...filters }) {
+    return filters;
+}
+
+// Get all accomplishments (for main feed), one page at a time via ?limit=&cursor=
+app.get('/api/accomplishments', validator.check(schemas.listAccomplishments), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        const page = await dbServer.getAllAccomplishments(req.user.email, pagination);
+        res.json(pageResponse(page, pagination.limit));
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Get accomplishments by user (for individual contributor view)
-app.get('/api/accomplishments/user/:userId', async (req, res) => {
+app.get('/api/accomplishments/user/:userId', validator.check(schemas.userAccomplishments), async (req, res) => {
     try {
         const { userId } = req.params;
-        const accomplishments = await dbServer.getAccomplishmentsByUser(userId);
-        res.json({ success: true, data: accomplishments });
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        const page = await dbServer.getAccomplishmentsByUser(userId, req.user.email, pagination);
+        res.json(pageResponse(page, pagination.limit));
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Filter accomplishments (for manager view)
-app.get('/api/accomplishments/filter', async (req, res) => {
+app.get('/api/accomplishments/filter', validator.check(schemas.filterAccomplishments), async (req, res) => {
+    try {
+        const { limit, cursor, ...query } = req.query;
+        const filters = queryFilters(query);
+        const pagination = parsePagination({ limit, cursor });
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        const page = await dbServer.filterAccomplishments(filters, req.user.email, pagination);
+        res.json(pageResponse(page, pagination.limit));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Download the accomplishments matching the filter endpoint's filters as ?format=csv|xlsx|pdf
+app.get('/api/accomplishments/export', validator.check(schemas.exportAccomplishments), async (req, res) => {
+    const { limit, cursor, format = 'csv', ...query } = req.query;
+    const filters = queryFilters(query);
+
+    res.set({
+        'Content-Type': accomplishmentExport.FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${accomplishmentExport.fileName(format)}"`
+    });
+
+    try {
+        await accomplishmentExport.write(format, filters, res);
+    } catch (error) {
+        console.error('Error exporting accomplishments:', error);
+        // Once the file has started streaming the status can't change - cut the download short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        // res.json() keeps a Content-Type that is already set, so drop the file's headers first
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Full-text search across names, statements and details, most relevant first.
+// Accepts the same filters as /filter plus ?q= and ?limit=.
+app.get('/api/accomplishments/search', validator.check(schemas.searchAccomplishments), async (req, res) => {
     try {
-        const filters = req.query;
-        const accomplishments = await dbServer.filterAccomplishments(filters);
-        res.json({ success: true, data: accomplishments });
+        const { q, limit, cursor, ...query } = req.query;
+        const filters = queryFilters(query);
+        const terms = tokenize(q);
+        if (terms.length === 0) {
+            return res.status(400).json({ success: false, error: 'Search query (q) is required' });
+        }
+
+        const pagination = parsePagination({ limit });
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        const results = await dbServer.searchAccomplishments(terms, filters, req.user.email, pagination.limit);
+        res.json({ success: true, data: results, query: { q, terms } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Semantic search: rank accomplishments by meaning using embeddings, e.g.
+// ?q=who improved database performance for customers. Accepts the /filter filters and ?limit=.
+app.get('/api/accomplishments/semantic-search', validator.check(schemas.semanticSearch), rateLimiter.limit(), async (req, res) => {
+    try {
+        const { q, limit, cursor, ...query } = req.query;
+        const filters = queryFilters(query);
+        const question = q.trim();
+
+        const pagination = parsePagination({ limit });
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        let results;
+        try {
+            results = await embeddingService.search(question, filters, req.user.email, pagination.limit);
+        } catch (error) {
+            console.error('Semantic search failed:', error.message);
+            return res.status(503).json({ success: false, error: 'Semantic search is currently unavailable' });
+        }
+
+        res.json({ success: true, data: results, query: { q: question, model: embeddingService.model } });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Generate contextual questions based on basic accomplishment info
-app.post('/api/questions/generate', async (req, res) => {
+app.post('/api/questions/generate', validator.check(schemas.generateQuestions), requireActiveImpactType, rateLimiter.limit(), async (req, res) => {
     try {
-        const { originalStatement, impactType, emailAppreciation } = req.body;
+        const { originalStatement, impactType, emailAppreciation, nomineeName } = req.body;
 
-        // Generate contextual questions using AI
+        // Generate contextual questions using AI (nominations are asked from the nominator's side)
         const questions = await aiOrchestrator.generateContextualQuestions({
             originalStatement,
             impactType,
-            emailAppreciation
+            emailAppreciation,
+            nomineeName,
+            nominatorName: nomineeName ? req.user.displayName : undefined
         });
 
         res.json({ success: true, data: { questions } });
@@ -102,10 +347,34 @@ app.post('/api/questions/generate', async (req, res) => {
     }
 });
 
+// Propose skill tags for an accomplishment being written (preview only, no saving)
+app.post('/api/tags/suggest', validator.check(schemas.suggestTags), requireActiveImpactType, rateLimiter.limit(), async (req, res) => {
+    try {
+        const existingTags = (await dbServer.getPopularTags(SUGGESTION_TAG_VOCABULARY)).map(({ tag }) => tag);
+        const tags = await aiOrchestrator.extractSkillTags(await previewSubmission(req), existingTags);
+
+        res.json({ success: true, data: { tags } });
+    } catch (error) {
+        console.error('Error suggesting tags:', error);
+        res.status(500).json({ success: false, error: 'Failed to suggest tags' });
+    }
+});
+
+// Most used skill tags, e.g. for autocomplete (?limit=)
+app.get('/api/tags', validator.check(schemas.popularTags), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const tags = await dbServer.getPopularTags(limit);
+        res.json({ success: true, data: tags });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Statement generation endpoint (preview only, no saving)
-app.post('/api/accomplishment/generate', async (req, res) => {
+app.post('/api/accomplishment/generate', validator.check(schemas.generateStatement), requireActiveImpactType, rateLimiter.limit(), async (req, res) => {
     try {
-        const accomplishmentData = req.body;
+        const accomplishmentData = await previewSubmission(req);
 
         // Generate AI statement
         const aiGeneratedStatement = await aiOrchestrator.generateAccomplishmentStatement(accomplishmentData);
@@ -127,10 +396,53 @@ app.post('/api/accomplishment/generate', async (req, res) => {
     }
 });
 
-// Submit new accomplishment
-app.post('/api/accomplishments', async (req, res) => {
+// Check a submission against the author's recent accomplishments for likely duplicates
+app.post('/api/accomplishments/check-duplicates', validator.check(schemas.checkDuplicates), rateLimiter.limit(), async (req, res) => {
+    try {
+        // Only the caller's own posts: nominators can't merge into a colleague's
+        const duplicates = await duplicateDetector.findDuplicates({ ...req.body, userId: req.user.email });
+        res.json({ success: true, data: { duplicates } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Submit new accomplishment. Responds 409 with the likely duplicates unless
+// ignoreDuplicates is set (the author chose to post it separately).
+// It is posted as the signed-in user. Peer nominations (nominatedBy set) send the
+// colleague as userId/userName and stay pending until the nominee accepts them.
+app.post('/api/accomplishments', validator.check(schemas.createAccomplishment), requireActiveImpactType, rateLimiter.limit(req => !req.body.aiGeneratedStatement), async (req, res) => {
     try {
-        const accomplishmentData = req.body;
+        let { ignoreDuplicates, ...accomplishmentData } = req.body;
+        let nominator = null;
+
+        if (accomplishmentData.nominatedBy) {
+            const nomination = await nominations.prepare({
+                ...accomplishmentData,
+                nominatedBy: req.user.email,
+                nominatorName: req.user.displayName
+            });
+            if (nomination.error) {
+                return res.status(400).json({ success: false, error: nomination.error });
+            }
+            ({ accomplishmentData, nominator } = nomination);
+        } else {
+            accomplishmentData.userId = req.user.email;
+            accomplishmentData.userName = req.user.displayName;
+            accomplishmentData.authorId = req.user.id;
+        }
+
+        // A nominator can't merge into someone else's posts, so nominations skip the check
+        if (!ignoreDuplicates && !nominator) {
+            const duplicates = await duplicateDetector.findDuplicates(accomplishmentData);
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This looks like an accomplishment you already shared',
+                    duplicates
+                });
+            }
+        }
 
         // Check if statement is already generated (preview flow)
         let aiStatement = accomplishmentData.aiGeneratedStatement;
@@ -148,34 +460,336 @@ app.post('/api/accomplishments', async (req, res) => {
             id: Date.now().toString()
         });
 
+        // Make it findable through semantic search (doesn't delay the response)
+        embeddingService.indexInBackground(savedAccomplishment);
+
+        if (nominator) {
+            nominations.notifyInBackground(savedAccomplishment, nominator);
+        }
+
         res.json({ success: true, data: savedAccomplishment });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get accomplishment details
-app.get('/api/accomplishments/:id', async (req, res) => {
+// Merge a new submission into an existing accomplishment instead of posting a duplicate
+app.post('/api/accomplishments/:id/merge', validator.check(schemas.mergeAccomplishment), rateLimiter.limit(), async (req, res) => {
     try {
         const { id } = req.params;
-        const accomplishment = await dbServer.getAccomplishmentById(id);
+        const existing = await dbServer.getAccomplishmentById(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+        if (!isAuthor(existing, req.user.email)) {
+            return authorization.forbidden(res, 'You can only merge into your own accomplishments');
+        }
+
+        // The revision is recorded as the signed-in author, whatever the body says
+        const merged = await duplicateDetector.merge(existing, { ...req.body, userId: req.user.email });
+        res.json({ success: true, data: merged });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get accomplishment details
+app.get('/api/accomplishments/:id', validator.check(schemas.accomplishment), async (req, res) => {
+    try {
+        const accomplishment = await findVisibleAccomplishment(req, res);
+        if (!accomplishment) return;
+
         res.json({ success: true, data: accomplishment });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Toggle congratulations on an accomplishment
-app.post('/api/accomplishments/:id/congratulations', async (req, res) => {
+// Edit an accomplishment (author only). Send the changed fields and/or tags (replaces
+// the skill tags); regenerate: true rewrites the AI statement from the updated text.
+app.patch('/api/accomplishments/:id', validator.check(schemas.updateAccomplishment), rateLimiter.limit(req => req.body.regenerate === true), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { regenerate, tags, ...fields } = req.body;
+
+        const existing = await dbServer.getAccomplishmentById(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+        if (!isAuthor(existing, req.user.email)) {
+            return authorization.forbidden(res, 'You can only edit your own accomplishments');
+        }
+        // A retired category may stay on old posts but can't be newly chosen
+        if (fields.impactType !== undefined && fields.impactType !== existing.impactType &&
+            !(await impactCategories.isActive(fields.impactType))) {
+            return res.status(400).json({ success: false, error: 'impactType must be an active impact category' });
+        }
+
+        const changes = {};
+        Object.keys(EDITABLE_COLUMNS)
+            .filter(field => fields[field] !== undefined)
+            .forEach(field => { changes[field] = String(fields[field]).trim(); });
+
+        if (regenerate) {
+            changes.aiGeneratedStatement = await aiOrchestrator.generateAccomplishmentStatement({
+                userName: existing.userName,
+                nominatorName: existing.nominator?.displayName,
+                originalStatement: changes.originalStatement ?? existing.originalStatement,
+                responses: {
+                    emailAppreciation: changes.emailAppreciation ?? existing.emailAppreciation,
+                    impactType: changes.impactType ?? existing.impactType,
+                    additionalDetails: changes.additionalDetails ?? existing.additionalDetails
+                }
+            });
+        }
+
+        if (changes.originalStatement === '' || changes.aiGeneratedStatement === '') {
+            return res.status(400).json({ success: false, error: 'Statements cannot be empty' });
+        }
+
+        if (tags !== undefined) {
+            await dbServer.setTags(id, tags);
+        }
+
+        const updated = await dbServer.updateAccomplishment(id, changes, req.user.email);
+        embeddingService.indexInBackground(updated);
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete an accomplishment (author only). Its revision history is kept.
+app.delete('/api/accomplishments/:id', validator.check(schemas.accomplishment), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userEmail } = req.body;
 
-        if (!userEmail) {
-            return res.status(400).json({ success: false, error: 'User email is required' });
+        const existing = await dbServer.getAccomplishmentById(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+        if (!isAuthor(existing, req.user.email)) {
+            return authorization.forbidden(res, 'You can only delete your own accomplishments');
+        }
+
+        const files = await dbServer.getAttachments(id);
+        await dbServer.deleteAccomplishment(id, req.user.email);
+        await attachments.removeFiles(files);
+        res.json({ success: true, data: { id } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revision history (who changed what, when) for an accomplishment
+app.get('/api/accomplishments/:id/revisions', validator.check(schemas.accomplishment), async (req, res) => {
+    try {
+        if (!(await findVisibleAccomplishment(req, res))) return;
+
+        const revisions = await dbServer.getRevisions(req.params.id);
+        res.json({ success: true, data: revisions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Comments
+
+// Load a comment and check it belongs to the accomplishment in the URL and to the caller
+async function findOwnComment(req, res) {
+    const comment = await dbServer.getCommentById(req.params.commentId);
+    if (!comment || comment.accomplishmentId !== req.params.id) {
+        res.status(404).json({ success: false, error: 'Comment not found' });
+        return null;
+    }
+    if (!isAuthor(comment, req.user.email)) {
+        authorization.forbidden(res, 'You can only change your own comments');
+        return null;
+    }
+    return comment;
+}
+
+// Get the comment thread of an accomplishment, oldest first
+app.get('/api/accomplishments/:id/comments', validator.check(schemas.accomplishment), async (req, res) => {
+    try {
+        if (!(await findVisibleAccomplishment(req, res))) return;
+
+        const comments = await dbServer.getComments(req.params.id);
+        res.json({ success: true, data: comments });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add a comment
+app.post('/api/accomplishments/:id/comments', validator.check(schemas.addComment), async (req, res) => {
+    try {
+        const accomplishment = await findPublishedAccomplishment(req, res);
+        if (!accomplishment) return;
+
+        const body = req.body.body.trim();
+        const result = await dbServer.addComment(req.params.id, { userId: req.user.email, userName: req.user.displayName, body });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
         }
 
+        await notifications.onComment(accomplishment, result.comment);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Edit your own comment
+app.patch('/api/accomplishments/:id/comments/:commentId', validator.check(schemas.updateComment), async (req, res) => {
+    try {
+        const body = req.body.body.trim();
+        const comment = await findOwnComment(req, res);
+        if (!comment) return;
+        const accomplishment = await findPublishedAccomplishment(req, res);
+        if (!accomplishment) return;
+
+        const updated = await dbServer.updateComment(comment.id, body);
+        await notifications.onComment(accomplishment, updated, comment.body);
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete your own comment
+app.delete('/api/accomplishments/:id/comments/:commentId', validator.check(schemas.comment), async (req, res) => {
+    try {
+        const comment = await findOwnComment(req, res);
+        if (!comment) return;
+
+        const result = await dbServer.deleteComment(comment.id);
+        res.json({ success: true, data: { id: comment.id, ...result } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Attachments
+
+const MAX_UPLOAD_MB = attachments.MAX_ATTACHMENT_BYTES / (1024 * 1024);
+
+// Attachment uploads send the raw file as the request body (Content-Type: the file's type);
+// the parser takes any type so unsupported ones get a proper 415 from the validation
+const attachmentUploadParser = express.raw({ type: () => true, limit: attachments.MAX_ATTACHMENT_BYTES });
+
+function readAttachmentUpload(req, res, next) {
+    attachmentUploadParser(req, res, error => {
+        if (error?.type === 'entity.too.large') {
+            return res.status(413).json({ success: false, error: `Attachments must be at most ${MAX_UPLOAD_MB} MB` });
+        }
+        if (error) {
+            return res.status(400).json({ success: false, error: 'Could not read the uploaded file' });
+        }
+        next();
+    });
+}
+
+// The author may attach evidence; so may the nominator while the nomination is pending
+function canAttach(accomplishment, userId) {
+    return isAuthor(accomplishment, userId) ||
+        (accomplishment.status === ACCOMPLISHMENT_STATUS.PENDING && isNominator(accomplishment, userId));
+}
+
+// Upload one file: POST /api/accomplishments/:id/attachments?filename=
+app.post('/api/accomplishments/:id/attachments', validator.check(schemas.uploadAttachment), readAttachmentUpload, async (req, res) => {
+    try {
+        const { filename } = req.query;
+        const userId = req.user.email;
+
+        const existing = await dbServer.getAccomplishmentById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+        if (!canAttach(existing, userId)) {
+            return authorization.forbidden(res, 'You can only attach files to your own accomplishments');
+        }
+
+        const { attachment, error, status } = await attachments.add(existing.id, {
+            buffer: req.body,
+            fileName: filename,
+            mimeType: req.get('Content-Type')
+        }, userId);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        const { storageKey, thumbnailKey, ...data } = attachment;
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Serve an attachment (images and PDFs open in the browser, e-mails download) or its thumbnail
+async function sendAttachment(req, res, thumbnail) {
+    try {
+        const attachment = await dbServer.getAttachmentById(req.params.id);
+        const accomplishment = attachment && await dbServer.getAccomplishmentById(attachment.accomplishmentId);
+        const visible = accomplishment && canView(accomplishment, req.user.email);
+        const file = visible && await attachments.read(attachment, { thumbnail });
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'Attachment not found' });
+        }
+
+        res.set({
+            'Content-Type': thumbnail ? 'image/webp' : attachment.mimeType,
+            'Content-Disposition': attachments.contentDisposition(attachment, thumbnail || attachments.isInline(attachment.mimeType)),
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=86400'
+        });
+        res.send(file);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.get('/api/attachments/:id', validator.check(schemas.attachment), (req, res) => sendAttachment(req, res, false));
+
+app.get('/api/attachments/:id/thumbnail', validator.check(schemas.attachment), (req, res) => sendAttachment(req, res, true));
+
+// Delete an attachment - the uploader or the accomplishment's author
+app.delete('/api/attachments/:id', validator.check(schemas.attachment), async (req, res) => {
+    try {
+        const userId = req.user.email;
+
+        const attachment = await dbServer.getAttachmentById(req.params.id);
+        if (!attachment) {
+            return res.status(404).json({ success: false, error: 'Attachment not found' });
+        }
+        const accomplishment = await dbServer.getAccomplishmentById(attachment.accomplishmentId);
+        if (!isAuthor({ userId: attachment.uploadedBy }, userId) && !(accomplishment && isAuthor(accomplishment, userId))) {
+            return authorization.forbidden(res, 'You can only delete attachments you uploaded or on your own accomplishments');
+        }
+
+        await attachments.remove(attachment);
+        res.json({ success: true, data: { id: attachment.id } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Toggle congratulations on an accomplishment
+app.post('/api/accomplishments/:id/congratulations', validator.check(schemas.accomplishment), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userEmail = req.user.email;
+
+        const accomplishment = await findPublishedAccomplishment(req, res);
+        if (!accomplishment) return;
+
         const result = await dbServer.toggleCongratulations(id, userEmail);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+
+        await notifications.onReaction('congratulations', accomplishment, userEmail, result.userCongratulated);
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error toggling congratulations:', error);
@@ -184,16 +798,20 @@ app.post('/api/accomplishments/:id/congratulations', async (req, res) => {
 });
 
 // Toggle vote on an accomplishment
-app.post('/api/accomplishments/:id/vote', async (req, res) => {
+app.post('/api/accomplishments/:id/vote', validator.check(schemas.accomplishment), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userEmail } = req.body;
+        const userEmail = req.user.email;
 
-        if (!userEmail) {
-            return res.status(400).json({ success: false, error: 'User email is required' });
-        }
+        const accomplishment = await findPublishedAccomplishment(req, res);
+        if (!accomplishment) return;
 
         const result = await dbServer.toggleVote(id, userEmail);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
+        }
+
+        await notifications.onReaction('vote', accomplishment, userEmail, result.userVoted);
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error toggling vote:', error);
@@ -202,15 +820,11 @@ app.post('/api/accomplishments/:id/vote', async (req, res) => {
 });
 
 // Generate LinkedIn post for sharing (v4 feature)
-app.post('/api/accomplishments/:id/linkedin-post', async (req, res) => {
+app.post('/api/accomplishments/:id/linkedin-post', validator.check(schemas.accomplishment), rateLimiter.limit(), async (req, res) => {
     try {
-        const { id } = req.params;
-
         // Get accomplishment details
-        const accomplishment = await dbServer.getAccomplishmentById(id);
-        if (!accomplishment) {
-            return res.status(404).json({ success: false, error: 'Accomplishment not found' });
-        }
+        const accomplishment = await findPublishedAccomplishment(req, res);
+        if (!accomplishment) return;
 
         // Use the existing generateWithPrompt method for LinkedIn post generation
         // Include all available accomplishment data - leave nothing on the table
@@ -240,18 +854,566 @@ app.post('/api/accomplishments/:id/linkedin-post', async (req, res) => {
     }
 });
 
-// Routes for serving pages
-app.get('/', (req, res) => {
+// Peer nominations
+
+// Nominations waiting for the caller to accept ("received") and the pending or
+// declined ones they sent ("sent")
+app.get('/api/nominations', async (req, res) => {
+    try {
+        const data = await nominations.listFor(req.user);
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Accept (publish to the feed) or decline a nomination - nominee only
+async function respondToNomination(req, res, accept) {
+    try {
+        const existing = await dbServer.getAccomplishmentById(req.params.id);
+        if (!existing || !existing.nominatorId) {
+            return res.status(404).json({ success: false, error: 'Nomination not found' });
+        }
+        if (!isAuthor(existing, req.user.email)) {
+            return authorization.forbidden(res, 'Only the nominee can respond to a nomination');
+        }
+        if (existing.status !== ACCOMPLISHMENT_STATUS.PENDING) {
+            return res.status(409).json({ success: false, error: `This nomination was already ${existing.status === ACCOMPLISHMENT_STATUS.PUBLISHED ? 'accepted' : 'declined'}` });
+        }
+
+        const updated = await nominations.respond(existing, req.user.email, accept);
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/api/nominations/:id/accept', validator.check(schemas.accomplishment), (req, res) => respondToNomination(req, res, true));
+
+app.post('/api/nominations/:id/decline', validator.check(schemas.accomplishment), (req, res) => respondToNomination(req, res, false));
+
+// Users
+
+// Trimmed profile fields from a (validated) request body; `error` is set when the
+// manager can't be assigned
+async function readProfileFields(body, userId) {
+    const fields = {};
+    Object.keys(USER_PROFILE_COLUMNS)
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { fields[field] = body[field] === null ? '' : body[field].trim(); });
+
+    if (fields.managerId) {
+        if (fields.managerId === userId) {
+            return { error: 'A user cannot be their own manager' };
+        }
+        if (!(await dbServer.getUserById(fields.managerId))) {
+            return { error: 'Manager not found' };
+        }
+        if (userId && await dbServer.wouldCreateManagerCycle(userId, fields.managerId)) {
+            return { error: 'That manager already reports to this user' };
+        }
+    }
+    return { fields };
+}
+
+app.get('/api/users', async (req, res) => {
+    try {
+        const users = await dbServer.getUsers();
+        res.json({ success: true, data: users });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/users/by-email/:email', validator.check(schemas.userByEmail), async (req, res) => {
+    try {
+        const user = await dbServer.getUserByEmail(req.params.email);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        res.json({ success: true, data: user });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/users/:id', validator.check(schemas.user), async (req, res) => {
+    try {
+        const user = await dbServer.getUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        res.json({ success: true, data: user });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Register a user (admins only): { email, displayName, title?, department?, managerId?, avatarUrl?, role? }
+app.post('/api/users', authorization.requireRole(USER_ROLES.ADMIN), validator.check(schemas.createUser), async (req, res) => {
+    try {
+        const email = req.body.email.trim().toLowerCase();
+        const { fields, error } = await readProfileFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (await dbServer.getUserByEmail(email)) {
+            return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+        }
+
+        const user = await dbServer.createUser({ ...fields, email });
+        res.status(201).json({ success: true, data: user });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update profile fields (the e-mail can't change). Users edit their own profile;
+// managers and roles decide what someone may see, so only admins change those.
+app.patch('/api/users/:id', validator.check(schemas.updateUser), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!authorization.isSelfOrAdmin(req.user, id)) {
+            return authorization.forbidden(res, 'You can only edit your own profile');
+        }
+        if (req.body.email !== undefined) {
+            return res.status(400).json({ success: false, error: 'email cannot be changed' });
+        }
+
+        const { fields, error } = await readProfileFields(req.body, id);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if ((fields.managerId !== undefined || fields.role !== undefined) && !authorization.isAdmin(req.user)) {
+            return authorization.forbidden(res, 'Only admins can change managers and roles');
+        }
+
+        const user = await dbServer.updateUser(id, fields);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        res.json({ success: true, data: user });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete a user who has no accomplishments (admins only; their reports lose their manager)
+app.delete('/api/users/:id', authorization.requireRole(USER_ROLES.ADMIN), validator.check(schemas.user), async (req, res) => {
+    try {
+        const user = await dbServer.getUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const { items } = await dbServer.getAccomplishmentsByUser(user.email, null, { limit: 1 });
+        if (items.length > 0) {
+            return res.status(409).json({ success: false, error: 'Users with accomplishments cannot be deleted' });
+        }
+
+        await dbServer.deleteUser(user.id);
+        res.json({ success: true, data: { id: user.id } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// AI review narrative from a user's accomplishments: { startDate, endDate } (YYYY-MM-DD).
+// Every theme, impact note, outcome and quote cites the accomplishment IDs behind it.
+// For the user themself, their managers and admins.
+app.post('/api/users/:userId/review-summary', validator.check(schemas.reviewSummary), rateLimiter.limit(), async (req, res) => {
+    try {
+        const { period, error } = reviewSummary.parsePeriod(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const user = await dbServer.getUserById(req.params.userId) || await dbServer.getUserByEmail(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (!(await authorization.canManageUser(req.user, user.id))) {
+            return authorization.forbidden(res, 'You can only summarize your own accomplishments or those of people reporting to you');
+        }
+
+        const result = await reviewSummary.generate(user, period);
+        if (!result) {
+            return res.status(404).json({ success: false, error: `${user.displayName} has no accomplishments between ${period.startDate} and ${period.endDate}` });
+        }
+
+        res.json({
+            success: true,
+            data: { user, period: { startDate: period.startDate, endDate: period.endDate }, ...result }
+        });
+    } catch (error) {
+        console.error('Error generating review summary:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Digest e-mails
+
+// The digests a user can subscribe to, with their chosen frequency (null = not subscribed)
+app.get('/api/users/:id/digests', validator.check(schemas.user), async (req, res) => {
+    try {
+        if (!authorization.isSelfOrAdmin(req.user, req.params.id)) {
+            return authorization.forbidden(res, 'You can only manage your own digest subscriptions');
+        }
+        const user = await dbServer.getUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const preferences = await digests.getPreferences(user);
+        res.json({ success: true, data: preferences });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Opt in or out: { team: 'weekly' | 'monthly' | null, top: ... } (any subset)
+app.patch('/api/users/:id/digests', validator.check(schemas.updateDigests), async (req, res) => {
+    try {
+        if (!authorization.isSelfOrAdmin(req.user, req.params.id)) {
+            return authorization.forbidden(res, 'You can only manage your own digest subscriptions');
+        }
+        const { changes, error } = digests.parsePreferences(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const user = await dbServer.getUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const preferences = await digests.updatePreferences(user, changes);
+        res.json({ success: true, data: preferences });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send the digests that are due now instead of waiting for the scheduler (admins only)
+app.post('/api/digests/run', authorization.requireRole(USER_ROLES.ADMIN), async (req, res) => {
+    try {
+        const result = await digestScheduler.run();
+        if (!result) {
+            return res.status(500).json({ success: false, error: 'Digest run failed' });
+        }
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Notifications
+
+// The caller's notifications, newest first: ?limit=&cursor=&unread=true
+app.get('/api/notifications', validator.check(schemas.listNotifications), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+
+        const page = await notifications.list(req.user, { ...pagination, unreadOnly: req.query.unread === 'true' });
+        res.json({ ...pageResponse(page, pagination.limit), unreadCount: page.unreadCount });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// How each event reaches the caller: 'in-app' or 'in-app+email'
+app.get('/api/notifications/preferences', async (req, res) => {
+    try {
+        const preferences = await notifications.getPreferences(req.user);
+        res.json({ success: true, data: preferences });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// { congratulations: 'in-app' | 'in-app+email', vote: ..., comment: ..., mention: ... } (any subset)
+app.patch('/api/notifications/preferences', validator.check(schemas.updateNotificationPreferences), async (req, res) => {
+    try {
+        const { changes, error } = notifications.parsePreferences(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const preferences = await notifications.updatePreferences(req.user, changes);
+        res.json({ success: true, data: preferences });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Mark everything read
+app.post('/api/notifications/read-all', async (req, res) => {
+    try {
+        const marked = await notifications.markRead(req.user);
+        res.json({ success: true, data: { marked, unreadCount: 0 } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Mark one notification read
+app.post('/api/notifications/:id/read', validator.check(schemas.notification), async (req, res) => {
+    try {
+        const marked = await notifications.markRead(req.user, [req.params.id]);
+        const unreadCount = await dbServer.countUnreadNotifications(req.user.id);
+        res.json({ success: true, data: { marked, unreadCount } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Impact categories
+
+// Active categories for the submit form and filters; ?all=true includes retired ones
+app.get('/api/impact-categories', validator.check(schemas.listImpactCategories), async (req, res) => {
+    try {
+        const categories = req.query.all === 'true'
+            ? await impactCategories.listAll()
+            : await impactCategories.list();
+        res.json({ success: true, data: categories });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add a category (admins only): { id, label, description?, icon?, promptGuidance?, sortOrder? }
+app.post('/api/impact-categories', authorization.requireRole(USER_ROLES.ADMIN), validator.check(schemas.createImpactCategory), async (req, res) => {
+    try {
+        const { category, error } = impactCategories.parse(req.body, { creating: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (await dbServer.getImpactCategory(category.id)) {
+            return res.status(409).json({ success: false, error: 'An impact category with this id already exists' });
+        }
+
+        const created = await impactCategories.create(category);
+        res.status(201).json({ success: true, data: created });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update a category (admins only); { active: false } retires it (categories are never deleted,
+// existing accomplishments keep referring to them)
+app.patch('/api/impact-categories/:id', authorization.requireRole(USER_ROLES.ADMIN), validator.check(schemas.updateImpactCategory), async (req, res) => {
+    try {
+        if (req.body.id !== undefined && req.body.id !== req.params.id) {
+            return res.status(400).json({ success: false, error: 'id cannot be changed' });
+        }
+
+        const { category, error } = impactCategories.parse(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const updated = await impactCategories.update(req.params.id, category);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Impact category not found' });
+        }
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Teams (reporting lines)
+
+const RECENT_WINS_PER_MEMBER = 3;
+
+// Load reporting lines (admins only) from JSON ([...] or { users: [...] }) or CSV ({ format: 'csv', data: '...' })
+app.post('/api/org/import', authorization.requireRole(USER_ROLES.ADMIN), validator.check(schemas.importOrgChart), async (req, res) => {
+    try {
+        let rows;
+        try {
+            rows = req.body.format === 'csv'
+                ? orgChart.parse(req.body.data, 'csv')
+                : orgChart.parse(req.body.users ? req.body.users : req.body, 'json');
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const result = await orgChart.import(rows);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A manager's team (?depth= levels, default all) with each member's most recent wins.
+// Managers see the teams within their reporting tree, admins every team.
+app.get('/api/teams/:managerId', validator.check(schemas.team), async (req, res) => {
+    try {
+        if (!(await authorization.canManageUser(req.user, req.params.managerId))) {
+            return authorization.forbidden(res, 'You can only see the teams that report to you');
+        }
+        const { depth, error } = orgChart.parseDepth(req.query.depth);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const manager = await dbServer.getUserById(req.params.managerId);
+        if (!manager) {
+            return res.status(404).json({ success: false, error: 'Manager not found' });
+        }
+
+        const team = await orgChart.getTeam(manager.id, depth);
+        const members = await Promise.all(team.map(async member => {
+            const { items } = await dbServer.getAccomplishmentsByUser(member.email, req.user.email, { limit: RECENT_WINS_PER_MEMBER });
+            return { ...member, recentAccomplishments: items };
+        }));
+
+        res.json({ success: true, data: { manager, depth, members } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Accomplishments from everyone reporting to a manager, newest first. Accepts ?depth=
+// plus the /filter filters and pagination.
+app.get('/api/teams/:managerId/accomplishments', validator.check(schemas.teamAccomplishments), async (req, res) => {
+    try {
+        if (!(await authorization.canManageUser(req.user, req.params.managerId))) {
+            return authorization.forbidden(res, 'You can only see the teams that report to you');
+        }
+        const { limit, cursor, depth: depthParam, ...query } = req.query;
+        const filters = queryFilters(query);
+        const pagination = parsePagination({ limit, cursor });
+        if (pagination.error) {
+            return res.status(400).json({ success: false, error: pagination.error });
+        }
+        const { depth, error } = orgChart.parseDepth(depthParam);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const manager = await dbServer.getUserById(req.params.managerId);
+        if (!manager) {
+            return res.status(404).json({ success: false, error: 'Manager not found' });
+        }
+
+        const team = await orgChart.getTeam(manager.id, depth);
+        const page = await dbServer.filterAccomplishments(
+            { ...filters, authorIds: team.map(member => member.id) },
+            req.user.email,
+            pagination
+        );
+        res.json(pageResponse(page, pagination.limit));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Analytics (all periods: ?startDate=&endDate= as YYYY-MM-DD, default the last 30 days)
+
+// Top contributors: ?metric=votes|congratulations|submissions&limit=
+app.get('/api/analytics/leaderboard', validator.check(schemas.leaderboard), async (req, res) => {
+    try {
+        const { period, error: periodError } = analytics.parsePeriod(req.query);
+        const { metric, limit, error } = analytics.parseLeaderboard(req.query);
+        if (periodError || error) {
+            return res.status(400).json({ success: false, error: periodError || error });
+        }
+
+        const leaders = await analytics.leaderboard(metric, period, limit);
+        res.json({ success: true, data: { metric, period: { startDate: period.startDate, endDate: period.endDate }, leaders } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Totals per impact type or department: ?by=impactType|department
+app.get('/api/analytics/breakdown', validator.check(schemas.breakdown), async (req, res) => {
+    try {
+        const by = req.query.by || 'impactType';
+        const { period, error } = analytics.parsePeriod(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const groups = await analytics.breakdown(by, period);
+        res.json({ success: true, data: { by, period: { startDate: period.startDate, endDate: period.endDate }, groups } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Weekly totals with week-over-week change: ?weeks= (default 12, current week last)
+app.get('/api/analytics/trends', validator.check(schemas.trends), async (req, res) => {
+    try {
+        const { weeks, error } = analytics.parseWeeks(req.query.weeks);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const data = await analytics.trends(weeks);
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Administration
+
+// Delete every accomplishment, user and reaction and restore the sample data (admins only)
+app.post('/api/admin/clear-data', authorization.requireRole(USER_ROLES.ADMIN), async (req, res) => {
+    try {
+        const files = await dbServer.clearData();
+        await attachments.removeFiles(files);
+        console.log(`🗑️ Data cleared by ${req.user.email}`);
+        res.json({ success: true, data: { cleared: true } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Routes for serving pages (signed-out browsers are sent to the login first)
+app.get('/', auth.requireLogin(), (req, res) => {
     res.sendFile(path.join(__dirname, 'ui', 'pages', 'feed', 'feed.html'));
 });
 
-app.get('/submit', (req, res) => {
+app.get('/submit', auth.requireLogin(), (req, res) => {
     res.sendFile(path.join(__dirname, 'ui', 'pages', 'submit', 'submit.html'));
 });
 
+app.get('/team', auth.requireLogin(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'ui', 'pages', 'team', 'team.html'));
+});
+
+app.get('/analytics', auth.requireLogin(), (req, res) => {
+    res.sendFile(path.join(__dirname, 'ui', 'pages', 'analytics', 'analytics.html'));
+});
+
+// Without sign-in every request would be rejected, so don't start half-configured
+const missingAuthSettings = auth.missingConfiguration();
+if (missingAuthSettings.length > 0) {
+    console.error(`❌ Sign-in is not configured. Set ${missingAuthSettings.join(', ')} ` +
+        '(for local runs: npm run mock-idp, then npm run dev:memory)');
+    process.exit(1);
+}
+
 // Start server
 app.listen(PORT, () => {
     console.log(`EAchieversClub server running on http://localhost:${PORT}`);
+
+    // Optional: embed accomplishments that have none (useful with the memory adapter)
+    if (process.env.EMBEDDINGS_BACKFILL_ON_START === 'true') {
+        embeddingService.backfill()
+            .then(({ indexed, failed }) => console.log(`🧭 Embedding backfill: ${indexed} stored, ${failed.length} failed`))
+            .catch(error => console.error('⚠️ Embedding backfill failed:', error.message));
+    }
+
+    if (process.env.DIGEST_SCHEDULER !== 'false') {
+        digestScheduler.start();
+    }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Base Mail Transport
+ * Interface every mail transport implements. Messages are fully rendered HTML
+ * e-mails; transports only deliver them.
+ */
+
+class BaseMailTransport {
+    constructor() {
+        this.transportName = 'base';
+    }
+
+    // Deliver { to: { name, email }, subject, html }
+    async send(message) {
+        throw this.notImplemented('send');
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = BaseMailTransport;
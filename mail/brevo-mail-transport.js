@@ -0,0 +1,21 @@
+/**
+ * Mail Transport (Brevo Version)
+ * Sends e-mails through the Brevo API via AIOrchestrator.sendEmail; requires
+ * BREVO_API_KEY.
+ */
+
+const BaseMailTransport = require('./base-mail-transport');
+const aiOrchestrator = require('../ai/ai-orchestrator');
+
+class BrevoMailTransport extends BaseMailTransport {
+    constructor() {
+        super();
+        this.transportName = 'brevo';
+    }
+
+    async send({ to, subject, html }) {
+        return aiOrchestrator.sendEmail(to, subject, html);
+    }
+}
+
+module.exports = BrevoMailTransport;
@@ -0,0 +1,34 @@
+/**
+ * Mail Transport (File Version)
+ * Writes each e-mail as an HTML file below MAIL_OUTBOX_DIR (default ./data/outbox)
+ * instead of sending it, so local runs can open digests in a browser.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const BaseMailTransport = require('./base-mail-transport');
+
+class FileMailTransport extends BaseMailTransport {
+    constructor(options = {}) {
+        super();
+        this.transportName = 'file';
+        this.root = path.resolve(options.root || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'));
+    }
+
+    // e.g. 2026-10-19T07-00-00-000Z-jane.smith-at-sap.com.html
+    fileName(to) {
+        const recipient = String(to.email).toLowerCase().replace('@', '-at-').replace(/[^a-z0-9.-]/g, '_');
+        return `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.html`;
+    }
+
+    async send({ to, subject, html }) {
+        const header = `<!--\nTo: ${to.name} <${to.email}>\nSubject: ${subject}\n-->\n`;
+        const filePath = path.join(this.root, this.fileName(to));
+
+        await fs.mkdir(this.root, { recursive: true });
+        await fs.writeFile(filePath, header + html);
+        return { file: filePath };
+    }
+}
+
+module.exports = FileMailTransport;
@@ -0,0 +1,28 @@
+/**
+ * Mail Transport Module
+ * Selects how outgoing e-mails are delivered. Every transport extends
+ * BaseMailTransport (see base-mail-transport.js for the interface).
+ *
+ * MAIL_TRANSPORT=brevo (default) Brevo API, requires BREVO_API_KEY
+ * MAIL_TRANSPORT=file  HTML files below MAIL_OUTBOX_DIR, for local runs
+ */
+
+const transports = {
+    brevo: () => require('./brevo-mail-transport'),
+    file: () => require('./file-mail-transport')
+};
+
+function createMailTransport(transportName = process.env.MAIL_TRANSPORT || 'brevo') {
+    const loadTransport = transports[transportName.toLowerCase()];
+
+    if (!loadTransport) {
+        throw new Error(`Unknown MAIL_TRANSPORT '${transportName}'. Supported transports: ${Object.keys(transports).join(', ')}`);
+    }
+
+    const MailTransport = loadTransport();
+    console.log(`✉️ Using '${transportName}' mail transport`);
+    return new MailTransport();
+}
+
+module.exports = createMailTransport();
+module.exports.createMailTransport = createMailTransport;
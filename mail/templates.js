@@ -0,0 +1,50 @@
+/**
+ * Mail Templates Module
+ * Loads the HTML e-mail templates in mail/templates and fills them in.
+ * {{name}} is replaced with the HTML-escaped value, {{{name}}} with the value as is
+ * (for fragments rendered from other templates). Every e-mail is wrapped in layout.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+class MailTemplates {
+    constructor() {
+        this.loadTemplates();
+    }
+
+    loadTemplates() {
+        const templatesDir = path.join(__dirname, 'templates');
+        this.templates = {};
+
+        fs.readdirSync(templatesDir).filter(file => file.endsWith('.html')).forEach(file => {
+            this.templates[path.parse(file).name] = fs.readFileSync(path.join(templatesDir, file), 'utf8');
+        });
+    }
+
+    render(name, variables = {}) {
+        const template = this.templates[name];
+        if (template === undefined) {
+            throw new Error(`Mail template '${name}' not found`);
+        }
+
+        // One pass, so placeholders inside inserted values are never filled in themselves
+        return template.replace(/{{{\s*(\w+)\s*}}}|{{\s*(\w+)\s*}}/g, (match, rawKey, key) =>
+            rawKey ? String(variables[rawKey] ?? '') : escapeHtml(variables[key]));
+    }
+
+    // A complete e-mail: the named template inside the shared layout
+    renderEmail(name, variables = {}) {
+        return this.render('layout', { ...variables, content: this.render(name, variables) });
+    }
+}
+
+module.exports = new MailTemplates();
+module.exports.escapeHtml = escapeHtml;
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Identity Provider
+ * A local stand-in for XSUAA / any OIDC provider, for development and testing only.
+ * Anyone can sign in as anyone: the login page just asks for an e-mail and a name.
+ * Serves discovery, signing keys (a fresh RSA key per run), the authorization-code
+ * flow with PKCE, and the password grant for getting tokens from the command line:
+ *
+ *   curl -u ea-appreciate:mock-secret -d grant_type=password -d username=jane.smith@sap.com \
+ *        http://localhost:8300/oauth/token
+ *
+ * MOCK_IDP_PORT           default 8300
+ * MOCK_IDP_CLIENT_ID      default ea-appreciate (the app's OIDC_CLIENT_ID)
+ * MOCK_IDP_CLIENT_SECRET  default mock-secret (the app's OIDC_CLIENT_SECRET)
+ * Usage: node mock-idp.js
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function createMockIdp({
+    port = parseInt(process.env.MOCK_IDP_PORT, 10) || 8300,
+    clientId = process.env.MOCK_IDP_CLIENT_ID || 'ea-appreciate',
+    clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret'
+} = {}) {
+    const issuer = `http://localhost:${port}`;
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    const signToken = (claims) => {
+        const now = Math.floor(Date.now() / 1000);
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.` +
+            encode({ iss: issuer, aud: [clientId], azp: clientId, cid: clientId, iat: now, exp: now + TOKEN_TTL_SECONDS, ...claims });
+        return `${signingInput}.${crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url')}`;
+    };
+
+    // XSUAA-style user claims
+    const userClaims = (email, name) => {
+        const displayName = String(name || '').trim() || email.split('@')[0];
+        const [givenName, ...familyName] = displayName.split(' ');
+        return {
+            sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 32),
+            user_name: email,
+            email,
+            name: displayName,
+            given_name: givenName,
+            family_name: familyName.join(' '),
+            scope: ['openid', 'email', 'profile']
+        };
+    };
+
+    const tokenResponse = (claims, nonce) => ({
+        token_type: 'bearer',
+        expires_in: TOKEN_TTL_SECONDS,
+        access_token: signToken(claims),
+        id_token: signToken({ ...claims, ...(nonce && { nonce }) })
+    });
+
+    // Basic auth or client_id/client_secret in the body, like XSUAA
+    const clientAuthenticated = (req) => {
+        const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+        if (scheme === 'Basic' && encoded) {
+            const [id, secret] = Buffer.from(encoded, 'base64').toString('utf8').split(':').map(decodeURIComponent);
+            return id === clientId && secret === clientSecret;
+        }
+        return req.body.client_id === clientId && req.body.client_secret === clientSecret;
+    };
+
+    const app = express();
+    app.use(bodyParser.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/oauth/authorize`,
+            token_endpoint: `${issuer}/oauth/token`,
+            jwks_uri: `${issuer}/token_keys`,
+            end_session_endpoint: `${issuer}/logout.do`,
+            response_types_supported: ['code'],
+            grant_types_supported: ['authorization_code', 'password'],
+            code_challenge_methods_supported: ['S256'],
+            id_token_signing_alg_values_supported: ['RS256']
+        });
+    });
+
+    app.get('/token_keys', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    // Login page: any e-mail and name are accepted
+    app.get('/oauth/authorize', (req, res) => {
+        if (req.query.client_id !== clientId || req.query.response_type !== 'code' || !req.query.redirect_uri) {
+            return res.status(400).send('Unknown client_id, or response_type/redirect_uri missing');
+        }
+        const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+            .map(field => `<input type="hidden" name="${field}" value="${escapeHtml(req.query[field])}">`).join('\n');
+
+        res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 64px auto;">
+    <h2>Mock identity provider</h2>
+    <p>For local development only - sign in as anyone.</p>
+    <form method="post" action="/oauth/authorize">
+        ${hidden}
+        <p><label>E-mail<br><input type="email" name="email" required autofocus style="width: 100%;"></label></p>
+        <p><label>Name<br><input type="text" name="name" style="width: 100%;"></label></p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`);
+    });
+
+    app.post('/oauth/authorize', (req, res) => {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!email.includes('@')) {
+            return res.status(400).send('A valid e-mail is required');
+        }
+
+        const code = crypto.randomBytes(16).toString('base64url');
+        codes.set(code, {
+            claims: userClaims(email, req.body.name),
+            redirectUri: req.body.redirect_uri,
+            nonce: req.body.nonce,
+            codeChallenge: req.body.code_challenge,
+            expiresAt: Date.now() + CODE_TTL_MS
+        });
+
+        const redirect = new URL(req.body.redirect_uri);
+        redirect.searchParams.set('code', code);
+        if (req.body.state) {
+            redirect.searchParams.set('state', req.body.state);
+        }
+        res.redirect(redirect.toString());
+    });
+
+    app.post('/oauth/token', (req, res) => {
+        if (!clientAuthenticated(req)) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        if (req.body.grant_type === 'password') {
+            const email = String(req.body.username || '').trim().toLowerCase();
+            if (!email.includes('@')) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'username must be an e-mail' });
+            }
+            return res.json(tokenResponse(userClaims(email, req.body.name)));
+        }
+
+        if (req.body.grant_type !== 'authorization_code') {
+            return res.status(400).json({ error: 'unsupported_grant_type' });
+        }
+
+        // Codes are single use
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+        const challenge = req.body.code_verifier &&
+            crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+        if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri ||
+            (grant.codeChallenge && grant.codeChallenge !== challenge)) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        res.json(tokenResponse(grant.claims, grant.nonce));
+    });
+
+    app.get('/logout.do', (req, res) => {
+        res.redirect(req.query.post_logout_redirect_uri || '/');
+    });
+
+    return { app, port, issuer };
+}
+
+// Run the provider if this script is executed directly
+if (require.main === module) {
+    const { app, port, issuer } = createMockIdp();
+    app.listen(port, () => {
+        console.log(`🔐 Mock identity provider running at ${issuer} - for local development only`);
+    });
+}
+
+module.exports = { createMockIdp };
@@ -0,0 +1,24 @@
+/**
+ * Base Rate Limit Store
+ * Interface every rate limit store implements: named counters that reset at a
+ * given time. Stores shared by all replicas (e.g. Redis) make the limits global;
+ * the in-memory store counts per process.
+ */
+
+class BaseRateLimitStore {
+    constructor() {
+        this.storeName = 'base';
+    }
+
+    // Add one to the counter `key`, starting it at 0 if it doesn't exist or has expired
+    // (it then expires at `expiresAt`, a Date). Resolves to { count, expiresAt }.
+    async increment(key, expiresAt) {
+        throw this.notImplemented('increment');
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = BaseRateLimitStore;
@@ -0,0 +1,45 @@
+/**
+ * Rate Limit Store (In-Memory Version)
+ * Counters in a Map of this process. With several replicas each one counts on its
+ * own, so the effective limits are that many times higher.
+ */
+
+const BaseRateLimitStore = require('./base-rate-limit-store');
+
+// Expired counters are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore extends BaseRateLimitStore {
+    constructor() {
+        super();
+        this.storeName = 'memory';
+        this.counters = new Map();
+        this.sweptAt = Date.now();
+    }
+
+    sweep(now) {
+        for (const [key, counter] of this.counters) {
+            if (counter.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+        this.sweptAt = now;
+    }
+
+    async increment(key, expiresAt) {
+        const now = Date.now();
+        if (now - this.sweptAt > SWEEP_INTERVAL_MS) {
+            this.sweep(now);
+        }
+
+        let counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            counter = { count: 0, expiresAt: expiresAt.getTime() };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { count: counter.count, expiresAt: new Date(counter.expiresAt) };
+    }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,26 @@
+/**
+ * Rate Limit Store Module
+ * Selects where rate limit and quota counters are kept. Every store extends
+ * BaseRateLimitStore (see base-rate-limit-store.js for the interface).
+ *
+ * RATE_LIMIT_STORE=memory (default) counters in this process
+ */
+
+const stores = {
+    memory: () => require('./memory-rate-limit-store')
+};
+
+function createRateLimitStore(storeName = process.env.RATE_LIMIT_STORE || 'memory') {
+    const loadStore = stores[storeName.toLowerCase()];
+
+    if (!loadStore) {
+        throw new Error(`Unknown RATE_LIMIT_STORE '${storeName}'. Supported stores: ${Object.keys(stores).join(', ')}`);
+    }
+
+    const RateLimitStore = loadStore();
+    console.log(`🚦 Using '${storeName}' rate limit store`);
+    return new RateLimitStore();
+}
+
+module.exports = createRateLimitStore();
+module.exports.createRateLimitStore = createRateLimitStore;
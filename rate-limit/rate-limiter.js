@@ -0,0 +1,101 @@
+/**
+ * AI Rate Limiter Module
+ * Protects the AI budget: every endpoint that calls SAP AI Core (text generation or
+ * embeddings) shares short-term limits per user and per client IP, and a daily quota
+ * per user (UTC days). Calls over a limit get 429 with Retry-After.
+ *
+ * AI_RATE_LIMIT_PER_USER       generations per window per user, default 20
+ * AI_RATE_LIMIT_PER_IP         generations per window per client IP, default 60
+ * AI_RATE_LIMIT_WINDOW_SECONDS length of that window, default 60
+ * AI_DAILY_QUOTA_PER_USER      generations per user per day, default 200
+ * A limit of 0 turns it off. Behind a proxy set TRUST_PROXY (see index.js), or every
+ * caller shares the proxy's IP.
+ */
+
+const rateLimitStore = require('./rate-limit-store');
+
+const DEFAULT_LIMITS = {
+    perUser: 20,
+    perIp: 60,
+    windowSeconds: 60,
+    dailyQuota: 200
+};
+
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+class RateLimiter {
+    constructor(store = rateLimitStore) {
+        this.store = store;
+        this.perUser = readLimit('AI_RATE_LIMIT_PER_USER', DEFAULT_LIMITS.perUser);
+        this.perIp = readLimit('AI_RATE_LIMIT_PER_IP', DEFAULT_LIMITS.perIp);
+        this.windowMs = (readLimit('AI_RATE_LIMIT_WINDOW_SECONDS', 0) || DEFAULT_LIMITS.windowSeconds) * 1000;
+        this.dailyQuota = readLimit('AI_DAILY_QUOTA_PER_USER', DEFAULT_LIMITS.dailyQuota);
+    }
+
+    // Counters are fixed windows: the key names the window, so they never need resetting
+    windowOf(now) {
+        const index = Math.floor(now.getTime() / this.windowMs);
+        return { index, expiresAt: new Date((index + 1) * this.windowMs) };
+    }
+
+    dayOf(now) {
+        const expiresAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+        return { day: now.toISOString().slice(0, 10), expiresAt };
+    }
+
+    // Count one generation; resolves to null when it may go ahead, else { error, retryAfter } (seconds)
+    async consume(user, ip, now = new Date()) {
+        const window = this.windowOf(now);
+        const { day, expiresAt: endOfDay } = this.dayOf(now);
+        const checks = [
+            { limit: this.perIp, key: `ai:ip:${ip}:${window.index}`, expiresAt: window.expiresAt,
+                error: 'Too many AI requests from your network. Please wait a moment.' },
+            { limit: this.perUser, key: `ai:user:${user.id}:${window.index}`, expiresAt: window.expiresAt,
+                error: 'You are generating too quickly. Please wait a moment.' },
+            { limit: this.dailyQuota, key: `ai:quota:${user.id}:${day}`, expiresAt: endOfDay,
+                error: `You have used today's ${this.dailyQuota} AI generations. The quota resets at midnight UTC.` }
+        ];
+
+        // A call stopped by one limit doesn't count towards the ones after it
+        for (const { limit, key, expiresAt, error } of checks) {
+            if (limit === 0) continue;
+            const counter = await this.store.increment(key, expiresAt);
+            if (counter.count > limit) {
+                return { error, retryAfter: Math.max(1, Math.ceil((counter.expiresAt - now) / 1000)) };
+            }
+        }
+        return null;
+    }
+
+    // Middleware for the AI endpoints (after authentication, which sets req.user). Routes
+    // that only sometimes generate pass `generates`, which tells from the request whether it will.
+    limit(generates = () => true) {
+        return async (req, res, next) => {
+            if (!generates(req)) {
+                return next();
+            }
+
+            let exceeded;
+            try {
+                exceeded = await this.consume(req.user, req.ip);
+            } catch (error) {
+                // An unreachable counter store shouldn't take the AI features down with it
+                console.error('❌ Rate limit store failed, letting the request through:', error.message);
+                return next();
+            }
+
+            if (exceeded) {
+                console.warn(`🚦 AI limit reached for ${req.user.email} (${req.ip}) on ${req.path}`);
+                res.set('Retry-After', String(exceeded.retryAfter));
+                return res.status(429).json({ success: false, error: exceeded.error, retryAfter: exceeded.retryAfter });
+            }
+            next();
+        };
+    }
+}
+
+module.exports = new RateLimiter();
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,221 @@
+/**
+ * Accomplishment Export Module
+ * Streams filtered accomplishments as CSV, XLSX or PDF for review season. Rows are
+ * read page by page (same filters and order as /api/accomplishments/filter) and
+ * written out as they arrive, so large exports never sit in memory as a whole.
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const dbServer = require('../db/db-server');
+const { MAX_PAGE_SIZE, decodeCursor } = require('../db/pagination');
+const impactCategories = require('./impact-categories');
+
+const MAX_EXPORT_ROWS = 5000;
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Exported columns, in order; `width` is the XLSX column width
+const COLUMNS = [
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Name', key: 'userName', width: 22 },
+    { header: 'Email', key: 'userId', width: 28 },
+    { header: 'Impact Type', key: 'impactType', width: 16 },
+    { header: 'Original Statement', key: 'originalStatement', width: 60 },
+    { header: 'AI Statement', key: 'aiGeneratedStatement', width: 80 },
+    { header: 'Email Appreciation', key: 'emailAppreciation', width: 60 },
+    { header: 'Congratulations', key: 'congratulationsCount', width: 16 },
+    { header: 'Votes', key: 'votesCount', width: 10 },
+    { header: 'Comments', key: 'commentsCount', width: 10 },
+    { header: 'Skills', key: 'tags', width: 30 },
+    { header: 'Nominated By', key: 'nominatedBy', width: 22 }
+];
+
+class AccomplishmentExport {
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    // e.g. accomplishments-2026-10-18.pdf
+    fileName(format) {
+        return `accomplishments-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+    }
+
+    // Yield export rows one page at a time, up to MAX_EXPORT_ROWS
+    async *rows(filters) {
+        const categories = new Map((await impactCategories.listAll()).map(category => [category.id, category.label]));
+        let cursor = null;
+        let exported = 0;
+
+        do {
+            const limit = Math.min(MAX_PAGE_SIZE, MAX_EXPORT_ROWS - exported);
+            const page = await dbServer.filterAccomplishments(filters, null, { limit, cursor });
+            for (const accomplishment of page.items) {
+                yield this.toRow(accomplishment, categories);
+            }
+            exported += page.items.length;
+            cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        } while (cursor && exported < MAX_EXPORT_ROWS);
+    }
+
+    toRow(accomplishment, categories) {
+        return {
+            date: String(accomplishment.createdAt || '').slice(0, 10),
+            userName: accomplishment.userName,
+            userId: accomplishment.userId,
+            impactType: categories.get(accomplishment.impactType) || accomplishment.impactType || '',
+            originalStatement: accomplishment.originalStatement || '',
+            aiGeneratedStatement: accomplishment.aiGeneratedStatement || '',
+            emailAppreciation: accomplishment.emailAppreciation || '',
+            congratulationsCount: accomplishment.congratulationsCount || 0,
+            votesCount: accomplishment.votesCount || 0,
+            commentsCount: accomplishment.commentsCount || 0,
+            tags: (accomplishment.tags || []).join(', '),
+            nominatedBy: accomplishment.nominator?.displayName || ''
+        };
+    }
+
+    // Write the export to a writable stream (the HTTP response)
+    async write(format, filters, stream) {
+        const writers = { csv: 'writeCsv', xlsx: 'writeXlsx', pdf: 'writePdf' };
+        const count = await this[writers[format]](this.rows(filters), stream);
+        console.log(`📤 Exported ${count} accomplishment(s) as ${format.toUpperCase()}`);
+        return count;
+    }
+
+    // Quote every field; cells starting with a formula character are prefixed so
+    // spreadsheet apps don't execute user-written text
+    csvField(value) {
+        let text = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    // Resolves once `stream` emits `event`, or closes or fails first: a client that
+    // disconnects mid-export never drains or finishes the response
+    waitFor(stream, event) {
+        if (stream.destroyed) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const done = () => {
+                [event, 'close', 'error'].forEach(name => stream.off(name, done));
+                resolve();
+            };
+            [event, 'close', 'error'].forEach(name => stream.on(name, done));
+        });
+    }
+
+    async writeCsv(rows, stream) {
+        // The BOM makes Excel open the file as UTF-8
+        stream.write('\uFEFF' + COLUMNS.map(column => this.csvField(column.header)).join(',') + '\r\n');
+
+        let count = 0;
+        for await (const row of rows) {
+            const line = COLUMNS.map(column => typeof row[column.key] === 'number'
+                ? row[column.key]
+                : this.csvField(row[column.key])).join(',');
+            if (!stream.write(line + '\r\n')) {
+                await this.waitFor(stream, 'drain');
+            }
+            count++;
+            // Leaving the loop stops paging through the database
+            if (stream.destroyed) break;
+        }
+        if (!stream.destroyed) {
+            stream.end();
+        }
+        return count;
+    }
+
+    async writeXlsx(rows, stream) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+        const sheet = workbook.addWorksheet('Accomplishments', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = COLUMNS.map(column => ({
+            ...column,
+            style: { alignment: { vertical: 'top', wrapText: column.width >= 30 } }
+        }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+
+        let count = 0;
+        for await (const row of rows) {
+            sheet.addRow(row).commit();
+            count++;
+            if (stream.destroyed) break;
+        }
+        sheet.commit();
+        await workbook.commit();
+        return count;
+    }
+
+    async writePdf(rows, stream) {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: false });
+        doc.pipe(stream);
+
+        doc.font('Helvetica-Bold').fontSize(18).text('Accomplishments');
+        doc.font('Helvetica').fontSize(9).fillColor('#666666')
+            .text(`Exported ${new Date().toISOString().slice(0, 10)}`)
+            .moveDown();
+
+        let count = 0;
+        for await (const row of rows) {
+            this.writePdfEntry(doc, row);
+            count++;
+            if (stream.destroyed) break;
+        }
+        if (count === 0) {
+            doc.font('Helvetica').fontSize(11).fillColor('#3f3f3f').text('No accomplishments match these filters.');
+        }
+
+        const finished = this.waitFor(stream, 'finish');
+        doc.end();
+        await finished;
+        return count;
+    }
+
+    writePdfEntry(doc, row) {
+        // Keep a heading from being orphaned at the bottom of a page
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 120) {
+            doc.addPage();
+        }
+
+        const section = (label, text) => {
+            if (!text) return;
+            doc.font('Helvetica-Bold').fontSize(9).fillColor('#666666').text(label.toUpperCase());
+            doc.font('Helvetica').fontSize(10).fillColor('#3f3f3f').text(text).moveDown(0.4);
+        };
+
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000')
+            .text(`${row.userName} - ${row.impactType}`, { continued: true })
+            .font('Helvetica').fontSize(10).fillColor('#666666')
+            .text(`   ${row.date}`);
+        if (row.nominatedBy) {
+            doc.fontSize(9).text(`Nominated by ${row.nominatedBy}`);
+        }
+        doc.moveDown(0.3);
+
+        section('Statement', row.aiGeneratedStatement);
+        section('Original statement', row.originalStatement);
+        section('Email appreciation', row.emailAppreciation);
+        section('Skills', row.tags);
+
+        doc.font('Helvetica').fontSize(9).fillColor('#666666')
+            .text(`Congratulations: ${row.congratulationsCount}   Votes: ${row.votesCount}   Comments: ${row.commentsCount}`);
+
+        const y = doc.y + 8;
+        doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+            .strokeColor('#e6d6b8').stroke();
+        doc.y = y + 12;
+    }
+}
+
+module.exports = new AccomplishmentExport();
+module.exports.FORMATS = FORMATS;
+module.exports.MAX_EXPORT_ROWS = MAX_EXPORT_ROWS;
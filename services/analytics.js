@@ -0,0 +1,161 @@
+/**
+ * Recognition Analytics Module
+ * Aggregates submissions, congratulations and votes for the analytics dashboard:
+ * leaderboards of top contributors, breakdowns by impact type and department, and
+ * week-over-week trends.
+ *
+ * A period is a range of calendar days (UTC, both ends included). Submissions are
+ * counted on the day they were posted; congratulations and votes on the day they
+ * were given, so a period's numbers show the recognition that happened in it.
+ */
+
+const dbServer = require('../db/db-server');
+const impactCategories = require('./impact-categories');
+const { addDays, weekStart } = require('../db/analytics');
+
+const METRICS = ['votes', 'congratulations', 'submissions'];
+const BREAKDOWNS = ['impactType', 'department'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 731;
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 50;
+const DEFAULT_TREND_WEEKS = 12;
+const MAX_TREND_WEEKS = 52;
+
+class Analytics {
+    parseDate(value) {
+        if (!DATE_PATTERN.test(value)) {
+            return null;
+        }
+        const date = new Date(`${value}T00:00:00.000Z`);
+        return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+    }
+
+    // Parse ?startDate=&endDate= (YYYY-MM-DD); defaults to the last 30 days.
+    // Returns { period: { startDate, endDate, start, end } } or { error }.
+    parsePeriod(query = {}) {
+        const end = query.endDate ? this.parseDate(query.endDate) : this.parseDate(new Date().toISOString().slice(0, 10));
+        if (!end) {
+            return { error: 'endDate must be a date (YYYY-MM-DD)' };
+        }
+        const start = query.startDate ? this.parseDate(query.startDate) : addDays(end, 1 - DEFAULT_PERIOD_DAYS);
+        if (!start) {
+            return { error: 'startDate must be a date (YYYY-MM-DD)' };
+        }
+        if (start > end) {
+            return { error: 'startDate must not be after endDate' };
+        }
+        if ((end - start) / (24 * 60 * 60 * 1000) >= MAX_PERIOD_DAYS) {
+            return { error: `A period can span at most ${MAX_PERIOD_DAYS} days` };
+        }
+
+        return { period: this.toPeriod(start, addDays(end, 1)) };
+    }
+
+    // [start, end) as timestamps, plus the inclusive calendar days for responses
+    toPeriod(start, end) {
+        return {
+            startDate: start.toISOString().slice(0, 10),
+            endDate: addDays(end, -1).toISOString().slice(0, 10),
+            start: start.toISOString(),
+            end: end.toISOString()
+        };
+    }
+
+    // Parse ?metric=&limit= for leaderboards; returns { metric, limit } or { error }
+    parseLeaderboard(query = {}) {
+        const metric = query.metric || 'votes';
+        if (!METRICS.includes(metric)) {
+            return { error: `metric must be one of: ${METRICS.join(', ')}` };
+        }
+
+        let limit = DEFAULT_LEADERBOARD_SIZE;
+        if (query.limit !== undefined && query.limit !== '') {
+            limit = parseInt(query.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1) {
+                return { error: 'limit must be a positive integer' };
+            }
+        }
+        return { metric, limit: Math.min(limit, MAX_LEADERBOARD_SIZE) };
+    }
+
+    // Parse ?weeks= for trends; returns { weeks } or { error }
+    parseWeeks(value) {
+        if (value === undefined || value === '') {
+            return { weeks: DEFAULT_TREND_WEEKS };
+        }
+        const weeks = parseInt(value, 10);
+        if (!Number.isInteger(weeks) || weeks < 2) {
+            return { error: 'weeks must be an integer of at least 2' };
+        }
+        return { weeks: Math.min(weeks, MAX_TREND_WEEKS) };
+    }
+
+    // Highest `metric` first; ties go to the other metrics, then the name
+    compareBy(metric) {
+        const order = [metric, ...METRICS.filter(other => other !== metric)];
+        return (a, b) => order.reduce((result, field) => result || b[field] - a[field], 0) ||
+            String(a.label || '').localeCompare(String(b.label || ''));
+    }
+
+    // Top contributors by votes, congratulations or submissions in the period
+    async leaderboard(metric, period, limit = DEFAULT_LEADERBOARD_SIZE) {
+        const stats = (await dbServer.getRecognitionStats('author', period))
+            .filter(entry => entry.key && entry[metric] > 0)
+            .sort(this.compareBy(metric))
+            .slice(0, limit);
+
+        const users = await Promise.all(stats.map(entry => dbServer.getUserById(entry.key)));
+
+        return stats
+            .map(({ key, ...totals }, index) => ({ user: users[index], ...totals }))
+            .filter(entry => entry.user)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    // Totals per impact category or per author department, most submissions first
+    async breakdown(by, period) {
+        const stats = await dbServer.getRecognitionStats(by, period);
+
+        let labelOf = key => key || 'No department';
+        if (by === 'impactType') {
+            const categories = new Map((await impactCategories.listAll()).map(category => [category.id, category.label]));
+            labelOf = key => categories.get(key) || key || 'Unknown';
+        }
+
+        return stats
+            .map(entry => ({ ...entry, label: labelOf(entry.key) }))
+            .sort(this.compareBy('submissions'));
+    }
+
+    // Weekly totals for the last `weeks` weeks (the current one included, so it may be partial),
+    // each with the percentage change from the week before (null when that week had none)
+    async trends(weeks = DEFAULT_TREND_WEEKS) {
+        const currentWeek = new Date(`${weekStart(new Date())}T00:00:00.000Z`);
+        const firstWeek = addDays(currentWeek, -7 * (weeks - 1));
+        const period = this.toPeriod(firstWeek, addDays(currentWeek, 7));
+
+        const stats = new Map((await dbServer.getRecognitionStats('week', period)).map(entry => [entry.key, entry]));
+
+        let previous = null;
+        return Array.from({ length: weeks }, (_, index) => {
+            const week = addDays(firstWeek, 7 * index).toISOString().slice(0, 10);
+            const { submissions = 0, congratulations = 0, votes = 0 } = stats.get(week) || {};
+            const totals = { submissions, congratulations, votes };
+            const change = Object.fromEntries(METRICS.map(metric => [
+                metric,
+                previous && previous[metric] > 0
+                    ? Math.round(((totals[metric] - previous[metric]) / previous[metric]) * 100)
+                    : null
+            ]));
+
+            previous = totals;
+            return { weekStart: week, ...totals, change };
+        });
+    }
+}
+
+module.exports = new Analytics();
+module.exports.METRICS = METRICS;
+module.exports.BREAKDOWNS = BREAKDOWNS;
@@ -0,0 +1,184 @@
+/**
+ * Attachments Module
+ * Evidence files on accomplishments: screenshots, PDFs and exported e-mails.
+ * Uploads are checked against an allow-list of MIME types (the declared type must
+ * match the file's leading bytes) and a size limit; images get a small WebP
+ * thumbnail for the feed cards. File contents go to the attachment store, the
+ * metadata to the database.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const dbServer = require('../db/db-server');
+const attachmentStore = require('../storage/attachment-store');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_ACCOMPLISHMENT = 10;
+const MAX_FILE_NAME_LENGTH = 200;
+const THUMBNAIL_SIZE = 320;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+// Allowed types: file extensions (used when the browser doesn't know the type) and a content check
+const ALLOWED_TYPES = {
+    'image/png': { extensions: ['.png'], image: true, matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    'image/jpeg': { extensions: ['.jpg', '.jpeg'], image: true, matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+    'image/gif': { extensions: ['.gif'], image: true, matches: buffer => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')) },
+    'image/webp': { extensions: ['.webp'], image: true, matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+    'application/pdf': { extensions: ['.pdf'], matches: buffer => startsWith(buffer, ascii('%PDF-')) },
+    // Outlook .msg files are OLE compound documents
+    'application/vnd.ms-outlook': { extensions: ['.msg'], matches: buffer => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+    // .eml exports are plain text - reject anything binary
+    'message/rfc822': { extensions: ['.eml'], matches: buffer => !buffer.subarray(0, 8192).includes(0) }
+};
+
+// Served inline by the browser; everything else is downloaded
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+class Attachments {
+    // Strip directories and control characters from the client's file name
+    cleanFileName(fileName) {
+        const name = path.basename(String(fileName || '').replace(/\\/g, '/'))
+            .replace(/[\u0000-\u001f\u007f"]/g, '')
+            .trim();
+        if (name.length <= MAX_FILE_NAME_LENGTH) {
+            return name;
+        }
+        const extension = path.extname(name).slice(0, 10);
+        return name.slice(0, MAX_FILE_NAME_LENGTH - extension.length) + extension;
+    }
+
+    // Declared type, falling back to the file extension for generic types
+    resolveMimeType(declaredType, fileName) {
+        const mimeType = String(declaredType || '').split(';')[0].trim().toLowerCase();
+        if (ALLOWED_TYPES[mimeType]) {
+            return mimeType;
+        }
+        if (!mimeType || mimeType === 'application/octet-stream') {
+            const extension = path.extname(fileName).toLowerCase();
+            return Object.keys(ALLOWED_TYPES).find(type => ALLOWED_TYPES[type].extensions.includes(extension)) || mimeType;
+        }
+        return mimeType;
+    }
+
+    // Check an upload; returns { file: { fileName, mimeType } } or { error, status }
+    validate({ buffer, fileName, mimeType }) {
+        const name = this.cleanFileName(fileName);
+        if (!name) {
+            return { error: 'filename is required', status: 400 };
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            return { error: 'The uploaded file is empty', status: 400 };
+        }
+        if (buffer.length > MAX_ATTACHMENT_BYTES) {
+            return { error: `Attachments must be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`, status: 413 };
+        }
+
+        const type = this.resolveMimeType(mimeType, name);
+        if (!ALLOWED_TYPES[type]) {
+            return { error: 'Only images (PNG, JPEG, GIF, WebP), PDFs and e-mails (.eml, .msg) can be attached', status: 415 };
+        }
+        if (!ALLOWED_TYPES[type].matches(buffer)) {
+            return { error: `The file content doesn't match its type (${type})`, status: 400 };
+        }
+
+        return { file: { fileName: name, mimeType: type } };
+    }
+
+    async createThumbnail(buffer) {
+        return sharp(buffer)
+            .rotate() // Respect EXIF orientation from phone screenshots
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+    }
+
+    // Validate, store and record an upload; returns { attachment } or { error, status }
+    async add(accomplishmentId, upload, uploadedBy) {
+        const { file, error, status } = this.validate(upload);
+        if (error) {
+            return { error, status };
+        }
+
+        const existing = await dbServer.getAttachments(accomplishmentId);
+        if (existing.length >= MAX_ATTACHMENTS_PER_ACCOMPLISHMENT) {
+            return { error: `An accomplishment can have at most ${MAX_ATTACHMENTS_PER_ACCOMPLISHMENT} attachments`, status: 400 };
+        }
+
+        const id = crypto.randomUUID();
+        const storageKey = `${accomplishmentId}/${id}`;
+        let thumbnailKey = null;
+        let thumbnail = null;
+
+        if (ALLOWED_TYPES[file.mimeType].image) {
+            try {
+                thumbnail = await this.createThumbnail(upload.buffer);
+                thumbnailKey = `${storageKey}-thumbnail.webp`;
+            } catch (thumbnailError) {
+                return { error: 'The image could not be read', status: 400 };
+            }
+        }
+
+        await attachmentStore.save(storageKey, upload.buffer);
+        if (thumbnail) {
+            await attachmentStore.save(thumbnailKey, thumbnail);
+        }
+
+        const attachment = await dbServer.addAttachment(accomplishmentId, {
+            id,
+            ...file,
+            sizeBytes: upload.buffer.length,
+            storageKey,
+            thumbnailKey,
+            uploadedBy
+        });
+        if (!attachment) {
+            await this.removeFiles([{ storageKey, thumbnailKey }]);
+            return { error: 'Accomplishment not found', status: 404 };
+        }
+
+        console.log(`📎 Attached ${file.fileName} to accomplishment: ${accomplishmentId}`);
+        return { attachment };
+    }
+
+    // File contents (or the thumbnail) of an attachment; null when the file is missing
+    async read(attachment, { thumbnail = false } = {}) {
+        const key = thumbnail ? attachment.thumbnailKey : attachment.storageKey;
+        return key ? attachmentStore.read(key) : null;
+    }
+
+    async remove(attachment) {
+        await dbServer.deleteAttachment(attachment.id);
+        await this.removeFiles([attachment]);
+        console.log(`🗑️ Deleted attachment: ${attachment.id}`);
+    }
+
+    // Remove stored files; failures are logged so they never block deleting the records
+    async removeFiles(attachments) {
+        for (const attachment of attachments) {
+            for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+                await attachmentStore.remove(key).catch(error => {
+                    console.error(`⚠️ Failed to remove attachment file ${key}:`, error.message);
+                });
+            }
+        }
+    }
+
+    isInline(mimeType) {
+        return INLINE_TYPES.includes(mimeType);
+    }
+
+    // Content-Disposition with an ASCII fallback and the UTF-8 file name (RFC 6266)
+    contentDisposition(attachment, inline) {
+        const fallback = attachment.fileName.replace(/[^\x20-\x7e]/g, '_').replace(/[\\"]/g, '_');
+        return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`;
+    }
+}
+
+module.exports = new Attachments();
+module.exports.ALLOWED_TYPES = ALLOWED_TYPES;
+module.exports.MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+module.exports.MAX_ATTACHMENTS_PER_ACCOMPLISHMENT = MAX_ATTACHMENTS_PER_ACCOMPLISHMENT;
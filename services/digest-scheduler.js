@@ -0,0 +1,51 @@
+/**
+ * Digest Scheduler Module
+ * Checks for due digest e-mails every DIGEST_CHECK_MINUTES (default 15) while the
+ * server runs. Set DIGEST_SCHEDULER=false to turn it off, e.g. on all but one
+ * instance when running several replicas.
+ */
+
+const digests = require('./digests');
+
+const DEFAULT_CHECK_MINUTES = 15;
+
+class DigestScheduler {
+    constructor() {
+        this.timer = null;
+        this.running = null;
+    }
+
+    start(checkMinutes = parseInt(process.env.DIGEST_CHECK_MINUTES, 10) || DEFAULT_CHECK_MINUTES) {
+        if (this.timer) {
+            return;
+        }
+
+        // Don't keep the process alive just for the timer
+        this.timer = setInterval(() => this.run(), checkMinutes * 60 * 1000);
+        this.timer.unref();
+        console.log(`⏰ Digest scheduler checking every ${checkMinutes} minute(s)`);
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One check at a time; a run started while another is going joins it
+    run(now = new Date()) {
+        if (!this.running) {
+            this.running = digests.sendDue(now)
+                .catch(error => {
+                    console.error('❌ Digest run failed:', error.message);
+                    return null;
+                })
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+}
+
+module.exports = new DigestScheduler();
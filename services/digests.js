@@ -0,0 +1,258 @@
+/**
+ * Digest E-mails Module
+ * Two opt-in digests: the team digest (what a manager's reports - or, for everyone
+ * else, their own team - shared) and the top accomplishments across the company,
+ * ranked by congratulations and votes. Each subscriber picks weekly or monthly.
+ *
+ * A digest covers the last full period before it is sent: Monday to Monday (UTC) for
+ * weekly ones, the previous calendar month for monthly ones. A subscription is due
+ * once that period has ended after its lastSentAt, so restarts never send twice.
+ */
+
+const dbServer = require('../db/db-server');
+const { MAX_PAGE_SIZE, decodeCursor } = require('../db/pagination');
+const { addDays, weekStart } = require('../db/analytics');
+const mailTransport = require('../mail/mail-transport');
+const mailTemplates = require('../mail/templates');
+const impactCategories = require('./impact-categories');
+const orgChart = require('./org-chart');
+
+const DIGESTS = {
+    team: { label: 'Team digest', description: 'What your team shared', defaultFrequency: 'weekly' },
+    top: { label: 'Top accomplishments', description: 'The most celebrated accomplishments across the company', defaultFrequency: 'monthly' }
+};
+const FREQUENCIES = ['weekly', 'monthly'];
+
+const MAX_TEAM_DIGEST_ITEMS = 20;
+const TOP_ACCOMPLISHMENTS = 10;
+// Accomplishments considered when ranking the top ones of a period
+const MAX_RANKED_ACCOMPLISHMENTS = 2000;
+
+class Digests {
+    appUrl() {
+        return (process.env.APP_URL || `http://localhost:${process.env.PORT || 8100}`).replace(/\/$/, '');
+    }
+
+    // [start, end) of the last full week or month before `now`
+    periodFor(frequency, now = new Date()) {
+        if (frequency === 'monthly') {
+            const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+            return { start: new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, 1)), end };
+        }
+        const end = new Date(`${weekStart(now)}T00:00:00.000Z`);
+        return { start: addDays(end, -7), end };
+    }
+
+    isDue(subscription, now = new Date()) {
+        const { end } = this.periodFor(subscription.frequency, now);
+        return !subscription.lastSentAt || new Date(subscription.lastSentAt) < end;
+    }
+
+    // Every digest with the user's frequency (null when not subscribed)
+    async getPreferences(user) {
+        const subscriptions = new Map((await dbServer.getDigestSubscriptions(user.id))
+            .map(subscription => [subscription.digest, subscription.frequency]));
+
+        return Object.entries(DIGESTS).map(([digest, { label, description, defaultFrequency }]) => ({
+            digest,
+            label,
+            description,
+            defaultFrequency,
+            frequency: subscriptions.get(digest) || null
+        }));
+    }
+
+    // Parse { team: 'weekly' | 'monthly' | null, top: ... }; returns { changes } or { error }
+    parsePreferences(body = {}) {
+        const changes = {};
+        for (const [digest, value] of Object.entries(body)) {
+            if (!DIGESTS[digest]) {
+                return { error: `Unknown digest '${digest}'. Digests: ${Object.keys(DIGESTS).join(', ')}` };
+            }
+            if (value !== null && value !== '' && !FREQUENCIES.includes(value)) {
+                return { error: `${digest} must be one of: ${FREQUENCIES.join(', ')} (or null to unsubscribe)` };
+            }
+            changes[digest] = value || null;
+        }
+        if (Object.keys(changes).length === 0) {
+            return { error: `Nothing to update. Digests: ${Object.keys(DIGESTS).join(', ')}` };
+        }
+        return { changes };
+    }
+
+    // New subscriptions start now, so the first e-mail covers the next full period
+    async updatePreferences(user, changes) {
+        const now = new Date().toISOString();
+        for (const [digest, frequency] of Object.entries(changes)) {
+            await dbServer.setDigestSubscription(user.id, digest, frequency, now);
+        }
+        console.log(`✉️ Updated digest preferences for ${user.email}`);
+        return this.getPreferences(user);
+    }
+
+    // Published accomplishments created in the period, newest first
+    async fetchAccomplishments(filters, period, max) {
+        const dayFilters = {
+            ...filters,
+            startDate: period.start.toISOString().slice(0, 10),
+            endDate: addDays(period.end, -1).toISOString().slice(0, 10)
+        };
+        const accomplishments = [];
+        let cursor = null;
+
+        do {
+            const limit = Math.min(MAX_PAGE_SIZE, max - accomplishments.length);
+            const page = await dbServer.filterAccomplishments(dayFilters, null, { limit, cursor });
+            accomplishments.push(...page.items);
+            cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        } while (cursor && accomplishments.length < max);
+
+        return { accomplishments, more: Boolean(cursor) };
+    }
+
+    // Reports of a manager; for someone without reports, the team they belong to
+    async teamOf(user) {
+        const reports = await orgChart.getTeam(user.id);
+        if (reports.length > 0) {
+            return { members: reports, isManager: true };
+        }
+        if (user.managerId) {
+            return { members: await orgChart.getTeam(user.managerId, 1), isManager: false };
+        }
+        return { members: [], isManager: false };
+    }
+
+    periodLabel(frequency, period) {
+        if (frequency === 'monthly') {
+            return period.start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        }
+        const day = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        return `the week of ${day(period.start)} - ${day(addDays(period.end, -1))}`;
+    }
+
+    renderAccomplishments(accomplishments, categories, { ranked = false } = {}) {
+        return accomplishments.map((accomplishment, index) => mailTemplates.render('accomplishment', {
+            rank: ranked ? `${index + 1}. ` : '',
+            userName: accomplishment.userName,
+            date: String(accomplishment.createdAt || '').slice(0, 10),
+            impactLabel: `${categories.get(accomplishment.impactType) || accomplishment.impactType || 'Team'} impact`,
+            statement: accomplishment.aiGeneratedStatement || accomplishment.originalStatement,
+            congratulationsCount: accomplishment.congratulationsCount || 0,
+            votesCount: accomplishment.votesCount || 0,
+            commentsCount: accomplishment.commentsCount || 0
+        })).join('\n');
+    }
+
+    footer(frequency) {
+        return {
+            reason: `You receive this ${frequency} e-mail because you subscribed to it.`,
+            preferencesUrl: `${this.appUrl()}/team#digests`,
+            preferencesLabel: 'Change your e-mail digests'
+        };
+    }
+
+    // { subject, html }, or null when there is nothing to report
+    async buildTeamDigest(user, frequency, period, categories) {
+        const { members, isManager } = await this.teamOf(user);
+        if (members.length === 0) {
+            return null;
+        }
+
+        const { accomplishments, more } = await this.fetchAccomplishments(
+            { authorIds: members.map(member => member.id) }, period, MAX_TEAM_DIGEST_ITEMS);
+        if (accomplishments.length === 0) {
+            return null;
+        }
+
+        const label = this.periodLabel(frequency, period);
+        const people = new Set(accomplishments.map(accomplishment => accomplishment.userId)).size;
+        const subject = `Your team's accomplishments - ${label}`;
+        return {
+            subject,
+            html: mailTemplates.renderEmail('team-digest', {
+                subject,
+                heading: isManager ? `What your team achieved in ${label}` : `What your team shared in ${label}`,
+                summary: `${people} ${people === 1 ? 'person' : 'people'} shared ` +
+                    `${more ? `more than ${accomplishments.length}` : accomplishments.length} ` +
+                    `accomplishment${accomplishments.length === 1 ? '' : 's'}.`,
+                accomplishments: this.renderAccomplishments(accomplishments, categories),
+                appUrl: this.appUrl(),
+                // Only managers can open the team view; everyone else congratulates from the feed
+                teamUrl: isManager ? `${this.appUrl()}/team` : `${this.appUrl()}/`,
+                ...this.footer(frequency)
+            })
+        };
+    }
+
+    async buildTopDigest(user, frequency, period, categories) {
+        const { accomplishments } = await this.fetchAccomplishments({}, period, MAX_RANKED_ACCOMPLISHMENTS);
+        const recognition = accomplishment => (accomplishment.congratulationsCount || 0) + (accomplishment.votesCount || 0);
+        const top = accomplishments
+            .filter(accomplishment => recognition(accomplishment) > 0)
+            .sort((a, b) => recognition(b) - recognition(a) || (b.votesCount || 0) - (a.votesCount || 0))
+            .slice(0, TOP_ACCOMPLISHMENTS);
+        if (top.length === 0) {
+            return null;
+        }
+
+        const label = this.periodLabel(frequency, period);
+        const subject = `Top accomplishments of ${label}`;
+        return {
+            subject,
+            html: mailTemplates.renderEmail('top-accomplishments', {
+                subject,
+                heading: subject,
+                summary: `The ${top.length} most celebrated of the ${accomplishments.length} accomplishments shared in ${label}.`,
+                accomplishments: this.renderAccomplishments(top, categories, { ranked: true }),
+                appUrl: this.appUrl(),
+                ...this.footer(frequency)
+            })
+        };
+    }
+
+    // Build and deliver one subscription's digest; resolves to 'sent' or 'empty'.
+    // Either way the period counts as done.
+    async send(subscription, user, now = new Date(), categories = null) {
+        const period = this.periodFor(subscription.frequency, now);
+        const labels = categories || new Map((await impactCategories.listAll()).map(category => [category.id, category.label]));
+        const build = subscription.digest === 'team' ? 'buildTeamDigest' : 'buildTopDigest';
+        const message = await this[build](user, subscription.frequency, period, labels);
+
+        if (message) {
+            await mailTransport.send({ to: { name: user.displayName, email: user.email }, ...message });
+        }
+        await dbServer.markDigestSent(subscription.userId, subscription.digest, now.toISOString());
+        return message ? 'sent' : 'empty';
+    }
+
+    // Send every digest that is due; failures are logged and retried on the next run
+    async sendDue(now = new Date()) {
+        const due = (await dbServer.listDigestSubscriptions()).filter(subscription =>
+            DIGESTS[subscription.digest] && this.isDue(subscription, now));
+        const result = { sent: 0, empty: 0, failed: 0 };
+        if (due.length === 0) {
+            return result;
+        }
+
+        const categories = new Map((await impactCategories.listAll()).map(category => [category.id, category.label]));
+        for (const subscription of due) {
+            try {
+                const user = await dbServer.getUserById(subscription.userId);
+                if (!user) {
+                    continue;
+                }
+                result[await this.send(subscription, user, now, categories)]++;
+            } catch (error) {
+                result.failed++;
+                console.error(`❌ Failed to send ${subscription.digest} digest to ${subscription.userId}:`, error.message);
+            }
+        }
+
+        console.log(`✉️ Digests: ${result.sent} sent, ${result.empty} with nothing to report, ${result.failed} failed`);
+        return result;
+    }
+}
+
+module.exports = new Digests();
+module.exports.DIGESTS = DIGESTS;
+module.exports.FREQUENCIES = FREQUENCIES;
@@ -0,0 +1,118 @@
+/**
+ * Impact Categories Module
+ * Admin-configurable impact categories (team, customer, innovation, ...) used by the
+ * submit form, the feed filters and the statement prompt. Every submission and
+ * statement generation looks categories up, so the active list is cached briefly
+ * and dropped whenever an administrator changes a category.
+ */
+
+const dbServer = require('../db/db-server');
+
+const CACHE_TTL_MS = 60 * 1000;
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_ID_LENGTH = 50;
+const MAX_LABEL_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ICON_LENGTH = 20;
+const MAX_GUIDANCE_LENGTH = 2000;
+
+class ImpactCategories {
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    invalidate() {
+        this.cache = null;
+    }
+
+    // Active categories in display order
+    async list() {
+        if (!this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+            this.cache = await dbServer.getImpactCategories();
+            this.cachedAt = Date.now();
+        }
+        return this.cache;
+    }
+
+    async listAll() {
+        return dbServer.getImpactCategories(true);
+    }
+
+    // Active category by id, or null (retired categories can't be chosen for new posts)
+    async get(id) {
+        const categories = await this.list();
+        return categories.find(category => category.id === id) || null;
+    }
+
+    async isActive(id) {
+        return Boolean(await this.get(id));
+    }
+
+    // Validate create/update payloads; returns { category } or { error }
+    parse(body = {}, { creating = false } = {}) {
+        const category = {};
+
+        if (creating) {
+            const id = typeof body.id === 'string' ? body.id.trim().toLowerCase() : '';
+            if (!CATEGORY_ID_PATTERN.test(id) || id.length > MAX_ID_LENGTH) {
+                return { error: `id must be a lowercase slug (letters, digits and dashes) of at most ${MAX_ID_LENGTH} characters` };
+            }
+            category.id = id;
+        }
+
+        const textFields = [
+            ['label', MAX_LABEL_LENGTH],
+            ['description', MAX_DESCRIPTION_LENGTH],
+            ['icon', MAX_ICON_LENGTH],
+            ['promptGuidance', MAX_GUIDANCE_LENGTH]
+        ];
+        for (const [field, maxLength] of textFields) {
+            if (body[field] === undefined) continue;
+            if (typeof body[field] !== 'string' || body[field].length > maxLength) {
+                return { error: `${field} must be a string of at most ${maxLength} characters` };
+            }
+            category[field] = body[field].trim();
+        }
+
+        if ((creating || category.label !== undefined) && !category.label) {
+            return { error: 'label is required' };
+        }
+
+        if (body.sortOrder !== undefined) {
+            if (!Number.isInteger(body.sortOrder)) {
+                return { error: 'sortOrder must be an integer' };
+            }
+            category.sortOrder = body.sortOrder;
+        }
+
+        if (body.active !== undefined) {
+            if (typeof body.active !== 'boolean') {
+                return { error: 'active must be true or false' };
+            }
+            category.active = body.active;
+        }
+
+        return { category };
+    }
+
+    async create(category) {
+        const created = await dbServer.createImpactCategory(category);
+        this.invalidate();
+        return created;
+    }
+
+    async update(id, changes) {
+        const updated = await dbServer.updateImpactCategory(id, changes);
+        this.invalidate();
+        return updated;
+    }
+}
+
+module.exports = new ImpactCategories();
+module.exports.CATEGORY_ID_PATTERN = CATEGORY_ID_PATTERN;
+module.exports.MAX_ID_LENGTH = MAX_ID_LENGTH;
+module.exports.MAX_LABEL_LENGTH = MAX_LABEL_LENGTH;
+module.exports.MAX_DESCRIPTION_LENGTH = MAX_DESCRIPTION_LENGTH;
+module.exports.MAX_ICON_LENGTH = MAX_ICON_LENGTH;
+module.exports.MAX_GUIDANCE_LENGTH = MAX_GUIDANCE_LENGTH;
@@ -0,0 +1,97 @@
+/**
+ * Nominations Module
+ * Lets a colleague submit an accomplishment on someone else's behalf. The nominee
+ * becomes the author, the submitter is stored as nominator, and the post stays
+ * 'pending' (off the feed) until the nominee accepts or declines it.
+ */
+
+const dbServer = require('../db/db-server');
+const { ACCOMPLISHMENT_STATUS } = require('../db/base-db-server');
+const { MAX_PAGE_SIZE } = require('../db/pagination');
+const mailTransport = require('../mail/mail-transport');
+const mailTemplates = require('../mail/templates');
+const digests = require('./digests');
+
+class Nominations {
+    // Resolve nominator and nominee to user records and turn a submission into a pending
+    // nomination; returns { accomplishmentData, nominator } or { error }
+    async prepare(accomplishmentData) {
+        const nominator = await dbServer.ensureUser({
+            email: accomplishmentData.nominatedBy,
+            displayName: accomplishmentData.nominatorName
+        });
+        if (nominator.email === dbServer.normalizeEmail(accomplishmentData.userId)) {
+            return { error: 'Use the regular form to share your own accomplishment' };
+        }
+
+        // A nominee who never signed in is named by their e-mail until their first sign-in,
+        // not by whatever name the nominator typed
+        const nominee = await dbServer.ensureUser({ email: accomplishmentData.userId });
+
+        const { nominatedBy, ...rest } = accomplishmentData;
+        return {
+            nominator,
+            accomplishmentData: {
+                ...rest,
+                userId: nominee.email,
+                userName: nominee.displayName,
+                authorId: nominee.id,
+                nominatorId: nominator.id,
+                nominatorName: nominator.displayName,
+                status: ACCOMPLISHMENT_STATUS.PENDING
+            }
+        };
+    }
+
+    // Nominations waiting for `user` to accept, and the ones they sent that aren't published
+    async listFor(user) {
+        const pagination = { limit: MAX_PAGE_SIZE };
+        const [received, sent] = await Promise.all([
+            dbServer.filterAccomplishments({ userId: user.email, status: ACCOMPLISHMENT_STATUS.PENDING }, user.email, pagination),
+            dbServer.filterAccomplishments({
+                nominatorId: user.id,
+                status: [ACCOMPLISHMENT_STATUS.PENDING, ACCOMPLISHMENT_STATUS.DECLINED]
+            }, user.email, pagination)
+        ]);
+        return { received: received.items, sent: sent.items };
+    }
+
+    // Publish (accept) or decline a pending nomination as the nominee
+    async respond(accomplishment, nomineeEmail, accept) {
+        const status = accept ? ACCOMPLISHMENT_STATUS.PUBLISHED : ACCOMPLISHMENT_STATUS.DECLINED;
+        const updated = await dbServer.setAccomplishmentStatus(accomplishment.id, status, nomineeEmail, accept ? 'accept' : 'decline');
+        console.log(`${accept ? '✅ Accepted' : '🚫 Declined'} nomination: ${accomplishment.id}`);
+        return updated;
+    }
+
+    // E-mail the nominee about a new nomination (doesn't delay the response)
+    notifyInBackground(accomplishment, nominator) {
+        this.notifyNominee(accomplishment, nominator).catch(error => {
+            console.error(`⚠️ Nomination e-mail failed for accomplishment ${accomplishment.id}:`, error.message);
+        });
+    }
+
+    async notifyNominee(accomplishment, nominator) {
+        const subject = `${nominator.displayName} nominated you for an accomplishment`;
+        const appUrl = digests.appUrl();
+        await mailTransport.send({
+            to: { name: accomplishment.userName, email: accomplishment.userId },
+            subject,
+            html: mailTemplates.renderEmail('nomination', {
+                subject,
+                heading: subject,
+                nomineeName: accomplishment.userName,
+                nominatorName: nominator.displayName,
+                statement: accomplishment.aiGeneratedStatement || accomplishment.originalStatement,
+                nominationsUrl: `${appUrl}/submit#nominations`,
+                appUrl,
+                reason: `You receive this e-mail because ${nominator.displayName} nominated you.`,
+                preferencesUrl: `${appUrl}/submit#nominations`,
+                preferencesLabel: 'Review your nominations'
+            })
+        });
+        console.log(`📧 Nomination e-mail sent to ${accomplishment.userId}`);
+    }
+}
+
+module.exports = new Nominations();
@@ -0,0 +1,228 @@
+/**
+ * Notifications Module
+ * Tells authors when someone congratulates, votes on or comments on their
+ * accomplishments, and tells people when a comment @mentions them (by e-mail address,
+ * or by the part before the @ when that names exactly one user).
+ *
+ * Every event lands in the recipient's in-app notification center. Per event type a
+ * user can also ask for an e-mail; e-mails are sent in the background so a slow mail
+ * provider never holds up the reaction or comment that caused them.
+ */
+
+const crypto = require('crypto');
+const dbServer = require('../db/db-server');
+const mailTransport = require('../mail/mail-transport');
+const mailTemplates = require('../mail/templates');
+const digests = require('./digests');
+
+const EVENTS = {
+    congratulations: { label: 'Congratulations', description: 'Someone congratulates you on an accomplishment' },
+    vote: { label: 'Votes', description: 'Someone votes for one of your accomplishments' },
+    comment: { label: 'Comments', description: 'Someone comments on one of your accomplishments' },
+    mention: { label: 'Mentions', description: 'Someone mentions you in a comment' }
+};
+const DELIVERY = {
+    IN_APP: 'in-app',
+    IN_APP_AND_EMAIL: 'in-app+email'
+};
+
+const MAX_EXCERPT_LENGTH = 200;
+// @jane.doe@example.com or @jane.doe
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+class Notifications {
+    excerpt(text) {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > MAX_EXCERPT_LENGTH ? `${flat.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : flat;
+    }
+
+    // What happened, e.g. "Jane Doe congratulated you"
+    message(notification) {
+        const actor = notification.actorName || notification.actorEmail;
+        switch (notification.eventType) {
+            case 'congratulations': return `${actor} congratulated you`;
+            case 'vote': return `${actor} voted for your accomplishment`;
+            case 'comment': return `${actor} commented on your accomplishment`;
+            case 'mention': return `${actor} mentioned you in a comment`;
+            default: return actor;
+        }
+    }
+
+    async authorOf(accomplishment) {
+        return (accomplishment.authorId && await dbServer.getUserById(accomplishment.authorId)) ||
+            await dbServer.getUserByEmail(accomplishment.userId);
+    }
+
+    // Users @mentioned in a comment body; short names have to match exactly one user
+    async mentionedUsers(body) {
+        const handles = [...String(body || '').matchAll(MENTION_PATTERN)]
+            .map(match => match[2].replace(/\.+$/, '').toLowerCase());
+        if (handles.length === 0) {
+            return [];
+        }
+
+        const users = await dbServer.getUsers();
+        const mentioned = new Map();
+        for (const handle of new Set(handles)) {
+            const matches = handle.includes('@')
+                ? users.filter(user => user.email === handle)
+                : users.filter(user => user.email.split('@')[0] === handle);
+            if (matches.length === 1) {
+                mentioned.set(matches[0].id, matches[0]);
+            }
+        }
+        return [...mentioned.values()];
+    }
+
+    // Store the notification and, when the recipient asked for it, e-mail it
+    async notify(recipient, eventType, accomplishment, actor, details = {}) {
+        const notification = await dbServer.createNotification({
+            id: crypto.randomUUID(),
+            userId: recipient.id,
+            eventType,
+            accomplishmentId: accomplishment.id,
+            commentId: details.commentId,
+            actorEmail: actor.email,
+            actorName: actor.name,
+            excerpt: details.excerpt
+        });
+
+        const preferences = await dbServer.getNotificationPreferences(recipient.id);
+        if (preferences.some(preference => preference.eventType === eventType && preference.email)) {
+            this.sendEmail(recipient, notification, accomplishment).catch(error =>
+                console.error(`❌ Failed to e-mail ${eventType} notification to ${recipient.email}:`, error.message));
+        }
+        return notification;
+    }
+
+    async sendEmail(recipient, notification, accomplishment) {
+        const subject = this.message(notification);
+        const appUrl = digests.appUrl();
+        await mailTransport.send({
+            to: { name: recipient.displayName, email: recipient.email },
+            subject,
+            html: mailTemplates.renderEmail('notification', {
+                subject,
+                heading: subject,
+                statement: accomplishment.aiGeneratedStatement || accomplishment.originalStatement,
+                excerpt: notification.excerpt ? mailTemplates.render('notification-excerpt', { excerpt: notification.excerpt }) : '',
+                notificationsUrl: `${appUrl}/#notifications`,
+                appUrl,
+                reason: `You receive this e-mail because you turned on e-mail notifications for ${EVENTS[notification.eventType].label.toLowerCase()}.`,
+                preferencesUrl: `${appUrl}/#notifications`,
+                preferencesLabel: 'Change your notification settings'
+            })
+        });
+    }
+
+    // A congratulation or vote was given (active) or taken back
+    async onReaction(eventType, accomplishment, actorEmail, active) {
+        try {
+            const recipient = await this.authorOf(accomplishment);
+            const actorAddress = String(actorEmail || '').trim().toLowerCase();
+            if (!recipient || recipient.email === actorAddress) {
+                return;
+            }
+
+            if (!active) {
+                // Nothing to see any more, unless it was already read
+                await dbServer.retractNotifications(recipient.id, eventType, accomplishment.id, actorAddress);
+                return;
+            }
+            // One notification (and e-mail) per actor and accomplishment, however often it's toggled
+            if (await dbServer.restoreNotifications(recipient.id, eventType, accomplishment.id, actorAddress)) {
+                return;
+            }
+            const actor = await dbServer.getUserByEmail(actorAddress);
+            await this.notify(recipient, eventType, accomplishment, { email: actorAddress, name: actor?.displayName });
+        } catch (error) {
+            console.error(`❌ Failed to create ${eventType} notification:`, error.message);
+        }
+    }
+
+    // A comment was added, or edited (previousBody): the author hears about new comments,
+    // people mentioned hear about it once - a mention replaces the comment notification
+    async onComment(accomplishment, comment, previousBody = null) {
+        try {
+            const actor = { email: comment.userId, name: comment.userName };
+            const details = { commentId: comment.id, excerpt: this.excerpt(comment.body) };
+            const alreadyMentioned = new Set((await this.mentionedUsers(previousBody)).map(user => user.id));
+            const mentioned = (await this.mentionedUsers(comment.body))
+                .filter(user => user.email !== actor.email && !alreadyMentioned.has(user.id));
+
+            for (const user of mentioned) {
+                await this.notify(user, 'mention', accomplishment, actor, details);
+            }
+
+            const author = previousBody === null && await this.authorOf(accomplishment);
+            if (author && author.email !== actor.email && !mentioned.some(user => user.id === author.id)) {
+                await this.notify(author, 'comment', accomplishment, actor, details);
+            }
+        } catch (error) {
+            console.error('❌ Failed to create comment notifications:', error.message);
+        }
+    }
+
+    // A page of the user's notifications, newest first, with the number still unread
+    async list(user, options = {}) {
+        const [page, unreadCount] = await Promise.all([
+            dbServer.getNotifications(user.id, options),
+            dbServer.countUnreadNotifications(user.id)
+        ]);
+        return {
+            items: page.items.map(notification => ({ ...notification, message: this.message(notification) })),
+            nextCursor: page.nextCursor,
+            unreadCount
+        };
+    }
+
+    // ids: the notifications to mark, or null for all of them; resolves to the number marked
+    async markRead(user, ids = null) {
+        return dbServer.markNotificationsRead(user.id, ids);
+    }
+
+    // Every event type with how the user receives it (in-app only unless they opted in to e-mail)
+    async getPreferences(user) {
+        const email = new Set((await dbServer.getNotificationPreferences(user.id))
+            .filter(preference => preference.email)
+            .map(preference => preference.eventType));
+
+        return Object.entries(EVENTS).map(([event, { label, description }]) => ({
+            event,
+            label,
+            description,
+            delivery: email.has(event) ? DELIVERY.IN_APP_AND_EMAIL : DELIVERY.IN_APP
+        }));
+    }
+
+    // Parse { comment: 'in-app' | 'in-app+email', ... }; returns { changes } or { error }
+    parsePreferences(body = {}) {
+        const deliveries = Object.values(DELIVERY);
+        const changes = {};
+        for (const [event, value] of Object.entries(body)) {
+            if (!EVENTS[event]) {
+                return { error: `Unknown notification event '${event}'. Events: ${Object.keys(EVENTS).join(', ')}` };
+            }
+            if (!deliveries.includes(value)) {
+                return { error: `${event} must be one of: ${deliveries.join(', ')}` };
+            }
+            changes[event] = value;
+        }
+        if (Object.keys(changes).length === 0) {
+            return { error: `Nothing to update. Events: ${Object.keys(EVENTS).join(', ')}` };
+        }
+        return { changes };
+    }
+
+    async updatePreferences(user, changes) {
+        for (const [event, delivery] of Object.entries(changes)) {
+            await dbServer.setNotificationPreference(user.id, event, delivery === DELIVERY.IN_APP_AND_EMAIL);
+        }
+        console.log(`🔔 Updated notification preferences for ${user.email}`);
+        return this.getPreferences(user);
+    }
+}
+
+module.exports = new Notifications();
+module.exports.EVENTS = EVENTS;
+module.exports.DELIVERY = DELIVERY;
@@ -0,0 +1,166 @@
+/**
+ * Org Chart Module
+ * Loads reporting lines (who reports to whom) from CSV or JSON and answers
+ * "who is on this manager's team" questions for the team view.
+ *
+ * Import rows look like:
+ *   { email, displayName, title, department, managerEmail }
+ * CSV files use the same names as header columns. Users are matched by e-mail:
+ * unknown ones are created, known ones get the provided profile fields updated.
+ * An empty managerEmail clears the user's manager. Employees who end up with reports
+ * are promoted to the manager role (roles are never lowered by an import).
+ */
+
+const dbServer = require('../db/db-server');
+const { USER_ROLES } = require('../db/base-db-server');
+
+const MAX_TEAM_DEPTH = 10;
+const IMPORT_FIELDS = ['email', 'displayName', 'title', 'department', 'managerEmail'];
+
+class OrgChart {
+    // Parse CSV text into objects keyed by the header row (quoted fields may contain commas and "")
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+        const columns = header.map(column => column.trim());
+
+        return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] || '').trim()])));
+    }
+
+    // Accepts a JSON array, { users: [...] } or CSV text; returns import rows
+    parse(input, format) {
+        let rows = input;
+
+        if (format === 'csv' || (typeof input === 'string' && format !== 'json')) {
+            rows = this.parseCsv(String(input));
+        } else if (typeof input === 'string') {
+            rows = JSON.parse(input);
+        }
+        if (rows && !Array.isArray(rows) && Array.isArray(rows.users)) {
+            rows = rows.users;
+        }
+        if (!Array.isArray(rows)) {
+            throw new Error('Org chart must be a list of users');
+        }
+
+        return rows.map(row => Object.fromEntries(IMPORT_FIELDS
+            .filter(field => row[field] !== undefined && row[field] !== null)
+            .map(field => [field, String(row[field]).trim()])));
+    }
+
+    // Create/update every user first, then wire up managers (so rows may reference
+    // managers listed further down). Returns { created, updated, managersSet, promoted, errors }.
+    async import(rows) {
+        const result = { created: 0, updated: 0, managersSet: 0, promoted: 0, errors: [] };
+        const managers = new Map();
+        const usersByEmail = new Map();
+
+        for (const [index, row] of rows.entries()) {
+            const email = (row.email || '').toLowerCase();
+            if (!email) {
+                result.errors.push({ row: index + 1, error: 'email is required' });
+                continue;
+            }
+
+            const profile = {};
+            ['displayName', 'title', 'department'].forEach(field => {
+                if (row[field]) profile[field] = row[field];
+            });
+
+            const existing = await dbServer.getUserByEmail(email);
+            if (existing) {
+                usersByEmail.set(email, await dbServer.updateUser(existing.id, profile));
+                result.updated++;
+            } else {
+                usersByEmail.set(email, await dbServer.createUser({ displayName: email, ...profile, email }));
+                result.created++;
+            }
+        }
+
+        for (const [index, row] of rows.entries()) {
+            const user = usersByEmail.get((row.email || '').toLowerCase());
+            if (!user || row.managerEmail === undefined) continue;
+
+            const managerEmail = row.managerEmail.toLowerCase();
+            const manager = managerEmail
+                ? usersByEmail.get(managerEmail) || await dbServer.getUserByEmail(managerEmail)
+                : null;
+
+            if (managerEmail && !manager) {
+                result.errors.push({ row: index + 1, error: `Manager ${managerEmail} not found` });
+            } else if (manager && await dbServer.wouldCreateManagerCycle(user.id, manager.id)) {
+                result.errors.push({ row: index + 1, error: `${managerEmail} already reports to ${user.email}` });
+            } else {
+                await dbServer.updateUser(user.id, { managerId: manager ? manager.id : '' });
+                result.managersSet++;
+                if (manager) managers.set(manager.id, manager);
+            }
+        }
+
+        for (const manager of managers.values()) {
+            if (manager.role === USER_ROLES.EMPLOYEE) {
+                await dbServer.updateUser(manager.id, { role: USER_ROLES.MANAGER });
+                result.promoted++;
+            }
+        }
+
+        console.log(`🏢 Org chart imported: ${result.created} created, ${result.updated} updated, ${result.errors.length} error(s)`);
+        return result;
+    }
+
+    // Parse ?depth= (levels below the manager); defaults to the whole subtree
+    parseDepth(value) {
+        if (value === undefined || value === '') {
+            return { depth: MAX_TEAM_DEPTH };
+        }
+        const depth = parseInt(value, 10);
+        if (!Number.isInteger(depth) || depth < 1) {
+            return { error: 'depth must be a positive integer' };
+        }
+        return { depth: Math.min(depth, MAX_TEAM_DEPTH) };
+    }
+
+    async getTeam(managerId, depth = MAX_TEAM_DEPTH) {
+        return dbServer.getReportingTree(managerId, depth);
+    }
+}
+
+module.exports = new OrgChart();
+module.exports.MAX_TEAM_DEPTH = MAX_TEAM_DEPTH;
+module.exports.IMPORT_FIELDS = IMPORT_FIELDS;
@@ -0,0 +1,105 @@
+/**
+ * Review Summary Module
+ * Turns a person's published accomplishments in a review period into a structured
+ * review narrative: overview, themes, impact by category, quantified outcomes and
+ * quotes from email appreciations. Every claim cites the accomplishments it draws
+ * from; citations the AI makes up are dropped, as are quotes that don't appear in
+ * the appreciation they cite.
+ */
+
+const dbServer = require('../db/db-server');
+const { MAX_PAGE_SIZE, decodeCursor } = require('../db/pagination');
+const aiOrchestrator = require('../ai/ai-orchestrator');
+const analytics = require('./analytics');
+
+// Keeps the prompt within the model's context window; the newest ones are kept
+const MAX_REVIEW_ACCOMPLISHMENTS = 100;
+
+class ReviewSummary {
+    // Parse { startDate, endDate } (YYYY-MM-DD, both required); returns { period } or { error }
+    parsePeriod(body = {}) {
+        if (!body.startDate || !body.endDate) {
+            return { error: 'startDate and endDate are required (YYYY-MM-DD)' };
+        }
+        return analytics.parsePeriod({ startDate: body.startDate, endDate: body.endDate });
+    }
+
+    // The user's published accomplishments in the period, oldest first
+    async gather(user, period) {
+        const filters = {
+            userId: user.email,
+            startDate: period.startDate,
+            endDate: period.endDate
+        };
+        const accomplishments = [];
+        let cursor = null;
+
+        do {
+            const limit = Math.min(MAX_PAGE_SIZE, MAX_REVIEW_ACCOMPLISHMENTS - accomplishments.length);
+            const page = await dbServer.filterAccomplishments(filters, null, { limit, cursor });
+            accomplishments.push(...page.items);
+            cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        } while (cursor && accomplishments.length < MAX_REVIEW_ACCOMPLISHMENTS);
+
+        return { accomplishments: accomplishments.reverse(), truncated: Boolean(cursor) };
+    }
+
+    // Returns { summary, accomplishments, truncated }, or null when there is nothing to summarize
+    async generate(user, period) {
+        const { accomplishments, truncated } = await this.gather(user, period);
+        if (accomplishments.length === 0) {
+            return null;
+        }
+
+        const generated = await aiOrchestrator.generateReviewSummary({
+            contributorName: user.displayName,
+            startDate: period.startDate,
+            endDate: period.endDate,
+            accomplishments
+        });
+
+        console.log(`📋 Review summary for ${user.email}: ${accomplishments.length} accomplishment(s)`);
+        return {
+            summary: this.checkCitations(generated, accomplishments),
+            accomplishments: accomplishments.map(accomplishment => ({
+                id: accomplishment.id,
+                createdAt: accomplishment.createdAt,
+                impactType: accomplishment.impactType,
+                statement: accomplishment.aiGeneratedStatement || accomplishment.originalStatement
+            })),
+            truncated
+        };
+    }
+
+    // Keep only claims backed by at least one of the summarized accomplishments
+    checkCitations(generated = {}, accomplishments) {
+        const byId = new Map(accomplishments.map(accomplishment => [String(accomplishment.id), accomplishment]));
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        const list = value => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+        const cited = ids => [...new Set((Array.isArray(ids) ? ids : [ids]).map(String))].filter(id => byId.has(id));
+        const normalize = value => value.toLowerCase().replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/\s+/g, ' ');
+
+        const claims = (items, field) => list(items)
+            .map(item => ({ ...item, [field]: text(item[field]), accomplishmentIds: cited(item.accomplishmentIds) }))
+            .filter(item => item[field] && item.accomplishmentIds.length > 0);
+
+        return {
+            overview: text(generated.overview),
+            themes: claims(generated.themes, 'narrative')
+                .filter(theme => text(theme.title))
+                .map(theme => ({ title: text(theme.title), narrative: theme.narrative, accomplishmentIds: theme.accomplishmentIds })),
+            impact: claims(generated.impact, 'narrative')
+                .map(entry => ({ impactType: text(entry.impactType) || null, narrative: entry.narrative, accomplishmentIds: entry.accomplishmentIds })),
+            quantifiedOutcomes: claims(generated.quantifiedOutcomes, 'outcome')
+                .map(entry => ({ outcome: entry.outcome, accomplishmentIds: entry.accomplishmentIds })),
+            // A quote has to be found word for word in the appreciation it cites
+            quotes: list(generated.quotes)
+                .map(entry => ({ quote: text(entry.quote), source: text(entry.source) || null, accomplishmentId: String(entry.accomplishmentId) }))
+                .filter(entry => entry.quote && byId.has(entry.accomplishmentId) &&
+                    normalize(byId.get(entry.accomplishmentId).emailAppreciation || '').includes(normalize(entry.quote)))
+        };
+    }
+}
+
+module.exports = new ReviewSummary();
+module.exports.MAX_REVIEW_ACCOMPLISHMENTS = MAX_REVIEW_ACCOMPLISHMENTS;
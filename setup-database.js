@@ -3,45 +3,84 @@
 /**
  * Database Setup Script
  * Run this manually to initialize HANA database schema and sample data
- * Usage: node setup-database.js
+ * Usage:
+ *   node setup-database.js                    apply all pending migrations and add sample data
+ *   node setup-database.js migrate [version]  apply pending migrations (optionally up to a version)
+ *   node setup-database.js rollback [steps]   revert the last applied migration(s) (default: 1)
+ *   node setup-database.js status             list migrations and whether they are applied
  */
 
 const hanaConnection = require('./db/hana-connection');
 const hanaSchema = require('./db/hana-schema');
+const migrationRunner = require('./db/migration-runner');
 
 async function setupDatabase() {
     console.log('🚀 Starting database setup...');
 
+    // Initialize schema
+    console.log('🔧 Setting up database schema...');
+    await hanaSchema.initializeSchema();
+
+    // Insert sample data
+    console.log('🌱 Adding sample data...');
+    await hanaSchema.insertSampleData();
+
+    console.log('✅ Database setup completed successfully!');
+    console.log('');
+    console.log('You can now start the server with: npm start');
+}
+
+async function migrate(targetVersion) {
+    const applied = await migrationRunner.migrate(targetVersion ? parseInt(targetVersion, 10) : Infinity);
+    console.log(`✅ Applied ${applied.length} migration(s). Schema version: ${await migrationRunner.getCurrentVersion()}`);
+}
+
+async function rollback(steps) {
+    const reverted = await migrationRunner.rollback(steps ? parseInt(steps, 10) : 1);
+    console.log(`✅ Reverted ${reverted.length} migration(s). Schema version: ${await migrationRunner.getCurrentVersion()}`);
+}
+
+async function status() {
+    const migrations = await migrationRunner.status();
+    migrations.forEach(migration => {
+        console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')}-${migration.name}: ${migration.description}`);
+    });
+}
+
+const commands = {
+    setup: setupDatabase,
+    migrate,
+    rollback,
+    status
+};
+
+async function run(command = 'setup', ...args) {
+    const handler = commands[command];
+    if (!handler) {
+        console.error(`Unknown command '${command}'. Available commands: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
     try {
         // Connect to HANA
         console.log('📡 Connecting to HANA database...');
         await hanaConnection.connect();
 
-        // Initialize schema
-        console.log('🔧 Setting up database schema...');
-        await hanaSchema.initializeSchema();
-
-        // Insert sample data
-        console.log('🌱 Adding sample data...');
-        await hanaSchema.insertSampleData();
-
-        console.log('✅ Database setup completed successfully!');
-        console.log('');
-        console.log('You can now start the server with: npm start');
-
+        await handler(...args);
     } catch (error) {
-        console.error('❌ Database setup failed:', error);
-        process.exit(1);
+        console.error(`❌ Database ${command} failed:`, error);
+        exitCode = 1;
     } finally {
         // Close connection
         await hanaConnection.disconnect();
-        process.exit(0);
+        process.exit(exitCode);
     }
 }
 
 // Run setup if this script is executed directly
 if (require.main === module) {
-    setupDatabase();
+    run(...process.argv.slice(2));
 }
 
-module.exports = { setupDatabase };
\ No newline at end of file
+module.exports = { setupDatabase, migrate, rollback, status };
@@ -0,0 +1,26 @@
+/**
+ * Attachment Store Module
+ * Selects where uploaded attachment files are kept. Every store extends
+ * BaseAttachmentStore (see base-attachment-store.js for the interface).
+ *
+ * ATTACHMENT_STORE=local (default) files below ATTACHMENTS_DIR
+ */
+
+const stores = {
+    local: () => require('./local-attachment-store')
+};
+
+function createAttachmentStore(storeName = process.env.ATTACHMENT_STORE || 'local') {
+    const loadStore = stores[storeName.toLowerCase()];
+
+    if (!loadStore) {
+        throw new Error(`Unknown ATTACHMENT_STORE '${storeName}'. Supported stores: ${Object.keys(stores).join(', ')}`);
+    }
+
+    const AttachmentStore = loadStore();
+    console.log(`📎 Using '${storeName}' attachment store`);
+    return new AttachmentStore();
+}
+
+module.exports = createAttachmentStore();
+module.exports.createAttachmentStore = createAttachmentStore;
@@ -0,0 +1,33 @@
+/**
+ * Base Attachment Store
+ * Interface every attachment file store implements. Files are addressed by a
+ * storage key (e.g. "<accomplishmentId>/<attachmentId>") chosen by the caller;
+ * metadata such as the file name and MIME type lives in the database.
+ */
+
+class BaseAttachmentStore {
+    constructor() {
+        this.storeName = 'base';
+    }
+
+    // Write the file contents under key, replacing any existing file
+    async save(key, buffer) {
+        throw this.notImplemented('save');
+    }
+
+    // Returns the file contents as a Buffer, or null when the key is unknown
+    async read(key) {
+        throw this.notImplemented('read');
+    }
+
+    // Remove the file; removing a missing key is not an error
+    async remove(key) {
+        throw this.notImplemented('remove');
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = BaseAttachmentStore;
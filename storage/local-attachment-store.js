@@ -0,0 +1,50 @@
+/**
+ * Attachment Store (Local Filesystem Version)
+ * Keeps attachment files below ATTACHMENTS_DIR (default ./data/attachments).
+ * Use a persistent volume when running in a container - the image filesystem
+ * is discarded on every restart.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const BaseAttachmentStore = require('./base-attachment-store');
+
+class LocalAttachmentStore extends BaseAttachmentStore {
+    constructor(options = {}) {
+        super();
+        this.storeName = 'local';
+        this.root = path.resolve(options.root || process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'data', 'attachments'));
+    }
+
+    // Map a storage key to a path, refusing keys that would escape the root directory
+    resolve(key) {
+        const filePath = path.resolve(this.root, String(key));
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid attachment key '${key}'`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    }
+
+    async read(key) {
+        try {
+            return await fs.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+}
+
+module.exports = LocalAttachmentStore;
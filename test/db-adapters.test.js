@@ -0,0 +1,174 @@
+/**
+ * Storage adapter behavior tests
+ * The same suite runs against every adapter: always against the in-memory one, and
+ * against HANA when VDB_* is configured. On HANA the suite only touches records it
+ * created (unique ids and e-mail addresses) and deletes them afterwards.
+ *
+ *   npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const MemoryDBServer = require('../db/memory-db-server');
+const { decodeCursor } = require('../db/pagination');
+
+const hanaConfigured = ['VDB_H', 'VDB_N', 'VDB_U', 'VDB_P'].every(name => process.env[name]);
+
+function behavesLikeAStorageAdapter(createServer) {
+    const run = crypto.randomUUID().slice(0, 8);
+    const author = `adapter-test-${run}@example.com`;
+    const reactor = `adapter-test-reactor-${run}@example.com`;
+    const created = [];
+    let db;
+
+    // Accomplishments `minutesAgo` old, newest last in `created`
+    async function save(fields = {}, minutesAgo = 0) {
+        const accomplishment = await db.saveAccomplishment({
+            id: `t-${run}-${created.length}`,
+            userId: author,
+            userName: 'Adapter Test',
+            originalStatement: 'Migrated the build to the new pipeline',
+            impactType: 'team',
+            aiGeneratedStatement: 'Adapter Test migrated the build to the new pipeline.',
+            createdAt: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+            ...fields
+        });
+        created.push(accomplishment.id);
+        return accomplishment;
+    }
+
+    before(async () => {
+        db = createServer();
+        await db.initialize();
+    });
+
+    after(async () => {
+        for (const id of created) {
+            await db.deleteAccomplishment(id, author);
+        }
+        for (const email of [author, reactor]) {
+            const user = await db.getUserByEmail(email);
+            if (user) {
+                await db.deleteUser(user.id);
+            }
+        }
+        await db.disconnect();
+    });
+
+    it('reports its status', async () => {
+        const status = await db.getStatus();
+        assert.equal(status.connected, true);
+        assert.equal(status.initialized, true);
+    });
+
+    it('saves an accomplishment and reads it back', async () => {
+        const saved = await save({ tags: ['CI', 'ci', 'Build'] });
+        const found = await db.getAccomplishmentById(saved.id);
+
+        assert.equal(found.id, saved.id);
+        assert.equal(found.userId, author);
+        assert.equal(found.originalStatement, 'Migrated the build to the new pipeline');
+        assert.equal(found.congratulationsCount, 0);
+        assert.equal(found.votesCount, 0);
+        assert.deepEqual([...found.tags].sort(), ['Build', 'CI']);
+    });
+
+    it('resolves to null for an unknown accomplishment', async () => {
+        assert.equal(await db.getAccomplishmentById(`missing-${run}`), null);
+    });
+
+    it('filters and pages accomplishments newest first', async () => {
+        await save({ impactType: 'customer' }, 30);
+        await save({}, 20);
+        await save({}, 10);
+
+        const firstPage = await db.filterAccomplishments({ userId: author }, undefined, { limit: 2 });
+        assert.equal(firstPage.items.length, 2);
+        assert.ok(firstPage.nextCursor);
+
+        const secondPage = await db.filterAccomplishments({ userId: author }, undefined, { limit: 2, cursor: decodeCursor(firstPage.nextCursor) });
+        const items = [...firstPage.items, ...secondPage.items];
+        assert.equal(items.length, 4);
+        assert.equal(new Set(items.map(item => item.id)).size, 4);
+        const times = items.map(item => new Date(item.createdAt).getTime());
+        assert.deepEqual(times, [...times].sort((a, b) => b - a));
+
+        const customer = await db.filterAccomplishments({ userId: author, impactType: 'customer' });
+        assert.deepEqual(customer.items.map(item => item.impactType), ['customer']);
+    });
+
+    it('lists the newest accomplishment first', async () => {
+        const newest = await save();
+        const page = await db.getAllAccomplishments(author, { limit: 1 });
+        assert.equal(page.items[0].id, newest.id);
+    });
+
+    it('toggles congratulations once per user, ignoring e-mail casing', async () => {
+        const { id } = await save();
+
+        assert.deepEqual(await db.toggleCongratulations(id, reactor), { congratulationsCount: 1, userCongratulated: true });
+        assert.deepEqual(await db.toggleCongratulations(id, ` ${reactor.toUpperCase()} `), { congratulationsCount: 0, userCongratulated: false });
+        assert.deepEqual(await db.toggleCongratulations(id, reactor), { congratulationsCount: 1, userCongratulated: true });
+        assert.equal((await db.getAccomplishmentById(id)).congratulationsCount, 1);
+    });
+
+    it('toggles votes independently of congratulations', async () => {
+        const { id } = await save();
+
+        await db.toggleCongratulations(id, reactor);
+        assert.deepEqual(await db.toggleVote(id, reactor), { votesCount: 1, userVoted: true });
+        assert.deepEqual(await db.toggleVote(id, author), { votesCount: 2, userVoted: true });
+        assert.deepEqual(await db.toggleVote(id, reactor), { votesCount: 1, userVoted: false });
+
+        const found = await db.getAccomplishmentById(id);
+        assert.equal(found.votesCount, 1);
+        assert.equal(found.congratulationsCount, 1);
+    });
+
+    it('resolves toggles on an unknown accomplishment to null', async () => {
+        assert.equal(await db.toggleCongratulations(`missing-${run}`, reactor), null);
+        assert.equal(await db.toggleVote(`missing-${run}`, reactor), null);
+    });
+
+    it('hides retracted notifications and brings them back', async () => {
+        const { id } = await save();
+        const recipient = await db.getUserByEmail(author);
+        await db.createNotification({
+            id: crypto.randomUUID(),
+            userId: recipient.id,
+            eventType: 'vote',
+            accomplishmentId: id,
+            actorEmail: reactor
+        });
+        const unread = await db.countUnreadNotifications(recipient.id);
+
+        await db.retractNotifications(recipient.id, 'vote', id, reactor);
+        assert.equal(await db.countUnreadNotifications(recipient.id), unread - 1);
+        const page = await db.getNotifications(recipient.id);
+        assert.ok(!page.items.some(notification => notification.accomplishmentId === id));
+
+        assert.equal(await db.restoreNotifications(recipient.id, 'vote', id, reactor), true);
+        assert.equal(await db.countUnreadNotifications(recipient.id), unread);
+        assert.equal(await db.restoreNotifications(recipient.id, 'congratulations', id, reactor), false);
+    });
+
+    it('deletes an accomplishment with its reactions', async () => {
+        const { id } = await save();
+        await db.toggleVote(id, reactor);
+
+        assert.equal(await db.deleteAccomplishment(id, author), true);
+        assert.equal(await db.getAccomplishmentById(id), null);
+        assert.equal(await db.deleteAccomplishment(id, author), false);
+        assert.equal(await db.toggleVote(id, reactor), null);
+    });
+}
+
+describe('memory adapter', () => {
+    behavesLikeAStorageAdapter(() => new MemoryDBServer({ seed: false }));
+});
+
+describe('hana adapter', { skip: !hanaConfigured && 'VDB_* is not configured' }, () => {
+    behavesLikeAStorageAdapter(() => new (require('../db/hana-db-server'))());
+});
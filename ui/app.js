@@ -6,90 +6,64 @@
 class EAAppRouter {
     constructor() {
         this.baseURL = window.location.origin;
-        this.currentUser = this.getCurrentUser();
+        this.currentUser = null;
+        // Pages await this before using currentUser
+        this.ready = this.loadProfile();
     }
 
-    // Get or set current user (for demo purposes, using simple prompt)
-    getCurrentUser() {
-        let user = localStorage.getItem('ea_current_user');
-        let parsedUser = null;
-
-        // Parse existing user if available
-        if (user) {
-            try {
-                parsedUser = JSON.parse(user);
-            } catch (e) {
-                // Invalid user data, treat as no user
-                localStorage.removeItem('ea_current_user');
-            }
-        }
-
-        // Always re-prompt demo users for their actual email on refresh
-        if (!parsedUser || parsedUser.email === 'demo@company.com' || parsedUser.name === 'Demo User') {
-            const email = prompt('Enter your email address:') || 'demo@company.com';
-            const name = prompt('Enter your full name:') || 'Demo User';
-            parsedUser = { email, name };
-            localStorage.setItem('ea_current_user', JSON.stringify(parsedUser));
-        }
-
-        return parsedUser;
-    }
-
-    // Check if current user is a demo user (cannot submit or interact)
-    isDemoUser() {
-        return this.currentUser && (
-            this.currentUser.email === 'demo@company.com' ||
-            this.currentUser.name === 'Demo User' ||
-            !this.currentUser.email ||
-            !this.currentUser.name ||
-            this.currentUser.email.trim() === '' ||
-            this.currentUser.name.trim() === ''
-        );
+    // The signed-in user's profile; the server knows who that is from the session cookie
+    async loadProfile() {
+        const profile = (await this.apiCall('/me')).data;
+        this.currentUser = {
+            id: profile.id,
+            email: profile.email,
+            name: profile.displayName,
+            avatarUrl: profile.avatarUrl
+        };
+        return this.currentUser;
     }
 
     // Check if user can submit accomplishments
     canSubmit() {
-        return !this.isDemoUser();
+        return this.isLoggedIn();
     }
 
     // Check if user can interact with posts (vote/congratulate)
     canInteract() {
-        return !this.isDemoUser();
+        return this.isLoggedIn();
     }
 
-    // Show access denied message for demo users
+    // Show access denied message for signed-out users
     showAccessDenied(element, action = 'perform this action') {
         element.innerHTML = `
             <div class="card">
                 <div class="card-content" style="text-align: center; padding: var(--spacing-xl);">
                     <h3 style="color: var(--text-secondary); margin-bottom: var(--spacing-md);">Access Restricted</h3>
                     <p style="color: var(--text-secondary); margin-bottom: var(--spacing-lg);">
-                        Demo users can only view accomplishments. To ${action}, please provide your actual email and name.
+                        Please sign in to ${action}.
                     </p>
-                    <button class="btn btn-primary" onclick="EAApp.switchToRealUser()">
-                        Switch to Real User
+                    <button class="btn btn-primary" onclick="EAApp.login()">
+                        Sign In
                     </button>
                 </div>
             </div>
         `;
     }
 
-    // Allow user to switch from demo to real user
-    switchToRealUser() {
-        localStorage.removeItem('ea_current_user');
-        location.reload();
+    // Sign in at the identity provider, coming back to this page afterwards
+    login() {
+        const returnTo = window.location.pathname + window.location.search + window.location.hash;
+        window.location.href = `/auth/login?returnTo=${encodeURIComponent(returnTo)}`;
     }
 
-    // Logout function - clear user data and reload
+    // Logout function - end the session (and the identity provider's)
     logout() {
-        localStorage.removeItem('ea_current_user');
-        location.reload();
+        window.location.href = '/auth/logout';
     }
 
     // Check if user is logged in
     isLoggedIn() {
-        const user = localStorage.getItem('ea_current_user');
-        return user !== null;
+        return Boolean(this.currentUser);
     }
 
     // API call wrapper
@@ -103,8 +77,17 @@ class EAAppRouter {
                 ...options
             });
 
+            // The session expired or was never there
+            if (response.status === 401) {
+                this.login();
+            }
+
             if (!response.ok) {
-                throw new Error(`API call failed: ${response.statusText}`);
+                // Keep the status and JSON body so callers can react to specific errors (e.g. 409)
+                const apiError = new Error(`API call failed: ${response.statusText}`);
+                apiError.status = response.status;
+                apiError.data = await response.json().catch(() => null);
+                throw apiError;
             }
 
             return await response.json();
@@ -114,20 +97,142 @@ class EAAppRouter {
         }
     }
 
-    // Get all accomplishments
-    async getAllAccomplishments() {
-        return await this.apiCall('/accomplishments');
+    // Build a query string from the non-empty params (e.g. limit, cursor, filters)
+    buildQuery(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+        return query.toString();
+    }
+
+    // Get a page of all accomplishments ({ limit, cursor })
+    async getAllAccomplishments(pagination = {}) {
+        return await this.apiCall(`/accomplishments?${this.buildQuery(pagination)}`);
+    }
+
+    // Get a page of the user's accomplishments
+    async getUserAccomplishments(userId, pagination = {}) {
+        return await this.apiCall(`/accomplishments/user/${encodeURIComponent(userId)}?${this.buildQuery(pagination)}`);
     }
 
-    // Get user's accomplishments
-    async getUserAccomplishments(userId) {
-        return await this.apiCall(`/accomplishments/user/${encodeURIComponent(userId)}`);
+    // Filter accomplishments, one page at a time
+    async filterAccomplishments(filters, pagination = {}) {
+        return await this.apiCall(`/accomplishments/filter?${this.buildQuery({ ...filters, ...pagination })}`);
     }
 
-    // Filter accomplishments
-    async filterAccomplishments(filters) {
-        const queryString = new URLSearchParams(filters).toString();
-        return await this.apiCall(`/accomplishments/filter?${queryString}`);
+    // A manager's team with each member's most recent accomplishments
+    async getTeam(managerId, depth) {
+        return await this.apiCall(`/teams/${encodeURIComponent(managerId)}?${this.buildQuery({ depth })}`);
+    }
+
+    // Digest e-mails a user can subscribe to, with their chosen frequency
+    async getDigestPreferences(userId) {
+        return await this.apiCall(`/users/${encodeURIComponent(userId)}/digests`);
+    }
+
+    // changes: { team: 'weekly' | 'monthly' | null, top: ... }
+    async updateDigestPreferences(userId, changes) {
+        return await this.apiCall(`/users/${encodeURIComponent(userId)}/digests`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    // The current user's notifications, newest first, with their unread count
+    async getNotifications(options = {}) {
+        return await this.apiCall(`/notifications?${this.buildQuery(options)}`);
+    }
+
+    async markNotificationRead(notificationId) {
+        return await this.apiCall(`/notifications/${encodeURIComponent(notificationId)}/read`, {
+            method: 'POST'
+        });
+    }
+
+    async markAllNotificationsRead() {
+        return await this.apiCall('/notifications/read-all', {
+            method: 'POST'
+        });
+    }
+
+    async getNotificationPreferences() {
+        return await this.apiCall('/notifications/preferences');
+    }
+
+    // changes: { congratulations: 'in-app' | 'in-app+email', vote: ..., comment: ..., mention: ... }
+    async updateNotificationPreferences(changes) {
+        return await this.apiCall('/notifications/preferences', {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    // AI review narrative for a user; period is { startDate, endDate } (YYYY-MM-DD)
+    async getReviewSummary(userId, period) {
+        return await this.apiCall(`/users/${encodeURIComponent(userId)}/review-summary`, {
+            method: 'POST',
+            body: JSON.stringify(period)
+        });
+    }
+
+    // All impact categories, retired ones included so old posts still get a label.
+    // Loaded once per page; pages await it before rendering selects or badges.
+    async loadImpactCategories() {
+        if (!this.impactCategoriesRequest) {
+            this.impactCategoriesRequest = this.apiCall('/impact-categories?all=true')
+                .then(result => {
+                    this.impactCategories = result.data;
+                    return this.impactCategories;
+                })
+                .catch(error => {
+                    console.error('Error loading impact categories:', error);
+                    this.impactCategoriesRequest = null;
+                    return this.impactCategories || [];
+                });
+        }
+        return this.impactCategoriesRequest;
+    }
+
+    getImpactCategory(id) {
+        return (this.impactCategories || []).find(category => category.id === id) || null;
+    }
+
+    // Fill a <select> with the active categories, keeping its first (placeholder) option.
+    // `selected` is kept even when retired, so editing an old post doesn't change it.
+    populateImpactSelect(select, selected = '', suffix = ' Impact') {
+        const placeholder = select.querySelector('option[value=""]');
+        const categories = (this.impactCategories || []).filter(category => category.active || category.id === selected);
+
+        select.innerHTML = '';
+        if (placeholder) select.appendChild(placeholder);
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = `${category.icon ? category.icon + ' ' : ''}${category.label}${suffix}`;
+            option.title = category.description || '';
+            option.selected = category.id === selected;
+            select.appendChild(option);
+        });
+    }
+
+    // Badge markup for an accomplishment's impact type
+    impactBadge(impactType) {
+        const category = this.getImpactCategory(impactType);
+        const label = category ? `${category.icon ? category.icon + ' ' : ''}${category.label}` : impactType;
+        return `<span class="impact-badge impact-${this.escapeHtml(impactType)}">${this.escapeHtml(label)} impact</span>`;
+    }
+
+    // Full-text search, ranked by relevance with highlighted snippets
+    async searchAccomplishments(query, filters = {}, limit) {
+        return await this.apiCall(`/accomplishments/search?${this.buildQuery({ ...filters, q: query, limit })}`);
+    }
+
+    // Semantic search - matches by meaning, so a question works without shared keywords
+    async semanticSearchAccomplishments(question, filters = {}, limit) {
+        return await this.apiCall(`/accomplishments/semantic-search?${this.buildQuery({ ...filters, q: question, limit })}`);
     }
 
     // Submit new accomplishment
@@ -138,24 +243,185 @@ class EAAppRouter {
         });
     }
 
+    // Find likely duplicates of a submission among the author's recent accomplishments
+    async checkDuplicates(data) {
+        return await this.apiCall('/accomplishments/check-duplicates', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    // Merge a submission into one of the author's existing accomplishments
+    async mergeAccomplishment(id, data) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(id)}/merge`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    // Registered user by e-mail (rejects with status 404 when unknown)
+    async getUserByEmail(email) {
+        return await this.apiCall(`/users/by-email/${encodeURIComponent(email)}`);
+    }
+
+    // Nominations waiting for the current user ({ received }) and the ones they sent ({ sent })
+    async getNominations() {
+        return await this.apiCall('/nominations');
+    }
+
+    // Accept (publish) or decline a nomination of the current user
+    async respondToNomination(id, accept) {
+        return await this.apiCall(`/nominations/${encodeURIComponent(id)}/${accept ? 'accept' : 'decline'}`, {
+            method: 'POST'
+        });
+    }
+
     // Get accomplishment details
     async getAccomplishmentDetails(id) {
         return await this.apiCall(`/accomplishments/${id}`);
     }
 
+    // Edit one of the current user's accomplishments ({ ...fields, regenerate })
+    async updateAccomplishment(id, changes) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    // Delete one of the current user's accomplishments
+    async deleteAccomplishment(id) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Revision history of an accomplishment, newest first
+    async getRevisions(id) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(id)}/revisions`);
+    }
+
+    // Skill tags proposed by the AI for a submission that hasn't been saved yet
+    async suggestTags(data) {
+        return await this.apiCall('/tags/suggest', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    // Comment thread of an accomplishment, oldest first
+    async getComments(accomplishmentId) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(accomplishmentId)}/comments`);
+    }
+
+    async addComment(accomplishmentId, body) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(accomplishmentId)}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body })
+        });
+    }
+
+    async updateComment(accomplishmentId, commentId, body) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(accomplishmentId)}/comments/${encodeURIComponent(commentId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ body })
+        });
+    }
+
+    async deleteComment(accomplishmentId, commentId) {
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(accomplishmentId)}/comments/${encodeURIComponent(commentId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Download URL for the accomplishments matching the filters (format: csv, xlsx or pdf)
+    exportUrl(filters = {}, format = 'csv') {
+        const query = new URLSearchParams({ format });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+        return `${this.baseURL}/api/accomplishments/export?${query}`;
+    }
+
+    // Recognition analytics; period is { startDate, endDate } (YYYY-MM-DD)
+    async getLeaderboard(metric, period = {}, limit) {
+        return await this.apiCall(`/analytics/leaderboard?${this.buildQuery({ ...period, metric, limit })}`);
+    }
+
+    async getBreakdown(by, period = {}) {
+        return await this.apiCall(`/analytics/breakdown?${this.buildQuery({ ...period, by })}`);
+    }
+
+    async getTrends(weeks) {
+        return await this.apiCall(`/analytics/trends?${this.buildQuery({ weeks })}`);
+    }
+
+    // Upload one evidence file; the raw file is the request body
+    async uploadAttachment(accomplishmentId, file) {
+        const query = new URLSearchParams({ filename: file.name }).toString();
+        return await this.apiCall(`/accomplishments/${encodeURIComponent(accomplishmentId)}/attachments?${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file
+        });
+    }
+
+    async deleteAttachment(attachmentId) {
+        return await this.apiCall(`/attachments/${encodeURIComponent(attachmentId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Attachment links (image thumbnails, file names for PDFs and e-mails) for cards and modals;
+    // onDelete names a global function called with the attachment id
+    attachmentLinks(attachments = [], { onDelete } = {}) {
+        if (attachments.length === 0) {
+            return '';
+        }
+
+        const links = attachments.map(attachment => {
+            const name = this.escapeHtml(attachment.fileName);
+            const preview = attachment.thumbnailUrl
+                ? `<img src="${attachment.thumbnailUrl}" alt="${name}" loading="lazy">`
+                : `<span class="attachment-icon">${attachment.mimeType === 'application/pdf' ? '📄' : '✉️'}</span>`;
+            const deleteButton = onDelete
+                ? `<button type="button" class="attachment-delete" onclick="${onDelete}('${attachment.id}', this)" title="Remove attachment">✕</button>`
+                : '';
+
+            return `
+                <div class="attachment">
+                    <a class="attachment-link" href="${attachment.url}" target="_blank" rel="noopener" title="${name}">
+                        ${preview}
+                        <span class="attachment-name">${name}</span>
+                        <span class="attachment-size">${this.formatFileSize(attachment.sizeBytes)}</span>
+                    </a>
+                    ${deleteButton}
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="attachments">${links}</div>`;
+    }
+
     // Toggle congratulations on an accomplishment
     async toggleCongratulations(accomplishmentId) {
         return await this.apiCall(`/accomplishments/${accomplishmentId}/congratulations`, {
-            method: 'POST',
-            body: JSON.stringify({ userEmail: this.currentUser.email })
+            method: 'POST'
         });
     }
 
     // Toggle vote on an accomplishment
     async toggleVote(accomplishmentId) {
         return await this.apiCall(`/accomplishments/${accomplishmentId}/vote`, {
-            method: 'POST',
-            body: JSON.stringify({ userEmail: this.currentUser.email })
+            method: 'POST'
         });
     }
 
@@ -202,6 +468,16 @@ class EAAppRouter {
     `)}`;
     }
 
+    // Escape user-written text before inserting it into HTML
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Show loading state
     showLoading(element) {
         element.innerHTML = '<div class="loading">Loading...</div>';
@@ -0,0 +1,223 @@
+/**
+ * Analytics Page JavaScript
+ * Leaderboards, impact type / department breakdowns and weekly trends of recognition
+ */
+
+const METRICS = ['votes', 'congratulations', 'submissions'];
+const TREND_WEEKS = 12;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+    await EAApp.ready;
+    displayCurrentUser();
+    setupLogoutButton();
+    setupPeriodControls();
+
+    await Promise.all([loadTrends(), loadPeriodStats()]);
+});
+
+function displayCurrentUser() {
+    const userElement = document.getElementById('current-user');
+    const user = EAApp.currentUser;
+    userElement.textContent = user.name;
+}
+
+function setupLogoutButton() {
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn && EAApp.isLoggedIn()) {
+        logoutBtn.style.display = 'inline-block';
+    }
+}
+
+function toDateInput(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Presets fill in the date inputs; editing a date switches to "Custom"
+function setupPeriodControls() {
+    const preset = document.getElementById('period-preset');
+    const startInput = document.getElementById('start-date');
+    const endInput = document.getElementById('end-date');
+
+    const applyPreset = () => {
+        if (preset.value === 'custom') {
+            return;
+        }
+
+        const today = new Date();
+        const start = new Date(today);
+        if (preset.value === 'year') {
+            start.setUTCMonth(0, 1);
+        } else {
+            start.setUTCDate(start.getUTCDate() - (parseInt(preset.value, 10) - 1));
+        }
+        startInput.value = toDateInput(start);
+        endInput.value = toDateInput(today);
+    };
+
+    preset.addEventListener('change', () => {
+        applyPreset();
+        loadPeriodStats();
+    });
+    [startInput, endInput].forEach(input => input.addEventListener('change', () => {
+        preset.value = 'custom';
+        if (startInput.value && endInput.value) {
+            loadPeriodStats();
+        }
+    }));
+
+    applyPreset();
+}
+
+function currentPeriod() {
+    return {
+        startDate: document.getElementById('start-date').value,
+        endDate: document.getElementById('end-date').value
+    };
+}
+
+async function loadPeriodStats() {
+    const period = currentPeriod();
+    await Promise.all([
+        ...METRICS.map(metric => loadLeaderboard(metric, period)),
+        loadBreakdown('impactType', period),
+        loadBreakdown('department', period)
+    ]);
+}
+
+async function loadLeaderboard(metric, period) {
+    const element = document.getElementById(`leaderboard-${metric}`);
+
+    try {
+        EAApp.showLoading(element);
+        const response = await EAApp.getLeaderboard(metric, period);
+        displayLeaderboard(element, metric, response.data.leaders);
+    } catch (error) {
+        console.error(`Error loading ${metric} leaderboard:`, error);
+        EAApp.showError(element, EAApp.escapeHtml(error.data?.error || 'Failed to load leaderboard'));
+    }
+}
+
+function displayLeaderboard(element, metric, leaders) {
+    if (leaders.length === 0) {
+        element.innerHTML = '<p class="no-data">No activity in this period</p>';
+        return;
+    }
+
+    const max = leaders[0][metric];
+    element.innerHTML = leaders.map(leader => `
+        <div class="bar-row" title="${leader.submissions} submissions · ${leader.congratulations} congratulations · ${leader.votes} votes">
+            <span class="bar-rank">${leader.rank}</span>
+            <div>
+                <div class="bar-label">${EAApp.escapeHtml(leader.user.displayName)}</div>
+                ${createBar(leader[metric], max)}
+            </div>
+            <span class="bar-value">${leader[metric]}</span>
+        </div>
+    `).join('');
+}
+
+async function loadBreakdown(by, period) {
+    const element = document.getElementById(`breakdown-${by}`);
+
+    try {
+        EAApp.showLoading(element);
+        const response = await EAApp.getBreakdown(by, period);
+        displayBreakdown(element, response.data.groups);
+    } catch (error) {
+        console.error(`Error loading ${by} breakdown:`, error);
+        EAApp.showError(element, EAApp.escapeHtml(error.data?.error || 'Failed to load breakdown'));
+    }
+}
+
+function displayBreakdown(element, groups) {
+    if (groups.length === 0) {
+        element.innerHTML = '<p class="no-data">No activity in this period</p>';
+        return;
+    }
+
+    const max = Math.max(...groups.map(group => group.submissions), 1);
+    element.innerHTML = groups.map(group => `
+        <div class="bar-row breakdown-row">
+            <div>
+                <div class="bar-label">${EAApp.escapeHtml(group.label)}</div>
+                ${createBar(group.submissions, max)}
+                <div class="bar-detail">👏 ${group.congratulations} · ⭐ ${group.votes}</div>
+            </div>
+            <span class="bar-value" title="Submissions">${group.submissions}</span>
+        </div>
+    `).join('');
+}
+
+function createBar(value, max) {
+    const width = max > 0 ? Math.round((value / max) * 100) : 0;
+    return `<div class="bar-track"><div class="bar-fill" style="width: ${width}%"></div></div>`;
+}
+
+async function loadTrends() {
+    const element = document.getElementById('trends');
+
+    try {
+        const response = await EAApp.getTrends(TREND_WEEKS);
+        displayTrends(element, response.data);
+    } catch (error) {
+        console.error('Error loading trends:', error);
+        EAApp.showError(element, 'Failed to load trends');
+    }
+}
+
+function displayTrends(element, weeks) {
+    const series = ['submissions', 'congratulations', 'votes'];
+    const max = Math.max(...weeks.flatMap(week => series.map(metric => week[metric])), 1);
+    const weekLabel = weekStart => new Date(`${weekStart}T00:00:00Z`)
+        .toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const bars = week => series.map(metric => `
+        <div class="trend-bar series-${metric}" style="height: ${(week[metric] / max) * 100}%" title="${week[metric]} ${metric}"></div>
+    `).join('');
+
+    // The table compares the last two weeks; the current one is still in progress
+    const recent = weeks.slice(-2).reverse();
+
+    element.innerHTML = `
+        <div class="trend-legend">
+            <span><span class="legend-swatch series-submissions"></span>Submissions</span>
+            <span><span class="legend-swatch series-congratulations"></span>Congratulations</span>
+            <span><span class="legend-swatch series-votes"></span>Votes</span>
+        </div>
+        <div class="trend-chart">
+            ${weeks.map(week => `<div class="trend-week" title="Week of ${weekLabel(week.weekStart)}">${bars(week)}</div>`).join('')}
+        </div>
+        <div class="trend-labels">
+            ${weeks.map(week => `<span>${weekLabel(week.weekStart)}</span>`).join('')}
+        </div>
+        <table class="trend-table">
+            <thead>
+                <tr>
+                    <th>Week of</th>
+                    <th>Submissions</th>
+                    <th>Congratulations</th>
+                    <th>Votes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${recent.map((week, index) => `
+                    <tr>
+                        <td>${weekLabel(week.weekStart)}${index === 0 ? ' (so far)' : ''}</td>
+                        ${series.map(metric => `
+                            <td>${week[metric]} ${createChange(week.change[metric])}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Percentage change from the previous week (hidden when that week had nothing to compare against)
+function createChange(percent) {
+    if (percent === null || percent === undefined) {
+        return '';
+    }
+    const className = percent > 0 ? 'change-up' : percent < 0 ? 'change-down' : '';
+    return `<span class="${className}">(${percent > 0 ? '+' : ''}${percent}%)</span>`;
+}
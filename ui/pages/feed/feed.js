@@ -3,22 +3,36 @@
  * Handles displaying all accomplishments in LinkedIn-style feed with search functionality
  */
 
-let currentPage = 0;
 const itemsPerPage = 10;
+const searchResultsLimit = 50;
 let allAccomplishments = [];
 let filteredAccomplishments = [];
-let displayedAccomplishments = [];
+let nextCursor = null;
+let isLoadingPage = false;
+let searchRequestId = 0;
 
 // Search and filter state
 let currentSearchTerm = '';
+let currentSearchMode = 'keyword';
 let currentImpactFilter = '';
 let currentDateFilter = '';
+let currentTagFilter = '';
+
+// Notification center state
+const notificationPollMs = 60 * 1000;
+let notifications = [];
+let notificationsCursor = null;
 
 // Initialize page
 document.addEventListener('DOMContentLoaded', async () => {
+    await EAApp.ready;
+    await EAApp.loadImpactCategories();
     displayCurrentUser();
     setupLogoutButton();
+    EAApp.populateImpactSelect(document.getElementById('impact-filter'));
     setupSearchHandlers();
+    setupExportButton();
+    setupNotifications();
     await loadAccomplishments();
 });
 
@@ -40,6 +54,7 @@ function setupSearchHandlers() {
     const clearSearchBtn = document.getElementById('clear-search');
     const impactFilter = document.getElementById('impact-filter');
     const dateFilter = document.getElementById('date-range');
+    const searchMode = document.getElementById('search-mode');
 
     // Search input with debouncing
     let searchTimeout;
@@ -48,7 +63,7 @@ function setupSearchHandlers() {
         searchTimeout = setTimeout(() => {
             currentSearchTerm = e.target.value.trim();
             toggleClearButton();
-            applyFiltersAndDisplay();
+            refreshFeed();
         }, 300);
     });
 
@@ -57,22 +72,49 @@ function setupSearchHandlers() {
         searchInput.value = '';
         currentSearchTerm = '';
         toggleClearButton();
-        applyFiltersAndDisplay();
+        refreshFeed();
         searchInput.focus();
     });
 
-    // Filter dropdowns
+    // Keyword search ranks by matching words, semantic search by meaning
+    searchMode.addEventListener('change', (e) => {
+        currentSearchMode = e.target.value;
+        searchInput.placeholder = currentSearchMode === 'semantic'
+            ? 'e.g. who improved database performance for customers?'
+            : 'Search accomplishments...';
+        if (currentSearchTerm) {
+            refreshFeed();
+        }
+    });
+
+    // Filter dropdowns are applied by the server, so changing them reloads the feed
     impactFilter.addEventListener('change', (e) => {
         currentImpactFilter = e.target.value;
-        applyFiltersAndDisplay();
+        refreshFeed();
     });
 
     dateFilter.addEventListener('change', (e) => {
         currentDateFilter = e.target.value;
-        applyFiltersAndDisplay();
+        refreshFeed();
+    });
+}
+
+// Export downloads everything matching the impact, date and tag filters (not just the loaded pages)
+function setupExportButton() {
+    document.getElementById('export-btn').addEventListener('click', () => {
+        const format = document.getElementById('export-format').value;
+        window.location.href = EAApp.exportUrl(getServerFilters(), format);
     });
 }
 
+// Searching shows ranked results from the server; otherwise page through the feed
+function refreshFeed() {
+    if (currentSearchTerm) {
+        return searchAccomplishments();
+    }
+    return loadAccomplishments();
+}
+
 function toggleClearButton() {
     const clearSearchBtn = document.getElementById('clear-search');
     const searchInput = document.getElementById('search-input');
@@ -84,15 +126,25 @@ function toggleClearButton() {
     }
 }
 
+// Load the first page of accomplishments matching the impact/date filters
 async function loadAccomplishments() {
     const feedElement = document.getElementById('accomplishments-feed');
 
+    const requestId = ++searchRequestId;
+
     try {
         EAApp.showLoading(feedElement);
-        const response = await EAApp.getAllAccomplishments();
+        allAccomplishments = [];
+        nextCursor = null;
+
+        const response = await fetchAccomplishmentsPage();
+        if (requestId !== searchRequestId) return; // A newer search or reload replaced this one
+
         if (response.success) {
             allAccomplishments = response.data;
-            applyFiltersAndDisplay();
+            nextCursor = response.pagination?.nextCursor || null;
+            filteredAccomplishments = allAccomplishments;
+            displayFilteredAccomplishments();
         } else {
             throw new Error('Failed to load accomplishments');
         }
@@ -102,86 +154,100 @@ async function loadAccomplishments() {
     }
 }
 
-function applyFiltersAndDisplay() {
-    // Reset pagination when filters change
-    currentPage = 0;
-    displayedAccomplishments = [];
-
-    // Apply filters to get filtered results
-    filteredAccomplishments = filterAccomplishments(allAccomplishments);
+// Fetch one page from the server, continuing after `cursor` when given
+async function fetchAccomplishmentsPage(cursor) {
+    const pagination = { limit: itemsPerPage, cursor };
+    const filters = getServerFilters();
 
-    // Display filtered results
-    displayFilteredAccomplishments();
-}
-
-function filterAccomplishments(accomplishments) {
-    return accomplishments.filter(accomplishment => {
-        // Text search (fuzzy search across multiple fields)
-        const textMatch = fuzzyTextSearch(accomplishment, currentSearchTerm);
-
-        // Impact type filter
-        const impactMatch = !currentImpactFilter || accomplishment.impactType === currentImpactFilter;
-
-        // Date range filter
-        const dateMatch = dateRangeMatch(accomplishment.createdAt, currentDateFilter);
-
-        return textMatch && impactMatch && dateMatch;
-    });
+    if (Object.keys(filters).length === 0) {
+        return await EAApp.getAllAccomplishments(pagination);
+    }
+    return await EAApp.filterAccomplishments(filters, pagination);
 }
 
-function fuzzyTextSearch(accomplishment, searchTerm) {
-    if (!searchTerm) return true;
+function getServerFilters() {
+    const filters = {};
+    if (currentImpactFilter) {
+        filters.impactType = currentImpactFilter;
+    }
 
-    const searchWords = searchTerm.toLowerCase().split(/\s+/);
-    const searchableText = [
-        accomplishment.userName,
-        accomplishment.aiGeneratedStatement,
-        accomplishment.originalStatement,
-        accomplishment.impactType,
-        accomplishment.responses?.emailAppreciation || '',
-        accomplishment.responses?.additionalDetails || ''
-    ].join(' ').toLowerCase();
+    const startDate = getDateFilterStart(currentDateFilter);
+    if (startDate) {
+        filters.startDate = startDate;
+    }
 
-    // Check if all search words are found in the searchable text
-    return searchWords.every(word => searchableText.includes(word));
+    if (currentTagFilter) {
+        filters.tag = currentTagFilter;
+    }
+    return filters;
 }
 
-function dateRangeMatch(dateString, dateFilter) {
-    if (!dateFilter) return true;
-
-    const accomplishmentDate = new Date(dateString);
-    const now = new Date();
+// Translate the date range dropdown into a YYYY-MM-DD start date
+function getDateFilterStart(dateFilter) {
+    const start = new Date();
 
     switch (dateFilter) {
         case 'today':
-            return accomplishmentDate.toDateString() === now.toDateString();
+            break;
 
         case 'week':
-            const weekAgo = new Date(now);
-            weekAgo.setDate(now.getDate() - 7);
-            return accomplishmentDate >= weekAgo;
+            start.setDate(start.getDate() - 7);
+            break;
 
         case 'month':
-            const monthAgo = new Date(now);
-            monthAgo.setMonth(now.getMonth() - 1);
-            return accomplishmentDate >= monthAgo;
+            start.setMonth(start.getMonth() - 1);
+            break;
 
         case 'quarter':
-            const quarterAgo = new Date(now);
-            quarterAgo.setMonth(now.getMonth() - 3);
-            return accomplishmentDate >= quarterAgo;
+            start.setMonth(start.getMonth() - 3);
+            break;
 
         default:
-            return true;
+            return null;
+    }
+
+    const month = String(start.getMonth() + 1).padStart(2, '0');
+    const day = String(start.getDate()).padStart(2, '0');
+    return `${start.getFullYear()}-${month}-${day}`;
+}
+
+// Ranked search on the server: keyword results come with highlighted snippets,
+// semantic results with a similarity score
+async function searchAccomplishments() {
+    const feedElement = document.getElementById('accomplishments-feed');
+    const requestId = ++searchRequestId;
+
+    try {
+        EAApp.showLoading(feedElement);
+        nextCursor = null;
+
+        const response = currentSearchMode === 'semantic'
+            ? await EAApp.semanticSearchAccomplishments(currentSearchTerm, getServerFilters(), searchResultsLimit)
+            : await EAApp.searchAccomplishments(currentSearchTerm, getServerFilters(), searchResultsLimit);
+        if (requestId !== searchRequestId) return; // Ignore results for an outdated query
+
+        if (response.success) {
+            filteredAccomplishments = response.data;
+            displayFilteredAccomplishments();
+        } else {
+            throw new Error('Search failed');
+        }
+    } catch (error) {
+        if (requestId !== searchRequestId) return;
+        console.error('Error searching accomplishments:', error);
+        // Semantic search counts towards the AI rate limit; the message says when to try again
+        EAApp.showError(feedElement, error.status === 429
+            ? EAApp.escapeHtml(error.data?.error)
+            : 'Search failed. Please try again.');
     }
 }
 
 function displayFilteredAccomplishments() {
     const feedElement = document.getElementById('accomplishments-feed');
-    const loadMoreElement = document.getElementById('load-more');
 
     if (filteredAccomplishments.length === 0) {
-        if (allAccomplishments.length === 0) {
+        const hasFilters = currentSearchTerm || currentImpactFilter || currentDateFilter;
+        if (!hasFilters) {
             feedElement.innerHTML = `
                 <div class="empty-feed">
                     <h3>No accomplishments yet</h3>
@@ -198,32 +264,18 @@ function displayFilteredAccomplishments() {
                 </div>
             `;
         }
-        loadMoreElement.style.display = 'none';
+        updateLoadMoreButton();
         return;
     }
 
-    // Load initial items
-    const startIndex = currentPage * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    const newItems = filteredAccomplishments.slice(startIndex, endIndex);
-
-    displayedAccomplishments.push(...newItems);
-
-    if (currentPage === 0) {
-        // First load - replace content
-        feedElement.innerHTML = displayedAccomplishments.map(createAccomplishmentCard).join('');
-    } else {
-        // Subsequent loads - append content
-        const newCardsHTML = newItems.map(createAccomplishmentCard).join('');
-        feedElement.insertAdjacentHTML('beforeend', newCardsHTML);
-    }
+    feedElement.innerHTML = filteredAccomplishments.map(createAccomplishmentCard).join('');
+    updateLoadMoreButton();
+}
 
-    // Show/hide load more button
-    if (displayedAccomplishments.length < filteredAccomplishments.length) {
-        loadMoreElement.style.display = 'block';
-    } else {
-        loadMoreElement.style.display = 'none';
-    }
+// The server tells us whether another page exists
+function updateLoadMoreButton() {
+    const loadMoreElement = document.getElementById('load-more');
+    loadMoreElement.style.display = nextCursor ? 'block' : 'none';
 }
 
 function clearAllFilters() {
@@ -237,9 +289,9 @@ function clearAllFilters() {
     currentImpactFilter = '';
     currentDateFilter = '';
 
-    // Hide clear button and refresh display
+    // Hide clear button and reload the unfiltered feed
     toggleClearButton();
-    applyFiltersAndDisplay();
+    refreshFeed();
 }
 
 function createAccomplishmentCard(accomplishment) {
@@ -253,28 +305,113 @@ function createAccomplishmentCard(accomplishment) {
     return `
     <div class="accomplishment-card" data-id="${accomplishment.id}">
       <div class="card-header">
-        <img src="${thumbnail}" alt="${accomplishment.userName}" class="user-avatar" onerror="this.src='${EAApp.getUserThumbnail(accomplishment.userName)}'">
+        <img src="${EAApp.escapeHtml(thumbnail)}" alt="${EAApp.escapeHtml(accomplishment.userName)}" class="user-avatar" onerror="this.src='${EAApp.getUserThumbnail(accomplishment.userName)}'">
         <div class="user-info">
-          <div class="user-name">${accomplishment.userName}</div>
-          <div class="user-email">${accomplishment.userId}</div>
+          <div class="user-name">${EAApp.escapeHtml(accomplishment.userName)}</div>
+          <div class="user-email">${EAApp.escapeHtml(accomplishment.userId)}</div>
+          ${accomplishment.nominator ? `<div class="nominated-by">🏅 Nominated by ${EAApp.escapeHtml(accomplishment.nominator.displayName)}</div>` : ''}
         </div>
         <div class="header-right">
           <div class="timestamp">${formattedDate}</div>
-          <span class="impact-badge impact-${accomplishment.impactType}">
-            ${accomplishment.impactType} impact
-          </span>
+          ${accomplishment.similarity !== undefined ? `<span class="similarity-badge" title="How closely this matches your question">${Math.round(accomplishment.similarity * 100)}% match</span>` : ''}
+          ${EAApp.impactBadge(accomplishment.impactType)}
         </div>
       </div>
       <div class="card-content">
         <div class="accomplishment-text">${accomplishment.aiGeneratedStatement}</div>
+        ${createSearchHighlights(accomplishment)}
+        ${createTagList(accomplishment)}
+        ${EAApp.attachmentLinks(accomplishment.attachments)}
       </div>
       <div class="interaction-bar">
         ${createInteractionButtons(accomplishment, congratsCount, votesCount)}
       </div>
+      <div id="comments-${accomplishment.id}" class="comment-thread" style="display: none;"></div>
     </div>
   `;
 }
 
+// Snippets are HTML-escaped by the server with matches wrapped in <mark>
+function createSearchHighlights(accomplishment) {
+    if (!accomplishment.highlights || accomplishment.highlights.length === 0) return '';
+
+    const labels = {
+        userName: 'Name',
+        aiGeneratedStatement: 'Statement',
+        originalStatement: 'Original',
+        emailAppreciation: 'Appreciation',
+        additionalDetails: 'Details'
+    };
+
+    return `
+        <div class="search-highlights">
+          ${accomplishment.highlights.map(highlight => `
+            <div class="search-highlight">
+              <span class="search-highlight-field">${labels[highlight.field] || highlight.field}:</span>
+              <span class="search-highlight-snippet">${highlight.snippet}</span>
+            </div>
+          `).join('')}
+        </div>
+    `;
+}
+
+// Clicking a skill tag filters the feed down to accomplishments with that tag
+function createTagList(accomplishment) {
+    if (!accomplishment.tags || accomplishment.tags.length === 0) return '';
+
+    return `
+        <div class="tag-list">
+          ${accomplishment.tags.map(tag => `
+            <button class="tag-chip" data-tag="${EAApp.escapeHtml(tag)}" onclick="filterByTag(this.dataset.tag)" title="Show accomplishments tagged ${EAApp.escapeHtml(tag)}">
+              ${EAApp.escapeHtml(tag)}
+            </button>
+          `).join('')}
+        </div>
+    `;
+}
+
+function filterByTag(tag) {
+    currentTagFilter = tag;
+    updateActiveTagFilter();
+    refreshFeed();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function clearTagFilter() {
+    currentTagFilter = '';
+    updateActiveTagFilter();
+    refreshFeed();
+}
+
+function updateActiveTagFilter() {
+    const container = document.getElementById('active-tag-filter');
+
+    if (!currentTagFilter) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <span>Showing accomplishments tagged</span>
+        <span class="tag-chip active">
+          ${EAApp.escapeHtml(currentTagFilter)}
+          <button class="tag-remove" onclick="clearTagFilter()" title="Clear tag filter">&times;</button>
+        </span>
+    `;
+    container.style.display = 'flex';
+}
+
+function createCommentButton(accomplishment) {
+    return `
+              <button class="interaction-btn comments" onclick="toggleComments('${accomplishment.id}')" title="Show comments">
+                <span class="interaction-icon">💬</span>
+                <span class="interaction-text">Comment</span>
+                <span class="interaction-count">&nbsp;(${accomplishment.commentsCount || 0})</span>
+              </button>
+    `;
+}
+
 function createInteractionButtons(accomplishment, congratsCount, votesCount) {
     // Determine if this accomplishment belongs to the current user
     const currentUserEmail = EAApp.currentUser?.email?.toLowerCase()?.trim();
@@ -318,26 +455,30 @@ function createInteractionButtons(accomplishment, congratsCount, votesCount) {
                 <span class="interaction-text">Vote</span>
                 <span class="interaction-count">&nbsp;(${votesCount})</span>
               </button>
+              ${createCommentButton(accomplishment)}
             </div>
         `;
     } else {
-        // For others' accomplishments: Share (hidden), Congratulate + Vote (visible + enabled)
+        // For others' accomplishments: Share (hidden), Congratulate + Vote (visible + enabled, highlighted if already given)
+        const congratsActive = accomplishment.userCongratulated ? ' active' : '';
+        const votesActive = accomplishment.userVoted ? ' active' : '';
         buttonsHtml = `
             <button class="copy-btn hidden" style="display: none;" disabled title="Cannot share others' accomplishments">
               <span class="copy-icon">📢</span>
               Share
             </button>
             <div class="interaction-buttons">
-              <button class="interaction-btn congratulations" onclick="toggleCongratulations('${accomplishment.id}')" title="Congratulate">
+              <button class="interaction-btn congratulations${congratsActive}" onclick="toggleCongratulations('${accomplishment.id}')" title="${accomplishment.userCongratulated ? 'Remove your congratulations' : 'Congratulate'}">
                 <span class="interaction-icon">👏</span>
                 <span class="interaction-text">Congratulate</span>
                 <span class="interaction-count">&nbsp;(${congratsCount})</span>
               </button>
-              <button class="interaction-btn votes" onclick="toggleVote('${accomplishment.id}')" title="Vote for this achievement">
+              <button class="interaction-btn votes${votesActive}" onclick="toggleVote('${accomplishment.id}')" title="${accomplishment.userVoted ? 'Remove your vote' : 'Vote for this achievement'}">
                 <span class="interaction-icon">⭐</span>
                 <span class="interaction-text">Vote</span>
                 <span class="interaction-count">&nbsp;(${votesCount})</span>
               </button>
+              ${createCommentButton(accomplishment)}
             </div>
         `;
     }
@@ -345,17 +486,46 @@ function createInteractionButtons(accomplishment, congratsCount, votesCount) {
     return buttonsHtml;
 }
 
-function loadMoreAccomplishments() {
-    currentPage++;
-    displayFilteredAccomplishments();
+// Fetch the next page from the server and append its cards to the feed
+async function loadMoreAccomplishments() {
+    if (!nextCursor || isLoadingPage) return;
+
+    isLoadingPage = true;
+    const requestId = searchRequestId;
+    try {
+        const response = await fetchAccomplishmentsPage(nextCursor);
+        if (requestId !== searchRequestId) return; // The feed was reloaded meanwhile
+
+        if (!response.success) {
+            throw new Error('Failed to load more accomplishments');
+        }
+
+        allAccomplishments.push(...response.data);
+        nextCursor = response.pagination?.nextCursor || null;
+
+        const feedElement = document.getElementById('accomplishments-feed');
+        feedElement.insertAdjacentHTML('beforeend', response.data.map(createAccomplishmentCard).join(''));
+        updateLoadMoreButton();
+    } catch (error) {
+        console.error('Error loading more accomplishments:', error);
+        showToast('Failed to load more accomplishments. Please try again.', 'error');
+    } finally {
+        isLoadingPage = false;
+    }
 }
 
 // Team Interaction Functions
 
+// Accomplishments shown come from either the paged feed or search results
+function findLoadedAccomplishment(accomplishmentId) {
+    return filteredAccomplishments.find(a => a.id === accomplishmentId) ||
+        allAccomplishments.find(a => a.id === accomplishmentId);
+}
+
 async function toggleCongratulations(accomplishmentId) {
     // Check if user can interact
     if (!EAApp.canInteract()) {
-        showToast('Demo users can only view accomplishments. Please provide your actual email to interact.', 'error');
+        showToast('Please sign in to interact with accomplishments.', 'error');
         return;
     }
 
@@ -366,7 +536,7 @@ async function toggleCongratulations(accomplishmentId) {
             updateInteractionCount(accomplishmentId, 'congratulations', response.data.congratulationsCount, response.data.userCongratulated);
 
             // Update local data
-            const accomplishment = allAccomplishments.find(a => a.id === accomplishmentId);
+            const accomplishment = findLoadedAccomplishment(accomplishmentId);
             if (accomplishment) {
                 accomplishment.congratulationsCount = response.data.congratulationsCount;
                 accomplishment.userCongratulated = response.data.userCongratulated;
@@ -382,7 +552,7 @@ async function toggleCongratulations(accomplishmentId) {
 async function toggleVote(accomplishmentId) {
     // Check if user can interact
     if (!EAApp.canInteract()) {
-        showToast('Demo users can only view accomplishments. Please provide your actual email to interact.', 'error');
+        showToast('Please sign in to interact with accomplishments.', 'error');
         return;
     }
 
@@ -393,7 +563,7 @@ async function toggleVote(accomplishmentId) {
             updateInteractionCount(accomplishmentId, 'votes', response.data.votesCount, response.data.userVoted);
 
             // Update local data
-            const accomplishment = allAccomplishments.find(a => a.id === accomplishmentId);
+            const accomplishment = findLoadedAccomplishment(accomplishmentId);
             if (accomplishment) {
                 accomplishment.votesCount = response.data.votesCount;
                 accomplishment.userVoted = response.data.userVoted;
@@ -422,6 +592,348 @@ function updateInteractionCount(accomplishmentId, interactionType, count, isActi
     } else {
         button.classList.remove('active');
     }
+
+    // Reflect that a second click removes the reaction
+    if (interactionType === 'congratulations') {
+        button.title = isActive ? 'Remove your congratulations' : 'Congratulate';
+    } else if (interactionType === 'votes') {
+        button.title = isActive ? 'Remove your vote' : 'Vote for this achievement';
+    }
+}
+
+// Notification Center
+
+function setupNotifications() {
+    // Only signed-in users have notifications
+    if (!EAApp.canInteract()) return;
+
+    const center = document.getElementById('notification-center');
+    const bell = document.getElementById('notification-bell');
+    center.style.display = 'block';
+
+    bell.addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleNotificationPanel();
+    });
+    document.getElementById('notification-read-all').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('notification-settings-btn').addEventListener('click', toggleNotificationSettings);
+
+    // Clicking anywhere else closes the panel
+    document.addEventListener('click', (event) => {
+        if (!center.contains(event.target)) {
+            setNotificationPanelOpen(false);
+        }
+    });
+
+    refreshUnreadCount();
+    setInterval(refreshUnreadCount, notificationPollMs);
+
+    // Links in notification e-mails open the panel
+    if (window.location.hash === '#notifications') {
+        setNotificationPanelOpen(true);
+    }
+}
+
+function toggleNotificationPanel() {
+    const panel = document.getElementById('notification-panel');
+    setNotificationPanelOpen(panel.style.display === 'none');
+}
+
+function setNotificationPanelOpen(open) {
+    const panel = document.getElementById('notification-panel');
+    const isOpen = panel.style.display !== 'none';
+    if (open === isOpen) return;
+
+    panel.style.display = open ? 'block' : 'none';
+    document.getElementById('notification-bell').setAttribute('aria-expanded', String(open));
+    if (open) {
+        loadNotifications();
+    }
+}
+
+function updateNotificationBadge(unreadCount) {
+    const badge = document.getElementById('notification-badge');
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.style.display = unreadCount > 0 ? 'inline-block' : 'none';
+}
+
+async function refreshUnreadCount() {
+    try {
+        const response = await EAApp.getNotifications({ limit: 1, unread: true });
+        updateNotificationBadge(response.unreadCount);
+    } catch (error) {
+        console.error('Error checking notifications:', error);
+    }
+}
+
+async function loadNotifications(more = false) {
+    const list = document.getElementById('notification-list');
+
+    try {
+        if (!more) {
+            EAApp.showLoading(list);
+        }
+        const response = await EAApp.getNotifications({ cursor: more ? notificationsCursor : null });
+        notifications = more ? notifications.concat(response.data) : response.data;
+        notificationsCursor = response.pagination.nextCursor;
+        updateNotificationBadge(response.unreadCount);
+        renderNotifications();
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        EAApp.showError(list, 'Failed to load notifications.');
+    }
+}
+
+function renderNotifications() {
+    const list = document.getElementById('notification-list');
+
+    if (notifications.length === 0) {
+        list.innerHTML = '<div class="comment-empty">No notifications yet. Reactions, comments and mentions on your accomplishments show up here.</div>';
+        return;
+    }
+
+    list.innerHTML = notifications.map(notification => `
+        <button class="notification-item ${notification.read ? '' : 'unread'}" onclick="openNotification('${notification.id}')">
+            <div class="notification-message">${EAApp.escapeHtml(notification.message)}</div>
+            ${notification.excerpt ? `<div class="notification-excerpt">${EAApp.escapeHtml(notification.excerpt)}</div>` : ''}
+            <div class="notification-date">${EAApp.formatDate(notification.createdAt)}</div>
+        </button>
+    `).join('') + (notificationsCursor ? '<button class="notification-more" onclick="loadNotifications(true)">Show older</button>' : '');
+}
+
+// Mark it read and, when the accomplishment is on the page, jump to it
+async function openNotification(notificationId) {
+    const notification = notifications.find(n => n.id === notificationId);
+    if (!notification) return;
+
+    if (!notification.read) {
+        try {
+            const response = await EAApp.markNotificationRead(notificationId);
+            notification.read = true;
+            updateNotificationBadge(response.data.unreadCount);
+            renderNotifications();
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+        }
+    }
+
+    const card = document.querySelector(`.accomplishment-card[data-id="${notification.accomplishmentId}"]`);
+    if (!card) {
+        showToast('That accomplishment is not loaded in the feed right now.', 'info');
+        return;
+    }
+
+    setNotificationPanelOpen(false);
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('highlighted');
+    setTimeout(() => card.classList.remove('highlighted'), 2000);
+
+    const thread = document.getElementById(`comments-${notification.accomplishmentId}`);
+    if (notification.commentId && thread && thread.style.display !== 'block') {
+        await toggleComments(notification.accomplishmentId);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await EAApp.markAllNotificationsRead();
+        notifications.forEach(notification => {
+            notification.read = true;
+        });
+        updateNotificationBadge(0);
+        renderNotifications();
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        showToast('Failed to mark notifications as read.', 'error');
+    }
+}
+
+async function toggleNotificationSettings() {
+    const settings = document.getElementById('notification-settings');
+    if (settings.style.display === 'block') {
+        settings.style.display = 'none';
+        return;
+    }
+
+    settings.style.display = 'block';
+    try {
+        EAApp.showLoading(settings);
+        const response = await EAApp.getNotificationPreferences();
+        renderNotificationSettings(response.data);
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+        EAApp.showError(settings, 'Failed to load notification settings.');
+    }
+}
+
+function renderNotificationSettings(preferences) {
+    document.getElementById('notification-settings').innerHTML = preferences.map(preference => `
+        <label class="notification-setting" title="${EAApp.escapeHtml(preference.description)}">
+            <span>${EAApp.escapeHtml(preference.label)}</span>
+            <select class="filter-select" onchange="updateNotificationPreference('${preference.event}', this)">
+                <option value="in-app" ${preference.delivery === 'in-app' ? 'selected' : ''}>In-app only</option>
+                <option value="in-app+email" ${preference.delivery === 'in-app+email' ? 'selected' : ''}>In-app + e-mail</option>
+            </select>
+        </label>
+    `).join('');
+}
+
+async function updateNotificationPreference(event, select) {
+    select.disabled = true;
+    try {
+        const response = await EAApp.updateNotificationPreferences({ [event]: select.value });
+        renderNotificationSettings(response.data);
+        showToast('Notification settings saved', 'success');
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        showToast('Failed to save notification settings.', 'error');
+        select.disabled = false;
+    }
+}
+
+// Comment Threads
+
+async function toggleComments(accomplishmentId) {
+    const thread = document.getElementById(`comments-${accomplishmentId}`);
+    if (!thread) return;
+
+    if (thread.style.display === 'block') {
+        thread.style.display = 'none';
+        return;
+    }
+
+    thread.style.display = 'block';
+    await loadComments(accomplishmentId);
+}
+
+async function loadComments(accomplishmentId) {
+    const thread = document.getElementById(`comments-${accomplishmentId}`);
+
+    try {
+        EAApp.showLoading(thread);
+        const response = await EAApp.getComments(accomplishmentId);
+        if (!response.success) {
+            throw new Error('Failed to load comments');
+        }
+        renderCommentThread(accomplishmentId, response.data);
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        EAApp.showError(thread, 'Failed to load comments.');
+    }
+}
+
+function renderCommentThread(accomplishmentId, comments) {
+    const thread = document.getElementById(`comments-${accomplishmentId}`);
+
+    const commentsHtml = comments.length > 0
+        ? comments.map(comment => createCommentItem(accomplishmentId, comment)).join('')
+        : '<div class="comment-empty">No comments yet.</div>';
+
+    const formHtml = EAApp.canInteract() ? `
+        <form class="comment-form" onsubmit="submitComment(event, '${accomplishmentId}')">
+            <textarea class="comment-input" maxlength="1000" placeholder="Write a comment..." required></textarea>
+            <button type="submit" class="btn btn-primary">Post</button>
+        </form>
+    ` : '';
+
+    thread.innerHTML = `<div class="comment-list">${commentsHtml}</div>${formHtml}`;
+    updateInteractionCount(accomplishmentId, 'comments', comments.length);
+}
+
+function createCommentItem(accomplishmentId, comment) {
+    const isMine = comment.userId === EAApp.currentUser?.email?.toLowerCase()?.trim();
+
+    return `
+        <div class="comment-item" data-comment-id="${comment.id}">
+            <img src="${EAApp.getUserThumbnail(comment.userName)}" alt="${EAApp.escapeHtml(comment.userName)}" class="comment-avatar">
+            <div class="comment-main">
+                <div class="comment-header">
+                    <span class="comment-author">${EAApp.escapeHtml(comment.userName)}</span>
+                    <span class="comment-date">${EAApp.formatDate(comment.createdAt)}${comment.edited ? ' · edited' : ''}</span>
+                    ${isMine ? `
+                        <span class="comment-actions">
+                            <button class="comment-action" onclick="editComment('${accomplishmentId}', '${comment.id}')">Edit</button>
+                            <button class="comment-action" onclick="deleteComment('${accomplishmentId}', '${comment.id}')">Delete</button>
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="comment-body">${EAApp.escapeHtml(comment.body)}</div>
+            </div>
+        </div>
+    `;
+}
+
+async function submitComment(event, accomplishmentId) {
+    event.preventDefault();
+
+    const form = event.target;
+    const input = form.querySelector('.comment-input');
+    const body = input.value.trim();
+    if (!body) return;
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const response = await EAApp.addComment(accomplishmentId, body);
+        if (!response.success) {
+            throw new Error('Failed to add comment');
+        }
+        await loadComments(accomplishmentId);
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        showToast('Failed to post comment. Please try again.', 'error');
+        button.disabled = false;
+    }
+}
+
+// Swap the comment text for an inline editor
+function editComment(accomplishmentId, commentId) {
+    const item = document.querySelector(`#comments-${accomplishmentId} [data-comment-id="${commentId}"]`);
+    const bodyElement = item.querySelector('.comment-body');
+    const currentText = bodyElement.textContent;
+
+    bodyElement.innerHTML = `
+        <form class="comment-form" onsubmit="saveComment(event, '${accomplishmentId}', '${commentId}')">
+            <textarea class="comment-input" maxlength="1000" required>${EAApp.escapeHtml(currentText)}</textarea>
+            <button type="submit" class="btn btn-primary">Save</button>
+            <button type="button" class="btn comment-cancel" onclick="loadComments('${accomplishmentId}')">Cancel</button>
+        </form>
+    `;
+    bodyElement.querySelector('.comment-input').focus();
+}
+
+async function saveComment(event, accomplishmentId, commentId) {
+    event.preventDefault();
+
+    const body = event.target.querySelector('.comment-input').value.trim();
+    if (!body) return;
+
+    try {
+        const response = await EAApp.updateComment(accomplishmentId, commentId, body);
+        if (!response.success) {
+            throw new Error('Failed to update comment');
+        }
+        await loadComments(accomplishmentId);
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        showToast('Failed to update comment. Please try again.', 'error');
+    }
+}
+
+async function deleteComment(accomplishmentId, commentId) {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+        const response = await EAApp.deleteComment(accomplishmentId, commentId);
+        if (!response.success) {
+            throw new Error('Failed to delete comment');
+        }
+        await loadComments(accomplishmentId);
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showToast('Failed to delete comment. Please try again.', 'error');
+    }
 }
 
 async function shareAccomplishment(accomplishmentId) {
@@ -439,6 +951,9 @@ async function shareAccomplishment(accomplishmentId) {
 
         if (result.success) {
             showLinkedInPostModal(result.data.linkedInPost, result.data.accomplishment);
+        } else if (response.status === 429) {
+            // AI rate limit or daily quota reached
+            showToast(result.error, 'error');
         } else {
             throw new Error(result.error || 'Failed to generate LinkedIn post');
         }
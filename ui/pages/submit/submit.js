@@ -4,13 +4,20 @@
  */
 
 let userAccomplishments = [];
+let userAccomplishmentsCursor = null;
+let currentTags = [];
+
+// Same types the server accepts (see services/attachments.js)
+const ATTACHMENT_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,.eml,.msg';
 
 // Initialize page
 document.addEventListener('DOMContentLoaded', async () => {
+  await EAApp.ready;
+  await EAApp.loadImpactCategories();
+  EAApp.populateImpactSelect(document.getElementById('impact-type'));
   console.log('Submit page initializing...');
   console.log('Current user:', EAApp.currentUser);
   console.log('Can submit:', EAApp.canSubmit());
-  console.log('Is demo user:', EAApp.isDemoUser());
 
   // Check if user has access to submit page
   if (!EAApp.canSubmit()) {
@@ -26,8 +33,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   console.log('User can submit - loading page functionality');
   displayCurrentUser();
   setupLogoutButton();
-  await loadUserAccomplishments();
+  await Promise.all([loadUserAccomplishments(), loadNominations()]);
   setupFormHandler();
+  setupNominationMode();
   setupWordCounters();
 });
 
@@ -59,6 +67,9 @@ function setupFormHandler() {
   // Handle regeneration
   regenerateBtn.addEventListener('click', regenerateStatement);
 
+  // Handle adding skill tags (Enter or comma, without submitting the form)
+  document.getElementById('tag-input').addEventListener('keydown', handleTagInput);
+
   // Handle final form submission (approval)
   form.addEventListener('submit', handleFormSubmission);
 }
@@ -82,6 +93,12 @@ async function generateContextualQuestions() {
       return;
     }
 
+    const nominee = readNominee();
+    if (nominee?.error) {
+      showError(nominee.error);
+      return;
+    }
+
     // Check word limits for basic fields
     const wordLimitErrors = validateWordLimits();
     if (wordLimitErrors.length > 0) {
@@ -105,7 +122,8 @@ async function generateContextualQuestions() {
       body: JSON.stringify({
         originalStatement,
         impactType,
-        emailAppreciation
+        emailAppreciation,
+        nomineeName: nominee?.name
       })
     });
 
@@ -114,6 +132,9 @@ async function generateContextualQuestions() {
     if (result.success) {
       displayContextualQuestions(result.data.questions);
       showDynamicFields();
+    } else if (response.status === 429) {
+      // AI rate limit or daily quota reached; the message says when to try again
+      showError(EAApp.escapeHtml(result.error));
     } else {
       throw new Error('Failed to generate questions');
     }
@@ -192,10 +213,12 @@ async function generateStatementPreview() {
     generateBtn.textContent = 'Generating Statement...';
     generateBtn.disabled = true;
 
-    // Collect all form data
+    // Collect all form data. Nominations are authored by the colleague and sent by the current user.
+    const nominee = readNominee();
     const formData = {
-      userId: EAApp.currentUser.email,
-      userName: EAApp.currentUser.name,
+      userId: nominee ? nominee.email : EAApp.currentUser.email,
+      userName: nominee ? nominee.name : EAApp.currentUser.name,
+      ...(nominee && { nominatedBy: EAApp.currentUser.email, nominatorName: EAApp.currentUser.name }),
       originalStatement: document.getElementById('original-statement').value,
       responses: {
         emailAppreciation: document.getElementById('email-appreciation').value,
@@ -203,7 +226,9 @@ async function generateStatementPreview() {
         additionalDetails: collectDynamicQuestionResponses()
       },
       impactType: document.getElementById('impact-type').value,
-      userThumbnail: EAApp.getUserThumbnail(EAApp.currentUser.name)
+      userThumbnail: nominee
+        ? EAApp.getUserThumbnail(nominee.name)
+        : EAApp.currentUser.avatarUrl || EAApp.getUserThumbnail(EAApp.currentUser.name)
     };
 
     // Generate the statement for preview (without saving)
@@ -220,6 +245,11 @@ async function generateStatementPreview() {
     if (result.success) {
       displayStatementPreview(result.data.aiGeneratedStatement, formData);
       showPreviewFields();
+      // Nominators can't merge into a colleague's posts, so only check your own submissions
+      await Promise.all([nominee ? null : checkForDuplicates(formData), suggestTags(formData)]);
+    } else if (response.status === 429) {
+      // AI rate limit or daily quota reached; the message says when to try again
+      showError(EAApp.escapeHtml(result.error));
     } else {
       throw new Error('Failed to generate statement');
     }
@@ -244,12 +274,10 @@ function displayStatementPreview(statement, formData) {
     <div class="statement-card">
       <div class="statement-header">
         <div class="user-info">
-          <img src="${formData.userThumbnail}" alt="${formData.userName}" class="user-avatar">
+          <img src="${EAApp.escapeHtml(formData.userThumbnail)}" alt="${EAApp.escapeHtml(formData.userName)}" class="user-avatar">
           <div class="user-details">
-            <h4>${formData.userName}</h4>
-            <span class="impact-badge impact-${formData.impactType}">
-              ${formData.impactType} impact
-            </span>
+            <h4>${EAApp.escapeHtml(formData.userName)}</h4>
+            ${EAApp.impactBadge(formData.impactType)}
           </div>
         </div>
       </div>
@@ -260,6 +288,133 @@ function displayStatementPreview(statement, formData) {
   `;
 }
 
+// Warn the author if this looks like something they already posted
+async function checkForDuplicates(formData) {
+  const warningElement = document.getElementById('duplicate-warning');
+  warningElement.style.display = 'none';
+
+  try {
+    const response = await EAApp.checkDuplicates(formData);
+    if (response.success && response.data.duplicates.length > 0) {
+      displayDuplicateWarning(response.data.duplicates);
+    } else if (window.currentPreviewData) {
+      window.currentPreviewData.duplicatesChecked = true;
+    }
+  } catch (error) {
+    // Not fatal - the server checks again when the accomplishment is saved
+    console.error('Error checking for duplicates:', error);
+  }
+}
+
+function displayDuplicateWarning(duplicates) {
+  const warningElement = document.getElementById('duplicate-warning');
+
+  warningElement.innerHTML = `
+    <div class="duplicate-warning-header">
+      <h4>⚠️ This looks like something you already shared</h4>
+      <p>Merge these details into the existing post, or approve to save it as a separate accomplishment.</p>
+    </div>
+    ${duplicates.map(({ accomplishment, similarity }) => `
+      <div class="duplicate-item">
+        <div class="duplicate-meta">
+          ${EAApp.formatDate(accomplishment.createdAt)} · ${Math.round(similarity * 100)}% similar
+        </div>
+        <div class="duplicate-statement">${EAApp.escapeHtml(accomplishment.aiGeneratedStatement)}</div>
+        <button type="button" class="btn btn-secondary" onclick="mergeIntoExisting('${accomplishment.id}', this)">
+          🔀 Merge into this post
+        </button>
+      </div>
+    `).join('')}
+  `;
+
+  warningElement.style.display = 'block';
+  if (window.currentPreviewData) {
+    window.currentPreviewData.duplicatesChecked = true;
+  }
+}
+
+async function mergeIntoExisting(accomplishmentId, button) {
+  const originalText = button.textContent;
+
+  try {
+    button.textContent = 'Merging...';
+    button.disabled = true;
+
+    const response = await EAApp.mergeAccomplishment(accomplishmentId, {
+      ...window.currentPreviewData.formData,
+      tags: currentTags
+    });
+    if (response.success) {
+      // Evidence files can only be attached once the accomplishment exists
+      const files = [...document.getElementById('attachment-input').files];
+      const attachmentErrors = await uploadAttachments(response.data.id, files);
+      showSubmissionResult(response.data, attachmentErrors);
+      clearForm();
+      await loadUserAccomplishments(); // Refresh the list
+    } else {
+      throw new Error('Merge failed');
+    }
+  } catch (error) {
+    console.error('Merge error:', error);
+    showError(error.status === 429
+      ? EAApp.escapeHtml(error.data?.error)
+      : 'Failed to merge into the existing accomplishment. Please try again.');
+    button.textContent = originalText;
+    button.disabled = false;
+  }
+}
+
+// Skill Tags
+
+async function suggestTags(formData) {
+  const tagList = document.getElementById('tag-list');
+  tagList.innerHTML = '<span class="tag-placeholder">Suggesting skills...</span>';
+
+  try {
+    const response = await EAApp.suggestTags(formData);
+    currentTags = response.success ? response.data.tags : [];
+  } catch (error) {
+    // Not fatal - the author can still add tags by hand
+    console.error('Error suggesting tags:', error);
+    currentTags = [];
+  }
+  renderTagList();
+}
+
+function renderTagList() {
+  const tagList = document.getElementById('tag-list');
+
+  if (currentTags.length === 0) {
+    tagList.innerHTML = '<span class="tag-placeholder">No skills yet</span>';
+    return;
+  }
+
+  tagList.innerHTML = currentTags.map((tag, index) => `
+    <span class="tag-chip">
+      ${EAApp.escapeHtml(tag)}
+      <button type="button" class="tag-remove" onclick="removeTag(${index})" title="Remove">&times;</button>
+    </span>
+  `).join('');
+}
+
+function handleTagInput(event) {
+  if (event.key !== 'Enter' && event.key !== ',') return;
+  event.preventDefault();
+
+  const input = event.target;
+  const tag = input.value.trim().replace(/\s+/g, ' ');
+  if (tag && !currentTags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+    currentTags.push(tag);
+    renderTagList();
+  }
+  input.value = '';
+}
+
+function removeTag(index) {
+  currentTags.splice(index, 1);
+  renderTagList();
+}
+
 function showPreviewFields() {
   document.getElementById('basic-fields').style.display = 'none';
   document.getElementById('dynamic-fields').style.display = 'none';
@@ -294,6 +449,9 @@ async function regenerateStatement() {
 
     if (result.success) {
       displayStatementPreview(result.data.aiGeneratedStatement, formData);
+    } else if (response.status === 429) {
+      // AI rate limit or daily quota reached; the message says when to try again
+      showError(EAApp.escapeHtml(result.error));
     } else {
       throw new Error('Failed to regenerate statement');
     }
@@ -322,10 +480,13 @@ async function handleFormSubmission(event) {
     // Use the previewed statement and form data
     const { statement, formData } = window.currentPreviewData;
 
-    // Update the formData with the approved statement
+    // Update the formData with the approved statement. Once the author has seen the
+    // duplicate check, approving means they want a separate post.
     const finalData = {
       ...formData,
-      aiGeneratedStatement: statement
+      aiGeneratedStatement: statement,
+      tags: currentTags,
+      ignoreDuplicates: !!window.currentPreviewData.duplicatesChecked
     };
 
     // Submit to backend
@@ -334,12 +495,17 @@ async function handleFormSubmission(event) {
     if (response.success) {
       showSubmissionResult(response.data);
       clearForm();
-      await loadUserAccomplishments(); // Refresh the list
+      await Promise.all([loadUserAccomplishments(), loadNominations()]); // Refresh the lists
     } else {
       throw new Error('Submission failed');
     }
 
   } catch (error) {
+    if (error.status === 409 && error.data?.duplicates) {
+      // The server found a likely duplicate we haven't shown yet
+      displayDuplicateWarning(error.data.duplicates);
+      return;
+    }
     console.error('Submission error:', error);
     showError('Failed to submit accomplishment. Please try again.');
   } finally {
@@ -372,13 +538,30 @@ function collectDynamicQuestionResponses() {
   return responses.join('\n\n');
 }
 
-function showSubmissionResult(accomplishment) {
+// Upload files one by one; returns an error message per file that couldn't be attached
+async function uploadAttachments(accomplishmentId, files) {
+  const errors = [];
+  for (const file of files) {
+    try {
+      await EAApp.uploadAttachment(accomplishmentId, file);
+    } catch (error) {
+      errors.push(`${file.name}: ${error.data?.error || 'upload failed'}`);
+    }
+  }
+  return errors;
+}
+
+function showSubmissionResult(accomplishment, attachmentErrors = []) {
   const resultElement = document.getElementById('submission-result');
+  const header = accomplishment.status === 'pending'
+    ? `<h3>🏅 Nomination Sent!</h3>
+      <p>${EAApp.escapeHtml(accomplishment.userName)} will be asked to accept it before it appears on the feed:</p>`
+    : `<h3>✅ Accomplishment Successfully Generated!</h3>
+      <p>Here's your professional achievement statement:</p>`;
 
   resultElement.innerHTML = `
     <div class="result-header">
-      <h3>✅ Accomplishment Successfully Generated!</h3>
-      <p>Here's your professional achievement statement:</p>
+      ${header}
     </div>
     <div class="result-content">
       <div class="generated-statement">
@@ -390,6 +573,12 @@ function showSubmissionResult(accomplishment) {
         </button>
         <a href="/" class="btn btn-primary">View in Feed</a>
       </div>
+      ${attachmentErrors.length > 0 ? `
+      <div class="error-message">
+        Some files could not be attached - add them again from the details view:
+        <ul>${attachmentErrors.map(message => `<li>${EAApp.escapeHtml(message)}</li>`).join('')}</ul>
+      </div>
+      ` : ''}
     </div>
   `;
 
@@ -430,8 +619,14 @@ function clearForm() {
   // Clear dynamic questions container
   document.getElementById('contextual-questions-container').innerHTML = '';
 
-  // Clear preview data
+  // Back to sharing your own accomplishment
+  updateSubmissionMode();
+
+  // Clear preview data, suggested tags and any duplicate warning
   window.currentPreviewData = null;
+  currentTags = [];
+  document.getElementById('tag-list').innerHTML = '';
+  document.getElementById('duplicate-warning').style.display = 'none';
 
   // Hide any submission results
   document.getElementById('submission-result').style.display = 'none';
@@ -458,6 +653,157 @@ function copyToClipboard(text) {
   });
 }
 
+// Peer nominations: the form can describe a colleague's accomplishment instead of your own
+function isNomination() {
+  return document.querySelector('input[name="submission-mode"]:checked')?.value === 'nomination';
+}
+
+function setupNominationMode() {
+  document.querySelectorAll('input[name="submission-mode"]').forEach(radio => {
+    radio.addEventListener('change', updateSubmissionMode);
+  });
+  document.getElementById('nominee-email').addEventListener('blur', prefillNomineeName);
+}
+
+function updateSubmissionMode() {
+  const nominating = isNomination();
+
+  document.getElementById('nominee-fields').style.display = nominating ? 'block' : 'none';
+  document.getElementById('original-statement-question').textContent = nominating
+    ? 'What did your colleague accomplish? *'
+    : 'What did you accomplish? *';
+  document.getElementById('original-statement-hint').textContent = nominating
+    ? 'Describe what you saw: "Jane helped our team by..." (max 60 words)'
+    : 'Start simple: "Today I helped..." or "I completed..." (max 60 words)';
+  document.getElementById('original-statement').placeholder = nominating
+    ? 'Jane helped our team by...'
+    : 'Today I helped my customer by...';
+}
+
+// Fill in the colleague's name from their profile when they're already registered
+async function prefillNomineeName() {
+  const email = document.getElementById('nominee-email').value.trim();
+  const nameInput = document.getElementById('nominee-name');
+  if (!email || nameInput.value.trim()) return;
+
+  try {
+    const response = await EAApp.getUserByEmail(email);
+    if (response.success && !nameInput.value.trim()) {
+      nameInput.value = response.data.displayName;
+    }
+  } catch (error) {
+    // Not registered yet - they get a profile when the nomination is saved
+  }
+}
+
+// The nominated colleague ({ email, name }), null when sharing your own accomplishment,
+// or { error } when the nominee fields are incomplete
+function readNominee() {
+  if (!isNomination()) return null;
+
+  const email = document.getElementById('nominee-email').value.trim().toLowerCase();
+  const name = document.getElementById('nominee-name').value.trim();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: "Please enter your colleague's email." };
+  }
+  if (email === EAApp.currentUser.email.toLowerCase()) {
+    return { error: 'To share your own accomplishment, choose "Me".' };
+  }
+  if (!name) {
+    return { error: "Please enter your colleague's name." };
+  }
+  return { email, name };
+}
+
+async function loadNominations() {
+  const section = document.getElementById('nominations');
+
+  try {
+    const response = await EAApp.getNominations();
+    const { received, sent } = response.data;
+
+    if (received.length === 0 && sent.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.innerHTML = `
+      ${received.length > 0 ? `
+        <div class="section-header">
+          <h2>Nominations for You</h2>
+          <p>Colleagues recognized your work - accept to publish it on the feed</p>
+        </div>
+        ${received.map(createReceivedNominationCard).join('')}
+      ` : ''}
+      ${sent.length > 0 ? `
+        <div class="section-header">
+          <h2>Your Nominations</h2>
+          <p>Waiting for your colleagues to accept</p>
+        </div>
+        ${sent.map(createSentNominationCard).join('')}
+      ` : ''}
+    `;
+    section.style.display = 'block';
+
+    // Arriving from the nomination e-mail
+    if (window.location.hash === '#nominations' && received.length > 0) {
+      section.scrollIntoView({ behavior: 'smooth' });
+    }
+  } catch (error) {
+    console.error('Error loading nominations:', error);
+  }
+}
+
+function createReceivedNominationCard(accomplishment) {
+  return `
+    <div class="nomination-card">
+      <div class="nomination-meta">
+        <span>🏅 From ${EAApp.escapeHtml(accomplishment.nominator?.displayName || 'a colleague')}</span>
+        <span>${EAApp.formatDate(accomplishment.createdAt)}</span>
+        ${EAApp.impactBadge(accomplishment.impactType)}
+      </div>
+      <div class="nomination-statement">${EAApp.escapeHtml(accomplishment.aiGeneratedStatement)}</div>
+      <div class="nomination-actions">
+        <button class="btn btn-primary" onclick="respondToNomination('${accomplishment.id}', true, this)">✅ Accept & Publish</button>
+        <button class="btn" onclick="respondToNomination('${accomplishment.id}', false, this)">Decline</button>
+      </div>
+    </div>
+  `;
+}
+
+function createSentNominationCard(accomplishment) {
+  const declined = accomplishment.status === 'declined';
+
+  return `
+    <div class="nomination-card">
+      <div class="nomination-meta">
+        <span>For ${EAApp.escapeHtml(accomplishment.userName)}</span>
+        <span>${EAApp.formatDate(accomplishment.createdAt)}</span>
+        <span class="nomination-status ${declined ? 'declined' : ''}">${declined ? 'Declined' : 'Waiting for acceptance'}</span>
+      </div>
+      <div class="nomination-statement">${EAApp.escapeHtml(accomplishment.aiGeneratedStatement)}</div>
+    </div>
+  `;
+}
+
+async function respondToNomination(id, accept, button) {
+  if (!accept && !confirm('Decline this nomination? It will not be published.')) return;
+
+  button.disabled = true;
+  try {
+    const response = await EAApp.respondToNomination(id, accept);
+    if (!response.success) {
+      throw new Error('Failed to respond to nomination');
+    }
+    await Promise.all([loadNominations(), loadUserAccomplishments()]);
+  } catch (error) {
+    console.error('Error responding to nomination:', error);
+    showError('Failed to update the nomination. Please try again.');
+    button.disabled = false;
+  }
+}
+
 async function loadUserAccomplishments() {
   const userAccomplishmentsElement = document.getElementById('user-accomplishments');
 
@@ -469,6 +815,7 @@ async function loadUserAccomplishments() {
 
     if (response.success) {
       userAccomplishments = response.data;
+      userAccomplishmentsCursor = response.pagination?.nextCursor || null;
       console.log('Found', userAccomplishments.length, 'user accomplishments');
       displayUserAccomplishments();
     } else {
@@ -497,7 +844,33 @@ function displayUserAccomplishments() {
     createUserAccomplishmentCard(accomplishment)
   ).join('');
 
-  userAccomplishmentsElement.innerHTML = accomplishmentsHTML;
+  const loadMoreHTML = userAccomplishmentsCursor
+    ? '<div class="load-more"><button class="btn" onclick="loadMoreUserAccomplishments(this)">Load More</button></div>'
+    : '';
+
+  userAccomplishmentsElement.innerHTML = accomplishmentsHTML + loadMoreHTML;
+}
+
+// Fetch the next page of the user's history
+async function loadMoreUserAccomplishments(button) {
+  if (!userAccomplishmentsCursor) return;
+
+  button.disabled = true;
+  try {
+    const response = await EAApp.getUserAccomplishments(EAApp.currentUser.email, {
+      cursor: userAccomplishmentsCursor
+    });
+    if (!response.success) {
+      throw new Error('Failed to load accomplishments');
+    }
+
+    userAccomplishments.push(...response.data);
+    userAccomplishmentsCursor = response.pagination?.nextCursor || null;
+    displayUserAccomplishments();
+  } catch (error) {
+    console.error('Error loading more user accomplishments:', error);
+    button.disabled = false;
+  }
 }
 
 function createUserAccomplishmentCard(accomplishment) {
@@ -507,11 +880,23 @@ function createUserAccomplishmentCard(accomplishment) {
   return `
     <div class="user-accomplishment-card">
       <div class="card-header simplified-header">
-        <div class="timestamp">${formattedDate} (${fullDate})</div>
+        <div class="timestamp">
+          ${formattedDate} (${fullDate})
+          ${accomplishment.nominator ? ` · 🏅 Nominated by ${EAApp.escapeHtml(accomplishment.nominator.displayName)}` : ''}
+        </div>
         <div class="card-actions-header">
           <button class="btn btn-sm" onclick="toggleOriginalStatement('${accomplishment.id}')" title="Show original statement">
             📝 Original
           </button>
+          <button class="btn btn-sm" onclick="showAccomplishmentDetails('${accomplishment.id}')" title="Details and revision history">
+            🔍 Details
+          </button>
+          <button class="btn btn-sm" onclick="showEditModal('${accomplishment.id}')" title="Edit accomplishment">
+            ✏️ Edit
+          </button>
+          <button class="btn btn-sm" onclick="deleteAccomplishment('${accomplishment.id}')" title="Delete accomplishment">
+            🗑️ Delete
+          </button>
         </div>
       </div>
       
@@ -521,9 +906,7 @@ function createUserAccomplishmentCard(accomplishment) {
         </div>
         
         <div class="card-metadata">
-          <span class="impact-badge impact-${accomplishment.impactType}">
-            ${accomplishment.impactType} impact
-          </span>
+          ${EAApp.impactBadge(accomplishment.impactType)}
           <small class="text-secondary">
             ${accomplishment.aiGeneratedStatement.split(' ').length} words
           </small>
@@ -570,17 +953,20 @@ function toggleOriginalStatement(accomplishmentId) {
 
 async function showAccomplishmentDetails(id) {
   try {
-    const response = await EAApp.getAccomplishmentDetails(id);
+    const [response, revisionsResponse] = await Promise.all([
+      EAApp.getAccomplishmentDetails(id),
+      EAApp.getRevisions(id)
+    ]);
     if (response.success) {
       const accomplishment = response.data;
-      showDetailsModal(accomplishment);
+      showDetailsModal(accomplishment, revisionsResponse.success ? revisionsResponse.data : []);
     }
   } catch (error) {
     console.error('Error loading accomplishment details:', error);
   }
 }
 
-function showDetailsModal(accomplishment) {
+function showDetailsModal(accomplishment, revisions = []) {
   const modal = document.createElement('div');
   modal.className = 'modal-overlay';
   modal.innerHTML = `
@@ -604,9 +990,7 @@ function showDetailsModal(accomplishment) {
         
         <div class="detail-section">
           <h4>Impact Type</h4>
-          <span class="impact-badge impact-${accomplishment.impactType}">
-            ${accomplishment.impactType} impact
-          </span>
+          ${EAApp.impactBadge(accomplishment.impactType)}
         </div>
         
         ${accomplishment.responses.additionalDetails ? `
@@ -623,15 +1007,29 @@ function showDetailsModal(accomplishment) {
           </div>
         </div>
         
+        <div class="detail-section">
+          <h4>Evidence</h4>
+          <div id="detail-attachments">${createDetailAttachments(accomplishment.attachments)}</div>
+          <div id="detail-attachment-error" class="error-message" style="display: none;"></div>
+          <input type="file" class="form-input attachment-input" multiple accept="${ATTACHMENT_ACCEPT}"
+            onchange="addAttachments('${accomplishment.id}', this)">
+        </div>
+
         <div class="detail-section">
           <h4>Created</h4>
           <p>${new Date(accomplishment.createdAt).toLocaleDateString()} at ${new Date(accomplishment.createdAt).toLocaleTimeString()}</p>
         </div>
+
+        <div class="detail-section">
+          <h4>Revision History</h4>
+          ${createRevisionHistory(revisions)}
+        </div>
       </div>
       <div class="modal-actions">
         <button class="btn" onclick="copyToClipboard('${accomplishment.aiGeneratedStatement.replace(/'/g, "\\'")}')" title="Copy statement">
           📋 Copy Statement
         </button>
+        <button class="btn" onclick="closeModal(); showEditModal('${accomplishment.id}')">✏️ Edit</button>
         <button class="btn" onclick="closeModal()">Close</button>
       </div>
     </div>
@@ -643,6 +1041,204 @@ function showDetailsModal(accomplishment) {
   });
 }
 
+function createDetailAttachments(attachments = []) {
+  return attachments.length > 0
+    ? EAApp.attachmentLinks(attachments, { onDelete: 'removeAttachment' })
+    : '<p class="text-secondary">No files attached yet.</p>';
+}
+
+async function addAttachments(accomplishmentId, input) {
+  input.disabled = true;
+  const errors = await uploadAttachments(accomplishmentId, [...input.files]);
+  input.value = '';
+  input.disabled = false;
+
+  showAttachmentError(errors.length > 0
+    ? `Some files could not be attached: ${errors.join('; ')}`
+    : '');
+
+  try {
+    const response = await EAApp.getAccomplishmentDetails(accomplishmentId);
+    document.getElementById('detail-attachments').innerHTML = createDetailAttachments(response.data.attachments);
+  } catch (error) {
+    console.error('Error refreshing attachments:', error);
+  }
+}
+
+async function removeAttachment(attachmentId, button) {
+  if (!confirm('Remove this attachment?')) {
+    return;
+  }
+
+  try {
+    await EAApp.deleteAttachment(attachmentId);
+    const container = document.getElementById('detail-attachments');
+    button.closest('.attachment').remove();
+    if (!container.querySelector('.attachment')) {
+      container.innerHTML = createDetailAttachments([]);
+    }
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    showAttachmentError(error.data?.error || 'Failed to remove the attachment. Please try again.');
+  }
+}
+
+function showAttachmentError(message) {
+  const errorElement = document.getElementById('detail-attachment-error');
+  errorElement.textContent = message;
+  errorElement.style.display = message ? 'block' : 'none';
+}
+
+const revisionFieldLabels = {
+  originalStatement: 'Original Statement',
+  emailAppreciation: 'Email Appreciation',
+  additionalDetails: 'Additional Details',
+  impactType: 'Impact Type',
+  aiGeneratedStatement: 'Generated Statement',
+  status: 'Status'
+};
+
+function createRevisionHistory(revisions) {
+  if (revisions.length === 0) {
+    return '<p class="text-secondary">No changes since it was submitted.</p>';
+  }
+
+  const actionLabels = {
+    update: 'Edited',
+    merge: 'Merged a new submission',
+    delete: 'Deleted',
+    accept: 'Accepted the nomination',
+    decline: 'Declined the nomination'
+  };
+
+  return revisions.map(revision => `
+    <div class="revision-item">
+      <div class="revision-meta">
+        <strong>${actionLabels[revision.action] || EAApp.escapeHtml(revision.action)}</strong>
+        by ${EAApp.escapeHtml(revision.changedBy)} · ${new Date(revision.changedAt).toLocaleString()}
+      </div>
+      ${Object.keys(revision.after || {}).map(field => `
+        <div class="revision-change">
+          <div class="revision-field">${revisionFieldLabels[field] || EAApp.escapeHtml(field)}</div>
+          <div class="revision-before">${EAApp.escapeHtml(revision.before?.[field]) || '<em>empty</em>'}</div>
+          <div class="revision-after">${EAApp.escapeHtml(revision.after[field]) || '<em>empty</em>'}</div>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
+async function showEditModal(id) {
+  const accomplishment = userAccomplishments.find(a => a.id === id);
+  if (!accomplishment) return;
+
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Edit Accomplishment</h3>
+        <button class="modal-close" onclick="closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label class="form-label" for="edit-original-statement">Original Statement</label>
+          <textarea id="edit-original-statement" class="form-textarea">${EAApp.escapeHtml(accomplishment.originalStatement)}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="edit-email-appreciation">Email Appreciation</label>
+          <textarea id="edit-email-appreciation" class="form-textarea">${EAApp.escapeHtml(accomplishment.emailAppreciation)}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="edit-additional-details">Additional Details</label>
+          <textarea id="edit-additional-details" class="form-textarea">${EAApp.escapeHtml(accomplishment.additionalDetails)}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="edit-impact-type">Impact Type</label>
+          <select id="edit-impact-type" class="form-select"></select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="edit-tags">Skills <span class="form-hint">Comma-separated</span></label>
+          <input type="text" id="edit-tags" class="form-input" value="${EAApp.escapeHtml((accomplishment.tags || []).join(', '))}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="edit-ai-statement">Generated Statement</label>
+          <textarea id="edit-ai-statement" class="form-textarea">${EAApp.escapeHtml(accomplishment.aiGeneratedStatement)}</textarea>
+        </div>
+        <label class="regenerate-option">
+          <input type="checkbox" id="edit-regenerate">
+          Regenerate the statement from the updated details
+        </label>
+      </div>
+      <div class="modal-actions">
+        <button class="btn" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveAccomplishmentEdits('${accomplishment.id}', this)">💾 Save Changes</button>
+      </div>
+    </div>
+  `;
+
+  EAApp.populateImpactSelect(modal.querySelector('#edit-impact-type'), accomplishment.impactType);
+  document.body.appendChild(modal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+}
+
+async function saveAccomplishmentEdits(id, button) {
+  const originalText = button.textContent;
+  const regenerate = document.getElementById('edit-regenerate').checked;
+
+  const changes = {
+    originalStatement: document.getElementById('edit-original-statement').value,
+    emailAppreciation: document.getElementById('edit-email-appreciation').value,
+    additionalDetails: document.getElementById('edit-additional-details').value,
+    impactType: document.getElementById('edit-impact-type').value,
+    tags: document.getElementById('edit-tags').value.split(',').filter(tag => tag.trim()),
+    regenerate
+  };
+  if (!regenerate) {
+    changes.aiGeneratedStatement = document.getElementById('edit-ai-statement').value;
+  }
+
+  try {
+    button.textContent = regenerate ? 'Regenerating...' : 'Saving...';
+    button.disabled = true;
+
+    const response = await EAApp.updateAccomplishment(id, changes);
+    if (response.success) {
+      closeModal();
+      await loadUserAccomplishments(); // Refresh the list
+    } else {
+      throw new Error('Update failed');
+    }
+  } catch (error) {
+    console.error('Error updating accomplishment:', error);
+    closeModal();
+    showError(error.data?.error || 'Failed to update accomplishment. Please try again.');
+  } finally {
+    button.textContent = originalText;
+    button.disabled = false;
+  }
+}
+
+async function deleteAccomplishment(id) {
+  if (!confirm('Delete this accomplishment? It will be removed from the feed, along with its congratulations and votes.')) {
+    return;
+  }
+
+  try {
+    const response = await EAApp.deleteAccomplishment(id);
+    if (response.success) {
+      await loadUserAccomplishments(); // Refresh the list
+    } else {
+      throw new Error('Delete failed');
+    }
+  } catch (error) {
+    console.error('Error deleting accomplishment:', error);
+    showError('Failed to delete accomplishment. Please try again.');
+  }
+}
+
 function closeModal() {
   const modal = document.querySelector('.modal-overlay');
   if (modal) {
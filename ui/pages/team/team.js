@@ -0,0 +1,286 @@
+/**
+ * Team Page JavaScript
+ * Manager view: everyone reporting to a manager, directly or indirectly, with their recent wins
+ */
+
+let currentDepth = '1';
+let currentManagerId = null;
+let teamMembers = new Map();
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+    await EAApp.ready;
+    await EAApp.loadImpactCategories();
+    displayCurrentUser();
+    setupLogoutButton();
+
+    // ?manager= drills into someone else's team; default to the signed-in user
+    currentManagerId = new URLSearchParams(window.location.search).get('manager') || EAApp.currentUser.id;
+
+    document.getElementById('team-depth').addEventListener('change', (e) => {
+        currentDepth = e.target.value;
+        loadTeam();
+    });
+
+    await Promise.all([loadTeam(), loadDigestPreferences()]);
+});
+
+function displayCurrentUser() {
+    const userElement = document.getElementById('current-user');
+    const user = EAApp.currentUser;
+    userElement.textContent = user.name;
+}
+
+function setupLogoutButton() {
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn && EAApp.isLoggedIn()) {
+        logoutBtn.style.display = 'inline-block';
+    }
+}
+
+async function loadTeam() {
+    const membersElement = document.getElementById('team-members');
+
+    if (!currentManagerId) {
+        EAApp.showAccessDenied(membersElement, 'see your team');
+        return;
+    }
+
+    try {
+        EAApp.showLoading(membersElement);
+        const response = await EAApp.getTeam(currentManagerId, currentDepth);
+        if (!response.success) {
+            throw new Error('Failed to load team');
+        }
+        displayTeam(response.data);
+    } catch (error) {
+        console.error('Error loading team:', error);
+        // Only managers (within their own reporting tree) and admins can open other teams
+        EAApp.showError(membersElement, error.status === 403
+            ? EAApp.escapeHtml(error.data?.error || 'You can only see the teams that report to you.')
+            : 'Failed to load team. Please try again.');
+    }
+}
+
+function displayTeam({ manager, members }) {
+    const membersElement = document.getElementById('team-members');
+    const isOwnTeam = manager.id === EAApp.currentUser.id;
+
+    document.getElementById('team-title').textContent = isOwnTeam ? 'My Team' : `${manager.displayName}'s Team`;
+    document.getElementById('team-summary').textContent =
+        `${members.length} ${members.length === 1 ? 'person' : 'people'} · ` +
+        `${members.reduce((count, member) => count + member.recentAccomplishments.length, 0)} recent accomplishments`;
+
+    if (members.length === 0) {
+        membersElement.innerHTML = `
+            <div class="empty-state">
+                <h3>No one reports to ${isOwnTeam ? 'you' : EAApp.escapeHtml(manager.displayName)} yet</h3>
+                <p>Reporting lines are loaded from the org chart import.</p>
+            </div>
+        `;
+        return;
+    }
+
+    teamMembers = new Map(members.map(member => [member.id, member]));
+    membersElement.innerHTML = members.map(member => createMemberCard(member)).join('');
+}
+
+function createMemberCard(member) {
+    const thumbnail = member.avatarUrl || EAApp.getUserThumbnail(member.displayName);
+    const role = [member.title, member.department].filter(Boolean).map(EAApp.escapeHtml).join(' · ');
+
+    return `
+        <div class="member-card">
+            <div class="member-header">
+                <img src="${EAApp.escapeHtml(thumbnail)}" alt="${EAApp.escapeHtml(member.displayName)}" class="user-avatar">
+                <div class="member-info">
+                    <a href="/team?manager=${encodeURIComponent(member.id)}" class="member-name" title="Show ${EAApp.escapeHtml(member.displayName)}'s team">
+                        ${EAApp.escapeHtml(member.displayName)}
+                    </a>
+                    <div class="member-role">${role || EAApp.escapeHtml(member.email)}</div>
+                </div>
+                <span class="level-badge">${member.level === 1 ? 'Direct report' : `Level ${member.level}`}</span>
+                <button class="btn review-btn" onclick="showReviewSummaryModal('${member.id}')" title="Summarize accomplishments for a review">📋 Review</button>
+            </div>
+            <div class="member-wins">
+                ${member.recentAccomplishments.length > 0
+                    ? member.recentAccomplishments.map(accomplishment => createWinItem(accomplishment)).join('')
+                    : '<div class="no-wins">No accomplishments shared yet</div>'}
+            </div>
+        </div>
+    `;
+}
+
+function createWinItem(accomplishment) {
+    return `
+        <div class="win-item">
+            <div class="win-meta">
+                <span>${EAApp.formatDate(accomplishment.createdAt)}</span>
+                ${EAApp.impactBadge(accomplishment.impactType)}
+            </div>
+            <div class="win-statement">${EAApp.escapeHtml(accomplishment.aiGeneratedStatement)}</div>
+        </div>
+    `;
+}
+
+// Digest e-mails: the signed-in user opts in to each digest and picks how often
+async function loadDigestPreferences() {
+    const element = document.getElementById('digest-preferences');
+
+    if (!EAApp.currentUser?.id) {
+        element.innerHTML = '<p class="no-wins">Sign in to subscribe to e-mail digests.</p>';
+        return;
+    }
+
+    try {
+        const response = await EAApp.getDigestPreferences(EAApp.currentUser.id);
+        displayDigestPreferences(element, response.data);
+    } catch (error) {
+        console.error('Error loading digest preferences:', error);
+        EAApp.showError(element, 'Failed to load e-mail digests');
+    }
+}
+
+function displayDigestPreferences(element, preferences) {
+    const option = (value, label, selected) => `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+
+    element.innerHTML = preferences.map(preference => `
+        <div class="digest-row">
+            <div>
+                <div class="digest-label">${EAApp.escapeHtml(preference.label)}</div>
+                <div class="digest-description">${EAApp.escapeHtml(preference.description)}</div>
+            </div>
+            <select class="filter-select" onchange="updateDigestPreference('${preference.digest}', this)" title="How often to receive it">
+                ${option('', 'Off', !preference.frequency)}
+                ${option('weekly', 'Weekly', preference.frequency === 'weekly')}
+                ${option('monthly', 'Monthly', preference.frequency === 'monthly')}
+            </select>
+        </div>
+    `).join('') + '<p id="digest-status" class="digest-description"></p>';
+}
+
+async function updateDigestPreference(digest, select) {
+    const status = document.getElementById('digest-status');
+
+    try {
+        select.disabled = true;
+        await EAApp.updateDigestPreferences(EAApp.currentUser.id, { [digest]: select.value || null });
+        status.textContent = select.value
+            ? `Subscribed - your first ${select.value} digest arrives after the current ${select.value === 'weekly' ? 'week' : 'month'} ends.`
+            : 'Unsubscribed.';
+    } catch (error) {
+        console.error('Error updating digest preference:', error);
+        status.textContent = error.data?.error || 'Failed to save. Please try again.';
+    } finally {
+        select.disabled = false;
+    }
+}
+
+// Review summary: an AI narrative of one member's accomplishments over a period,
+// with each claim pointing at the accomplishments it is based on
+function showReviewSummaryModal(memberId) {
+    const member = teamMembers.get(memberId);
+    const today = new Date().toISOString().slice(0, 10);
+
+    closeModal();
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content review-modal">
+            <div class="modal-header">
+                <h3>Review Summary - ${EAApp.escapeHtml(member.displayName)}</h3>
+                <button class="modal-close" onclick="closeModal()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="review-period">
+                    <input type="date" id="review-start" class="date-input" title="From" value="${today.slice(0, 4)}-01-01">
+                    <input type="date" id="review-end" class="date-input" title="To" value="${today}">
+                    <button id="review-generate" class="btn btn-primary" onclick="loadReviewSummary('${member.id}')">Generate</button>
+                </div>
+                <div id="review-summary" class="review-summary">
+                    <p class="no-wins">Pick the review period and generate a summary of ${EAApp.escapeHtml(member.displayName)}'s accomplishments.</p>
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn" onclick="closeModal()">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+}
+
+function closeModal() {
+    const modal = document.querySelector('.modal-overlay');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+async function loadReviewSummary(memberId) {
+    const element = document.getElementById('review-summary');
+    const button = document.getElementById('review-generate');
+    const period = {
+        startDate: document.getElementById('review-start').value,
+        endDate: document.getElementById('review-end').value
+    };
+
+    try {
+        button.disabled = true;
+        element.innerHTML = '<div class="loading">Summarizing accomplishments...</div>';
+        const response = await EAApp.getReviewSummary(memberId, period);
+        displayReviewSummary(element, response.data);
+    } catch (error) {
+        console.error('Error generating review summary:', error);
+        EAApp.showError(element, EAApp.escapeHtml(error.data?.error || 'Failed to generate the review summary'));
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function displayReviewSummary(element, { summary, accomplishments, truncated }) {
+    // Citations are numbered by the accomplishment's position in the sources list
+    const sourceNumbers = new Map(accomplishments.map((accomplishment, index) => [accomplishment.id, index + 1]));
+    const cite = ids => ids.map(id => `<a href="#review-source-${sourceNumbers.get(id)}" class="citation">${sourceNumbers.get(id)}</a>`).join('');
+    const section = (title, items, render) => items.length === 0 ? '' : `
+        <div class="detail-section">
+            <h4>${title}</h4>
+            ${items.map(render).join('')}
+        </div>
+    `;
+
+    element.innerHTML = `
+        ${summary.overview ? `<p class="review-overview">${EAApp.escapeHtml(summary.overview)}</p>` : ''}
+        ${section('Themes', summary.themes, theme => `
+            <p><strong>${EAApp.escapeHtml(theme.title)}.</strong> ${EAApp.escapeHtml(theme.narrative)} ${cite(theme.accomplishmentIds)}</p>
+        `)}
+        ${section('Impact', summary.impact, entry => `
+            <p>${entry.impactType ? EAApp.impactBadge(entry.impactType) : ''} ${EAApp.escapeHtml(entry.narrative)} ${cite(entry.accomplishmentIds)}</p>
+        `)}
+        ${section('Quantified Outcomes', summary.quantifiedOutcomes, entry => `
+            <p>• ${EAApp.escapeHtml(entry.outcome)} ${cite(entry.accomplishmentIds)}</p>
+        `)}
+        ${section('In Their Words', summary.quotes, entry => `
+            <blockquote class="review-quote">
+                "${EAApp.escapeHtml(entry.quote)}"
+                ${entry.source ? `<span class="review-quote-source">- ${EAApp.escapeHtml(entry.source)}</span>` : ''}
+                ${cite([entry.accomplishmentId])}
+            </blockquote>
+        `)}
+        <div class="detail-section">
+            <h4>Sources</h4>
+            ${truncated ? `<p class="no-wins">Only the ${accomplishments.length} most recent accomplishments were summarized.</p>` : ''}
+            <ol class="review-sources">
+                ${accomplishments.map((accomplishment, index) => `
+                    <li id="review-source-${index + 1}">
+                        <span class="review-source-date">${EAApp.formatDate(accomplishment.createdAt)}</span>
+                        ${EAApp.escapeHtml(accomplishment.statement)}
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
@@ -0,0 +1,307 @@
+/**
+ * API Request Schemas
+ * What every API route accepts in its path params, query string and body, checked by
+ * validator.check() before the handler runs. Limits follow the columns they end up in
+ * and the submit form (statements of at most 60 words).
+ */
+
+const { USER_ROLES } = require('../db/base-db-server');
+const { MAX_TAGS, MAX_TAG_LENGTH } = require('../db/tags');
+const { FORMATS: EXPORT_FORMATS } = require('../services/accomplishment-export');
+const { METRICS, BREAKDOWNS } = require('../services/analytics');
+const { FREQUENCIES } = require('../services/digests');
+const { EVENTS, DELIVERY } = require('../services/notifications');
+const { IMPORT_FIELDS } = require('../services/org-chart');
+const impactCategories = require('../services/impact-categories');
+
+const MAX_STATEMENT_WORDS = 60;
+const MAX_STATEMENT_LENGTH = 1000;
+const MAX_DETAILS_LENGTH = 5000;
+const MAX_AI_STATEMENT_LENGTH = 3000;
+const MAX_NAME_LENGTH = 255;
+const MAX_THUMBNAIL_LENGTH = 10000;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_SEARCH_LENGTH = 500;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ORG_IMPORT_ROWS = 10000;
+const MAX_ORG_CSV_LENGTH = 5 * 1024 * 1024;
+
+// Shared rules
+
+const ID = { required: true, maxLength: 50 };
+const EMAIL = { format: 'email', maxLength: MAX_NAME_LENGTH };
+const DATE = { format: 'date' };
+const NAME = { maxLength: MAX_NAME_LENGTH };
+const FLAG = { type: 'boolean' };
+
+// Path params like { id: ID }
+const params = fields => ({ type: 'object', fields });
+
+const CATEGORY_ID = {
+    maxLength: impactCategories.MAX_ID_LENGTH,
+    // Ids are stored in lowercase, so any casing names the same category
+    pattern: new RegExp(impactCategories.CATEGORY_ID_PATTERN.source, 'i'),
+    patternMessage: 'must be an impact category id (letters, digits and dashes)'
+};
+
+const STATEMENT = { maxWords: MAX_STATEMENT_WORDS, maxLength: MAX_STATEMENT_LENGTH };
+
+const TAGS = {
+    type: 'array',
+    items: { maxLength: MAX_TAG_LENGTH },
+    maxItems: MAX_TAGS
+};
+
+const PAGINATION = {
+    limit: { type: 'integer', min: 1 },
+    cursor: { maxLength: 500 }
+};
+
+// The filters of /api/accomplishments/filter, shared by search, export and team views
+const FILTERS = {
+    startDate: DATE,
+    endDate: DATE,
+    user: NAME,
+    userId: NAME,
+    nominatorId: { maxLength: 50 },
+    impactType: CATEGORY_ID,
+    tag: { maxLength: MAX_TAG_LENGTH }
+};
+
+// A submission as the submit form sends it (details may also come nested under responses)
+const SUBMISSION_FIELDS = {
+    userId: EMAIL,
+    userName: NAME,
+    originalStatement: { ...STATEMENT, required: true },
+    emailAppreciation: STATEMENT,
+    additionalDetails: { maxLength: MAX_DETAILS_LENGTH },
+    impactType: CATEGORY_ID,
+    responses: {
+        type: 'object',
+        fields: {
+            emailAppreciation: STATEMENT,
+            impactType: CATEGORY_ID,
+            additionalDetails: { maxLength: MAX_DETAILS_LENGTH }
+        }
+    },
+    userThumbnail: { maxLength: MAX_THUMBNAIL_LENGTH },
+    nominatedBy: EMAIL,
+    nominatorName: NAME,
+    aiGeneratedStatement: { maxLength: MAX_AI_STATEMENT_LENGTH },
+    tags: TAGS,
+    ignoreDuplicates: FLAG
+};
+
+const SUBMISSION = { type: 'object', required: true, fields: SUBMISSION_FIELDS };
+
+const ACCOMPLISHMENT = params({ id: ID });
+const COMMENT = params({ id: ID, commentId: ID });
+const COMMENT_BODY = {
+    type: 'object',
+    required: true,
+    fields: { body: { required: true, maxLength: MAX_COMMENT_LENGTH } }
+};
+
+// Users: every profile field may be cleared except the name
+const PROFILE_FIELDS = {
+    displayName: { ...NAME, minLength: 1 },
+    title: { ...NAME, nullable: true },
+    department: { ...NAME, nullable: true },
+    managerId: { maxLength: 50, nullable: true },
+    avatarUrl: { format: 'url', maxLength: 2000, nullable: true },
+    role: { enum: Object.values(USER_ROLES) }
+};
+
+const CATEGORY_FIELDS = {
+    id: CATEGORY_ID,
+    label: { maxLength: impactCategories.MAX_LABEL_LENGTH, minLength: 1 },
+    description: { maxLength: impactCategories.MAX_DESCRIPTION_LENGTH },
+    icon: { maxLength: impactCategories.MAX_ICON_LENGTH },
+    promptGuidance: { maxLength: impactCategories.MAX_GUIDANCE_LENGTH },
+    sortOrder: { type: 'integer' },
+    active: FLAG
+};
+
+const ORG_ROW = {
+    type: 'object',
+    fields: Object.fromEntries(IMPORT_FIELDS.map(field => [field, { ...NAME, nullable: true }]))
+};
+const ORG_ROWS = { type: 'array', items: ORG_ROW, maxItems: MAX_ORG_IMPORT_ROWS };
+
+const ANALYTICS_PERIOD = { startDate: DATE, endDate: DATE };
+const TEAM = params({ managerId: ID });
+const TEAM_DEPTH = { type: 'integer', min: 1 };
+
+module.exports = {
+    // Accomplishments
+    listAccomplishments: { query: { type: 'object', fields: PAGINATION } },
+    userAccomplishments: {
+        params: params({ userId: { ...NAME, required: true } }),
+        query: { type: 'object', fields: PAGINATION }
+    },
+    filterAccomplishments: { query: { type: 'object', fields: { ...FILTERS, ...PAGINATION } } },
+    exportAccomplishments: {
+        query: { type: 'object', fields: { ...FILTERS, format: { enum: Object.keys(EXPORT_FORMATS) } } }
+    },
+    searchAccomplishments: {
+        query: { type: 'object', fields: { ...FILTERS, q: { required: true, maxLength: MAX_SEARCH_LENGTH }, limit: PAGINATION.limit } }
+    },
+    semanticSearch: {
+        query: { type: 'object', fields: { ...FILTERS, q: { required: true, maxLength: MAX_QUESTION_LENGTH }, limit: PAGINATION.limit } }
+    },
+    accomplishment: { params: ACCOMPLISHMENT },
+    createAccomplishment: {
+        body: {
+            ...SUBMISSION,
+            strict: true,
+            fields: {
+                ...SUBMISSION_FIELDS,
+                // Nominations name the colleague they are for
+                userId: { ...EMAIL, required: body => Boolean(body.nominatedBy) }
+            }
+        }
+    },
+    mergeAccomplishment: { params: ACCOMPLISHMENT, body: SUBMISSION },
+    checkDuplicates: { body: SUBMISSION },
+    // Edits aren't held to the submit form's word limits: merged posts grow past them
+    updateAccomplishment: {
+        params: ACCOMPLISHMENT,
+        body: {
+            type: 'object',
+            required: true,
+            fields: {
+                originalStatement: { maxLength: MAX_DETAILS_LENGTH, minLength: 1 },
+                emailAppreciation: { maxLength: MAX_DETAILS_LENGTH },
+                additionalDetails: { maxLength: MAX_DETAILS_LENGTH },
+                impactType: CATEGORY_ID,
+                aiGeneratedStatement: { maxLength: MAX_AI_STATEMENT_LENGTH, minLength: 1 },
+                tags: TAGS,
+                regenerate: FLAG
+            }
+        }
+    },
+
+    // AI generation
+    generateQuestions: {
+        body: {
+            type: 'object',
+            required: true,
+            fields: {
+                originalStatement: { ...STATEMENT, required: true },
+                impactType: CATEGORY_ID,
+                emailAppreciation: STATEMENT,
+                nomineeName: NAME
+            }
+        }
+    },
+    suggestTags: { body: SUBMISSION },
+    generateStatement: { body: SUBMISSION },
+    popularTags: { query: { type: 'object', fields: { limit: PAGINATION.limit } } },
+
+    // Comments and attachments
+    addComment: { params: ACCOMPLISHMENT, body: COMMENT_BODY },
+    comment: { params: COMMENT },
+    updateComment: { params: COMMENT, body: COMMENT_BODY },
+    uploadAttachment: {
+        params: ACCOMPLISHMENT,
+        query: { type: 'object', fields: { filename: { maxLength: MAX_NAME_LENGTH } } }
+    },
+    attachment: { params: params({ id: ID }) },
+
+    // Users
+    user: { params: params({ id: ID }) },
+    userByEmail: { params: params({ email: { ...EMAIL, required: true } }) },
+    createUser: {
+        body: {
+            type: 'object',
+            required: true,
+            fields: {
+                ...PROFILE_FIELDS,
+                email: { ...EMAIL, required: true },
+                displayName: { ...PROFILE_FIELDS.displayName, required: true }
+            }
+        }
+    },
+    updateUser: {
+        params: params({ id: ID }),
+        body: { type: 'object', required: true, fields: PROFILE_FIELDS }
+    },
+    reviewSummary: {
+        params: params({ userId: { ...NAME, required: true } }),
+        body: {
+            type: 'object',
+            required: true,
+            fields: { startDate: { ...DATE, required: true }, endDate: { ...DATE, required: true } }
+        }
+    },
+    updateDigests: {
+        params: params({ id: ID }),
+        body: {
+            type: 'object',
+            required: true,
+            strict: true,
+            fields: {
+                team: { enum: FREQUENCIES, nullable: true },
+                top: { enum: FREQUENCIES, nullable: true }
+            }
+        }
+    },
+
+    // Notifications
+    listNotifications: { query: { type: 'object', fields: { ...PAGINATION, unread: FLAG } } },
+    notification: { params: params({ id: ID }) },
+    updateNotificationPreferences: {
+        body: {
+            type: 'object',
+            required: true,
+            strict: true,
+            fields: Object.fromEntries(Object.keys(EVENTS)
+                .map(event => [event, { enum: Object.values(DELIVERY) }]))
+        }
+    },
+
+    // Impact categories
+    listImpactCategories: { query: { type: 'object', fields: { all: FLAG } } },
+    createImpactCategory: {
+        body: {
+            type: 'object',
+            required: true,
+            fields: {
+                ...CATEGORY_FIELDS,
+                id: { ...CATEGORY_ID, required: true },
+                label: { ...CATEGORY_FIELDS.label, required: true }
+            }
+        }
+    },
+    updateImpactCategory: {
+        params: params({ id: ID }),
+        body: { type: 'object', required: true, fields: CATEGORY_FIELDS }
+    },
+
+    // Teams: a JSON list, { users: [...] } or { format: 'csv', data: '...' }
+    importOrgChart: {
+        body: {
+            type: ['array', 'object'],
+            required: true,
+            items: ORG_ROW,
+            maxItems: MAX_ORG_IMPORT_ROWS,
+            fields: {
+                format: { enum: ['csv', 'json'] },
+                data: { required: body => body.format === 'csv', maxLength: MAX_ORG_CSV_LENGTH },
+                users: ORG_ROWS
+            }
+        }
+    },
+    team: { params: TEAM, query: { type: 'object', fields: { depth: TEAM_DEPTH } } },
+    teamAccomplishments: {
+        params: TEAM,
+        query: { type: 'object', fields: { ...FILTERS, ...PAGINATION, depth: TEAM_DEPTH } }
+    },
+
+    // Analytics
+    leaderboard: {
+        query: { type: 'object', fields: { ...ANALYTICS_PERIOD, metric: { enum: METRICS }, limit: PAGINATION.limit } }
+    },
+    breakdown: { query: { type: 'object', fields: { ...ANALYTICS_PERIOD, by: { enum: BREAKDOWNS } } } },
+    trends: { query: { type: 'object', fields: { weeks: { type: 'integer', min: 2 } } } }
+};
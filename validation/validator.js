@@ -0,0 +1,196 @@
+/**
+ * Request Validation Module
+ * Checks a request's path params, query string and body against a declarative schema
+ * (see schemas.js) before the route handler runs, so malformed input never reaches
+ * DBServer or the AI orchestrator. Failures respond 400 with every problem found:
+ *
+ *   { success: false, error: 'originalStatement must be at most 60 words',
+ *     errors: [{ location: 'body', field: 'originalStatement', message: 'must be at most 60 words' }] }
+ *
+ * A schema has a rule for any of params, query and body. Rules:
+ *   type        'string' (default), 'integer', 'number', 'boolean', 'array' or 'object';
+ *               a list accepts any of them
+ *   required    true, or a function of the enclosing object for conditional fields
+ *   nullable    null is accepted (clears the value)
+ *   enum        allowed values
+ *   format      'email', 'date' (YYYY-MM-DD) or 'url' (http/https)
+ *   pattern     RegExp the value must match, explained by patternMessage
+ *   minLength, maxLength, maxWords   limits on the trimmed string
+ *   min, max    limits on numbers
+ *   items, maxItems   rule for each array element, and how many there may be
+ *   fields      rules for an object's fields; with strict: true other fields are refused
+ * Path params and query values are text, so numbers and booleans are checked in their
+ * text form there, and an empty query value counts as missing. Routes still parse and
+ * normalize the values themselves.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FORMATS = {
+    email: {
+        test: value => EMAIL_PATTERN.test(value),
+        message: 'must be an e-mail address'
+    },
+    date: {
+        test: value => {
+            const date = new Date(`${value}T00:00:00.000Z`);
+            return DATE_PATTERN.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+        },
+        message: 'must be a date (YYYY-MM-DD)'
+    },
+    url: {
+        test: value => {
+            // Quotes and angle brackets would break out of the HTML attribute the URL ends up in
+            if (!/^https?:\/\/\S+$/i.test(value) || /["'<>]/.test(value)) {
+                return false;
+            }
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        },
+        message: 'must be an http(s) URL'
+    }
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+
+// Whether `value` has `type`; `text` is set for params and query values
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: (value, text) => text ? typeof value === 'string' && /^-?\d+$/.test(value) : Number.isInteger(value),
+    number: (value, text) => text ? typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) : Number.isFinite(value),
+    boolean: (value, text) => text ? value === 'true' || value === 'false' : typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => isObject(value)
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+const countWords = text => (text === '' ? 0 : text.split(/\s+/).length);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+class Validator {
+    // Problems with one value, appended to `errors` as { field, message }
+    checkValue(value, rule, field, { text = false, parent = {}, errors }) {
+        const required = typeof rule.required === 'function' ? rule.required(parent) : rule.required;
+        if (value === undefined || (text && value === '')) {
+            if (required) errors.push({ field, message: 'is required' });
+            return;
+        }
+        if (value === null) {
+            if (!rule.nullable) errors.push({ field, message: required ? 'is required' : 'must not be null' });
+            return;
+        }
+
+        const types = [].concat(rule.type || 'string');
+        const type = types.find(candidate => TYPE_CHECKS[candidate](value, text));
+        if (!type) {
+            const message = text && Array.isArray(value)
+                ? 'must be given only once'
+                : `must be ${types.map(candidate => TYPE_NAMES[candidate]).join(' or ')}`;
+            errors.push({ field, message });
+            return;
+        }
+
+        const check = {
+            string: () => this.checkString(value.trim(), rule, field, required, errors),
+            integer: () => this.checkNumber(text ? Number(value) : value, rule, field, errors),
+            number: () => this.checkNumber(text ? Number(value) : value, rule, field, errors),
+            boolean: () => {},
+            array: () => this.checkArray(value, rule, field, { text, errors }),
+            object: () => this.checkObject(value, rule, field, { text, errors })
+        };
+        check[type]();
+    }
+
+    checkString(value, rule, field, required, errors) {
+        if (required && value === '') {
+            errors.push({ field, message: 'is required' });
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+        } else if (rule.minLength && value.length < rule.minLength) {
+            errors.push({ field, message: rule.minLength === 1 ? 'must not be empty' : `must be at least ${plural(rule.minLength, 'character')}` });
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${plural(rule.maxLength, 'character')}` });
+        } else if (rule.maxWords && countWords(value) > rule.maxWords) {
+            errors.push({ field, message: `must be at most ${rule.maxWords} words (has ${countWords(value)})` });
+        } else if (rule.format && value !== '' && !FORMATS[rule.format].test(value)) {
+            errors.push({ field, message: FORMATS[rule.format].message });
+        } else if (rule.pattern && value !== '' && !rule.pattern.test(value)) {
+            errors.push({ field, message: rule.patternMessage || 'has an invalid format' });
+        }
+    }
+
+    checkNumber(value, rule, field, errors) {
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field, message: `must be at least ${rule.min}` });
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field, message: `must be at most ${rule.max}` });
+        }
+    }
+
+    checkArray(value, rule, field, { text, errors }) {
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ field, message: `must have at most ${plural(rule.maxItems, 'item')}` });
+            return;
+        }
+        if (rule.items) {
+            value.forEach((item, index) => this.checkValue(item, rule.items, `${field}[${index}]`, { text, parent: value, errors }));
+        }
+    }
+
+    checkObject(value, rule, field, { text, errors }) {
+        const fields = rule.fields || {};
+        const path = name => (field ? `${field}.${name}` : name);
+
+        Object.entries(fields).forEach(([name, fieldRule]) => {
+            this.checkValue(value[name], fieldRule, path(name), { text, parent: value, errors });
+        });
+        if (rule.strict) {
+            Object.keys(value)
+                .filter(name => !Object.prototype.hasOwnProperty.call(fields, name))
+                .forEach(name => errors.push({ field: path(name), message: 'is not an accepted field' }));
+        }
+    }
+
+    // Every problem with the request as [{ location, field, message }]
+    validate(schema, req) {
+        const problems = [];
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) continue;
+
+            const errors = [];
+            const text = location !== 'body';
+            this.checkValue(req[location] ?? (text ? {} : undefined), schema[location], '', { text, errors });
+            problems.push(...errors.map(({ field, message }) => ({ location, field, message })));
+        }
+        return problems;
+    }
+
+    // Middleware: responds 400 with the field errors, or hands over to the route
+    check(schema) {
+        return (req, res, next) => {
+            const errors = this.validate(schema, req);
+            if (errors.length === 0) {
+                return next();
+            }
+
+            const error = errors.map(({ location, field, message }) => `${field || location} ${message}`).join('; ');
+            res.status(400).json({ success: false, error, errors });
+        };
+    }
+}
+
+module.exports = new Validator();
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;